@@ -23,6 +23,9 @@ class BrowserPool {
     this._initPromise = null; // Guard concurrent initialize() calls
     this._closing = false;    // Guard auto-recreate during closeAll
 
+    // Called with (browser, slotIndex) after every launch, e.g. to load the shared login cookies
+    this.onBrowserCreated = options.onBrowserCreated || null;
+
     // Page tracking: Map<page, { createdAt, browserSlot }> for leak detection
     this.activePages = new Map();
     this._cleanupInterval = null;
@@ -122,6 +125,15 @@ class BrowserPool {
       this._handleDisconnected(slotIndex);
     });
 
+    // A failing hook must not cost the slot: the browser still works, only less prepared
+    if (this.onBrowserCreated) {
+      try {
+        await this.onBrowserCreated(browser, slotIndex);
+      } catch (err) {
+        logFail(`Browser slot ${slotIndex}: onBrowserCreated failed: ${err.message}`);
+      }
+    }
+
     return browser;
   }
 
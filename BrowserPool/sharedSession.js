@@ -0,0 +1,306 @@
+// BrowserPool/sharedSession.js
+// One login session for the whole browser pool: an authoritative cookie jar
+// captured from the SSO login browser and pushed into every pool browser
+// through CDP (Network.setCookies), so pool profiles never drift apart.
+//
+// Key behaviors:
+// - refresh(): single flight - concurrent callers (several pages hitting SSO
+//   at once) share one login; the login browser is closed once cookies are captured
+// - Proactive: the jar is re-captured REFRESH_BEFORE its earliest auth cookie
+//   expires, or after MAX_AGE (SSO session cookies carry no expiry)
+// - recover(since): a page that hit Microsoft sign-in gets the fresh jar,
+//   logging in again only if nobody refreshed since that page started
+// - Browsers created later (lazy recreate, health recycle) get the jar via
+//   BrowserPool's onBrowserCreated hook
+// Cookie values never leave this module (getStatus() reports counts and times).
+
+const { logSuccess, logFail, logInfo, logProgress } = require('../Logs/logger');
+const { SHARED_SESSION, RETRIES } = require('../Config/constants');
+
+const matchesDomain = (domain, suffixes) => {
+  const host = String(domain || '').replace(/^\./, '').toLowerCase();
+  return suffixes.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+};
+
+/**
+ * Network.Cookie (getAllCookies) → Network.CookieParam (setCookies).
+ * Session cookies (session: true / expires -1) stay session cookies.
+ */
+function toCookieParam(cookie) {
+  const param = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly
+  };
+  if (cookie.sameSite) param.sameSite = cookie.sameSite;
+  if (cookie.priority) param.priority = cookie.priority;
+  if (!cookie.session && cookie.expires > 0) param.expires = cookie.expires;
+  return param;
+}
+
+/** Run fn with a CDP session on the page's target, always detaching */
+async function withCdp(page, fn) {
+  const client = await page.target().createCDPSession();
+  try {
+    return await fn(client);
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+class SharedSession {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.login] - async () => { browser, page }: a logged-in page; the browser is closed after capture
+   * @param {string[]} [options.cookieDomains] - domain suffixes kept in the jar
+   * @param {string[]} [options.authDomains] - httpOnly cookies here set the session expiry
+   * @param {number} [options.maxAge] - ms; re-login at least this often
+   * @param {number} [options.refreshBefore] - ms before the earliest auth cookie expires
+   * @param {number} [options.loginAttempts] - logins tried per refresh
+   */
+  constructor(options = {}) {
+    this.login = options.login || null;
+    this.cookieDomains = options.cookieDomains || SHARED_SESSION.COOKIE_DOMAINS;
+    this.authDomains = options.authDomains || SHARED_SESSION.AUTH_DOMAINS;
+    this.maxAge = options.maxAge ?? SHARED_SESSION.MAX_AGE;
+    this.refreshBefore = options.refreshBefore ?? SHARED_SESSION.REFRESH_BEFORE;
+    this.loginAttempts = options.loginAttempts ?? RETRIES.LOGIN_SESSION;
+
+    /** @type {Object[]} Network.CookieParam[] - the authoritative jar */
+    this.cookies = [];
+    this.generation = 0;
+    this.capturedAt = null;
+    this.expiresAt = null;
+    this.pool = null;
+    /** @type {Map<number, { generation: number, syncedAt: string }>} */
+    this.synced = new Map();
+
+    this._refreshing = null;
+    this._interval = null;
+    this.failures = 0;
+    this.lastRefresh = null;
+  }
+
+  /* ========================= Cookie Jar ========================= */
+
+  /**
+   * Capture the login cookies of a logged-in page as the new authoritative jar.
+   * @param {import('puppeteer').Page} page
+   * @returns {Promise<number>} cookies kept
+   */
+  async adopt(page) {
+    const { cookies } = await withCdp(page, client => client.send('Network.getAllCookies'));
+    const kept = cookies.filter(c => matchesDomain(c.domain, this.cookieDomains));
+    if (kept.length === 0) {
+      throw new Error('No login cookies found for the session domains');
+    }
+
+    // Cookies living shorter than the refresh margin are rotated by the site, not by logging in
+    const now = Date.now();
+    const authExpiries = kept
+      .filter(c => c.httpOnly && !c.session && c.expires > 0 && matchesDomain(c.domain, this.authDomains))
+      .map(c => c.expires * 1000)
+      .filter(expiry => expiry - now > this.refreshBefore);
+
+    this.cookies = kept.map(toCookieParam);
+    this.generation++;
+    this.capturedAt = now;
+    this.expiresAt = Math.min(now + this.maxAge, ...authExpiries);
+    logInfo(`[Session] Captured ${kept.length} cookie(s) (generation ${this.generation}, refresh due ${new Date(this.refreshDueAt()).toISOString()})`);
+    return kept.length;
+  }
+
+  /** When the proactive refresh is due (ms epoch), null before the first capture */
+  refreshDueAt() {
+    return this.expiresAt === null ? null : this.expiresAt - this.refreshBefore;
+  }
+
+  /**
+   * @param {number} [now]
+   * @returns {boolean} true when the jar is missing or about to expire
+   */
+  needsRefresh(now = Date.now()) {
+    return this.expiresAt === null || now >= this.refreshDueAt();
+  }
+
+  /* ========================= Pool Sync ========================= */
+
+  /**
+   * Track a pool so refreshed cookies reach all of its browsers (null to detach).
+   * @param {import('./browserPool')|null} pool
+   */
+  attachPool(pool) {
+    this.pool = pool;
+    this.synced.clear();
+  }
+
+  /**
+   * Load the current jar into one browser (default browser context).
+   * @param {import('puppeteer').Browser} browser
+   */
+  async applyTo(browser) {
+    if (this.cookies.length === 0) return;
+
+    const pages = await browser.pages();
+    const page = pages.find(p => !p.isClosed()) || await browser.newPage();
+    const created = !pages.includes(page);
+    try {
+      await withCdp(page, client => client.send('Network.setCookies', { cookies: this.cookies }));
+    } finally {
+      if (created) await page.close().catch(() => {});
+    }
+
+    if (typeof browser._slotIndex === 'number') {
+      this.synced.set(browser._slotIndex, { generation: this.generation, syncedAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Push the jar into every connected pool browser, busy ones included.
+   * @returns {Promise<{ synced: number, failed: number }>}
+   */
+  async pushToPool() {
+    const result = { synced: 0, failed: 0 };
+    if (!this.pool) return result;
+
+    for (const [slot, browser] of this.pool.getBrowsers()) {
+      if (!browser?.isConnected?.()) continue;
+      try {
+        await this.applyTo(browser);
+        result.synced++;
+      } catch (err) {
+        result.failed++;
+        logFail(`[Session] Slot ${slot}: cookie sync failed: ${err.message}`);
+      }
+    }
+
+    logInfo(`[Session] Generation ${this.generation} pushed to ${result.synced} browser(s)${result.failed ? `, ${result.failed} failed` : ''}`);
+    return result;
+  }
+
+  /* ========================= Login ========================= */
+
+  /**
+   * Log in again, capture the jar and push it to the pool.
+   * Concurrent calls share the refresh in flight.
+   * @param {string} reason - e.g. 'boot', 'proactive', 'LOGIN_EXPIRED', 'dashboard'
+   * @returns {Promise<boolean>} true when a fresh jar is in place
+   */
+  refresh(reason) {
+    if (!this._refreshing) {
+      this._refreshing = this._doRefresh(reason).finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  async _doRefresh(reason) {
+    if (!this.login) {
+      logFail('[Session] Cannot refresh: no login function configured');
+      return false;
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.loginAttempts; attempt++) {
+      let browser = null;
+      try {
+        logProgress(`[Session] Login attempt ${attempt}/${this.loginAttempts} (${reason})...`);
+        const session = await this.login();
+        browser = session.browser;
+        await this.adopt(session.page);
+        lastError = null;
+        break;
+      } catch (err) {
+        lastError = err;
+        logFail(`[Session] Login attempt ${attempt} failed: ${err.message}`);
+      } finally {
+        // The login profile must be released before anything else (cloneProfiles) touches it
+        if (browser) await browser.close().catch(() => {});
+      }
+    }
+
+    this.lastRefresh = { reason, at: new Date().toISOString(), ok: !lastError, error: lastError?.message || null };
+    if (lastError) {
+      this.failures++;
+      // Notify once per failure streak; the proactive check keeps retrying
+      logFail(`[Session] Login refresh failed (${reason}): ${lastError.message}`, this.failures === 1);
+      return false;
+    }
+
+    this.failures = 0;
+    await this.pushToPool();
+    logSuccess(`[Session] Login session refreshed (${reason})`);
+    return true;
+  }
+
+  /**
+   * A page landed on Microsoft sign-in: make sure a fresh jar is in the pool.
+   * @param {number} since - ms epoch when the failed attempt started
+   * @returns {Promise<boolean>} true when the attempt is worth retrying
+   */
+  async recover(since) {
+    if (this._refreshing) return this._refreshing;
+    if (this.capturedAt !== null && this.capturedAt > since) return true;
+    return this.refresh('LOGIN_EXPIRED');
+  }
+
+  /* ========================= Proactive Refresh ========================= */
+
+  /**
+   * Check the jar expiry periodically and log in again before it runs out.
+   * @param {number} [intervalMs]
+   */
+  startAutoRefresh(intervalMs = SHARED_SESSION.CHECK_INTERVAL) {
+    if (this._interval) return;
+    logInfo(`[Session] Proactive refresh check every ${Math.round(intervalMs / 1000)}s`);
+
+    this._interval = setInterval(() => {
+      if (!this.needsRefresh()) return;
+      this.refresh('proactive').catch(err => logFail(`[Session] Proactive refresh error: ${err.message}`));
+    }, intervalMs);
+
+    if (this._interval.unref) this._interval.unref();
+  }
+
+  stopAutoRefresh() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  /**
+   * Jar age / expiry and which pool browsers hold the current generation (no cookie values).
+   */
+  getStatus() {
+    const browsers = this.pool
+      ? [...this.pool.getBrowsers().keys()].map(slot => {
+        const sync = this.synced.get(slot);
+        return {
+          slot,
+          generation: sync?.generation ?? null,
+          syncedAt: sync?.syncedAt ?? null,
+          current: sync?.generation === this.generation
+        };
+      })
+      : [];
+
+    return {
+      loggedIn: this.cookies.length > 0,
+      generation: this.generation,
+      cookieCount: this.cookies.length,
+      capturedAt: this.capturedAt && new Date(this.capturedAt).toISOString(),
+      expiresAt: this.expiresAt && new Date(this.expiresAt).toISOString(),
+      refreshDueAt: this.expiresAt && new Date(this.refreshDueAt()).toISOString(),
+      refreshing: Boolean(this._refreshing),
+      autoRefresh: Boolean(this._interval),
+      failures: this.failures,
+      lastRefresh: this.lastRefresh,
+      browsers
+    };
+  }
+}
+
+module.exports = { SharedSession, toCookieParam };
@@ -25,6 +25,9 @@ module.exports = {
                     orderIdColumn: 'F',
                     pmNameColumn: 'C',
                     receivedDateColumn: 'N',
+                    // Written when a PM changes the words / deadline of an accepted order (unset = not written)
+                    amountWordsColumn: process.env.TRACKING_WORDS_COLUMN || null,
+                    plannedEndColumn: process.env.TRACKING_DEADLINE_COLUMN || null,
 
             Assignment: {
                 tabName: 'Assignment',
@@ -36,6 +39,9 @@ module.exports = {
             },
   defaultConcurrency: 4,
   maxDailyCapacity: 12000,
+  // 'daily' (default): flat maxDailyCapacity; 'hourly' (CAPACITY_MODEL=hourly): words per hour × that day's working hours
+  capacityModel: process.env.CAPACITY_MODEL === 'hourly' ? 'hourly' : 'daily',
+  wordsPerHour: parseInt(process.env.WORDS_PER_HOUR) || null, // null → maxDailyCapacity / default working hours
   maxRetries: 1,
   forceLogin: process.env.FORCE_LOGIN === 'true',
   googleChatWebhook: process.env.GOOGLE_CHAT_WEBHOOK,
@@ -47,7 +53,34 @@ module.exports = {
   EMAIL_USER: process.env.EMAIL_USER,
   EMAIL_PASS: process.env.EMAIL_PASS,
   IMAP_HOST: process.env.IMAP_HOST,
+  // IMAP server + auth. IMAP_AUTH=oauth2 → XOAUTH2 with a refresh token instead of EMAIL_PASS
+  // (Microsoft 365: IMAP_HOST=outlook.office365.com, IMAP_OAUTH_PROVIDER=microsoft)
+  imap: {
+    host: process.env.IMAP_HOST || 'imap.gmail.com',
+    port: parseInt(process.env.IMAP_PORT) || 993,
+    secure: process.env.IMAP_SECURE !== 'false',                              // false → STARTTLS on a plain port
+    rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false', // false only for self-signed test servers
+    authMethod: process.env.IMAP_AUTH === 'oauth2' ? 'oauth2' : 'password',
+    oauth2: {
+      provider: process.env.IMAP_OAUTH_PROVIDER || 'google',     // 'google' | 'microsoft'
+      clientId: process.env.IMAP_OAUTH_CLIENT_ID,
+      clientSecret: process.env.IMAP_OAUTH_CLIENT_SECRET,
+      refreshToken: process.env.IMAP_OAUTH_REFRESH_TOKEN,
+      tenantId: process.env.IMAP_OAUTH_TENANT_ID,                // Microsoft only, defaults to 'common'
+      tokenUrl: process.env.IMAP_OAUTH_TOKEN_URL,                // optional override
+    },
+  },
   MAILBOX: process.env.MAILBOX_NAME || 'INBOX',
-  ALLOW_BACKFILL: process.env.ALLOW_BACKFILL === 'true'
+  ALLOW_BACKFILL: process.env.ALLOW_BACKFILL === 'true',
+  // What to do with an email once its tasks finish: 'label' (Gmail labels), 'flag' (IMAP keywords) or 'none',
+  // plus an optional folder to move it to. Names per outcome: MAILBOX_ACTIONS.NAMES (constants.js)
+  mailboxActions: {
+    mode: ['label', 'flag'].includes(process.env.MAILBOX_ACTION) ? process.env.MAILBOX_ACTION : 'none',
+    moveTo: process.env.MAILBOX_MOVE_TO || null,
+  },
+  emailDedupRetentionDays: parseInt(process.env.EMAIL_DEDUP_RETENTION_DAYS) || 30, // how long processed (orderId, receivedDate, url) keys are kept
+  SHADOW_MODE: process.env.SHADOW_MODE === 'true',
+  // IANA zone every deadline, working hour and "today" is judged in, whatever zone the host runs in
+  BUSINESS_TIMEZONE: process.env.BUSINESS_TIMEZONE || 'Asia/Bangkok'
 
 };
@@ -42,6 +42,9 @@ module.exports = {
     // File operations
     FILE_WRITE: 3,                              // wordQuotaTracker.js
 
+    // Google Sheets
+    SHEET_STATUS: 3,                            // markStatusByOrderId.js (1 min apart)
+
     // Login
     LOGIN_SESSION: 3,                           // main.js
 
@@ -58,6 +61,13 @@ module.exports = {
     URGENT_DAYS_THRESHOLD: 3,                   // CapacityTracker.js (< 3 days = urgent)
     URGENT_HOURS_THRESHOLD: 6,                  // taskAcceptance.js (≤ 6 hours = urgent)
 
+    // Allocation strategy (allocationStrategies.js)
+    ALLOCATION_STRATEGY: 'auto',                // default when no per-task strategy applies
+    BUFFER_PERCENT: 20,                         // 'buffer' strategy: % of each day kept for urgent jobs
+
+    // Two-phase reservation (accept -> browser done)
+    RESERVATION_TTL_MS: 30 * 60 * 1000,         // 30 minutes - CapacityTracker.js auto-releases unconfirmed holds (counted from processing start)
+
     // Memory management
     SEEN_UIDS_LIMIT: 1000,                      // fetcher.js
 
@@ -86,6 +96,73 @@ module.exports = {
     HISTORY_PRUNE_INTERVAL: 30 * 60 * 1000, // prune reconnect history older than 30 minutes
   },
 
+  /* ========================= IMAP Reconciliation Sweep ========================= */
+  IMAP_SWEEP: {
+    INTERVAL: 10 * 60 * 1000,               // sweep each mailbox every 10 minutes (imapClient.js)
+    DATE_WINDOW: 24 * 60 * 60 * 1000,       // also re-check mail received in the last 24 hours (fetcher.js)
+  },
+
+  /* ========================= IMAP Auth (XOAUTH2) ========================= */
+  IMAP_AUTH: {
+    TOKEN_REFRESH_MARGIN: 5 * 60 * 1000,    // refresh access tokens 5 minutes before they expire
+    TOKEN_RETRY_DELAY: 60 * 1000,           // retry a failed background refresh after 1 minute
+  },
+
+  /* ========================= IMAP Accounts ========================= */
+  IMAP_ACCOUNTS: {
+    CONFIG_PATH: 'Config/imapAccounts.json',  // Relative to project root - empty → one account from EMAIL_USER / MAILBOXES
+    DEFAULT_ID: 'default',                  // id of the .env account; keeps the un-prefixed UID store files
+  },
+
+  /* ========================= Email Templates ========================= */
+  EMAIL_TEMPLATES: {
+    DIR: 'Config/emailTemplates',           // Relative to project root - one JSON template per file, re-read on change
+  },
+
+  /* ========================= Email Notification Kinds ========================= */
+  NOTIFICATION_KIND: {
+    ASSIGNMENT: 'assignment',               // offer with an Accept link
+    ON_HOLD: 'on_hold',                     // status "On Hold", no link
+    CANCELLED: 'cancelled',                 // PM cancelled the order - release its capacity
+    DEADLINE_CHANGED: 'deadline_changed',   // planned end moved - re-plan the allocation
+    WORDS_CHANGED: 'words_changed',         // amountWords changed - re-plan the allocation
+  },
+
+  /* ========================= Task Outcomes ========================= */
+  TASK_OUTCOME: {
+    // Final outcome of the task(s) an email produced (TaskHandler 'task:outcome', fetcher dead-letter)
+    ACCEPTED: 'accepted',                   // browser accepted it
+    DECLINED: 'declined',                   // acceptance rules / capacity declined it
+    MISSED: 'missed',                       // gone or taken before the browser got there
+    ON_HOLD: 'on_hold',                     // on-hold notification, or the task turned out on hold
+    FAILED: 'failed',                       // browser run failed for another reason
+    CHANGED: 'changed',                     // cancellation / deadline / word-count change handled
+    PARSE_ERROR: 'parse_error',             // parse failed or incomplete - dead-lettered
+  },
+
+  /* ========================= Mailbox Actions ========================= */
+  MAILBOX_ACTIONS: {
+    // Gmail label / IMAP keyword per TASK_OUTCOME, applied to the email once its tasks finish (mailboxActions.js)
+    NAMES: {
+      accepted: 'RWS/Accepted',
+      declined: 'RWS/Declined',
+      missed: 'RWS/Missed',
+      on_hold: 'RWS/OnHold',
+      failed: 'RWS/Failed',
+      changed: 'RWS/Updated',
+      parse_error: 'RWS/ParseError',
+    },
+    PENDING_TTL: 24 * 60 * 60 * 1000,       // forget emails whose tasks never reported back after 24 hours
+    HISTORY_SIZE: 100,                      // keep last 100 applied actions in memory for the Dashboard
+  },
+
+  /* ========================= Task Metadata ========================= */
+  TASK_METADATA: {
+    // Optional task fields parsed from the notification table (Config/emailTemplates "fields"),
+    // carried into acceptance rules, the task store and the Dashboard task report
+    FIELDS: ['sourceLanguage', 'targetLanguage', 'client', 'taskType', 'projectManager'],
+  },
+
   /* ========================= Circuit Breaker (Google Sheets API) ========================= */
   CIRCUIT_BREAKER: {
     FAILURE_THRESHOLD: 5,       // consecutive failures before tripping to OPEN
@@ -125,6 +202,15 @@ module.exports = {
     HEALTH_HISTORY_SIZE: 50,                    // keep last 50 health check snapshots
   },
 
+  /* ========================= Shared Login Session ========================= */
+  SHARED_SESSION: {
+    COOKIE_DOMAINS: ['moravia.com', 'microsoftonline.com', 'microsoft.com', 'live.com'], // domain suffixes kept in the shared cookie jar
+    AUTH_DOMAINS: ['moravia.com'],             // httpOnly cookies here decide when the session expires
+    MAX_AGE: 8 * 60 * 60 * 1000,               // 8 hours - re-login at least this often (SSO session cookies carry no expiry)
+    REFRESH_BEFORE: 30 * 60 * 1000,            // 30 minutes - re-login this long before the earliest auth cookie expires
+    CHECK_INTERVAL: 5 * 60 * 1000,             // 5 minutes - proactive expiry check
+  },
+
   /* ========================= Reporting Schedule (hours) ========================= */
   REPORT_SCHEDULE: {
     MORNING: { hour: 9, minute: 0 },           // taskScheduler.js
@@ -139,6 +225,31 @@ module.exports = {
     MAX_RESULTS: 100,                          // keep last 100 verification results in memory
   },
 
+  /* ========================= Accept Workflow ========================= */
+  ACCEPT_WORKFLOW: {
+    PATH: 'Config/acceptWorkflow.json',        // Relative to project root - versioned step definitions, re-read on change
+  },
+
+  /* ========================= Selector Health ========================= */
+  SELECTOR_HEALTH: {
+    PATH: 'data/selectorHealth.json',          // Relative to project root - winning locator + drift state per step
+    DRIFT_ALERT_AFTER: 1,                      // consecutive fallback wins (primary missing) before a drift alert
+    ALERT_COOLDOWN: 6 * 60 * 60 * 1000,        // 6 hours - at most one drift alert per step in this window
+    RANK_CHECK_TIMEOUT: 500,                   // ms - re-check higher-ranked locators when a fallback matched first
+  },
+
+  /* ========================= Failure Forensics ========================= */
+  FORENSICS: {
+    DIR: 'data/forensics',                     // Relative to project root - <orderId>/<bundleId>/ per failed accept
+    MAX_TOTAL_BYTES: 200 * 1024 * 1024,        // 200 MB - oldest bundles are deleted beyond this
+    MAX_BUNDLES_PER_ORDER: 5,                  // keep the latest 5 attempts of each order
+    MAX_CONSOLE_ENTRIES: 200,                  // console messages kept per bundle (latest win)
+    MAX_FAILED_REQUESTS: 100,                  // failed / 4xx-5xx requests kept per bundle
+    MAX_HTML_BYTES: 5 * 1024 * 1024,           // 5 MB - page.content() is truncated beyond this
+    CAPTURE_TIMEOUT: 10 * 1000,                // 10 seconds - screenshot / page.content() limit each
+    LIST_LIMIT: 200,                           // max bundles returned by /api/forensics
+  },
+
   /* ========================= Persistent Task Queue (SQLite) ========================= */
   PERSISTENT_QUEUE: {
     DB_PATH: 'data/taskQueue.db',              // Relative to project root
@@ -146,4 +257,40 @@ module.exports = {
     CLEANUP_AGE: 7 * 24 * 60 * 60 * 1000,     // 7 days - delete completed/failed tasks older than this
     RECOVERY_ON_BOOT: true,                    // Automatically recover stale tasks on startup
   },
+
+  /* ========================= Capacity Ledger (SQLite) ========================= */
+  CAPACITY_LEDGER: {
+    DB_PATH: 'data/capacityLedger.db',         // Relative to project root - per-order allocation events
+  },
+
+  /* ========================= Accepted Task Store (SQLite) ========================= */
+  TASK_STORE: {
+    DB_PATH: 'data/tasks.db',                  // Relative to project root - accepted tasks + status history
+    LEGACY_JSON_PATH: 'Task/acceptedTasks.json', // Imported once on first use, then renamed *.migrated
+  },
+
+  /* ========================= Email Dead-Letter Store (SQLite) ========================= */
+  DEAD_LETTER: {
+    DB_PATH: 'data/deadLetter.db',             // Relative to project root - emails that failed to parse
+    RAW_DIR: 'data/deadLetter',                // Raw .eml source of each dead-lettered email
+    LIST_LIMIT: 200,                           // max entries returned by /api/emails/dead-letter
+  },
+
+  /* ========================= Email Idempotency Index (SQLite) ========================= */
+  EMAIL_IDEMPOTENCY: {
+    DB_PATH: 'data/emailIndex.db',             // Relative to project root - processed (orderId, receivedDate, url) keys
+    PRUNE_INTERVAL: 6 * 60 * 60 * 1000,        // drop keys older than the retention at most every 6 hours
+  },
+
+  /* ========================= Team Roster ========================= */
+  TEAM: {
+    ROSTER_PATH: 'Config/team.json',            // Relative to project root - members, throughput, leave & OT
+    DEFAULT_ASSIGNEE: 'DTP',                    // Tracking sheet PM column when a task has no assignee
+  },
+
+  /* ========================= Shadow Mode (dry-run) ========================= */
+  SHADOW: {
+    LOG_PATH: 'data/shadowDecisions.jsonl',    // Relative to project root
+    MAX_RECENT: 200,                           // keep last 200 entries in memory for Dashboard
+  },
 };
@@ -6,81 +6,82 @@
 const { initLoginSession } = require('../LoginSession/initLoginSession');
 const { saveCookies } = require('../Session/sessionManager');
 const { cloneProfiles } = require('../tools/cloneProfile');
+const { SharedSession } = require('../BrowserPool/sharedSession');
 const { initializeBrowserPool, closeBrowserPool, getBrowserPoolStatus } = require('../Task/runTaskInNewBrowser');
 const { resetIfNewDay } = require('../Task/wordQuotaTracker');
 const { startTaskSchedule, stopTaskSchedule } = require('../Task/taskScheduler');
 const { startListeningEmails } = require('../IMAP/imapClient');
 const { cleanupFetcher } = require('../IMAP/fetcher');
-const { defaultConcurrency } = require('../Config/configs');
+const { defaultConcurrency, SHADOW_MODE } = require('../Config/configs');
 const { RETRIES, EXIT_CODES, TIMEOUTS, STATUS_SYNC } = require('../Config/constants');
 const { logSuccess, logFail, logInfo, logBanner } = require('../Logs/logger');
 const { notifyGoogleChat } = require('../Logs/notifier');
 const { metricsCollector } = require('../Metrics/metricsCollector');
 const { MoraviaStatusSync } = require('../Features/moraviaStatusSync');
 const taskReporter = require('../Task/taskReporter');
-const { broadcastToClients, setStatusSync, setPostAcceptVerifier } = require('../Dashboard/server');
+const { broadcastToClients, setStatusSync, setPostAcceptVerifier, setSharedSession } = require('../Dashboard/server');
 const { syncCapacityWithTasks } = require('../Task/CapacityTracker');
 const { stateManager } = require('../State/stateManager');
+const { announceShadowMode } = require('../Features/shadowMode');
 
 const MAX_LOGIN_RETRIES = RETRIES.LOGIN_SESSION;
 
+/** SSO login for SharedSession: a logged-in page, cookies also saved for the login profile */
+async function loginWithSso() {
+  const { browser, mainPage } = await initLoginSession();
+  await saveCookies(mainPage);
+  return { browser, page: mainPage };
+}
+
 class SystemBootstrapper {
   /**
    * @param {import('./eventBus').SystemEventBus} eventBus
    * @param {object} [options]
    * @param {import('./taskHandler').TaskHandler} [options.taskHandler] - for initializing verifier after pool is ready
+   * @param {boolean} [options.shadowMode] - override SHADOW_MODE from config (useful for tests)
    */
   constructor(eventBus, options = {}) {
     this.eventBus = eventBus;
     this.taskHandler = options.taskHandler || null;
     this.statusSync = null;
+    this.session = null;
+    this.shadowMode = options.shadowMode ?? SHADOW_MODE;
   }
 
   /**
    * Full system boot sequence:
-   *  1. Login via SSO
+   *  1. Login via SSO (captures the shared cookie jar, BrowserPool/sharedSession.js)
    *  2. Clone browser profiles
-   *  3. Initialize browser pool
+   *  3. Initialize browser pool (every browser gets the shared jar)
+   *     (3c) Replay persisted tasks left by a previous run
    *  4. Reset daily word quota
    *  5. Start IMAP email listener
    *  6. Emit system:ready
    *
+   * In shadow mode only the IMAP listener is started (see bootShadow).
+   *
    * @param {Function} onEmailReceived - callback invoked for each incoming email task
    */
   async boot(onEmailReceived) {
     logBanner();
     try { stateManager.setSystemStatus('initializing'); } catch (_) { /* non-critical */ }
-    startTaskSchedule();
 
-    // --- Step 1: Login ---
-    let loginBrowser = null;
-    let loginSuccess = false;
-
-    for (let attempt = 1; attempt <= MAX_LOGIN_RETRIES; attempt++) {
-      try {
-        logInfo(`Attempting Login ${attempt}...`);
-        const { browser, mainPage } = await initLoginSession();
-        await saveCookies(mainPage);
-        loginBrowser = browser;
-        logSuccess('Login successful! Starting task automation system...');
-        loginSuccess = true;
-        break;
-      } catch (err) {
-        logFail(`[Auto RWS] Login failed (${attempt}): ${err.message}`, true);
-      }
+    if (this.shadowMode) {
+      return this.bootShadow(onEmailReceived);
     }
 
-    if (!loginSuccess) {
+    startTaskSchedule();
+
+    // --- Step 1: Login (the login browser is closed once its cookies are captured) ---
+    this.session = new SharedSession({ login: loginWithSso, loginAttempts: MAX_LOGIN_RETRIES });
+    setSharedSession(this.session);
+
+    if (!(await this.session.refresh('boot'))) {
       logFail('[Auto RWS] Login failed after all attempts. Exiting system.', true);
       process.exit(EXIT_CODES.ERROR_EXIT);
     }
-
-    // Close login browser -- pool will be used for real tasks
-    if (loginBrowser) {
-      await loginBrowser.close();
-      loginBrowser = null;
-      logInfo('Login browser closed - switching to browser pool');
-    }
+    logSuccess('Login successful! Starting task automation system...');
+    logInfo('Login browser closed - switching to browser pool');
 
     // --- Step 2: Clone profiles ---
     await cloneProfiles({ count: defaultConcurrency });
@@ -91,6 +92,7 @@ class SystemBootstrapper {
       await initializeBrowserPool(defaultConcurrency, {
         metricsCollector,
         notifier: { notifyGoogleChat },
+        session: this.session,
       });
       const poolStatus = getBrowserPoolStatus();
       logSuccess(`Browser pool ready: ${poolStatus.availableBrowsers}/${poolStatus.totalBrowsers} browsers available`);
@@ -124,6 +126,16 @@ class SystemBootstrapper {
       }
     }
 
+    // --- Step 3c: Replay accepted-but-unfinished tasks from the persistent queue ---
+    if (this.taskHandler) {
+      try {
+        this.taskHandler.replayPersistedTasks();
+      } catch (err) {
+        logFail(`[Replay] Failed to replay persisted tasks: ${err.message}`);
+        // Non-fatal: pending rows stay in the queue for the next boot / dashboard retry
+      }
+    }
+
     // --- Step 4: Daily quota reset ---
     await resetIfNewDay();
 
@@ -131,6 +143,9 @@ class SystemBootstrapper {
     startListeningEmails(onEmailReceived);
     // Note: stateManager IMAP status is updated by imapClient.js on actual connection success
 
+    // --- Step 5b: Re-login before the shared session expires ---
+    this.session.startAutoRefresh();
+
     // --- Step 6: Signal ready ---
     this.eventBus.emitSystemReady();
     try { stateManager.setSystemStatus('running'); } catch (_) { /* non-critical */ }
@@ -155,6 +170,23 @@ class SystemBootstrapper {
     }
   }
 
+  /**
+   * Shadow (dry-run) boot: parse + evaluate + plan only.
+   * Skips login, browser pool, persisted-task replay, daily quota reset,
+   * scheduled reports and Moravia status sync - none of them are needed
+   * to make decisions, and all of them touch shared production state.
+   *
+   * @param {Function} onEmailReceived - callback invoked for each incoming email task
+   */
+  async bootShadow(onEmailReceived) {
+    announceShadowMode();
+
+    startListeningEmails(onEmailReceived);
+
+    this.eventBus.emitSystemReady();
+    try { stateManager.setSystemStatus('running'); } catch (_) { /* non-critical */ }
+  }
+
   /**
    * Graceful shutdown sequence.
    * @param {string} reason - e.g. 'SIGINT', 'SIGTERM', 'uncaughtException'
@@ -175,9 +207,11 @@ class SystemBootstrapper {
     try {
       if (this.taskHandler) this.taskHandler.stopVerifier();
       if (this.statusSync) this.statusSync.stopPolling();
+      if (this.session) this.session.stopAutoRefresh();
       stopTaskSchedule();
       await closeBrowserPool();
       await cleanupFetcher();
+      if (this.taskHandler) this.taskHandler.closeQueue();
       logSuccess('Shutdown completed successfully');
     } catch (err) {
       logFail(`Error during shutdown: ${err.message}`);
@@ -191,6 +225,8 @@ class SystemBootstrapper {
   /**
    * Handle login-expired restart: cleanup everything then exit with code 12
    * so PM2 restarts the process.
+   * Last resort: runTaskInNewBrowser first refreshes the shared session and
+   * retries, so this only runs when re-login failed or did not help.
    */
   async restartForLoginExpired() {
     logFail('Login expired -> restarting system', true);
@@ -201,6 +237,7 @@ class SystemBootstrapper {
     await notifyGoogleChat('[Auto RWS] Login expired. Restarting system...');
 
     try {
+      if (this.session) this.session.stopAutoRefresh();
       stopTaskSchedule();
       await closeBrowserPool();
       await cleanupFetcher();
@@ -225,6 +262,7 @@ class SystemBootstrapper {
     await notifyGoogleChat(`[Auto RWS] ${label}: ${err?.message || err}`);
 
     try {
+      if (this.session) this.session.stopAutoRefresh();
       await closeBrowserPool();
     } catch { /* best-effort */ }
 
@@ -4,7 +4,7 @@
  * Uses Node.js built-in EventEmitter - no external dependencies.
  *
  * Event naming convention: "domain:action"
- *   - task:received, task:accepted, task:rejected, task:completed, task:failed, task:onhold
+ *   - task:received, task:accepted, task:rejected, task:completed, task:failed, task:onhold, task:changed, task:outcome
  *   - system:ready, system:shutdown, system:login_expired
  *   - capacity:updated
  */
@@ -48,6 +48,16 @@ class SystemEventBus extends EventEmitter {
     this.emit('task:onhold', task);
   }
 
+  /** Cancellation / deadline or word-count change applied to an order (change = { kind, ... }) */
+  emitTaskChanged(task, change) {
+    this.emit('task:changed', task, change);
+  }
+
+  /** Final outcome of a task (TASK_OUTCOME) - task.email names the email it came from, if any */
+  emitTaskOutcome(task, outcome) {
+    this.emit('task:outcome', task, outcome);
+  }
+
   // ---- System events ----
   emitSystemReady() {
     this.emit('system:ready');
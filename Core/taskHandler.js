@@ -3,40 +3,116 @@
  * Centralized task processing logic.
  * Handles: task evaluation, queue management, success/error/on-hold flows.
  * Extracted from main.js to decouple business logic from orchestration.
+ *
+ * Capacity is booked in two phases: accepting a task reserves its allocation
+ * plan immediately, the browser success commits it, and a failure releases it.
+ * An accept job replayed from the persistent queue holds its stored plan again
+ * only if it still fits; otherwise it is re-planned, or fails if nothing fits.
+ *
+ * With a team roster (Config/team.json) the plan names an assignee, which is
+ * written to the Tracking sheet PM column instead of TEAM.DEFAULT_ASSIGNEE.
+ *
+ * Tasks carry the metadata parsed from the email (TASK_METADATA.FIELDS: language
+ * pair, client, task type, PM) into acceptance rules, the job and the task store.
+ *
+ * Tasks carry the IMAP account they arrived through (IMAP/imapAccounts.js).
+ * The account's routing picks the capacity pool the task is planned on and the
+ * Tracking sheet its status is written to; acceptance rules can scope on it too.
+ *
+ * Change notifications (IMAP/fetcher.js `kind`) act on the order's active task:
+ * a cancellation releases its capacity and marks it Cancelled, a deadline or
+ * word-count change re-plans its allocation and updates the Tracking sheet row.
+ * A cancellation for an order whose accept job is still queued or running is
+ * finished by that job: skipped before the browser starts, or never booked.
+ * A deadline or word-count change for such an order waits for the job and
+ * re-plans what it booked.
+ *
+ * Every task ends in one TASK_OUTCOME, emitted as 'task:outcome' with the
+ * email it came from (`email`, set by the fetcher) so the email can be
+ * labelled, flagged or moved (IMAP/mailboxActions.js).
+ *
+ * Shadow mode (SHADOW_MODE=true): the Moravia click, Sheets status writes and
+ * capacity changes are swapped for recording stubs (Features/shadowMode.js),
+ * so the pipeline can be exercised against live mail without side effects.
  */
-const dayjs = require('dayjs');
+const path = require('path');
 
 const { TaskQueue } = require('../Task/taskQueue');
-const { evaluateTaskAcceptance } = require('../Task/taskAcceptance');
+const { evaluateTaskAcceptance, acceptanceRules, getAllocationWindow } = require('../Task/taskAcceptance');
 const { appendAcceptedTask, removeTaskCapacity } = require('../Task/taskReporter');
-const { applyCapacity } = require('../Task/CapacityTracker');
+const { applyCapacity, releaseCapacity, reserveCapacity, refreshReservation, releaseReservation, getAvailableDates } = require('../Task/CapacityTracker');
+const { getTaskStore } = require('../Task/taskStore');
 const { trackAmountWords } = require('../Task/wordQuotaTracker');
-const { markStatusWithRetry } = require('../Sheets/markStatusByOrderId');
+const { markStatusWithRetry, updateTaskRowByOrderId } = require('../Sheets/markStatusByOrderId');
 const runTaskInNewBrowser = require('../Task/runTaskInNewBrowser');
 const { getBrowserPoolStatus } = require('../Task/runTaskInNewBrowser');
 const { pushStatusUpdate, broadcastToClients, setTaskQueue } = require('../Dashboard/server');
-const { defaultConcurrency } = require('../Config/configs');
+const { defaultConcurrency, SHADOW_MODE } = require('../Config/configs');
 const { logSuccess, logFail, logInfo, logProgress } = require('../Logs/logger');
 const { notifyGoogleChat } = require('../Logs/notifier');
 const { metricsCollector } = require('../Metrics/metricsCollector');
 const { recordFailure, resetFailure } = require('../Task/consecutiveFailureTracker');
 const { capacityLearner } = require('../Features/capacityLearner');
 const { PostAcceptVerifier } = require('../Features/postAcceptVerifier');
+const { shadowRecorder, createShadowActions } = require('../Features/shadowMode');
 const capacityTracker = require('../Task/CapacityTracker');
 const { stateManager } = require('../State/stateManager');
+const { imapAccounts } = require('../IMAP/imapAccounts');
+const businessTime = require('../Utils/businessTime');
+const { PERSISTENT_QUEUE, TEAM, RETRIES, NOTIFICATION_KIND, TASK_METADATA, TASK_OUTCOME } = require('../Config/constants');
+
+/** Job type stored in the persistent queue for browser-accept tasks */
+const ACCEPT_JOB_TYPE = 'accept';
+
+/** Task metadata fields of an incoming task or job (TASK_METADATA.FIELDS); missing ones are null */
+function pickMetadata(task) {
+  return Object.fromEntries(TASK_METADATA.FIELDS.map(field => [field, task?.[field] ?? null]));
+}
+
+/** Roster member with the most words in a plan (null when entries name no assignee) */
+function mainAssignee(plan) {
+  const totals = {};
+  for (const { assignee, amount } of plan) {
+    if (assignee) totals[assignee] = (totals[assignee] || 0) + amount;
+  }
+  const top = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+  return top ? top[0] : null;
+}
 
 class TaskHandler {
   /**
    * @param {import('./eventBus').SystemEventBus} eventBus
+   * @param {object} [options]
+   * @param {boolean} [options.shadowMode] - override SHADOW_MODE from config (useful for tests)
    */
-  constructor(eventBus) {
+  constructor(eventBus, options = {}) {
     this.eventBus = eventBus;
     this.totalTasks = 0;
     this.successful = 0;
 
+    this.shadowMode = options.shadowMode ?? SHADOW_MODE;
+    if (!this.shadowMode) {
+      // Urgent daily caps survive restarts: today's counts come from the task store
+      acceptanceRules.setUrgentHistory(date => getTaskStore().getAcceptedOn(date));
+    }
+    /** Side-effecting pipeline steps (real implementations, or recording stubs in shadow mode) */
+    this.actions = this.shadowMode
+      ? createShadowActions(shadowRecorder)
+      : {
+        runTaskInNewBrowser, markStatusWithRetry, updateTaskRowByOrderId,
+        reserveCapacity, refreshReservation, releaseReservation, applyCapacity, releaseCapacity, removeTaskCapacity,
+      };
+
     /** @type {PostAcceptVerifier|null} - initialized after browser pool is ready */
     this.verifier = null;
 
+    /** @type {Set<string>} orders whose accept job is queued or running */
+    this._acceptsInFlight = new Set();
+    /** @type {Map<string, {workflowName, account, email}>} cancellations the in-flight accept job finishes */
+    this._cancelledAccepts = new Map();
+    /** @type {Map<string, Array<{kind, change}>>} re-plans waiting for the order's in-flight accept job */
+    this._heldReplans = new Map();
+
     this._initMetaQueue();
     this._initTaskQueue();
   }
@@ -71,72 +147,123 @@ class TaskHandler {
     });
   }
 
-  /** Main task queue that runs browser automation */
+  /** Main task queue that runs browser automation (persisted for crash replay) */
   _initTaskQueue() {
     this.queue = new TaskQueue({
       concurrency: defaultConcurrency,
+      // Shadow jobs are no-ops - keep them out of the production queue DB
+      enablePersistence: !this.shadowMode,
+      persistConfig: {
+        dbPath: path.join(__dirname, '..', PERSISTENT_QUEUE.DB_PATH),
+        staleTimeout: PERSISTENT_QUEUE.STALE_TIMEOUT,
+        cleanupAge: PERSISTENT_QUEUE.CLEANUP_AGE,
+        recoveryOnBoot: PERSISTENT_QUEUE.RECOVERY_ON_BOOT,
+      },
 
       onSuccess: async (res) => {
-        this.successful++;
-        resetFailure();
-
-        // Metrics
-        const processingTimeMs = res?.context?.processingStartMs
-          ? Date.now() - res.context.processingStartMs
-          : 0;
-        metricsCollector.recordTaskCompleted(processingTimeMs);
-
-        const allocationPlan = res?.context?.allocationPlan || [];
-        const planStr = allocationPlan.map(d => `${d.date} (${d.amount})`).join(', ');
-        const words = res.amountWords || 0;
-        logSuccess(`Task completed | Order ID: ${res.orderId} | Applied ${words} words | Allocated: ${planStr}`, true);
-
-        if (res?.orderId) {
-          try { stateManager.removeActiveTask(res.orderId); } catch (_) { /* non-critical */ }
-          appendAcceptedTask({
-            timestamp: dayjs().format('YYYY-MM-DD HH:mm:ss'),
-            orderId: res.orderId,
-            workflowName: res.workflowName,
-            url: res.url,
-            amountWords: res.amountWords,
-            plannedEndDate: res.context?.effectiveDeadline || res.plannedEndDate,
-            receivedDate: res.receivedDate || null,
-            allocationPlan,
-          });
-
-          await applyCapacity(allocationPlan);
-          await markStatusWithRetry(res.orderId, 'Accepted', 'DTP', res.receivedDate);
-          await trackAmountWords(res.amountWords, notifyGoogleChat);
-
-          // Record performance for capacity learning
-          for (const plan of allocationPlan) {
-            capacityLearner.recordPerformance({
-              date: plan.date,
+        // Cancelled while the browser was accepting: book nothing
+        if (this._cancelledAccepts.has(String(res?.orderId))) {
+          await this._finishCancelledAccept(res, this._takeCancellation(res.orderId));
+          this._releaseHeldReplans(res.orderId, false);
+          return;
+        }
+
+        // The order counts as in flight until it is booked, so a cancellation
+        // arriving meanwhile waits for the commit instead of racing it
+        try {
+          this.successful++;
+          resetFailure();
+
+          // Metrics
+          const processingTimeMs = res?.context?.processingStartMs
+            ? Date.now() - res.context.processingStartMs
+            : 0;
+          metricsCollector.recordTaskCompleted(processingTimeMs);
+
+          const allocationPlan = res?.context?.allocationPlan || [];
+          const planStr = allocationPlan.map(d => `${d.date} (${d.amount})`).join(', ');
+          const words = res.amountWords || 0;
+          logSuccess(`Task completed | Order ID: ${res.orderId} | Applied ${words} words | Allocated: ${planStr}`, true);
+
+          if (res?.orderId) {
+            try { stateManager.removeActiveTask(res.orderId); } catch (_) { /* non-critical */ }
+
+            // Local bookkeeping (accepted list, word quota, capacity learning) is production-only
+            if (!this.shadowMode) {
+              appendAcceptedTask({
+                timestamp: businessTime.now().format('YYYY-MM-DD HH:mm:ss'),
+                orderId: res.orderId,
+                workflowName: res.workflowName,
+                url: res.url,
+                amountWords: res.amountWords,
+                plannedEndDate: res.context?.effectiveDeadline || res.plannedEndDate,
+                receivedDate: res.receivedDate || null,
+                allocationPlan,
+                allocationStrategy: res.context?.allocationStrategy || null,
+                assignee: res.context?.assignee || null,
+                account: res.account || null,
+                urgent: Boolean(res.context?.urgent),
+                ...pickMetadata(res.metadata),
+              });
+            }
+            // The urgent cap slot held since the email was accepted becomes a counted accept
+            acceptanceRules.recordAccepted(this._urgentCapTask({ ...res, urgent: res.context?.urgent }));
+
+            await this.actions.applyCapacity(allocationPlan, res.orderId, { strategy: res.context?.allocationStrategy });
+            await this._markStatus(res.orderId, 'Accepted', res.context?.assignee || TEAM.DEFAULT_ASSIGNEE, res.receivedDate, res.account);
+            this._reportOutcome(res, TASK_OUTCOME.ACCEPTED);
+
+            if (!this.shadowMode) {
+              await trackAmountWords(res.amountWords, notifyGoogleChat);
+
+              // Record performance for capacity learning
+              for (const plan of allocationPlan) {
+                capacityLearner.recordPerformance({
+                  date: plan.date,
+                  orderId: res.orderId,
+                  allocatedWords: plan.amount,
+                  completionTimeMs: processingTimeMs,
+                });
+              }
+            }
+          }
+
+          broadcastToClients({ type: 'capacityUpdated' });
+
+          // Schedule post-accept verification to confirm Moravia status
+          if (this.verifier && res?.orderId && res?.url) {
+            this.verifier.scheduleVerification({
               orderId: res.orderId,
-              allocatedWords: plan.amount,
-              completionTimeMs: processingTimeMs,
+              url: res.url,
+              allocationPlan,
+              amountWords: res.amountWords,
             });
           }
-        }
 
-        broadcastToClients({ type: 'capacityUpdated' });
-
-        // Schedule post-accept verification to confirm Moravia status
-        if (this.verifier && res?.orderId && res?.url) {
-          this.verifier.scheduleVerification({
-            orderId: res.orderId,
-            url: res.url,
-            allocationPlan,
-            amountWords: res.amountWords,
-          });
+          this.eventBus.emitTaskCompleted(res);
+        } finally {
+          // Cancelled while this commit was running: the task is stored now, cancel it the usual way
+          const lateCancel = this._takeCancellation(res?.orderId);
+          if (lateCancel) {
+            this.metaQueue.addTask(() => this._cancelAcceptedTask(res.orderId, lateCancel.workflowName, lateCancel.account, lateCancel.email));
+          }
+          // Changes that arrived during the accept re-plan the task it just stored
+          this._releaseHeldReplans(res?.orderId, !lateCancel);
         }
-
-        this.eventBus.emitTaskCompleted(res);
       },
 
       onError: async (err) => {
+        const cancel = this._takeCancellation(err.orderId);
+        this._releaseHeldReplans(err.orderId, false);
+        if (cancel) {
+          await this._finishCancelledAccept(err, cancel);
+          return;
+        }
+
         metricsCollector.recordTaskFailed();
         const reasonText = (err.message || '').toLowerCase();
+        if (err.orderId) this.actions.releaseReservation(err.orderId, 'failed');
+        acceptanceRules.releasePending(err);
         await recordFailure();
 
         // Login expired -- delegate to bootstrapper via event
@@ -148,7 +275,8 @@ class TaskHandler {
         if (reasonText.includes('on hold')) {
           logFail(`Task failed (On Hold) | Order ID: ${err.orderId}`, true);
           try { if (err.orderId) stateManager.removeActiveTask(err.orderId); } catch (_) { /* non-critical */ }
-          await markStatusWithRetry(err.orderId, 'On Hold', 'DTP', err.receivedDate);
+          await this._markStatus(err.orderId, 'On Hold', err.assignee || TEAM.DEFAULT_ASSIGNEE, err.receivedDate, err.account);
+          this._reportOutcome(err, TASK_OUTCOME.ON_HOLD);
           this.eventBus.emitTaskFailed(err);
           return;
         }
@@ -160,13 +288,15 @@ class TaskHandler {
         ) {
           logFail(`Task failed (Missed) | Order ID: ${err.orderId} | Reason: ${err.message}`, true);
           try { if (err.orderId) stateManager.removeActiveTask(err.orderId); } catch (_) { /* non-critical */ }
-          await markStatusWithRetry(err.orderId, 'Missed', 'DTP', err.receivedDate);
+          await this._markStatus(err.orderId, 'Missed', err.assignee || TEAM.DEFAULT_ASSIGNEE, err.receivedDate, err.account);
+          this._reportOutcome(err, TASK_OUTCOME.MISSED);
           this.eventBus.emitTaskFailed(err);
           return;
         }
 
         logFail(`Task failed | Order ID: ${err.orderId} | Reason: ${err.message}`, true);
         try { if (err.orderId) stateManager.removeActiveTask(err.orderId); } catch (_) { /* non-critical */ }
+        this._reportOutcome(err, TASK_OUTCOME.FAILED);
         this.eventBus.emitTaskFailed(err);
       },
 
@@ -177,6 +307,9 @@ class TaskHandler {
       },
     });
 
+    // Rebuild accept jobs from their persisted metadata (boot replay / dashboard retry)
+    this.queue.registerJobHandler(ACCEPT_JOB_TYPE, (job) => this._restoreAcceptJob(job));
+
     // Inject queue reference for Dashboard API
     setTaskQueue(this.queue);
   }
@@ -186,20 +319,42 @@ class TaskHandler {
   /**
    * Handle an incoming email task.
    * This is the callback passed to startListeningEmails via bootstrapper.
+   * `account` is the IMAP account tag added by the fetcher (null for tasks from elsewhere).
+   * `kind` is the notification kind (NOTIFICATION_KIND); change notifications skip evaluation.
+   * The TASK_METADATA fields (language pair, client, task type, PM) travel with the task.
+   * `email` ({ account, mailbox, uid }) comes back with the task's 'task:outcome'.
    */
-  handleIncomingTask({ orderId, workflowName, url, amountWords, plannedEndDate, status, receivedDate }) {
+  handleIncomingTask(task) {
+    const { orderId, workflowName, url, amountWords, plannedEndDate, status, receivedDate, account = null, kind = null, email = null } = task;
+    const metadata = pickMetadata(task);
+    if (kind === NOTIFICATION_KIND.CANCELLED) {
+      this._enqueueCancellation(orderId, workflowName, account, email);
+      return;
+    }
+    if (kind === NOTIFICATION_KIND.DEADLINE_CHANGED || kind === NOTIFICATION_KIND.WORDS_CHANGED) {
+      this._enqueueReplan(kind, { orderId, amountWords, plannedEndDate, account, email });
+      return;
+    }
+
     metricsCollector.recordTaskReceived();
 
     // On-hold tasks bypass evaluation
     if ((status || '').toLowerCase() === 'on hold') {
-      logInfo(`On hold detected | Order ID: ${orderId} | Workflow: ${workflowName}`);
-      this._enqueueOnHold(orderId, workflowName, receivedDate);
-      this.eventBus.emitOnHoldDetected({ orderId, workflowName, receivedDate });
+      logInfo(`On hold detected | Order ID: ${orderId} | Workflow: ${workflowName}${account ? ` | Account: ${account}` : ''}`);
+      if (this.shadowMode) {
+        shadowRecorder.recordDecision({ orderId, workflowName, amountWords, plannedEndDate, receivedDate, account, ...metadata }, { code: 'ON_HOLD' });
+      }
+      this._enqueueOnHold(orderId, workflowName, receivedDate, account, email);
+      this.eventBus.emitOnHoldDetected({ orderId, workflowName, receivedDate, account });
       return;
     }
 
-    // Evaluate acceptance using centralized rules
-    const evalRes = evaluateTaskAcceptance({ orderId, amountWords, plannedEndDate });
+    // Evaluate acceptance using centralized rules (capacity pool from the account routing)
+    const { capacityPool } = imapAccounts.getRouting(account);
+    const evalRes = evaluateTaskAcceptance({ orderId, workflowName, amountWords, plannedEndDate, account, ...metadata }, { capacityPool });
+    if (this.shadowMode) {
+      shadowRecorder.recordDecision({ orderId, workflowName, amountWords, plannedEndDate, receivedDate, account, ...metadata }, evalRes);
+    }
 
     if (!evalRes.accepted) {
       metricsCollector.recordTaskRejected(evalRes.code);
@@ -207,44 +362,137 @@ class TaskHandler {
         `Rejected | Order ID: ${orderId} | ${evalRes.code} | ${evalRes.message} | raw=${evalRes.rawDeadline} effective=${evalRes.effectiveDeadline || '-'}`,
         true,
       );
-      markStatusWithRetry(orderId, 'Declined', 'DTP', receivedDate);
+      this._markStatus(orderId, 'Declined', TEAM.DEFAULT_ASSIGNEE, receivedDate, account);
+      this._reportOutcome({ orderId, email }, TASK_OUTCOME.DECLINED);
       this.eventBus.emitTaskRejected(
-        { orderId, workflowName, url, amountWords, plannedEndDate, receivedDate },
+        { orderId, workflowName, url, amountWords, plannedEndDate, receivedDate, account, ...metadata },
         evalRes,
       );
       return;
     }
 
+    const { allocationPlan, effectiveDeadline, code, strategy, assignee } = evalRes;
+    // Hold the plan before anything async runs, so the next email plans around it.
+    // No TTL while queued: the job starts it when it starts processing
+    this.actions.reserveCapacity(allocationPlan, orderId, { strategy, ttlMs: null });
+
     metricsCollector.recordTaskAccepted();
 
-    const { allocationPlan, effectiveDeadline, code } = evalRes;
     const dateList = allocationPlan.map(d => d.date).join(', ');
-    logInfo(`Allocated for ${orderId}: ${dateList} | raw=${evalRes.rawDeadline} | effective=${effectiveDeadline}`);
+    logInfo(`Allocated for ${orderId}: ${dateList} | strategy=${strategy || '-'} | assignee=${assignee || '-'} | raw=${evalRes.rawDeadline} | effective=${effectiveDeadline}`);
 
     this.totalTasks++;
-    const taskStartTime = dayjs().format('YYYY-MM-DD HH:mm:ss');
+    const taskStartTime = businessTime.now().format('YYYY-MM-DD HH:mm:ss');
     const poolStatus = getBrowserPoolStatus();
     logProgress(`Task ${this.totalTasks} | Pool: ${poolStatus.availableBrowsers}/${poolStatus.totalBrowsers} available | Order ID: ${orderId}`);
 
     this.eventBus.emitTaskAccepted(
-      { orderId, workflowName, url, amountWords, plannedEndDate, receivedDate },
+      { orderId, workflowName, url, amountWords, plannedEndDate, receivedDate, account, ...metadata },
       evalRes,
     );
 
-    try {
-      stateManager.addActiveTask({
-        orderId,
-        workflowName,
-        amountWords,
-        plannedEndDate: effectiveDeadline || plannedEndDate,
-        allocationPlan,
-        addedAt: Date.now(),
-      });
-    } catch (_) { /* non-critical */ }
+    const job = {
+      type: ACCEPT_JOB_TYPE,
+      orderId,
+      workflowName,
+      url,
+      amountWords,
+      plannedEndDate: evalRes.rawDeadline,
+      status,
+      receivedDate,
+      account,
+      metadata,
+      email,
+      allocationPlan,
+      allocationStrategy: strategy || null,
+      assignee: assignee || null,
+      effectiveDeadline,
+      acceptanceCode: code,
+      urgent: Boolean(evalRes.urgent),
+      taskStartTime,
+    };
+
+    // Queued urgent accepts count against the daily cap, so a burst cannot all pass it
+    acceptanceRules.recordPending(this._urgentCapTask(job));
+    this._trackActiveTask(job);
+
+    // Enqueue browser automation work (job metadata is persisted for crash replay)
+    this.queue.addTask(this._buildAcceptJob(job), job);
+  }
+
+  /**
+   * Re-run accept jobs that a previous process persisted but never finished.
+   * Must be called after the browser pool is ready (from bootstrapper).
+   * @returns {number} Number of jobs replayed
+   */
+  replayPersistedTasks() {
+    const replayed = this.queue.replayPersistedTasks();
+    if (replayed > 0) {
+      logInfo(`[TaskHandler] Replayed ${replayed} persisted task(s) from previous run`);
+    }
+    return replayed;
+  }
+
+  /**
+   * Whether this instance runs in shadow (dry-run) mode.
+   * @returns {boolean}
+   */
+  isShadowMode() {
+    return this.shadowMode;
+  }
+
+  /**
+   * Close the persistent queue database during shutdown.
+   */
+  closeQueue() {
+    this.queue.closePersistence();
+  }
 
-    // Enqueue browser automation work
-    this.queue.addTask(async () => {
-      const context = { allocationPlan, acceptanceCode: code, processingStartMs: Date.now(), effectiveDeadline };
+  // --------------------------------------------------------- Private helpers
+
+  /**
+   * Build the browser-automation task function for an accept job.
+   * The job is plain serializable data so the same function can be rebuilt
+   * from the persistent queue after a crash.
+   *
+   * @param {object} job - { orderId, workflowName, url, amountWords, plannedEndDate, status, receivedDate, account, metadata, email,
+   *                         allocationPlan, allocationStrategy, assignee, effectiveDeadline, acceptanceCode, taskStartTime,
+   *                         unplannable (replay only: why no plan could be held) }
+   * @returns {Function} async task function for TaskQueue
+   */
+  _buildAcceptJob(job) {
+    const { orderId, workflowName, url, amountWords, plannedEndDate, status, receivedDate, allocationPlan, allocationStrategy, assignee, effectiveDeadline, acceptanceCode, taskStartTime } = job;
+    const urgent = Boolean(job.urgent); // jobs persisted before urgent cap tracking have none
+    const account = job.account || null; // jobs persisted before account routing have none
+    const metadata = pickMetadata(job.metadata);
+    const email = job.email || null;
+
+    const fail = (reason) => {
+      const error = new Error(reason);
+      error.orderId = orderId;
+      error.receivedDate = receivedDate;
+      error.assignee = assignee;
+      error.account = account;
+      error.email = email;
+      return error; // Handled by queue.onError
+    };
+
+    return async () => {
+      const context = { allocationPlan, allocationStrategy, assignee, acceptanceCode, urgent, processingStartMs: Date.now(), effectiveDeadline };
+
+      if (this._cancelledAccepts.has(String(orderId))) {
+        throw fail('Cancelled before the accept started');
+      }
+
+      // Replayed jobs whose plan could not be held again never open the browser
+      if (job.unplannable) {
+        throw fail(`Capacity no longer available: ${job.unplannable}`);
+      }
+
+      // The hold's TTL runs from here, not from when the email was accepted
+      if (!this.actions.refreshReservation(allocationPlan || [], orderId, { strategy: allocationStrategy })) {
+        throw fail('Capacity no longer available: reservation lost before processing');
+      }
 
       pushStatusUpdate();
 
@@ -253,7 +501,7 @@ class TaskHandler {
         log: { time: taskStartTime, url, status: 'In Progress', reason: 'Started' },
       });
 
-      const result = await runTaskInNewBrowser({ task: { url, orderId } });
+      const result = await this.actions.runTaskInNewBrowser({ task: { url, orderId } });
 
       pushStatusUpdate();
 
@@ -270,10 +518,7 @@ class TaskHandler {
       }, 50);
 
       if (!result.success) {
-        const error = new Error(result.reason);
-        error.orderId = orderId;
-        error.receivedDate = receivedDate;
-        throw error; // Handled by queue.onError
+        throw fail(result.reason);
       }
 
       return {
@@ -282,15 +527,119 @@ class TaskHandler {
         workflowName,
         url,
         amountWords,
-        plannedEndDate: evalRes.rawDeadline,
+        plannedEndDate,
         status,
         receivedDate,
+        account,
+        metadata,
+        email,
         context,
       };
+    };
+  }
+
+  /**
+   * Job handler for replayed accept jobs: restores active-task tracking and the
+   * capacity hold, then rebuilds the task function.
+   * The stored plan is only held again if its days are still ahead and free;
+   * otherwise the task is planned again, and a task that no longer fits fails
+   * without opening the browser.
+   * @param {object} job - persisted accept job
+   * @returns {Function}
+   */
+  _restoreAcceptJob(job) {
+    if (!job?.orderId || !job?.url) {
+      throw new Error('Persisted accept job is missing orderId or url');
+    }
+    this.totalTasks++;
+    logInfo(`[TaskHandler] Replaying accept job | Order ID: ${job.orderId}`);
+    const { job: restored, unplannable } = this._restorePlan(job);
+    acceptanceRules.recordPending(this._urgentCapTask(restored));
+    this._trackActiveTask(restored);
+    return this._buildAcceptJob({
+      ...restored,
+      unplannable,
+      taskStartTime: businessTime.now().format('YYYY-MM-DD HH:mm:ss'),
     });
   }
 
-  // --------------------------------------------------------- Private helpers
+  /**
+   * Hold a replayed job's capacity: its stored plan when every day is still
+   * ahead and fits, else a fresh plan for the same deadline, strategy and pool.
+   * @param {object} job - persisted accept job
+   * @returns {{job: object, unplannable: string|null}} the job with the plan it holds, or why there is none
+   */
+  _restorePlan(job) {
+    const { orderId } = job;
+    const plan = job.allocationPlan || [];
+    const strategy = job.allocationStrategy || undefined;
+    const today = businessTime.today();
+
+    if (plan.every(d => d.date >= today) &&
+        this.actions.refreshReservation(plan, orderId, { strategy: job.allocationStrategy, ttlMs: null })) {
+      return { job, unplannable: null };
+    }
+
+    // A stale hold of our own (requeued in this process) must not count against the new plan
+    this.actions.releaseReservation(orderId, 'replaced');
+    const window = getAllocationWindow(job.plannedEndDate || job.effectiveDeadline);
+    if (!window) {
+      return { job, unplannable: `invalid deadline "${job.plannedEndDate}"` };
+    }
+    if (businessTime.toBusiness(window.effectiveDeadline).isBefore(businessTime.now())) {
+      return { job, unplannable: `deadline ${job.plannedEndDate} passed before the replayed accept could run` };
+    }
+
+    const { capacityPool } = imapAccounts.getRouting(job.account || null);
+    const allocationPlan = getAvailableDates(job.amountWords, window.effectiveDeadline, window.excludeToday, {
+      strategy,
+      ...(capacityPool ? { members: capacityPool } : {}),
+    });
+    const planned = allocationPlan.reduce((sum, d) => sum + d.amount, 0);
+    if (planned < job.amountWords) {
+      return { job, unplannable: `stored days are full and only ${planned}/${job.amountWords} words fit before ${window.effectiveDeadline}` };
+    }
+
+    logInfo(`[TaskHandler] Replayed order ${orderId} re-planned: ${allocationPlan.map(d => `${d.date} (${d.amount})`).join(', ')}`);
+    this.actions.reserveCapacity(allocationPlan, orderId, { strategy, ttlMs: null });
+    return {
+      job: {
+        ...job,
+        allocationPlan,
+        effectiveDeadline: window.effectiveDeadline,
+        assignee: mainAssignee(allocationPlan) || job.assignee || null,
+      },
+      unplannable: null,
+    };
+  }
+
+  /** The fields urgent daily caps are scoped by (acceptanceRules.recordPending / recordAccepted) */
+  _urgentCapTask(job) {
+    return {
+      orderId: job.orderId,
+      receivedDate: job.receivedDate || null,
+      workflowName: job.workflowName,
+      amountWords: job.amountWords,
+      account: job.account || null,
+      urgent: Boolean(job.urgent),
+      ...pickMetadata(job.metadata),
+    };
+  }
+
+  /** Register an accepted job in the centralized StateManager (non-critical) */
+  _trackActiveTask(job) {
+    this._acceptsInFlight.add(String(job.orderId));
+    try {
+      stateManager.addActiveTask({
+        orderId: job.orderId,
+        workflowName: job.workflowName,
+        amountWords: job.amountWords,
+        plannedEndDate: job.effectiveDeadline || job.plannedEndDate,
+        allocationPlan: job.allocationPlan,
+        addedAt: Date.now(),
+      });
+    } catch (_) { /* non-critical */ }
+  }
 
   /**
    * Get the verifier instance (for Dashboard API access).
@@ -309,14 +658,32 @@ class TaskHandler {
     }
   }
 
+  /**
+   * Write a status to the Tracking sheet of the task's IMAP account
+   * (jobLinks.TrackingSheet when the account has no trackingSheet).
+   */
+  _markStatus(orderId, status, pmName, receivedDate, account = null) {
+    const { trackingSheet } = imapAccounts.getRouting(account);
+    return this.actions.markStatusWithRetry(orderId, status, pmName, receivedDate, RETRIES.SHEET_STATUS, trackingSheet);
+  }
+
+  /**
+   * Emit the final outcome of a task (TASK_OUTCOME) with the email it came from.
+   * @param {object} task - task / result / error carrying orderId and email
+   * @param {string} outcome
+   */
+  _reportOutcome(task, outcome) {
+    this.eventBus.emitTaskOutcome({ orderId: task?.orderId || null, email: task?.email || null }, outcome);
+  }
+
   /** Enqueue on-hold side-effect (mark sheet + remove capacity) */
-  _enqueueOnHold(orderId, workflowName, receivedDate = null) {
+  _enqueueOnHold(orderId, workflowName, receivedDate = null, account = null, email = null) {
     this.metaQueue.addTask(async () => {
-      await markStatusWithRetry(orderId, 'On Hold', 'DTP', receivedDate);
+      await this._markStatus(orderId, 'On Hold', TEAM.DEFAULT_ASSIGNEE, receivedDate, account);
 
       // Isolate capacity release so a failure here doesn't lose the sheet status update above
       try {
-        const result = await removeTaskCapacity(orderId, receivedDate);
+        const result = await this.actions.removeTaskCapacity(orderId, receivedDate);
         if (result.ok && result.removed) {
           await notifyGoogleChat(`[On Hold] Workflow: ${workflowName} | Words Left: ${result.totalWords}`);
         }
@@ -324,6 +691,210 @@ class TaskHandler {
         logFail(`[TaskHandler] Failed to release capacity for On Hold ${orderId}: ${capErr.message}`);
         await notifyGoogleChat(`[WARNING] On Hold ${orderId}: capacity release failed. Manual check needed.`);
       }
+      this._reportOutcome({ orderId, email }, TASK_OUTCOME.ON_HOLD);
+    });
+  }
+
+  /**
+   * Handle a cancellation. An order whose accept job is still queued or running
+   * is left to that job (see _finishCancelledAccept); otherwise the accepted
+   * task is cancelled on the meta queue.
+   */
+  _enqueueCancellation(orderId, workflowName, account = null, email = null) {
+    logInfo(`Cancellation detected | Order ID: ${orderId} | Workflow: ${workflowName || '-'}${account ? ` | Account: ${account}` : ''}`);
+
+    if (this._acceptsInFlight.has(String(orderId))) {
+      logInfo(`[TaskHandler] Order ${orderId} is still being accepted - it will be stopped or rolled back`);
+      this._cancelledAccepts.set(String(orderId), { workflowName, account, email });
+      // Free the held days now; the job checks the cancellation before it books anything
+      this.actions.releaseReservation(orderId, 'cancelled');
+      return;
+    }
+
+    this.metaQueue.addTask(() => this._cancelAcceptedTask(orderId, workflowName, account, email));
+  }
+
+  /**
+   * Release the accepted task's capacity, retire it in the store and mark the
+   * Tracking sheet row Cancelled.
+   */
+  async _cancelAcceptedTask(orderId, workflowName, account = null, email = null) {
+    this.actions.releaseReservation(orderId, 'cancelled');
+    try { stateManager.removeActiveTask(orderId); } catch (_) { /* non-critical */ }
+
+    const task = getTaskStore().findActiveByOrder(orderId);
+    if (!task) {
+      logInfo(`[TaskHandler] Cancelled order ${orderId} has no active task - nothing to release`);
+      this.eventBus.emitTaskChanged({ orderId, workflowName, account }, { kind: NOTIFICATION_KIND.CANCELLED, found: false });
+      this._reportOutcome({ orderId, email }, TASK_OUTCOME.CHANGED);
+      return;
+    }
+
+    const words = (task.allocationPlan || []).reduce((sum, p) => sum + p.amount, 0);
+    try {
+      await this.actions.releaseCapacity(task.allocationPlan || [], orderId);
+      await this.actions.removeTaskCapacity(orderId, task.receivedDate || null);
+    } catch (capErr) {
+      logFail(`[TaskHandler] Failed to release capacity for cancelled ${orderId}: ${capErr.message}`);
+      await notifyGoogleChat(`[WARNING] Cancelled ${orderId}: capacity release failed. Manual check needed.`);
+    }
+
+    await this._markStatus(orderId, 'Cancelled', task.assignee || TEAM.DEFAULT_ASSIGNEE, task.receivedDate, task.account ?? account);
+    broadcastToClients({ type: 'capacityUpdated' });
+    await notifyGoogleChat(`[Cancelled] Order ${orderId} | Workflow: ${task.workflowName || workflowName || '-'} | Released ${words} words`);
+    this.eventBus.emitTaskChanged(task, { kind: NOTIFICATION_KIND.CANCELLED, found: true, releasedWords: words });
+    this._reportOutcome({ orderId, email }, TASK_OUTCOME.CHANGED);
+  }
+
+  /**
+   * The accept job of an order is done (success or failure): stop tracking it
+   * and return the cancellation that arrived meanwhile, if any.
+   * @returns {{workflowName, account, email}|null}
+   */
+  _takeCancellation(orderId) {
+    if (orderId == null) return null;
+    const key = String(orderId);
+    this._acceptsInFlight.delete(key);
+    const cancel = this._cancelledAccepts.get(key) || null;
+    this._cancelledAccepts.delete(key);
+    return cancel;
+  }
+
+  /**
+   * The accept job of an order is done: run the deadline / word-count changes
+   * held for it against the stored task, or report them done when nothing was booked.
+   * @param {string} orderId
+   * @param {boolean} booked - the accept committed a task the changes apply to
+   */
+  _releaseHeldReplans(orderId, booked) {
+    if (orderId == null) return;
+    const key = String(orderId);
+    const held = this._heldReplans.get(key) || [];
+    this._heldReplans.delete(key);
+    for (const { kind, change } of held) {
+      if (booked) {
+        this._enqueueReplan(kind, change);
+        continue;
+      }
+      logInfo(`[TaskHandler] ${kind} for order ${orderId} dropped - its accept booked nothing`);
+      this.eventBus.emitTaskChanged({ orderId, account: change.account }, { kind, found: false });
+      this._reportOutcome({ orderId, email: change.email }, TASK_OUTCOME.CHANGED);
+    }
+  }
+
+  /**
+   * Finish a cancellation that arrived while the order's accept job was queued
+   * or running: nothing is booked or stored, the row is marked Cancelled and
+   * both emails (the task and its cancellation) are done.
+   * @param {object} task - the accept job's result or error
+   * @param {{workflowName, account, email}} cancel
+   */
+  async _finishCancelledAccept(task, cancel) {
+    const { orderId } = task;
+    const account = task.account ?? cancel.account;
+    this.actions.releaseReservation(orderId, 'cancelled');
+    acceptanceRules.releasePending(task);
+    try { stateManager.removeActiveTask(orderId); } catch (_) { /* non-critical */ }
+
+    logInfo(`[TaskHandler] Accept of cancelled order ${orderId} stopped - nothing booked`);
+    await this._markStatus(orderId, 'Cancelled', task.context?.assignee || task.assignee || TEAM.DEFAULT_ASSIGNEE, task.receivedDate, account);
+    broadcastToClients({ type: 'capacityUpdated' });
+    await notifyGoogleChat(`[Cancelled] Order ${orderId} | Workflow: ${task.workflowName || cancel.workflowName || '-'} | Cancelled during accept, nothing booked`);
+    this.eventBus.emitTaskChanged(
+      { orderId, workflowName: task.workflowName || cancel.workflowName, account },
+      { kind: NOTIFICATION_KIND.CANCELLED, found: false, acceptStopped: true },
+    );
+    this._reportOutcome({ orderId, email: cancel.email }, TASK_OUTCOME.CHANGED);
+    this._reportOutcome(task, TASK_OUTCOME.CHANGED);
+  }
+
+  /**
+   * Enqueue a re-plan after a deadline or word-count change: the accepted task is
+   * planned again (same strategy and capacity pool), the new plan replaces the old
+   * allocation, then the store and the Tracking sheet row are updated.
+   * While the order's accept job is queued or running the change is held and
+   * applied once the job has booked the task (see _releaseHeldReplans).
+   *
+   * @param {string} kind - NOTIFICATION_KIND.DEADLINE_CHANGED or WORDS_CHANGED
+   * @param {object} change - { orderId, amountWords, plannedEndDate, account, email }
+   */
+  _enqueueReplan(kind, { orderId, amountWords, plannedEndDate, account = null, email = null }) {
+    const isDeadline = kind === NOTIFICATION_KIND.DEADLINE_CHANGED;
+    logInfo(`Change detected (${kind}) | Order ID: ${orderId} | ${isDeadline ? `deadline=${plannedEndDate}` : `words=${amountWords}`}`);
+
+    const key = String(orderId);
+    if (this._acceptsInFlight.has(key)) {
+      logInfo(`[TaskHandler] Order ${orderId} is still being accepted - ${kind} applies once it is booked`);
+      if (!this._heldReplans.has(key)) this._heldReplans.set(key, []);
+      this._heldReplans.get(key).push({ kind, change: { orderId, amountWords, plannedEndDate, account, email } });
+      return;
+    }
+
+    this.metaQueue.addTask(async () => {
+      const task = getTaskStore().findActiveByOrder(orderId);
+      if (!task) {
+        logInfo(`[TaskHandler] ${kind} for order ${orderId} ignored - no active task`);
+        this.eventBus.emitTaskChanged({ orderId, account }, { kind, found: false });
+        this._reportOutcome({ orderId, email }, TASK_OUTCOME.CHANGED);
+        return;
+      }
+
+      const words = isDeadline ? task.amountWords : amountWords;
+      const window = getAllocationWindow(isDeadline ? plannedEndDate : task.plannedEndDate);
+      if (!window) {
+        logFail(`[TaskHandler] ${kind} for order ${orderId}: invalid deadline "${plannedEndDate}"`, true);
+        this._reportOutcome({ orderId, email }, TASK_OUTCOME.FAILED);
+        return;
+      }
+
+      const taskAccount = task.account ?? account;
+      const { capacityPool, trackingSheet } = imapAccounts.getRouting(taskAccount);
+      const oldPlan = task.allocationPlan || [];
+      const strategy = task.allocationStrategy || undefined;
+
+      // Plan as if the old allocation were free and hold the new plan before the
+      // old one is given back, so no email can take the freed days in between
+      const allocationPlan = getAvailableDates(words, window.effectiveDeadline, window.excludeToday, {
+        strategy,
+        replacing: oldPlan,
+        ...(capacityPool ? { members: capacityPool } : {}),
+      });
+      this.actions.reserveCapacity(allocationPlan, orderId, { strategy });
+      await this.actions.releaseCapacity(oldPlan, orderId, { keepReservation: true });
+      await this.actions.applyCapacity(allocationPlan, orderId, { strategy });
+
+      const planned = allocationPlan.reduce((sum, p) => sum + p.amount, 0);
+      const assignee = mainAssignee(allocationPlan) || task.assignee || null;
+      const planStr = allocationPlan.map(d => `${d.date} (${d.amount})`).join(', ') || '-';
+      logInfo(`Re-planned ${orderId} (${kind}) | ${words} words by ${window.effectiveDeadline} | Allocated: ${planStr}`);
+      if (planned < words) {
+        await notifyGoogleChat(`[WARNING] ${kind} ${orderId}: only ${planned}/${words} words fit before ${window.effectiveDeadline}. Manual check needed.`);
+      }
+
+      if (!this.shadowMode) {
+        getTaskStore().updateTask(task.id, {
+          amountWords: words,
+          plannedEndDate: window.effectiveDeadline,
+          allocationPlan,
+          assignee,
+        }, kind);
+      }
+
+      await this.actions.updateTaskRowByOrderId(orderId, task.receivedDate || null, {
+        ...(isDeadline ? { plannedEndDate: window.rawDeadline } : { amountWords: words }),
+        ...(assignee && assignee !== task.assignee ? { pmName: assignee } : {}),
+      }, trackingSheet);
+
+      broadcastToClients({ type: 'capacityUpdated' });
+      this.eventBus.emitTaskChanged(task, {
+        kind,
+        found: true,
+        amountWords: words,
+        plannedEndDate: window.effectiveDeadline,
+        allocationPlan,
+        previousPlan: oldPlan,
+      });
+      this._reportOutcome({ orderId, email }, TASK_OUTCOME.CHANGED);
     });
   }
 }
@@ -1,7 +1,7 @@
 // ✅ server.js — now includes REST API for override and capacity dashboard
 
 const express = require('express');
-const dayjs = require('dayjs');
+const businessTime = require('../Utils/businessTime');
 const fs = require('fs');
 const http = require("http");
 const path = require('path');
@@ -41,14 +41,26 @@ function getTaskCounters() {
 const { logSuccess, logInfo } = require("../Logs/logger");
 const { stateManager } = require('../State/stateManager');
 const { StateSyncService } = require('../State/stateSyncService');
-const { pauseImap, resumeImap, isImapPaused, getConnectionStats, getIMAPHealthStatus } = require("../IMAP/imapClient");
+const { pauseImap, resumeImap, isImapPaused, getConnectionStats, getIMAPHealthStatus, reprocessDeadLetterEmail } = require("../IMAP/imapClient");
+const { getDeadLetterStore, DEAD_LETTER_STATUS } = require('../IMAP/deadLetterStore');
+const { getEmailIdempotencyIndex } = require('../IMAP/emailIdempotencyIndex');
+const { emailTemplates } = require('../IMAP/emailTemplates');
+const { imapAccounts } = require("../IMAP/imapAccounts");
 const { getBrowserPoolStatus, getBrowserHealthStatus } = require('../Task/runTaskInNewBrowser');
 const { metricsCollector } = require('../Metrics/metricsCollector');
-const { TIMEOUTS } = require('../Config/constants');
+const { TIMEOUTS, DEAD_LETTER, FORENSICS } = require('../Config/constants');
+const { SHADOW_MODE } = require('../Config/configs');
 const { withFileLock, saveJSONAtomic } = require('../Utils/fileUtils');
 const { workingHoursManager } = require('../Task/workingHoursManager');
+const { acceptanceRules } = require('../Task/acceptanceRules');
+const { listStrategies } = require('../Task/allocationStrategies');
+const { teamRoster } = require('../Task/teamRoster');
+const { shadowRecorder } = require('../Features/shadowMode');
 const { getSheetCircuitBreakerStatus } = require('../Sheets/sheetCircuitBreaker');
 const { capacityLearner } = require('../Features/capacityLearner');
+const { getFailureForensics, ARTIFACTS } = require('../Features/failureForensics');
+const { acceptWorkflow } = require('../Exec/acceptWorkflow');
+const { selectorHealth } = require('../Features/selectorHealth');
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
@@ -60,15 +72,19 @@ const {
   adjustCapacity,
   resetCapacityMap,
   releaseCapacity,
+  getDateAllocations,
+  getReservations,
   getRemainingCapacity,
+  getCapacityModel,
+  getAssigneeUsage,
   syncCapacityWithTasks
 } = require('../Task/CapacityTracker');
 
 const {
   loadAndFilterTasks,
-  summarizeTasks,
-  acceptedTasksPath
+  summarizeTasks
 } = require('../Task/taskReporter');
+const { getTaskStore } = require('../Task/taskStore');
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "../public")));
@@ -95,6 +111,15 @@ app.get('/api/health/imap', (req, res) => {
   }
 });
 
+// GET IMAP accounts with their mailboxes and task routing (no credentials)
+app.get('/api/imap/accounts', (req, res) => {
+  try {
+    res.json(imapAccounts.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET Google Sheets circuit breaker health status
 app.get('/api/health/sheets', (req, res) => {
   try {
@@ -134,6 +159,17 @@ app.get('/api/capacity', (req, res) => {
   res.json(cap);
 });
 
+// GET /api/capacity/reservations — accepted tasks whose words are held but not yet committed
+// (static route: registered before /api/capacity/:date)
+app.get('/api/capacity/reservations', (req, res) => {
+  res.json({ reservations: getReservations() });
+});
+
+// GET /api/capacity/model — hourly vs daily capacity model and the words-per-hour rate
+app.get('/api/capacity/model', (req, res) => {
+  res.json(getCapacityModel());
+});
+
 // POST reset capacity
 app.post('/api/capacity/reset', async (req, res) => {
   await resetCapacityMap();
@@ -148,11 +184,11 @@ app.post('/api/release', async (req, res) => {
   res.json({ success: true });
 });
 
-// POST /api/adjust
+// POST /api/adjust — optional orderId targets one order's allocation on that date
 app.post('/api/adjust', async (req, res) => {
-  const { date, amount } = req.body;
+  const { date, amount, orderId } = req.body;
   if (!date || typeof amount !== 'number') return res.status(400).json({ error: 'Invalid input' });
-  await adjustCapacity({ date, amount });
+  await adjustCapacity({ date, amount, orderId: orderId ? String(orderId) : undefined });
   res.json({ success: true });
 });
 
@@ -172,6 +208,13 @@ app.get('/api/capacity/insights', (req, res) => {
   }
 });
 
+// GET /api/capacity/:date/orders — per-order breakdown from the capacity ledger
+app.get('/api/capacity/:date/orders', (req, res) => {
+  const { date } = req.params;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'Invalid date' });
+  res.json({ date, orders: getDateAllocations(date) });
+});
+
 // GET /api/capacity/:date — parameterized route MUST come after static routes
 app.get('/api/capacity/:date', (req, res) => {
   const remaining = getRemainingCapacity(req.params.date);
@@ -181,11 +224,7 @@ app.get('/api/capacity/:date', (req, res) => {
 // GET /api/tasks - ดึงข้อมูล tasks (read-only, ไม่เคลียร์ completed)
 app.get('/api/tasks', (req, res) => {
   try {
-    if (!fs.existsSync(acceptedTasksPath)) {
-      return res.json({ tasks: [], summary: null, lastUpdated: new Date().toISOString() });
-    }
-    const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-    const tasks = JSON.parse(raw);
+    const tasks = getTaskStore().getActive();
     const summary = summarizeTasks(tasks);
     res.json({ tasks, summary, lastUpdated: new Date().toISOString() });
   } catch (err) {
@@ -193,6 +232,17 @@ app.get('/api/tasks', (req, res) => {
   }
 });
 
+// GET /api/tasks/:orderId?receivedDate= - one accepted task with its status history
+app.get('/api/tasks/:orderId', (req, res) => {
+  try {
+    const task = getTaskStore().getTask(req.params.orderId, req.query.receivedDate || null);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    res.json(task);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET /api/metrics - system observability metrics snapshot
 app.get('/api/metrics', (req, res) => {
   try {
@@ -261,7 +311,7 @@ app.post('/api/tasks/refresh', async (req, res) => {
 });
 
 async function cleanupOldCapacityAndOverride(datesToDelete = null) {
-  const today = dayjs().format("YYYY-MM-DD");
+  const today = businessTime.today();
   const capacityPath = path.join(__dirname, '../public/capacity.json');
   const overridePath = path.join(__dirname, '../public/dailyOverride.json');
 
@@ -278,31 +328,7 @@ async function cleanupOldCapacityAndOverride(datesToDelete = null) {
   let allocationsRemoved = 0;
   let tasksRemoved = 0;
   try {
-    if (fs.existsSync(acceptedTasksPath)) {
-      const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-      const tasks = JSON.parse(raw);
-
-      const updatedTasks = tasks.map(task => {
-        if (!task.allocationPlan) return task;
-
-        const originalLength = task.allocationPlan.length;
-        task.allocationPlan = task.allocationPlan.filter(plan => !shouldDelete(plan.date));
-        allocationsRemoved += originalLength - task.allocationPlan.length;
-
-        return task;
-      }).filter(task => {
-        // ลบ task ถ้าไม่เหลือ allocationPlan เลย
-        if (task.allocationPlan && task.allocationPlan.length === 0) {
-          tasksRemoved++;
-          return false;
-        }
-        return true;
-      });
-
-      if (allocationsRemoved > 0 || tasksRemoved > 0) {
-        fs.writeFileSync(acceptedTasksPath, JSON.stringify(updatedTasks, null, 2));
-      }
-    }
+    ({ allocationsRemoved, tasksRemoved } = getTaskStore().pruneAllocations(shouldDelete, 'capacity cleanup'));
   } catch (err) {
     console.error("❌ Failed to cleanup tasks:", err.message);
   }
@@ -497,6 +523,121 @@ app.delete('/api/holidays/working/:date', (req, res) => {
   }
 });
 
+/* ========================= Acceptance Rules API ========================= */
+
+// GET /api/acceptance-rules — active declarative rules, strategy selectors + today's urgent cap usage
+app.get('/api/acceptance-rules', (req, res) => {
+  try {
+    res.json({ ...acceptanceRules.getStatus(), availableStrategies: listStrategies() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/team?date=YYYY-MM-DD — roster, each member's hours and booked words on that date (default today)
+app.get('/api/team', (req, res) => {
+  try {
+    const date = req.query.date || businessTime.today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'Invalid date' });
+    res.json({ ...teamRoster.getStatus(date), booked: getAssigneeUsage()[date] || {} });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/accept-workflow — loaded accept workflow version, its stages / steps and the last load error
+app.get('/api/accept-workflow', (req, res) => {
+  try {
+    res.json(acceptWorkflow.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/selector-health — winning locator strategy per accept step + steps whose primary selector drifted
+app.get('/api/selector-health', (req, res) => {
+  try {
+    res.json(selectorHealth.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ========================= Shadow Mode API ========================= */
+
+// GET /api/shadow — shadow-mode decision summary + recent decisions/suppressed actions
+app.get('/api/shadow', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const type = ['decision', 'action'].includes(req.query.type) ? req.query.type : undefined;
+  res.json({
+    ...shadowRecorder.getSummary(SHADOW_MODE),
+    recent: shadowRecorder.getRecent(limit, type),
+  });
+});
+
+/* ========================= Email Dead-Letter API ========================= */
+
+// GET /api/emails/idempotency — duplicate notifications suppressed by the (orderId, receivedDate, url) index
+app.get('/api/emails/idempotency', (req, res) => {
+  try {
+    res.json(getEmailIdempotencyIndex().getStats());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/emails/templates — loaded email templates (id@version, emails parsed) and why any were skipped
+app.get('/api/emails/templates', (req, res) => {
+  try {
+    res.json(emailTemplates.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/emails/dead-letter — emails that failed to parse or parsed incomplete (?status=open|resolved&limit=)
+app.get('/api/emails/dead-letter', (req, res) => {
+  try {
+    const store = getDeadLetterStore();
+    const status = Object.values(DEAD_LETTER_STATUS).includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, DEAD_LETTER.LIST_LIMIT);
+    res.json({ counts: store.getCounts(), emails: store.list({ status, limit }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/emails/dead-letter/:id — one entry with its last re-run result
+app.get('/api/emails/dead-letter/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid dead-letter ID' });
+  }
+  try {
+    const entry = getDeadLetterStore().get(id);
+    if (!entry) return res.status(404).json({ error: `Dead-letter entry ${id} not found` });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/emails/dead-letter/:id/reprocess — re-run through the parser; dispatch when complete
+// body: { dispatch?: boolean } (default true; false = parse only)
+app.post('/api/emails/dead-letter/:id/reprocess', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid dead-letter ID' });
+  }
+  try {
+    const result = await reprocessDeadLetterEmail(id, { dispatch: req.body?.dispatch !== false });
+    if (!result.success) return res.status(404).json(result);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 /* ========================= Status Sync API ========================= */
 
 // Lazy reference - set by bootstrapper after MoraviaStatusSync is created
@@ -562,6 +703,77 @@ app.get('/api/verification/results', (req, res) => {
   res.json({ enabled: true, results: _postAcceptVerifier.getResults() });
 });
 
+/* ========================= Shared Login Session API ========================= */
+
+let _sharedSession = null;
+
+/**
+ * Allow bootstrapper to inject the SharedSession (BrowserPool/sharedSession.js).
+ * Follows same setter pattern as setStatusSync to avoid circular deps.
+ */
+function setSharedSession(instance) {
+  _sharedSession = instance;
+}
+
+// GET /api/session/status - cookie jar generation, expiry and which pool browsers hold it
+app.get('/api/session/status', (req, res) => {
+  if (!_sharedSession) {
+    return res.json({ enabled: false, message: 'SharedSession not initialized' });
+  }
+  res.json({ enabled: true, ...(_sharedSession.getStatus()) });
+});
+
+// POST /api/session/refresh - log in again now and push the new cookies to the pool
+app.post('/api/session/refresh', async (req, res) => {
+  if (!_sharedSession) {
+    return res.status(503).json({ error: 'SharedSession not initialized' });
+  }
+  try {
+    const refreshed = await _sharedSession.refresh('dashboard');
+    res.status(refreshed ? 200 : 502).json({ refreshed, ...(_sharedSession.getStatus()) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ========================= Failure Forensics API ========================= */
+
+// GET /api/forensics — bundles of failed accept attempts, newest first (?orderId=&limit=)
+app.get('/api/forensics', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, FORENSICS.LIST_LIMIT);
+    const orderId = req.query.orderId ? String(req.query.orderId) : null;
+    res.json({ bundles: getFailureForensics().list({ orderId, limit }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/forensics/:orderDir/:bundleId — bundle metadata: error step/details, timings, console, failed requests
+app.get('/api/forensics/:orderDir/:bundleId', (req, res) => {
+  try {
+    const bundle = getFailureForensics().get(req.params.orderDir, req.params.bundleId);
+    if (!bundle) return res.status(404).json({ error: 'Forensics bundle not found' });
+    res.json(bundle);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/forensics/:orderDir/:bundleId/:file — screenshot.png, or page.html as plain text
+// (never rendered on the Dashboard origin; ?download=1 saves it as a file)
+app.get('/api/forensics/:orderDir/:bundleId/:file', (req, res) => {
+  const { orderDir, bundleId, file } = req.params;
+  const filePath = getFailureForensics().filePath(orderDir, bundleId, file);
+  if (!filePath) return res.status(404).json({ error: 'Forensics file not found' });
+
+  if (file === ARTIFACTS.HTML) {
+    if (req.query.download) return res.download(filePath, `${orderDir}-${bundleId}.html`);
+    res.type('text/plain; charset=utf-8').set('X-Content-Type-Options', 'nosniff');
+  }
+  res.sendFile(filePath);
+});
+
 /* ========================= State API ========================= */
 
 // GET /api/state - full state snapshot from centralized StateManager
@@ -767,6 +979,7 @@ module.exports = {
   broadcastToClients,
   setStatusSync,
   setPostAcceptVerifier,
+  setSharedSession,
   setTaskQueue,
   stateSyncService,
   stateManager,
@@ -0,0 +1,349 @@
+/**
+ * AcceptWorkflow — declarative, versioned definition of the Moravia accept workflow
+ * Location: ./Exec/acceptWorkflow.js
+ *
+ * Loads Config/acceptWorkflow.json, which Exec/workflowRunner.js executes for
+ * execAccept. Adding a fallback selector, changing the licence or a timeout, or
+ * inserting a step is a config edit - no code change or redeploy.
+ * {
+ *   "version": "1.0.0",                       // logged and reported with every failure
+ *   "successReason": "Licence set successfully.",
+ *   "stages": [                               // run in order; a stage is retried as a whole
+ *     {
+ *       "id": "STEP_2TO6", "name": "Steps 2-6",
+ *       "timeout": 45000,                     // whole stage, per attempt
+ *       "retries": 2, "retryDelay": 1000,
+ *       "ready": {                            // optional: wait for the page before the first step
+ *         "busySelector": ".modal-message", "busyTexts": ["Please wait"], "timeout": 20000, "settle": 3000
+ *       },
+ *       "steps": [
+ *         {
+ *           "id": "STEP_4",                   // BrowserAutomationError step, forensics timing name
+ *           "name": "Click file link",
+ *           "action": "click",                // click | expand | select | waitFor
+ *           "selectors": ["a.file", { "text": "Source", "tag": "a" }],  // ranked candidates (Exec/locators.js)
+ *           "wait": "present",                // present | visible | inViewport (visible, enabled and on screen)
+ *           "timeout": 10000,                 // element wait, per attempt
+ *           "retries": 0, "retryDelay": 1000, // attempts within the step
+ *           "scrollBy": 300,                  // optional: scroll the window before each attempt
+ *           "skipIfUrlIncludes": "/attachments", // optional: already done
+ *           "after": 2000,                    // optional: pause after the step
+ *           "enabled": true
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Action options:
+ *   expand - "collapsedClass": click the element only while its class contains it
+ *   select - "container" (wait for the dialog), "dismiss" { titleSelector, titleContains,
+ *            closeSelector } (close an interfering dialog), "match" (texts that pick the
+ *            dropdown among the selector matches), "option" (text to pick) and
+ *            "optionSelectors" ({option} is replaced by the option text)
+ *
+ * Selector candidates are ranked: the best-ranked one present on the page is
+ * used, and a lower-ranked win is recorded as selector drift (Features/selectorHealth.js).
+ * Strings are CSS unless prefixed with "xpath:"; objects locate by text, ARIA
+ * role / name or label (Exec/locators.js).
+ *
+ * The file is validated at load: an invalid definition is logged and, when a
+ * previous one is loaded, that one is kept. The file is re-read when it
+ * changes (same idea as EmailTemplates).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { logFail, logInfo } = require('../Logs/logger');
+const { ACCEPT_WORKFLOW } = require('../Config/constants');
+const { compileLocator, XPATH_PREFIX } = require('./locators');
+
+/* ========================= Paths ========================= */
+const WORKFLOW_PATH = path.join(__dirname, '..', ACCEPT_WORKFLOW.PATH);
+
+/** Actions the runner implements */
+const ACTIONS = ['click', 'expand', 'select', 'waitFor'];
+
+/** Wait conditions for a step's selectors */
+const WAIT_CONDITIONS = ['present', 'visible', 'inViewport'];
+
+/* ========================= Helpers ========================= */
+
+const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+const isPositive = (value) => typeof value === 'number' && value > 0;
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(s => typeof s === 'string' && s.trim());
+
+/**
+ * Validate a ranked candidate list. Throws with the reason.
+ * @returns {{ strategy: string, selector: string }[]} compiled locators, best first
+ */
+function compileLocators(value, where) {
+  if (!Array.isArray(value) || value.length === 0) throw new Error(`${where} must be a non-empty array of selectors`);
+  return value.map((candidate, idx) => compileLocator(candidate, `${where}[${idx}]`));
+}
+
+/**
+ * Validate one step. Throws with the reason.
+ * @returns {Object} compiled step
+ */
+function compileStep(raw, where) {
+  const id = raw?.id ? String(raw.id).trim() : '';
+  if (!/^[\w.-]+$/.test(id)) throw new Error(`${where}.id is required (letters, digits, _, . or -)`);
+  const at = `${where} "${id}"`;
+
+  if (!ACTIONS.includes(raw.action)) throw new Error(`${at}: action must be one of ${ACTIONS.join(', ')}`);
+  const wait = raw.wait ?? 'present';
+  if (!WAIT_CONDITIONS.includes(wait)) throw new Error(`${at}: wait must be one of ${WAIT_CONDITIONS.join(', ')}`);
+  if (!isPositive(raw.timeout)) throw new Error(`${at}: timeout must be a positive number of ms`);
+  for (const key of ['retries', 'retryDelay', 'after', 'scrollBy']) {
+    if (raw[key] != null && !isNonNegativeInt(raw[key])) throw new Error(`${at}: ${key} must be a non-negative integer`);
+  }
+  if (raw.skipIfUrlIncludes != null && (typeof raw.skipIfUrlIncludes !== 'string' || !raw.skipIfUrlIncludes)) {
+    throw new Error(`${at}: skipIfUrlIncludes must be a string`);
+  }
+
+  const locators = compileLocators(raw.selectors, `${at}: selectors`);
+  const step = {
+    id,
+    name: raw.name ? String(raw.name) : id,
+    action: raw.action,
+    locators,
+    selectors: locators.map(l => l.selector),
+    wait,
+    timeout: raw.timeout,
+    retries: raw.retries ?? 0,
+    retryDelay: raw.retryDelay ?? 1000,
+    after: raw.after ?? 0,
+    scrollBy: raw.scrollBy ?? null,
+    skipIfUrlIncludes: raw.skipIfUrlIncludes || null
+  };
+
+  if (step.action === 'expand') {
+    if (typeof raw.collapsedClass !== 'string' || !raw.collapsedClass.trim()) {
+      throw new Error(`${at}: expand needs a collapsedClass`);
+    }
+    step.collapsedClass = raw.collapsedClass.trim();
+  }
+
+  if (step.action === 'select') {
+    if (typeof raw.option !== 'string' || !raw.option.trim()) throw new Error(`${at}: select needs an option`);
+    if (/['"]/.test(raw.option)) throw new Error(`${at}: option must not contain quotes`);
+    step.option = raw.option.trim();
+    const fill = (v) => (typeof v === 'string' ? v.split('{option}').join(step.option) : v);
+    const optionCandidates = Array.isArray(raw.optionSelectors)
+      ? raw.optionSelectors.map(c => (c && typeof c === 'object'
+        ? Object.fromEntries(Object.entries(c).map(([k, v]) => [k, fill(v)]))
+        : fill(c)))
+      : raw.optionSelectors;
+    step.optionLocators = compileLocators(optionCandidates, `${at}: optionSelectors`);
+    if (raw.match != null && !isStringList(raw.match)) throw new Error(`${at}: match must be a non-empty array of texts`);
+    step.match = (raw.match || []).map(m => m.toLowerCase());
+    step.container = raw.container ? String(raw.container) : null;
+    if (raw.dismiss != null) {
+      const { titleSelector, titleContains, closeSelector } = raw.dismiss;
+      if (![titleSelector, titleContains, closeSelector].every(v => typeof v === 'string' && v.trim())) {
+        throw new Error(`${at}: dismiss needs titleSelector, titleContains and closeSelector`);
+      }
+      step.dismiss = { titleSelector, titleContains, closeSelector };
+    } else {
+      step.dismiss = null;
+    }
+  }
+
+  return step;
+}
+
+/**
+ * Validate one stage. Throws with the reason.
+ * @returns {Object} compiled stage
+ */
+function compileStage(raw, where, seenSteps) {
+  const id = raw?.id ? String(raw.id).trim() : '';
+  if (!/^[\w.-]+$/.test(id)) throw new Error(`${where}.id is required (letters, digits, _, . or -)`);
+  const at = `${where} "${id}"`;
+
+  if (!isPositive(raw.timeout)) throw new Error(`${at}: timeout must be a positive number of ms`);
+  for (const key of ['retries', 'retryDelay']) {
+    if (raw[key] != null && !isNonNegativeInt(raw[key])) throw new Error(`${at}: ${key} must be a non-negative integer`);
+  }
+
+  let ready = null;
+  if (raw.ready != null) {
+    if (!isPositive(raw.ready.timeout)) throw new Error(`${at}: ready.timeout must be a positive number of ms`);
+    if (raw.ready.busyTexts != null && !isStringList(raw.ready.busyTexts)) throw new Error(`${at}: ready.busyTexts must be a non-empty array of texts`);
+    if (raw.ready.settle != null && !isNonNegativeInt(raw.ready.settle)) throw new Error(`${at}: ready.settle must be a non-negative integer`);
+    ready = {
+      busySelector: raw.ready.busySelector ? String(raw.ready.busySelector) : null,
+      busyTexts: raw.ready.busyTexts || [],
+      timeout: raw.ready.timeout,
+      settle: raw.ready.settle ?? 0
+    };
+  }
+
+  if (!Array.isArray(raw.steps)) throw new Error(`${at}: steps must be an array`);
+  const steps = [];
+  raw.steps.forEach((rawStep, idx) => {
+    if (!rawStep || rawStep.enabled === false) return;
+    const step = compileStep(rawStep, `${at}: steps[${idx}]`);
+    if (seenSteps.has(step.id)) throw new Error(`${at}: duplicate step id "${step.id}"`);
+    seenSteps.add(step.id);
+    steps.push(step);
+  });
+  if (steps.length === 0) throw new Error(`${at}: needs at least one enabled step`);
+
+  return {
+    id,
+    name: raw.name ? String(raw.name) : id,
+    timeout: raw.timeout,
+    retries: raw.retries ?? 0,
+    retryDelay: raw.retryDelay ?? 1000,
+    ready,
+    steps
+  };
+}
+
+/**
+ * Validate and compile a workflow definition. Throws with the reason.
+ * @param {Object} raw - same shape as the file
+ * @returns {Object} compiled workflow
+ */
+function compileWorkflow(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('definition must be an object');
+  const version = raw.version != null ? String(raw.version).trim() : '';
+  if (!version) throw new Error('version is required');
+  if (!Array.isArray(raw.stages) || raw.stages.length === 0) throw new Error('stages must be a non-empty array');
+
+  const seenStages = new Set();
+  const seenSteps = new Set();
+  const stages = raw.stages.map((rawStage, idx) => {
+    const stage = compileStage(rawStage, `stages[${idx}]`, seenSteps);
+    if (seenStages.has(stage.id)) throw new Error(`duplicate stage id "${stage.id}"`);
+    seenStages.add(stage.id);
+    return stage;
+  });
+
+  return {
+    version,
+    description: raw.description || null,
+    successReason: raw.successReason ? String(raw.successReason) : 'Workflow completed.',
+    stages
+  };
+}
+
+/* ========================= AcceptWorkflow Class ========================= */
+class AcceptWorkflow {
+  /**
+   * @param {string} [filePath] - JSON definition (defaults to Config/acceptWorkflow.json)
+   */
+  constructor(filePath = WORKFLOW_PATH) {
+    this.filePath = filePath;
+    /** @type {Object|null} compiled workflow */
+    this.workflow = null;
+    /** @type {string|null} why the last load was rejected */
+    this.error = null;
+    this.loadedAt = null;
+    /** @type {string|null} mtime + size seen on the last load */
+    this._signature = null;
+    /** @type {boolean} true once setDefinition() is used — the file is no longer consulted */
+    this._pinned = false;
+    this._reload();
+  }
+
+  /* -------------------- Loading -------------------- */
+
+  /**
+   * Reload the definition from disk (only if the file changed).
+   */
+  _reload() {
+    if (this._pinned) return;
+    const stat = fs.statSync(this.filePath, { throwIfNoEntry: false });
+    const signature = stat ? `${stat.mtimeMs}:${stat.size}` : 'missing';
+    if (signature === this._signature) return;
+    this._signature = signature;
+
+    let raw;
+    try {
+      if (!stat) throw new Error('file not found');
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (err) {
+      this._reject(`Cannot read ${path.basename(this.filePath)}: ${err.message}`);
+      return;
+    }
+    this._apply(raw);
+  }
+
+  /**
+   * Replace the definition (bypasses the file; useful for tests).
+   * @param {Object} raw - same shape as the file
+   * @returns {boolean} true when it was valid and is now active
+   */
+  setDefinition(raw) {
+    this._pinned = true;
+    return this._apply(raw);
+  }
+
+  _apply(raw) {
+    let workflow;
+    try {
+      workflow = compileWorkflow(raw);
+    } catch (err) {
+      this._reject(`Invalid accept workflow: ${err.message}`);
+      return false;
+    }
+    this.workflow = workflow;
+    this.error = null;
+    this.loadedAt = new Date().toISOString();
+    const stepCount = workflow.stages.reduce((sum, s) => sum + s.steps.length, 0);
+    logInfo(`[AcceptWorkflow] Loaded v${workflow.version} (${workflow.stages.length} stage(s), ${stepCount} step(s))`);
+    return true;
+  }
+
+  _reject(message) {
+    this.error = message;
+    logFail(`[AcceptWorkflow] ${message}${this.workflow ? ` - keeping v${this.workflow.version}` : ''}`);
+  }
+
+  /* -------------------- Core Methods -------------------- */
+
+  /**
+   * Active workflow.
+   * @returns {Object|null} null when no valid definition was ever loaded
+   */
+  get() {
+    this._reload();
+    return this.workflow;
+  }
+
+  /**
+   * Loaded version, stages / steps and the last load error (for the Dashboard).
+   */
+  getStatus() {
+    const workflow = this.get();
+    return {
+      source: this._pinned ? 'runtime' : this.filePath,
+      version: workflow?.version || null,
+      description: workflow?.description || null,
+      loadedAt: this.loadedAt,
+      stages: (workflow?.stages || []).map(stage => ({
+        id: stage.id,
+        name: stage.name,
+        timeout: stage.timeout,
+        retries: stage.retries,
+        steps: stage.steps.map(step => ({
+          id: step.id,
+          name: step.name,
+          action: step.action,
+          locators: step.locators,
+          timeout: step.timeout,
+          retries: step.retries
+        }))
+      })),
+      error: this.error
+    };
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const acceptWorkflow = new AcceptWorkflow();
+
+module.exports = { acceptWorkflow, AcceptWorkflow, compileWorkflow, ACTIONS, WAIT_CONDITIONS, XPATH_PREFIX };
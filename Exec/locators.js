@@ -0,0 +1,91 @@
+/**
+ * Exec/locators.js
+ * Locator strategies for the accept workflow's selector candidates.
+ *
+ * A step lists its candidates in rank order; each one is either a string or a
+ * strategy object, compiled to a query the runner can wait for:
+ *   "a.file"                               css   - CSS selector
+ *   "xpath://a[@id='x']"                   xpath - XPath
+ *   { "text": "Attachments", "tag": "a" }  text  - element whose text contains it (case-insensitive; tag optional)
+ *   { "role": "button", "name": "Save" }   role  - ARIA role and accessible name (Puppeteer aria/ query; name optional)
+ *   { "label": "Licence" }                 label - the control a label / caption names: <label for>, or
+ *                                                  the first form control or Select2 box after the text
+ * text and label compile to XPath, role to Puppeteer's "aria/" selector.
+ */
+
+const XPATH_PREFIX = 'xpath:';
+const ARIA_PREFIX = 'aria/';
+
+/** Strategies in the order a step usually ranks them */
+const STRATEGIES = ['css', 'xpath', 'text', 'role', 'label'];
+
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+
+/** Controls a label can point at when no tag is given */
+const LABELLED_CONTROL = "self::input or self::select or self::textarea or self::button or @role='combobox' or contains(@class,'select2-chosen')";
+
+/** XPath string literal (XPath 1.0 has no escapes) */
+function xpathLiteral(value) {
+  if (!value.includes("'")) return `'${value}'`;
+  if (!value.includes('"')) return `"${value}"`;
+  return `concat(${value.split("'").map(part => `'${part}'`).join(`, "'", `)})`;
+}
+
+/** Case-insensitive "text of the context node contains value" */
+const containsText = (value) =>
+  `contains(translate(normalize-space(.), '${UPPER}', '${LOWER}'), ${xpathLiteral(value.toLowerCase())})`;
+
+const isTag = (value) => typeof value === 'string' && /^[a-z][a-z0-9-]*$/i.test(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validate one selector candidate and compile it. Throws with the reason.
+ * @param {string|Object} value
+ * @param {string} where - position for the error message
+ * @returns {{ strategy: string, selector: string }}
+ */
+function compileLocator(value, where) {
+  if (typeof value === 'string') {
+    const selector = value.trim();
+    if (!selector) throw new Error(`${where} is empty`);
+    if (selector.startsWith(XPATH_PREFIX)) {
+      if (!selector.slice(XPATH_PREFIX.length).trim()) throw new Error(`${where} has an empty XPath`);
+      return { strategy: 'xpath', selector };
+    }
+    if (selector.startsWith(ARIA_PREFIX)) return { strategy: 'role', selector };
+    return { strategy: 'css', selector };
+  }
+
+  if (!value || typeof value !== 'object') throw new Error(`${where} must be a selector string or a locator object`);
+  if (value.tag != null && !isTag(value.tag)) throw new Error(`${where}: tag must be an element name`);
+  const tag = value.tag ? value.tag.toLowerCase() : null;
+
+  if (value.text != null) {
+    if (!isText(value.text)) throw new Error(`${where}: text must be a non-empty string`);
+    const xpath = tag
+      ? `//${tag}[${containsText(value.text.trim())}]`
+      : `//*[text()[${containsText(value.text.trim())}]]`;
+    return { strategy: 'text', selector: XPATH_PREFIX + xpath };
+  }
+
+  if (value.role != null) {
+    if (typeof value.role !== 'string' || !/^[a-z]+$/.test(value.role)) throw new Error(`${where}: role must be an ARIA role name`);
+    if (value.name != null && (!isText(value.name) || /[[\]"]/.test(value.name))) {
+      throw new Error(`${where}: name must be a non-empty string without [ ] or "`);
+    }
+    return { strategy: 'role', selector: `${ARIA_PREFIX}${value.name ? value.name.trim() : ''}[role="${value.role}"]` };
+  }
+
+  if (value.label != null) {
+    if (!isText(value.label)) throw new Error(`${where}: label must be a non-empty string`);
+    const text = containsText(value.label.trim());
+    const control = tag ? `self::${tag}` : LABELLED_CONTROL;
+    const xpath = `(//*[@id = //label[${text}]/@for] | //*[text()[${text}]]/following::*[${control}][1])[1]`;
+    return { strategy: 'label', selector: XPATH_PREFIX + xpath };
+  }
+
+  throw new Error(`${where} needs one of text, role or label`);
+}
+
+module.exports = { compileLocator, xpathLiteral, STRATEGIES, XPATH_PREFIX, ARIA_PREFIX };
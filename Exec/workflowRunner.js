@@ -0,0 +1,358 @@
+/**
+ * Exec/workflowRunner.js
+ * Generic runner for the declarative accept workflow (Exec/acceptWorkflow.js).
+ *
+ * runStage() waits for the page when the stage has a "ready" condition, then
+ * runs its steps in order and stops at the first failure. Each step locates its
+ * element with the best-ranked candidate present (Exec/locators.js), reports the
+ * winner to Features/selectorHealth.js, performs its action and retries within
+ * its own budget; a failed step returns a BrowserAutomationError
+ * carrying the step id, so callers, retryHandler and failure forensics see the
+ * same "STEP_3" as before the workflow became data. Stage timeouts and retries
+ * are applied by the caller (execAccept) with withTimeout / retryHandler.
+ */
+
+const { logSuccess, logFail, logInfo, logProgress } = require('../Logs/logger');
+const { BrowserAutomationError } = require('../Errors/customErrors');
+const { SELECTOR_HEALTH } = require('../Config/constants');
+const { XPATH_PREFIX, ARIA_PREFIX } = require('./locators');
+
+// Pauses that belong to the runner, not to a step definition
+const SCROLL_SETTLE = 300;        // after scrolling an element into view / opening a dropdown
+const SCROLL_BY_SETTLE = 400;     // after scrolling the window (step.scrollBy)
+const TARGET_MARK = 'data-workflow-target';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isXPath = (selector) => selector.startsWith(XPATH_PREFIX);
+const isAria = (selector) => selector.startsWith(ARIA_PREFIX);
+const xpathOf = (selector) => selector.slice(XPATH_PREFIX.length).trim();
+
+/** 'STEP_3' → 'STEP 3' (log and reason prefix) */
+const labelOf = (id) => id.replace(/_/g, ' ');
+
+/* ========================= Page readiness ========================= */
+
+/**
+ * Wait until no busy overlay / text is shown, then give a pending navigation time to settle.
+ * @param {Page} page
+ * @param {{ busySelector: string|null, busyTexts: string[], timeout: number, settle: number }} ready
+ * @throws {Error} If the page does not become ready within ready.timeout
+ */
+async function waitForPageReady(page, ready) {
+  try {
+    await page.waitForFunction((busySelector, busyTexts) => {
+      const overlay = busySelector ? document.querySelector(busySelector) : null;
+      const text = document.body.innerText;
+      return (!overlay || overlay.offsetParent === null) && !busyTexts.some(t => text.includes(t));
+    }, { timeout: ready.timeout }, ready.busySelector, ready.busyTexts);
+
+    if (ready.settle > 0) {
+      const navResult = await Promise.race([
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        sleep(ready.settle).then(() => 'no-navigation')
+      ]);
+      if (navResult === 'no-navigation') {
+        logInfo('No further navigation detected (acceptable)');
+      }
+    }
+
+    logSuccess('Page fully loaded and ready.');
+  } catch (err) {
+    throw new Error(`Page did not load in time: ${err.message}`);
+  }
+}
+
+/* ========================= Selectors ========================= */
+
+/**
+ * In-page check: element (or CSS / "xpath:" selector) visible, enabled and on screen.
+ * Runs in the browser - keep it self-contained.
+ */
+function isInViewport(target, prefix) {
+  const el = typeof target !== 'string'
+    ? target
+    : target.startsWith(prefix)
+      ? document.evaluate(target.slice(prefix.length).trim(), document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+      : document.querySelector(target);
+  if (!el) return false;
+  const rect = el.getBoundingClientRect();
+  return (
+    el.offsetParent !== null &&
+    !el.disabled &&
+    rect.width > 0 &&
+    rect.height > 0 &&
+    rect.top >= 0 &&
+    rect.bottom <= window.innerHeight
+  );
+}
+
+/**
+ * Wait for one selector candidate.
+ * @returns {Promise<ElementHandle|null>} the element; null when checked in the page (inViewport)
+ */
+async function waitForCandidate(page, selector, wait, timeout) {
+  if (wait === 'inViewport') {
+    if (isAria(selector)) {
+      // aria/ queries only exist on the Puppeteer side: check the element they return
+      const handle = await page.waitForSelector(selector, { timeout });
+      await page.waitForFunction(isInViewport, { timeout }, handle, XPATH_PREFIX);
+      return handle;
+    }
+    await page.waitForFunction(isInViewport, { timeout }, selector, XPATH_PREFIX);
+    return null;
+  }
+
+  const options = wait === 'visible' ? { timeout, visible: true } : { timeout };
+  if (isXPath(selector)) {
+    await page.waitForXPath(xpathOf(selector), options);
+    const [handle] = await page.$x(xpathOf(selector));
+    if (!handle) throw new Error(`${selector} disappeared`);
+    return handle;
+  }
+  return page.waitForSelector(selector, options);
+}
+
+/**
+ * Locate an element with the best-ranked candidate present.
+ * Candidates are awaited together; when a lower-ranked one appears first, the
+ * better-ranked ones get a short re-check so a slow primary is not taken for drift.
+ * A miss is thrown with err.locators set to the candidate list.
+ * @param {{ strategy: string, selector: string }[]} locators - ranked, best first
+ * @returns {Promise<{ rank: number, strategy: string, selector: string, handle: ElementHandle|null }>}
+ */
+async function findTarget(page, locators, wait, timeout) {
+  const attempt = async (rank, ms) => ({
+    ...locators[rank],
+    rank,
+    handle: await waitForCandidate(page, locators[rank].selector, wait, ms)
+  });
+
+  let winner;
+  try {
+    winner = locators.length === 1
+      ? await attempt(0, timeout)
+      : await Promise.any(locators.map((_, rank) => attempt(rank, timeout)));
+  } catch (err) {
+    const miss = err instanceof AggregateError
+      ? new Error(`none of ${locators.length} selectors matched (${err.errors[0]?.message})`)
+      : err;
+    miss.locators = locators;
+    throw miss;
+  }
+
+  for (let rank = 0; rank < winner.rank; rank++) {
+    try {
+      return await attempt(rank, SELECTOR_HEALTH.RANK_CHECK_TIMEOUT);
+    } catch (_) {
+      // still missing - keep looking down the ranking
+    }
+  }
+  return winner;
+}
+
+/** The element of a target, querying it when the wait did not return one */
+async function handleOf(page, target) {
+  if (target.handle) return target.handle;
+  const handle = isXPath(target.selector)
+    ? (await page.$x(xpathOf(target.selector)))[0]
+    : await page.$(target.selector);
+  if (!handle) throw new Error(`${target.selector} disappeared`);
+  return handle;
+}
+
+/** Scroll the target into view and click it in the page */
+async function clickTarget(page, target) {
+  if (target.handle) {
+    await target.handle.evaluate(el => el.scrollIntoView({ block: 'center' }));
+    await sleep(SCROLL_SETTLE);
+    await page.evaluate(el => el.click(), target.handle);
+    return;
+  }
+  await page.evaluate((sel, prefix) => {
+    const el = sel.startsWith(prefix)
+      ? document.evaluate(sel.slice(prefix.length).trim(), document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+      : document.querySelector(sel);
+    if (el) {
+      el.scrollIntoView({ block: 'center' });
+      el.click();
+    }
+  }, target.selector, XPATH_PREFIX);
+}
+
+/* ========================= Actions ========================= */
+
+/**
+ * action → async (page, step) => { target, outcome }; throws on failure.
+ * target is the element the step's own locators found (recorded in selector health).
+ */
+const ACTION_HANDLERS = {
+  async waitFor(page, step) {
+    const target = await findTarget(page, step.locators, step.wait, step.timeout);
+    return { target, outcome: `found ${target.selector}` };
+  },
+
+  async click(page, step) {
+    const target = await findTarget(page, step.locators, step.wait, step.timeout);
+    await clickTarget(page, target);
+    return { target, outcome: `clicked ${target.selector}` };
+  },
+
+  async expand(page, step) {
+    const target = await findTarget(page, step.locators, step.wait, step.timeout);
+    const handle = await handleOf(page, target);
+    const className = String(await page.evaluate(el => el.className, handle) || '');
+    if (!className.includes(step.collapsedClass)) return { target, outcome: 'already expanded' };
+    await handle.click();
+    return { target, outcome: 'expanded' };
+  },
+
+  async select(page, step) {
+    if (step.container) {
+      await page.waitForSelector(step.container, { timeout: step.timeout });
+    }
+
+    // Close an interfering dialog (e.g. "About this build") first
+    if (step.dismiss) {
+      const title = await page.evaluate((containerSel, titleSel) => {
+        const dialog = containerSel ? document.querySelector(containerSel) : document.body;
+        const titleEl = dialog?.querySelector(titleSel);
+        return titleEl ? titleEl.textContent.trim() : '';
+      }, step.container, step.dismiss.titleSelector);
+
+      if (String(title || '').includes(step.dismiss.titleContains)) {
+        await page.evaluate((closeSel) => {
+          const closeBtn = document.querySelector(closeSel);
+          if (closeBtn) closeBtn.click();
+        }, step.dismiss.closeSelector);
+        await sleep(SCROLL_SETTLE);
+      }
+    }
+
+    const target = await findTarget(page, step.locators, step.wait, step.timeout);
+    let dropdown = target.handle;
+    if (!isAria(target.selector)) {
+      // Dropdown ids are dynamic: among the matches, mark the one whose text names it (or the first)
+      const found = await page.evaluate((selector, hints, prefix, attr, mark) => {
+        let matches;
+        if (selector.startsWith(prefix)) {
+          const snapshot = document.evaluate(selector.slice(prefix.length).trim(), document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+          matches = Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+        } else {
+          matches = Array.from(document.querySelectorAll(selector));
+        }
+        const pick = matches.find(el => hints.some(h => el.textContent.toLowerCase().includes(h))) || matches[0];
+        if (!pick) return false;
+        document.querySelectorAll(`[${attr}="${mark}"]`).forEach(el => el.removeAttribute(attr));
+        pick.setAttribute(attr, mark);
+        return true;
+      }, target.selector, step.match, XPATH_PREFIX, TARGET_MARK, step.id);
+      if (!found) throw new Error(`Dropdown not found (${target.selector})`);
+      dropdown = await page.$(`[${TARGET_MARK}="${step.id}"]`);
+    }
+    if (!dropdown) throw new Error('Dropdown disappeared');
+    await dropdown.click();
+    await sleep(SCROLL_SETTLE);
+
+    const option = await findTarget(page, step.optionLocators, 'present', step.timeout);
+    await (await handleOf(page, option)).click();
+    return { target, outcome: `selected "${step.option}"` };
+  }
+};
+
+/* ========================= Steps & Stages ========================= */
+
+/**
+ * Run one step with its own retries.
+ * @param {Page} page
+ * @param {Object} step - compiled step (Exec/acceptWorkflow.js)
+ * @param {Object} [options]
+ * @param {string} [options.version] - workflow version, reported in the error details
+ * @param {SelectorHealth|null} [options.health] - records the winning locator / misses
+ * @returns {Promise<{success: boolean, reason?: string, error?: BrowserAutomationError}>}
+ */
+async function runStep(page, step, { version = null, health = null } = {}) {
+  const label = labelOf(step.id);
+
+  if (step.skipIfUrlIncludes && page.url().includes(step.skipIfUrlIncludes)) {
+    logInfo(`${label}: "${step.skipIfUrlIncludes}" already in URL. Skipping ${step.name}.`);
+    return { success: true };
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= step.retries + 1; attempt++) {
+    try {
+      if (step.scrollBy) {
+        await page.evaluate((offset) => window.scrollBy(0, offset), step.scrollBy);
+        await sleep(SCROLL_BY_SETTLE);
+      }
+      const { target, outcome } = await ACTION_HANDLERS[step.action](page, step);
+      if (target.rank > 0) {
+        logInfo(`${label}: primary selector missing - located by fallback #${target.rank + 1} (${target.strategy})`);
+      }
+      health?.recordMatch(step, target, { version });
+      logSuccess(`${label}: ${step.name} - ${outcome}.`);
+      if (step.after) await sleep(step.after);
+      return { success: true };
+    } catch (err) {
+      lastError = err;
+      if (attempt <= step.retries) {
+        logFail(`${label}: Attempt ${attempt} failed: ${err.message}`);
+        await sleep(step.retryDelay);
+      }
+    }
+  }
+
+  if (lastError.locators === step.locators) health?.recordMiss(step, { version });
+
+  const reason = `${label} failed: ${lastError.message}`;
+  return {
+    success: false,
+    reason,
+    error: new BrowserAutomationError(reason, step.id, {
+      selector: step.selectors[0],
+      ...(step.selectors.length > 1 && { selectors: step.selectors }),
+      action: step.action,
+      workflowVersion: version
+    })
+  };
+}
+
+/**
+ * Run a stage: its ready condition, then its steps until one fails.
+ * @param {Page} page
+ * @param {Object} stage - compiled stage (Exec/acceptWorkflow.js)
+ * @param {Object} [options]
+ * @param {string} [options.version] - workflow version
+ * @param {ForensicsRecorder|null} [options.trace] - marks the start of each step
+ * @param {SelectorHealth|null} [options.health] - records the winning locator of each step
+ * @returns {Promise<{success: boolean, reason: string, error?: BrowserAutomationError}>}
+ */
+async function runStage(page, stage, { version = null, trace = null, health = null } = {}) {
+  try {
+    if (stage.ready) {
+      logProgress(`${stage.name}: Waiting for page to be ready...`);
+      trace?.step('PAGE_READY');
+      await waitForPageReady(page, stage.ready);
+    }
+
+    for (const step of stage.steps) {
+      trace?.step(step.id);
+      const result = await runStep(page, step, { version, health });
+      if (!result.success) return result;
+    }
+
+    return { success: true, reason: `${stage.name} completed.` };
+  } catch (err) {
+    const reason = `${stage.name} failed: ${err.message}`;
+    return {
+      success: false,
+      reason,
+      error: err instanceof BrowserAutomationError
+        ? err
+        : new BrowserAutomationError(reason, stage.id, { originalError: err.message, workflowVersion: version })
+    };
+  }
+}
+
+module.exports = { runStage, runStep, waitForPageReady, ACTION_HANDLERS };
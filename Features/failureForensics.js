@@ -0,0 +1,397 @@
+/**
+ * Features/failureForensics.js
+ * Forensics bundle of every failed accept attempt.
+ *
+ * Design rationale:
+ *   A failed execAccept used to leave only its reason string ("STEP 3 failed:
+ *   Source chevron not found after retries."), which says where the workflow
+ *   stopped but not why - a changed layout, an unexpected modal, a 500 from
+ *   Moravia or an expired session all read the same. runTaskInNewBrowser now
+ *   attaches a ForensicsRecorder to the task page: it collects console
+ *   messages, failed network requests and per-step timings while execAccept
+ *   runs, and captures a full-page screenshot and the page HTML the moment the
+ *   attempt fails (before a fallback tab is closed or the page is released).
+ *   FailureForensics writes the bundle to disk for the Dashboard viewer.
+ *
+ * Layout:  data/forensics/<orderId>/<bundleId>/
+ *            bundle.json      orderId, url, reason, error step/details, timings,
+ *                             console, failed requests, capture errors
+ *            screenshot.png   full-page screenshot (when it could be taken)
+ *            page.html        page.content() (when it could be read)
+ *
+ * Retention: each order keeps its latest FORENSICS.MAX_BUNDLES_PER_ORDER
+ * bundles, and the oldest bundles overall are deleted once the directory
+ * grows past FORENSICS.MAX_TOTAL_BYTES. Capturing and saving never fail the
+ * task: errors are recorded in the bundle or logged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logFail } = require('../Logs/logger');
+const { FORENSICS } = require('../Config/constants');
+
+const DEFAULT_DIR = path.join(__dirname, '..', FORENSICS.DIR);
+
+/** Files of a bundle the Dashboard may serve */
+const ARTIFACTS = Object.freeze({
+  SCREENSHOT: 'screenshot.png',
+  HTML: 'page.html',
+});
+const BUNDLE_FILE = 'bundle.json';
+
+/** Path segments (sanitized orderIds, bundleIds) are plain names - never '..' or a separator */
+const SAFE_SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+/** Directory name of an orderId */
+function orderDirName(orderId) {
+  const name = String(orderId ?? '').trim().replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '');
+  return name || 'unknown';
+}
+
+/** Resolve `promise`, or reject after `ms` (clears its timer either way) */
+function withCaptureTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* ========================= Recorder ========================= */
+
+class ForensicsRecorder {
+  /**
+   * @param {import('puppeteer').Page} [page] - page to watch from the start
+   * @param {object} [options]
+   * @param {number} [options.captureTimeout] - screenshot / page.content() limit each
+   */
+  constructor(page = null, options = {}) {
+    this.captureTimeout = options.captureTimeout ?? FORENSICS.CAPTURE_TIMEOUT;
+    this.page = null;
+    this.startedAt = Date.now();
+    this.timings = [];
+    this.console = [];
+    this.failedRequests = [];
+    /** @type {{ screenshot: Buffer|null, html: string|null, pageUrl: string|null, errors: string[] }|null} */
+    this.captured = null;
+    this.finished = false;
+    this._watched = [];
+    if (page) this.watch(page);
+  }
+
+  /**
+   * Collect console messages and failed requests of a page and make it the one
+   * snapshot() captures (execAccept calls this when it switches to a fallback tab).
+   * @param {import('puppeteer').Page} page
+   */
+  watch(page) {
+    if (!page) return;
+    this.page = page;
+    if (typeof page.on !== 'function' || this._watched.some(w => w.page === page)) return;
+
+    const listeners = {
+      console: (msg) => this._push(this.console, {
+        type: msg.type(), text: msg.text(), at: Date.now()
+      }, FORENSICS.MAX_CONSOLE_ENTRIES),
+      pageerror: (err) => this._push(this.console, {
+        type: 'pageerror', text: err?.message || String(err), at: Date.now()
+      }, FORENSICS.MAX_CONSOLE_ENTRIES),
+      requestfailed: (req) => this._push(this.failedRequests, {
+        method: req.method(), url: req.url(), error: req.failure()?.errorText || 'failed', at: Date.now()
+      }, FORENSICS.MAX_FAILED_REQUESTS),
+      response: (res) => {
+        if (res.status() < 400) return;
+        this._push(this.failedRequests, {
+          method: res.request().method(), url: res.url(), status: res.status(), at: Date.now()
+        }, FORENSICS.MAX_FAILED_REQUESTS);
+      },
+    };
+    for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+    this._watched.push({ page, listeners });
+  }
+
+  /**
+   * Start timing a step; the previous step ends here. Ignored once finished.
+   * @param {string} name - e.g. 'NAVIGATE', 'STEP_3' (the BrowserAutomationError step names)
+   */
+  step(name) {
+    if (this.finished) return;
+    this._endStep();
+    this.timings.push({ step: name, startedAt: Date.now(), durationMs: null });
+  }
+
+  /** End the running step; later step() calls (a timed-out workflow still running) are ignored */
+  finish() {
+    if (this.finished) return;
+    this._endStep();
+    this.finished = true;
+  }
+
+  /**
+   * Capture a full-page screenshot and the HTML of the page. Only the first call
+   * captures, so execAccept can snapshot the failing tab and the caller can
+   * still call it after a timeout.
+   * @param {import('puppeteer').Page} [page] - defaults to the last watched page
+   * @returns {Promise<Object>} the capture
+   */
+  async snapshot(page = this.page) {
+    if (this.captured) return this.captured;
+    const captured = { screenshot: null, html: null, pageUrl: null, errors: [] };
+    this.captured = captured;
+
+    if (!page || (typeof page.isClosed === 'function' && page.isClosed())) {
+      captured.errors.push('page not available');
+      return captured;
+    }
+
+    try { captured.pageUrl = page.url(); } catch (_) { /* non-critical */ }
+    try {
+      captured.screenshot = await withCaptureTimeout(page.screenshot({ fullPage: true, type: 'png' }), this.captureTimeout, 'screenshot');
+    } catch (err) {
+      captured.errors.push(`screenshot: ${err.message}`);
+    }
+    try {
+      const html = await withCaptureTimeout(page.content(), this.captureTimeout, 'page.content()');
+      captured.html = html.length > FORENSICS.MAX_HTML_BYTES
+        ? `${html.slice(0, FORENSICS.MAX_HTML_BYTES)}\n<!-- truncated by failureForensics -->`
+        : html;
+    } catch (err) {
+      captured.errors.push(`html: ${err.message}`);
+    }
+    return captured;
+  }
+
+  /** Remove the page listeners */
+  detach() {
+    for (const { page, listeners } of this._watched) {
+      if (typeof page.off !== 'function') continue;
+      for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+    }
+    this._watched = [];
+  }
+
+  // ================================================================ Helpers
+
+  _endStep() {
+    const last = this.timings[this.timings.length - 1];
+    if (last && last.durationMs === null) last.durationMs = Date.now() - last.startedAt;
+  }
+
+  _push(list, entry, max) {
+    list.push(entry);
+    if (list.length > max) list.shift();
+  }
+}
+
+/* ========================= Store ========================= */
+
+class FailureForensics {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dir] - root directory of the bundles
+   * @param {number} [config.maxTotalBytes]
+   * @param {number} [config.maxBundlesPerOrder]
+   */
+  constructor(config = {}) {
+    this.config = {
+      dir: config.dir || DEFAULT_DIR,
+      maxTotalBytes: config.maxTotalBytes ?? FORENSICS.MAX_TOTAL_BYTES,
+      maxBundlesPerOrder: config.maxBundlesPerOrder ?? FORENSICS.MAX_BUNDLES_PER_ORDER,
+    };
+  }
+
+  /**
+   * Write the bundle of a failed attempt, then apply the retention policy.
+   * @param {object} failure
+   * @param {string} failure.orderId
+   * @param {string} [failure.url]
+   * @param {string} [failure.reason] - the result reason
+   * @param {Error} [failure.error] - BrowserAutomationError (step, details) when execAccept gave one
+   * @param {ForensicsRecorder} failure.recorder
+   * @returns {Promise<Object>} bundle metadata (bundle.json)
+   */
+  async save({ orderId, url = null, reason = '', error = null, recorder }) {
+    const orderDir = orderDirName(orderId);
+    const bundleId = this._newBundleId(orderDir);
+    const dir = path.join(this.config.dir, orderDir, bundleId);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const captured = recorder.captured || { screenshot: null, html: null, pageUrl: null, errors: ['not captured'] };
+    const files = [];
+    if (captured.screenshot) {
+      await fs.promises.writeFile(path.join(dir, ARTIFACTS.SCREENSHOT), captured.screenshot);
+      files.push(ARTIFACTS.SCREENSHOT);
+    }
+    if (captured.html != null) {
+      await fs.promises.writeFile(path.join(dir, ARTIFACTS.HTML), captured.html, 'utf8');
+      files.push(ARTIFACTS.HTML);
+    }
+
+    const bundle = {
+      orderId: orderId != null ? String(orderId) : null,
+      bundleId,
+      url,
+      pageUrl: captured.pageUrl,
+      reason,
+      step: error?.step || null,
+      details: error?.details || null,
+      timings: recorder.timings,
+      console: recorder.console,
+      failedRequests: recorder.failedRequests,
+      captureErrors: captured.errors,
+      files,
+      startedAt: new Date(recorder.startedAt).toISOString(),
+      capturedAt: new Date().toISOString(),
+    };
+    await fs.promises.writeFile(path.join(dir, BUNDLE_FILE), JSON.stringify(bundle, null, 2), 'utf8');
+    logInfo(`🔍 [Forensics] ${bundle.orderId}: bundle ${bundleId} saved (${reason})`);
+
+    try {
+      this.prune();
+    } catch (err) {
+      logFail(`[Forensics] Retention failed: ${err.message}`);
+    }
+    return bundle;
+  }
+
+  /**
+   * Bundles, newest first.
+   * @param {object} [options]
+   * @param {string} [options.orderId] - only this order
+   * @param {number} [options.limit]
+   * @returns {Object[]} summaries (no console / request logs)
+   */
+  list({ orderId = null, limit = FORENSICS.LIST_LIMIT } = {}) {
+    return this._scan(orderId != null ? orderDirName(orderId) : null)
+      .sort((a, b) => b.bundleId.localeCompare(a.bundleId))
+      .slice(0, limit)
+      .map(({ orderDir, bundleId, bytes }) => {
+        const bundle = this.get(orderDir, bundleId);
+        return {
+          orderId: bundle?.orderId ?? orderDir,
+          orderDir,
+          bundleId,
+          reason: bundle?.reason ?? null,
+          step: bundle?.step ?? null,
+          url: bundle?.url ?? null,
+          files: bundle?.files ?? [],
+          consoleCount: bundle?.console?.length ?? 0,
+          failedRequestCount: bundle?.failedRequests?.length ?? 0,
+          capturedAt: bundle?.capturedAt ?? null,
+          bytes,
+        };
+      });
+  }
+
+  /**
+   * One bundle's metadata.
+   * @param {string} orderDir - orderDirName(orderId), as listed
+   * @param {string} bundleId
+   * @returns {Object|null} null when it does not exist
+   */
+  get(orderDir, bundleId) {
+    const dir = this._bundleDir(orderDir, bundleId);
+    if (!dir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, BUNDLE_FILE), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Absolute path of a bundle artifact (ARTIFACTS), for the Dashboard to send.
+   * @returns {string|null} null for unknown files, unsafe names or missing bundles
+   */
+  filePath(orderDir, bundleId, fileName) {
+    if (!Object.values(ARTIFACTS).includes(fileName)) return null;
+    const dir = this._bundleDir(orderDir, bundleId);
+    if (!dir) return null;
+    const file = path.join(dir, fileName);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Retention: keep the latest bundles of each order, then delete the oldest
+   * bundles until the total fits (the newest bundle is always kept).
+   * @returns {number} bundles deleted
+   */
+  prune() {
+    const bundles = this._scan(null).sort((a, b) => a.bundleId.localeCompare(b.bundleId));
+    const doomed = new Set();
+
+    const perOrder = new Map();
+    for (const bundle of bundles) {
+      if (!perOrder.has(bundle.orderDir)) perOrder.set(bundle.orderDir, []);
+      perOrder.get(bundle.orderDir).push(bundle);
+    }
+    for (const list of perOrder.values()) {
+      list.slice(0, Math.max(0, list.length - this.config.maxBundlesPerOrder)).forEach(b => doomed.add(b));
+    }
+
+    const kept = bundles.filter(b => !doomed.has(b));
+    let total = kept.reduce((sum, b) => sum + b.bytes, 0);
+    for (const bundle of kept.slice(0, -1)) {
+      if (total <= this.config.maxTotalBytes) break;
+      doomed.add(bundle);
+      total -= bundle.bytes;
+    }
+
+    for (const bundle of doomed) {
+      fs.rmSync(bundle.dir, { recursive: true, force: true });
+      const orderPath = path.dirname(bundle.dir);
+      if (fs.readdirSync(orderPath).length === 0) fs.rmdirSync(orderPath);
+    }
+    if (doomed.size > 0) logInfo(`🧹 [Forensics] Retention removed ${doomed.size} bundle(s)`);
+    return doomed.size;
+  }
+
+  // ================================================================ Helpers
+
+  /** Bundle directory, or null when a segment is unsafe or the bundle does not exist */
+  _bundleDir(orderDir, bundleId) {
+    if (!SAFE_SEGMENT.test(String(orderDir)) || !SAFE_SEGMENT.test(String(bundleId))) return null;
+    const dir = path.join(this.config.dir, orderDir, bundleId);
+    return fs.existsSync(path.join(dir, BUNDLE_FILE)) ? dir : null;
+  }
+
+  /** All bundles on disk (optionally of one order dir) with their size */
+  _scan(onlyOrderDir) {
+    if (!fs.existsSync(this.config.dir)) return [];
+    const orderDirs = onlyOrderDir ? [onlyOrderDir] : fs.readdirSync(this.config.dir);
+    const bundles = [];
+    for (const orderDir of orderDirs) {
+      const orderPath = path.join(this.config.dir, orderDir);
+      if (!SAFE_SEGMENT.test(orderDir) || !fs.existsSync(orderPath) || !fs.statSync(orderPath).isDirectory()) continue;
+      for (const bundleId of fs.readdirSync(orderPath)) {
+        const dir = path.join(orderPath, bundleId);
+        if (!fs.statSync(dir).isDirectory()) continue;
+        const bytes = fs.readdirSync(dir).reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+        bundles.push({ orderDir, bundleId, dir, bytes });
+      }
+    }
+    return bundles;
+  }
+
+  /** Sortable, filesystem-safe id from the capture time (strictly increasing within the process) */
+  _newBundleId(orderDir) {
+    this._lastStamp = Math.max(Date.now(), (this._lastStamp || 0) + 1);
+    const base = new Date(this._lastStamp).toISOString().replace(/[:.]/g, '-');
+    let bundleId = base;
+    for (let n = 2; fs.existsSync(path.join(this.config.dir, orderDir, bundleId)); n++) {
+      bundleId = `${base}_${n}`;
+    }
+    return bundleId;
+  }
+}
+
+// Lazily created so the directory is only resolved by processes that save or serve bundles
+let _instance = null;
+
+/** @returns {FailureForensics} Shared store at FORENSICS.DIR */
+function getFailureForensics() {
+  if (!_instance) _instance = new FailureForensics();
+  return _instance;
+}
+
+module.exports = { FailureForensics, ForensicsRecorder, getFailureForensics, orderDirName, ARTIFACTS };
@@ -94,8 +94,8 @@ class MoraviaStatusSync {
     try {
       logInfo(`[StatusSync] Sync #${syncId} started`);
 
-      // loadAndFilterTasks reads acceptedTasks.json, queries Google Sheet,
-      // removes completed/on-hold tasks, and returns counts.
+      // loadAndFilterTasks reads active tasks from the task store, queries Google Sheet,
+      // marks completed/on-hold tasks in the store, and returns counts.
       const result = await this.taskReporter.loadAndFilterTasks();
 
       const completedCount = result.completedCount || 0;
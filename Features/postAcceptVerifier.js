@@ -173,7 +173,7 @@ class PostAcceptVerifier {
         // Rollback capacity allocation
         if (item.allocationPlan && item.allocationPlan.length > 0) {
           try {
-            await this.capacityTracker.releaseCapacity(item.allocationPlan);
+            await this.capacityTracker.releaseCapacity(item.allocationPlan, item.orderId);
             logInfo(`[PostVerify] Capacity rolled back for Order ${item.orderId}`);
           } catch (rollbackErr) {
             logFail(`[PostVerify] Capacity rollback failed for Order ${item.orderId}: ${rollbackErr.message}`);
@@ -0,0 +1,155 @@
+/**
+ * Features/selectorHealth.js
+ * Selector Health - which locator strategy located each accept-workflow step,
+ * and an early warning when a step's primary selector stops matching.
+ *
+ * Singleton pattern: use `selectorHealth` export for shared instance.
+ *
+ * Key behaviors:
+ * - recordMatch() keeps the winning locator (rank, strategy, selector) and a
+ *   win count per strategy for every step
+ * - A fallback win means the primary was checked and is missing: after
+ *   DRIFT_ALERT_AFTER such wins in a row the step is "drifting" and a Google
+ *   Chat alert is sent (at most once per ALERT_COOLDOWN), while the accept
+ *   still succeeds - the selector can be fixed before it breaks completely
+ * - A primary win ends the drift; editing the primary selector starts over
+ * - Persisted to data/selectorHealth.json; getStatus() feeds the Dashboard
+ */
+
+const path = require('path');
+const { loadJSON, saveJSON } = require('../Utils/fileUtils');
+const { SELECTOR_HEALTH } = require('../Config/constants');
+const { notifyGoogleChat } = require('../Logs/notifier');
+const { logInfo, logFail } = require('../Logs/logger');
+
+class SelectorHealth {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.filePath] - Override state file path (useful for tests)
+   * @param {Function} [options.notifier] - notification function (default notifyGoogleChat)
+   * @param {number} [options.alertAfter] - consecutive fallback wins before alerting
+   * @param {number} [options.alertCooldown] - ms between alerts for the same step
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '..', SELECTOR_HEALTH.PATH);
+    this.notifier = options.notifier || notifyGoogleChat;
+    this.alertAfter = options.alertAfter ?? SELECTOR_HEALTH.DRIFT_ALERT_AFTER;
+    this.alertCooldown = options.alertCooldown ?? SELECTOR_HEALTH.ALERT_COOLDOWN;
+    /** @type {Object<string, Object>|null} stepId → state, loaded on first use */
+    this._steps = null;
+  }
+
+  _load() {
+    if (!this._steps) this._steps = loadJSON(this.filePath, {});
+    return this._steps;
+  }
+
+  /**
+   * State of a step, reset when its primary selector was edited.
+   */
+  _entry(step, version) {
+    const steps = this._load();
+    const primary = step.selectors[0];
+    let entry = steps[step.id];
+    if (!entry || entry.primary !== primary) {
+      entry = {
+        stepId: step.id,
+        primary,
+        wins: {},
+        fallbackStreak: 0,
+        missStreak: 0,
+        drifting: false,
+        lastAlertAt: null
+      };
+      steps[step.id] = entry;
+    }
+    entry.workflowVersion = version;
+    return entry;
+  }
+
+  /* ------------------------------------------------------------------ Record */
+
+  /**
+   * Record the locator that found a step's element.
+   * @param {Object} step - compiled workflow step (id, name, selectors)
+   * @param {{ rank: number, strategy: string, selector: string }} winner
+   * @param {Object} [options]
+   * @param {string} [options.version] - workflow version
+   */
+  recordMatch(step, winner, { version = null } = {}) {
+    const entry = this._entry(step, version);
+    const now = new Date().toISOString();
+
+    entry.last = { rank: winner.rank, strategy: winner.strategy, selector: winner.selector, at: now };
+    entry.wins[winner.strategy] = (entry.wins[winner.strategy] || 0) + 1;
+    entry.missStreak = 0;
+
+    if (winner.rank === 0) {
+      if (entry.drifting) logInfo(`[SelectorHealth] ${step.id}: primary selector matches again`);
+      entry.fallbackStreak = 0;
+      entry.drifting = false;
+    } else {
+      entry.fallbackStreak++;
+      entry.drifting = entry.fallbackStreak >= this.alertAfter;
+      if (entry.drifting && this._cooledDown(entry)) {
+        entry.lastAlertAt = now;
+        this._alert(step, entry, winner);
+      }
+    }
+
+    this._save();
+  }
+
+  /**
+   * Record that no locator of a step found its element.
+   * @param {Object} step - compiled workflow step
+   * @param {Object} [options]
+   * @param {string} [options.version] - workflow version
+   */
+  recordMiss(step, { version = null } = {}) {
+    const entry = this._entry(step, version);
+    entry.missStreak++;
+    entry.lastMissAt = new Date().toISOString();
+    this._save();
+  }
+
+  _cooledDown(entry) {
+    return !entry.lastAlertAt || Date.now() - new Date(entry.lastAlertAt).getTime() >= this.alertCooldown;
+  }
+
+  /** Fire-and-forget: the accept in progress must not wait for the webhook */
+  _alert(step, entry, winner) {
+    const message = `⚠️ [Selector drift] ${step.id} (${step.name}): primary selector \`${entry.primary}\` no longer matches; `
+      + `fallback #${winner.rank + 1} (${winner.strategy}) \`${winner.selector}\` is in use since ${entry.fallbackStreak} run(s). `
+      + `Update Config/acceptWorkflow.json (v${entry.workflowVersion}) before the fallback breaks too.`;
+    logFail(`[SelectorHealth] ${message}`);
+    Promise.resolve()
+      .then(() => this.notifier(message))
+      .catch(err => logFail(`[SelectorHealth] Drift alert failed: ${err.message}`));
+  }
+
+  _save() {
+    try {
+      saveJSON(this.filePath, this._steps);
+    } catch (err) {
+      logFail(`[SelectorHealth] Cannot save ${path.basename(this.filePath)}: ${err.message}`);
+    }
+  }
+
+  /* ------------------------------------------------------------------ Read */
+
+  /**
+   * Per-step locator state, drifting steps first (for the Dashboard).
+   * @returns {{ drifting: number, steps: Object[] }}
+   */
+  getStatus() {
+    const steps = Object.values(this._load())
+      .sort((a, b) => Number(b.drifting) - Number(a.drifting) || a.stepId.localeCompare(b.stepId));
+    return { drifting: steps.filter(s => s.drifting).length, steps };
+  }
+}
+
+// ---- Singleton ----
+const selectorHealth = new SelectorHealth();
+
+module.exports = { selectorHealth, SelectorHealth };
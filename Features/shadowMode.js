@@ -0,0 +1,195 @@
+/**
+ * Features/shadowMode.js
+ * Shadow (dry-run) mode - run the full accept pipeline against live email
+ * traffic without touching Moravia, Google Sheets or capacity.json.
+ *
+ * Singleton pattern: use `shadowRecorder` export for shared instance.
+ *
+ * Key behaviors:
+ * - Records every acceptance decision (and every side-effect that WOULD have
+ *   happened) as one JSON line in data/shadowDecisions.jsonl
+ * - createShadowActions() returns recording stubs with the same signatures as
+ *   runTaskInNewBrowser / markStatusWithRetry / updateTaskRowByOrderId / the capacity
+ *   reserve/commit/release calls / removeTaskCapacity
+ * - Keeps the most recent entries in memory for the Dashboard shadow panel
+ *
+ * Enable with SHADOW_MODE=true (Config/configs.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const businessTime = require('../Utils/businessTime');
+const { SHADOW } = require('../Config/constants');
+const { logInfo, logFail } = require('../Logs/logger');
+
+class ShadowRecorder {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.logPath] - Override JSONL path (useful for tests)
+   * @param {number} [options.maxRecent] - In-memory entries kept for the Dashboard
+   */
+  constructor(options = {}) {
+    this.logPath = options.logPath || path.join(__dirname, '..', SHADOW.LOG_PATH);
+    this.maxRecent = options.maxRecent || SHADOW.MAX_RECENT;
+    this.recent = [];
+    this.counters = { decisions: 0, accepted: 0, rejected: 0, onHold: 0, actions: 0 };
+    this.byCode = {};
+  }
+
+  // ------------------------------------------------------------------ Record
+
+  /**
+   * Record an acceptance decision for an incoming task.
+   *
+   * @param {object} task - incoming task payload (orderId, workflowName, amountWords, ...)
+   * @param {object} evalRes - result of evaluateTaskAcceptance(), or { code: 'ON_HOLD' }
+   */
+  recordDecision(task, evalRes) {
+    const decision = evalRes.code === 'ON_HOLD'
+      ? 'on_hold'
+      : (evalRes.accepted ? 'accepted' : 'rejected');
+
+    this.counters.decisions++;
+    if (decision === 'accepted') this.counters.accepted++;
+    else if (decision === 'rejected') this.counters.rejected++;
+    else this.counters.onHold++;
+    this.byCode[evalRes.code] = (this.byCode[evalRes.code] || 0) + 1;
+
+    this._write({
+      type: 'decision',
+      decision,
+      orderId: task.orderId,
+      workflowName: task.workflowName || null,
+      amountWords: task.amountWords,
+      plannedEndDate: task.plannedEndDate,
+      receivedDate: task.receivedDate || null,
+      code: evalRes.code,
+      message: evalRes.message || '',
+      rule: evalRes.rule || null,
+      urgent: !!evalRes.urgent,
+      rawDeadline: evalRes.rawDeadline || '',
+      effectiveDeadline: evalRes.effectiveDeadline || '',
+      allocationPlan: evalRes.allocationPlan || [],
+      strategy: evalRes.strategy || null,
+      assignee: evalRes.assignee || null,
+    });
+  }
+
+  /**
+   * Record a side-effect that was suppressed by shadow mode.
+   * @param {string} action - e.g. 'acceptInMoravia', 'markStatus', 'applyCapacity'
+   * @param {object} payload
+   */
+  recordAction(action, payload = {}) {
+    this.counters.actions++;
+    this._write({ type: 'action', action, ...payload });
+  }
+
+  /** Append one entry to the JSONL log and the in-memory ring buffer */
+  _write(entry) {
+    const line = { timestamp: businessTime.now().format('YYYY-MM-DD HH:mm:ss'), ...entry };
+
+    this.recent.push(line);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, JSON.stringify(line) + '\n');
+    } catch (err) {
+      logFail(`[Shadow] Failed to write decision log: ${err.message}`);
+    }
+  }
+
+  // ------------------------------------------------------------------ Query
+
+  /**
+   * Most recent entries, newest first.
+   * @param {number} [limit=50]
+   * @param {string} [type] - 'decision' | 'action' (all when omitted)
+   */
+  getRecent(limit = 50, type) {
+    const entries = type ? this.recent.filter(e => e.type === type) : this.recent;
+    return entries.slice(-limit).reverse();
+  }
+
+  /**
+   * Dashboard-friendly summary.
+   * @param {boolean} enabled - whether this process runs in shadow mode
+   */
+  getSummary(enabled) {
+    return {
+      enabled,
+      logPath: this.logPath,
+      counters: { ...this.counters },
+      byCode: { ...this.byCode },
+    };
+  }
+}
+
+/**
+ * Build recording stubs that replace the side-effecting pipeline functions.
+ * Signatures match the real implementations so TaskHandler can swap them 1:1.
+ *
+ * @param {ShadowRecorder} recorder
+ * @returns {{ runTaskInNewBrowser: Function, markStatusWithRetry: Function,
+ *             updateTaskRowByOrderId: Function, reserveCapacity: Function,
+ *             refreshReservation: Function, releaseReservation: Function, applyCapacity: Function,
+ *             releaseCapacity: Function, removeTaskCapacity: Function }}
+ */
+function createShadowActions(recorder) {
+  return {
+    runTaskInNewBrowser: async ({ task }) => {
+      recorder.recordAction('acceptInMoravia', { orderId: task.orderId, url: task.url });
+      return { success: true, reason: 'SHADOW_MODE' };
+    },
+
+    markStatusWithRetry: async (orderId, status, assignee, receivedDate, _retries, sheet = null) => {
+      recorder.recordAction('markStatus', { orderId, status, assignee, receivedDate: receivedDate || null, sheetId: sheet?.sheetId || null });
+      return true;
+    },
+
+    updateTaskRowByOrderId: async (orderId, receivedDate, values, sheet = null) => {
+      recorder.recordAction('updateTaskRow', { orderId, receivedDate: receivedDate || null, ...values, sheetId: sheet?.sheetId || null });
+      return true;
+    },
+
+    reserveCapacity: (allocationPlan, orderId, { strategy = null } = {}) => {
+      recorder.recordAction('reserveCapacity', { orderId, allocationPlan, strategy });
+      return { orderId, plan: allocationPlan, strategy, expiresAt: null };
+    },
+
+    refreshReservation: (allocationPlan, orderId) => {
+      recorder.recordAction('refreshReservation', { orderId });
+      return true;
+    },
+
+    releaseReservation: (orderId, reason) => {
+      recorder.recordAction('releaseReservation', { orderId, reason });
+      return false;
+    },
+
+    applyCapacity: async (allocationPlan, orderId, { strategy = null } = {}) => {
+      recorder.recordAction('applyCapacity', { orderId, allocationPlan, strategy });
+    },
+
+    releaseCapacity: async (allocationPlan, orderId) => {
+      recorder.recordAction('releaseCapacity', { orderId, allocationPlan });
+    },
+
+    removeTaskCapacity: async (orderId, receivedDate) => {
+      recorder.recordAction('removeTaskCapacity', { orderId, receivedDate: receivedDate || null });
+      return { ok: true, removed: false };
+    },
+  };
+}
+
+const shadowRecorder = new ShadowRecorder();
+
+/** Log once at startup so operators can't miss that nothing is being accepted */
+function announceShadowMode() {
+  logInfo(`[Shadow] SHADOW MODE ACTIVE - no Moravia clicks, Sheets writes or capacity changes. Decisions -> ${shadowRecorder.logPath}`);
+}
+
+module.exports = { ShadowRecorder, shadowRecorder, createShadowActions, announceShadowMode };
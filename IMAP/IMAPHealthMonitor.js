@@ -1,7 +1,9 @@
 /**
  * IMAPHealthMonitor - Centralized IMAP health tracking and alerting
  *
- * Tracks reconnect frequency per mailbox and consecutive health-check failures.
+ * Tracks reconnect frequency per mailbox, consecutive health-check failures,
+ * authentication failures (rejected login / XOAUTH2 token refresh) and emails
+ * recovered by the reconciliation sweep.
  * Sends Google Chat alerts when thresholds are breached.
  * Exposes a JSON-serialisable snapshot for the Dashboard API.
  */
@@ -19,9 +21,12 @@ class IMAPHealthMonitor {
     // { mailbox: string, timestamp: number }[]
     this.reconnectHistory = [];
 
-    // mailbox -> { healthy, lastCheck, lastError, consecutiveFailures }
+    // mailbox -> { healthy, lastCheck, lastError, consecutiveFailures, lastSweep, recovered, lastRecovered }
     this.healthStatus = new Map();
 
+    // source (mailbox name or 'token') -> { ok, failures, lastFailure, lastError, lastSuccess }
+    this.authStatus = new Map();
+
     this.alertThresholds = {
       reconnectsPerWindow: IMAP_HEALTH.RECONNECT_ALERT_THRESHOLD,
       windowMs: IMAP_HEALTH.RECONNECT_ALERT_WINDOW,
@@ -35,6 +40,7 @@ class IMAPHealthMonitor {
     // mailbox -> timestamp of last alert sent
     this._lastReconnectAlert = new Map();
     this._lastFailureAlert = new Map();
+    this._lastAuthAlert = new Map();
 
     // Periodic prune timer (auto-cleanup old history entries)
     this._pruneTimer = setInterval(() => {
@@ -107,6 +113,60 @@ class IMAPHealthMonitor {
     }
   }
 
+  /**
+   * Record a reconciliation sweep. Called from imapClient.js after sweepMailbox().
+   * Recovered emails mean an 'exists' event was missed (IDLE dropped, or IMAP was paused).
+   * @param {string} mailboxName
+   * @param {number} recovered - emails the sweep processed
+   * @param {string} [trigger='scheduled'] - 'scheduled' | 'resume'
+   */
+  recordSweep(mailboxName, recovered, trigger = 'scheduled') {
+    this._ensureMailbox(mailboxName);
+
+    const status = this.healthStatus.get(mailboxName);
+    status.lastSweep = Date.now();
+    if (recovered > 0) {
+      status.recovered += recovered;
+      status.lastRecovered = { count: recovered, trigger, timestamp: status.lastSweep };
+      logInfo(`[IMAPHealthMonitor] Sweep (${trigger}) recovered ${recovered} missed email(s) in "${mailboxName}" (${status.recovered} total)`);
+    }
+  }
+
+  /**
+   * Record an authentication failure. Called from imapClient.js when the server
+   * rejects the login or an XOAUTH2 token cannot be refreshed.
+   * Auth failures do not heal on their own, so the first one alerts (once per window).
+   * @param {string} source - mailbox name, or 'token' for background token refreshes
+   * @param {Error|string} error
+   */
+  recordAuthFailure(source, error) {
+    const now = Date.now();
+    const status = this._ensureAuth(source);
+    status.ok = false;
+    status.failures += 1;
+    status.lastFailure = now;
+    status.lastError = error instanceof Error ? error.message : error;
+
+    logFail(`[IMAPHealthMonitor] Auth failure for "${source}" (${status.failures} total): ${status.lastError}`);
+
+    const lastAlert = this._lastAuthAlert.get(source) || 0;
+    if (now - lastAlert >= this.alertThresholds.windowMs) {
+      this._lastAuthAlert.set(source, now);
+      this._sendAlert(`[Auto RWS] IMAP authentication failed for "${source}": ${status.lastError}`);
+    }
+  }
+
+  /**
+   * Record a successful login / token refresh (clears the failed state).
+   * @param {string} source - mailbox name, or 'token'
+   */
+  recordAuthSuccess(source) {
+    const status = this._ensureAuth(source);
+    status.ok = true;
+    status.lastSuccess = Date.now();
+    this._lastAuthAlert.delete(source);
+  }
+
   /**
    * Return a plain object snapshot suitable for JSON serialisation (Dashboard API).
    * @returns {Object}
@@ -127,6 +187,9 @@ class IMAPHealthMonitor {
         lastError: st.lastError,
         consecutiveFailures: st.consecutiveFailures,
         recentReconnects,
+        lastSweep: st.lastSweep,
+        recovered: st.recovered,
+        lastRecovered: st.lastRecovered,
       };
     }
 
@@ -134,7 +197,9 @@ class IMAPHealthMonitor {
       timestamp: now,
       thresholds: { ...this.alertThresholds },
       totalReconnectsTracked: this.reconnectHistory.length,
+      totalRecovered: Object.values(mailboxes).reduce((sum, mb) => sum + mb.recovered, 0),
       mailboxes,
+      auth: Object.fromEntries([...this.authStatus.entries()].map(([source, st]) => [source, { ...st }])),
     };
   }
 
@@ -160,8 +225,25 @@ class IMAPHealthMonitor {
         lastCheck: null,
         lastError: null,
         consecutiveFailures: 0,
+        lastSweep: null,
+        recovered: 0,
+        lastRecovered: null,
+      });
+    }
+  }
+
+  /** Ensure an auth source has an entry in authStatus. */
+  _ensureAuth(source) {
+    if (!this.authStatus.has(source)) {
+      this.authStatus.set(source, {
+        ok: true,
+        failures: 0,
+        lastFailure: null,
+        lastError: null,
+        lastSuccess: null,
       });
     }
+    return this.authStatus.get(source);
   }
 
   /**
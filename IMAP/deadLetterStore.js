@@ -0,0 +1,282 @@
+/**
+ * IMAP/deadLetterStore.js
+ * SQLite store of notification emails that failed to parse or parsed incomplete.
+ *
+ * Design rationale:
+ *   The fetcher marks every UID it touched as seen - including emails it could
+ *   not parse - so without a record they were never revisited. Each failure is
+ *   kept here with its raw .eml source on disk, which lets the Dashboard re-run
+ *   it through the parser after a fix (fetcher.reprocessDeadLetter).
+ *
+ * Status flow:  open -> resolved  (a later re-run that parses completely)
+ *
+ * (account, mailbox, uid) is UNIQUE: recording the same email again refreshes
+ * the reason and reopens it.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { logInfo, logFail } = require('../Logs/logger');
+const { DEAD_LETTER } = require('../Config/constants');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', DEAD_LETTER.DB_PATH);
+const DEFAULT_RAW_DIR = path.join(__dirname, '..', DEAD_LETTER.RAW_DIR);
+
+const DEAD_LETTER_REASON = Object.freeze({
+  PARSE_ERROR: 'parse_error',   // parser threw
+  INCOMPLETE: 'incomplete',     // parsed, but required fields are missing
+});
+
+const DEAD_LETTER_STATUS = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+});
+
+class DeadLetterStore {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dbPath] - Path to SQLite database file
+   * @param {string} [config.rawDir] - Directory for raw .eml sources
+   */
+  constructor(config = {}) {
+    this.config = {
+      dbPath: config.dbPath || DEFAULT_DB_PATH,
+      rawDir: config.rawDir || DEFAULT_RAW_DIR,
+    };
+
+    fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    this.db = new Database(this.config.dbPath);
+    this._initialize();
+  }
+
+  // ================================================================ Setup
+
+  /** Create tables, indexes and prepared statements */
+  _initialize() {
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS dead_letter_emails (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        account         TEXT    NOT NULL,
+        mailbox         TEXT    NOT NULL,
+        uid             INTEGER NOT NULL,
+        subject         TEXT,
+        from_address    TEXT,
+        order_id        TEXT,
+        reason          TEXT    NOT NULL CHECK (reason IN ('parse_error', 'incomplete')),
+        error           TEXT,
+        missing_fields  TEXT    NOT NULL DEFAULT '[]',
+        raw_path        TEXT,
+        status          TEXT    NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        last_result     TEXT,
+        created_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+        updated_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (account, mailbox, uid)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_dead_letter_status ON dead_letter_emails(status, id);
+    `);
+
+    this._stmts = {
+      upsert: this.db.prepare(`
+        INSERT INTO dead_letter_emails (account, mailbox, uid, subject, from_address, order_id, reason, error, missing_fields, raw_path)
+        VALUES (@account, @mailbox, @uid, @subject, @from, @orderId, @reason, @error, @missingFields, @rawPath)
+        ON CONFLICT (account, mailbox, uid) DO UPDATE SET
+          subject = excluded.subject, from_address = excluded.from_address, order_id = excluded.order_id,
+          reason = excluded.reason, error = excluded.error, missing_fields = excluded.missing_fields,
+          raw_path = COALESCE(excluded.raw_path, raw_path), status = 'open', updated_at = datetime('now')
+      `),
+
+      find: this.db.prepare(`
+        SELECT * FROM dead_letter_emails
+        WHERE account = @account AND mailbox = @mailbox AND uid = @uid
+      `),
+
+      get: this.db.prepare('SELECT * FROM dead_letter_emails WHERE id = ?'),
+
+      list: this.db.prepare(`
+        SELECT * FROM dead_letter_emails
+        WHERE @status IS NULL OR status = @status
+        ORDER BY id DESC
+        LIMIT @limit
+      `),
+
+      recordAttempt: this.db.prepare(`
+        UPDATE dead_letter_emails
+        SET attempts = attempts + 1, status = @status, missing_fields = @missingFields,
+            error = @error, last_result = @lastResult, updated_at = datetime('now')
+        WHERE id = @id
+      `),
+
+      countByStatus: this.db.prepare(`
+        SELECT status, COUNT(*) AS count FROM dead_letter_emails GROUP BY status
+      `),
+    };
+  }
+
+  // ================================================================ Writing
+
+  /**
+   * Record an email that failed to parse (or parsed incomplete) and keep its raw source.
+   * @param {object} entry
+   * @param {string} entry.account - IMAP account id
+   * @param {string} entry.mailbox - mailbox name (as opened on the server)
+   * @param {number} entry.uid
+   * @param {string} entry.reason - One of DEAD_LETTER_REASON
+   * @param {Buffer|string} [entry.source] - raw RFC 822 message
+   * @param {string} [entry.subject]
+   * @param {string} [entry.from]
+   * @param {string} [entry.orderId]
+   * @param {string} [entry.error]
+   * @param {string[]} [entry.missingFields]
+   * @returns {object} the stored entry
+   */
+  add({ account, mailbox, uid, reason, source = null, subject = null, from = null, orderId = null, error = null, missingFields = [] }) {
+    if (!Object.values(DEAD_LETTER_REASON).includes(reason)) {
+      throw new Error(`Unknown dead-letter reason: ${reason}`);
+    }
+
+    this._stmts.upsert.run({
+      account,
+      mailbox,
+      uid,
+      subject,
+      from,
+      orderId: orderId != null ? String(orderId) : null,
+      reason,
+      error,
+      missingFields: JSON.stringify(missingFields),
+      rawPath: source ? this._writeRaw(account, mailbox, uid, source) : null,
+    });
+
+    const entry = this._toEntry(this._stmts.find.get({ account, mailbox, uid }));
+    logInfo(`[DeadLetter] #${entry.id} ${reason} | ${account}:${mailbox} UID ${uid}${missingFields.length ? ` | missing ${missingFields.join(', ')}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Record the outcome of a re-run through the parser.
+   * @param {number} id
+   * @param {object} result
+   * @param {boolean} result.resolved - the email now parses completely
+   * @param {string[]} [result.missingFields]
+   * @param {string} [result.error]
+   * @param {object} [result.summary] - parsed fields, shown on the Dashboard
+   * @returns {object|null} the updated entry
+   */
+  recordAttempt(id, { resolved, missingFields = [], error = null, summary = null }) {
+    const changes = this._stmts.recordAttempt.run({
+      id,
+      status: resolved ? DEAD_LETTER_STATUS.RESOLVED : DEAD_LETTER_STATUS.OPEN,
+      missingFields: JSON.stringify(missingFields),
+      error,
+      lastResult: summary ? JSON.stringify(summary) : null,
+    }).changes;
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  // ================================================================ Queries
+
+  /**
+   * @param {number} id
+   * @returns {object|null}
+   */
+  get(id) {
+    const row = this._stmts.get.get(id);
+    return row ? this._toEntry(row) : null;
+  }
+
+  /**
+   * Newest first.
+   * @param {object} [options]
+   * @param {string|null} [options.status] - One of DEAD_LETTER_STATUS (null = all)
+   * @param {number} [options.limit]
+   * @returns {object[]}
+   */
+  list({ status = null, limit = DEAD_LETTER.LIST_LIMIT } = {}) {
+    return this._stmts.list.all({ status, limit }).map(r => this._toEntry(r));
+  }
+
+  /**
+   * Raw message source of an entry.
+   * @param {object} entry - from get() / list()
+   * @returns {Buffer}
+   */
+  readRaw(entry) {
+    if (!entry.rawPath || !fs.existsSync(entry.rawPath)) {
+      throw new Error(`Raw source for dead-letter #${entry.id} is not available`);
+    }
+    return fs.readFileSync(entry.rawPath);
+  }
+
+  /**
+   * Entry count per status.
+   * @returns {Object<string, number>}
+   */
+  getCounts() {
+    const counts = {};
+    for (const s of Object.values(DEAD_LETTER_STATUS)) counts[s] = 0;
+    for (const row of this._stmts.countByStatus.all()) counts[row.status] = row.count;
+    return counts;
+  }
+
+  /**
+   * Close the database connection. Call this on shutdown.
+   */
+  close() {
+    try {
+      if (this.db && this.db.open) {
+        this.db.close();
+        logInfo('[DeadLetter] Database closed');
+      }
+    } catch (err) {
+      logFail(`[DeadLetter] Error closing database: ${err.message}`);
+    }
+  }
+
+  // ================================================================ Helpers
+
+  _writeRaw(account, mailbox, uid, source) {
+    fs.mkdirSync(this.config.rawDir, { recursive: true });
+    const safeName = `${account}__${mailbox}`.replace(/[^\w-]+/g, '_');
+    const rawPath = path.join(this.config.rawDir, `${safeName}_${uid}.eml`);
+    fs.writeFileSync(rawPath, source);
+    return rawPath;
+  }
+
+  _toEntry(row) {
+    return {
+      id: row.id,
+      account: row.account,
+      mailbox: row.mailbox,
+      uid: row.uid,
+      subject: row.subject,
+      from: row.from_address,
+      orderId: row.order_id,
+      reason: row.reason,
+      error: row.error,
+      missingFields: JSON.parse(row.missing_fields),
+      rawPath: row.raw_path,
+      status: row.status,
+      attempts: row.attempts,
+      lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Lazily opened so modules that never dead-letter an email do not open SQLite
+let _instance = null;
+
+/** @returns {DeadLetterStore} Shared store at DEAD_LETTER.DB_PATH */
+function getDeadLetterStore() {
+  if (!_instance) _instance = new DeadLetterStore();
+  return _instance;
+}
+
+module.exports = { DeadLetterStore, getDeadLetterStore, DEAD_LETTER_REASON, DEAD_LETTER_STATUS };
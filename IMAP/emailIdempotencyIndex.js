@@ -0,0 +1,194 @@
+/**
+ * IMAP/emailIdempotencyIndex.js
+ * Durable index of task notifications already handed downstream.
+ *
+ * Design rationale:
+ *   seenUidsStore dedups per UID and keeps only the newest SEEN_UIDS_LIMIT
+ *   UIDs. Moravia re-sends the same notification as a new message, and moving
+ *   a mailbox renumbers its UIDs, so the same task can arrive under a UID the
+ *   fetcher has never seen. processEmailData claims each
+ *   (orderId, receivedDate, url) key here before invoking the callback; a key
+ *   that is already present is a duplicate and is suppressed.
+ *
+ * Keys are kept for configs.emailDedupRetentionDays (EMAIL_DEDUP_RETENTION_DAYS)
+ * and pruned on use, at most every EMAIL_IDEMPOTENCY.PRUNE_INTERVAL.
+ * received_date and url are stored as '' when unknown so they take part in the key.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { logInfo, logFail } = require('../Logs/logger');
+const { EMAIL_IDEMPOTENCY } = require('../Config/constants');
+const { emailDedupRetentionDays } = require('../Config/configs');
+const { normalizeDate } = require('../Task/taskStore');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', EMAIL_IDEMPOTENCY.DB_PATH);
+
+class EmailIdempotencyIndex {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dbPath] - Path to SQLite database file
+   * @param {number} [config.retentionDays] - How long keys are kept
+   */
+  constructor(config = {}) {
+    this.config = {
+      dbPath: config.dbPath || DEFAULT_DB_PATH,
+      retentionDays: config.retentionDays || emailDedupRetentionDays,
+    };
+    this.suppressedSinceStart = 0;
+    this.lastPrunedAt = null;
+
+    fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    this.db = new Database(this.config.dbPath);
+    this._initialize();
+  }
+
+  // ================================================================ Setup
+
+  /** Create tables and prepared statements */
+  _initialize() {
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS processed_emails (
+        order_id           TEXT    NOT NULL,
+        received_date      TEXT    NOT NULL DEFAULT '',
+        url                TEXT    NOT NULL DEFAULT '',
+        account            TEXT,
+        first_seen_at      INTEGER NOT NULL,
+        duplicates         INTEGER NOT NULL DEFAULT 0,
+        last_duplicate_at  INTEGER,
+        PRIMARY KEY (order_id, received_date, url)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_processed_emails_seen ON processed_emails(first_seen_at);
+
+      -- Counters that outlive pruned keys
+      CREATE TABLE IF NOT EXISTS idempotency_counters (
+        name   TEXT    PRIMARY KEY,
+        value  INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+
+    this._stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO processed_emails (order_id, received_date, url, account, first_seen_at)
+        VALUES (@orderId, @receivedDate, @url, @account, @now)
+        ON CONFLICT (order_id, received_date, url) DO NOTHING
+      `),
+
+      markDuplicate: this.db.prepare(`
+        UPDATE processed_emails SET duplicates = duplicates + 1, last_duplicate_at = @now
+        WHERE order_id = @orderId AND received_date = @receivedDate AND url = @url
+      `),
+
+      bumpCounter: this.db.prepare(`
+        INSERT INTO idempotency_counters (name, value) VALUES (@name, 1)
+        ON CONFLICT (name) DO UPDATE SET value = value + 1
+      `),
+
+      counter: this.db.prepare('SELECT value FROM idempotency_counters WHERE name = ?'),
+
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM processed_emails'),
+
+      prune: this.db.prepare('DELETE FROM processed_emails WHERE first_seen_at < @cutoff'),
+    };
+
+    this._claim = this.db.transaction((key) => {
+      if (this._stmts.insert.run(key).changes > 0) return true;
+      this._stmts.markDuplicate.run(key);
+      this._stmts.bumpCounter.run({ name: 'suppressed' });
+      return false;
+    });
+  }
+
+  // ================================================================ Core Methods
+
+  /**
+   * Record a task notification. Returns false when the same
+   * (orderId, receivedDate, url) was already handed downstream.
+   * @param {object} task
+   * @param {string} task.orderId
+   * @param {string|null} [task.receivedDate]
+   * @param {string|null} [task.url] - Moravia link (null for "On Hold")
+   * @param {string|null} [task.account] - IMAP account (informational, not part of the key)
+   * @returns {boolean} true when the task is new
+   */
+  claim({ orderId, receivedDate = null, url = null, account = null }) {
+    this._pruneIfDue();
+    const isNew = this._claim({
+      orderId: String(orderId),
+      receivedDate: normalizeDate(receivedDate),
+      url: url || '',
+      account,
+      now: Date.now(),
+    });
+    if (!isNew) this.suppressedSinceStart++;
+    return isNew;
+  }
+
+  /**
+   * Drop keys older than the retention.
+   * @returns {number} keys removed
+   */
+  prune() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    const removed = this._stmts.prune.run({ cutoff }).changes;
+    this.lastPrunedAt = Date.now();
+    if (removed > 0) {
+      logInfo(`[EmailIndex] Pruned ${removed} key(s) older than ${this.config.retentionDays} days`);
+    }
+    return removed;
+  }
+
+  /**
+   * Counters for the Dashboard.
+   */
+  getStats() {
+    return {
+      trackedKeys: this._stmts.count.get().count,
+      suppressedTotal: this._stmts.counter.get('suppressed')?.value || 0,
+      suppressedSinceStart: this.suppressedSinceStart,
+      retentionDays: this.config.retentionDays,
+      lastPrunedAt: this.lastPrunedAt,
+    };
+  }
+
+  /**
+   * Close the database connection. Call this on shutdown.
+   */
+  close() {
+    try {
+      if (this.db && this.db.open) {
+        this.db.close();
+        logInfo('[EmailIndex] Database closed');
+      }
+    } catch (err) {
+      logFail(`[EmailIndex] Error closing database: ${err.message}`);
+    }
+  }
+
+  // ================================================================ Helpers
+
+  _pruneIfDue() {
+    if (this.lastPrunedAt && Date.now() - this.lastPrunedAt < EMAIL_IDEMPOTENCY.PRUNE_INTERVAL) return;
+    try {
+      this.prune();
+    } catch (err) {
+      logFail(`[EmailIndex] Prune failed: ${err.message}`);
+    }
+  }
+}
+
+// Lazily opened so modules that never dispatch a task do not open SQLite
+let _instance = null;
+
+/** @returns {EmailIdempotencyIndex} Shared index at EMAIL_IDEMPOTENCY.DB_PATH */
+function getEmailIdempotencyIndex() {
+  if (!_instance) _instance = new EmailIdempotencyIndex();
+  return _instance;
+}
+
+module.exports = { EmailIdempotencyIndex, getEmailIdempotencyIndex };
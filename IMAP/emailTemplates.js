@@ -0,0 +1,384 @@
+/**
+ * EmailTemplates — declarative notification email templates
+ * Location: ./IMAP/emailTemplates.js
+ *
+ * Loads every *.json file in Config/emailTemplates/. A template describes one
+ * Moravia notification layout:
+ * {
+ *   "id": "moravia-th",
+ *   "version": "1.0.0",                        // reported with every email parsed by it
+ *   "language": "th",                          // ISO 639-1; matched against Content-Language / <html lang>
+ *   "extends": "moravia-en",                   // optional: inherit fields, kinds, links and dateFormats
+ *   "default": false,                          // the default template is used when no language matches
+ *   "detect": {
+ *     "charPattern": "[\\u0E00-\\u0E7F]",      // body heuristic when no header / lang attribute names the language
+ *     "priority": 30,                          // heuristics are tried highest first
+ *     "marker": "Task notification v2"         // optional: pick this template over the language's plain one when the body matches
+ *   },
+ *   "fields": {
+ *     "status":         { "label": "สถานะ", "regex": "สถานะ\\s*[:：]?\\s*([ก-๛A-Za-z ]+)", "flags": "i" },
+ *     "amountWords":    { "label": "จำนวนคำ", "regex": "..." },
+ *     "plannedEndDate": { "label": "วันส่งมอบ", "regex": "..." },
+ *     "workflowName":   { "label": "ชื่อเวิร์กโฟลว์" },
+ *     "orderId":        { "regex": "\\[#(\\d+)\\]" },
+ *     "client":         { "label": "ลูกค้า" }     // optional metadata (TASK_METADATA.FIELDS): label and/or regex
+ *   },
+ *   "kinds": {                                 // optional: recognise change notifications (Config NOTIFICATION_KIND)
+ *     "cancelled":        { "status": "^ยกเลิก$", "regex": "order .* has been cancel+ed", "flags": "i" },
+ *     "deadline_changed": { "regex": "planned end .* changed" },
+ *     "words_changed":    { "regex": "amounts? .* changed" }
+ *   },
+ *   "links": { "regex": "https://projects\\.moravia\\.com/Task/..." },
+ *   "dateFormats": ["DD.MM.YYYY h:mm A", "YYYY-MM-DD HH:mm"]
+ * }
+ *
+ * "label" is the table cell the value sits next to (td:contains("label"));
+ * "regex" is the fallback and must capture the value in group 1.
+ * A kind matches when its "status" regex matches the extracted status or its
+ * "regex" matches the subject + body.
+ *
+ * Templates are validated at load: an invalid one is logged and skipped, and
+ * an edit that leaves no valid template keeps the previous set. The directory
+ * is re-read when a file is added, removed or changed (same idea as TeamRoster).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { logFail, logInfo } = require('../Logs/logger');
+const { EMAIL_TEMPLATES, NOTIFICATION_KIND, TASK_METADATA } = require('../Config/constants');
+
+/* ========================= Paths ========================= */
+const TEMPLATES_DIR = path.join(__dirname, '..', EMAIL_TEMPLATES.DIR);
+
+/** Fields extracted with a regex; each needs a capture group */
+const REGEX_FIELDS = ['status', 'amountWords', 'plannedEndDate', 'orderId'];
+
+/** Notification kinds a template can recognise with "kinds" rules (assignments / on hold need none) */
+const RULE_KINDS = [NOTIFICATION_KIND.CANCELLED, NOTIFICATION_KIND.DEADLINE_CHANGED, NOTIFICATION_KIND.WORDS_CHANGED];
+
+/** fields.<name>.label → domLabels key used by EmailContentParser */
+const LABEL_KEYS = { status: 'status', amountWords: 'amounts', plannedEndDate: 'plannedEnd', workflowName: 'workflowName' };
+
+/* ========================= Helpers ========================= */
+/**
+ * Compile { regex, flags } from a template.
+ * @param {Object} spec
+ * @param {string} where - path within the template, for error messages
+ * @param {Object} [options]
+ * @param {boolean} [options.capture] - require a capture group
+ * @param {boolean} [options.global] - compile with the g flag (links are matched all at once)
+ * @returns {RegExp}
+ */
+function compileRegex(spec, where, { capture = false, global = false } = {}) {
+  const source = typeof spec === 'string' ? spec : spec?.regex;
+  if (typeof source !== 'string' || !source) throw new Error(`${where} regex is required`);
+
+  const flags = String(spec?.flags || '').replace(/g/g, '') + (global ? 'g' : '');
+  let regex;
+  try {
+    regex = new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`${where} regex is invalid: ${err.message}`);
+  }
+  // An alternation with the empty string always matches, so exec() reports the group count
+  if (capture && new RegExp(`${source}|`, flags.replace('g', '')).exec('').length < 2) {
+    throw new Error(`${where} regex must capture the value in a group`);
+  }
+  return regex;
+}
+
+/**
+ * Merge a template over the one it extends (fields and kinds per entry, links and dateFormats whole).
+ * id, version, language, detect and default are never inherited.
+ * @param {Object} raw
+ * @param {Map<string, Object>} byId - raw templates by id
+ * @param {string[]} [chain] - ids already visited (cycle detection)
+ * @returns {Object}
+ */
+function resolveExtends(raw, byId, chain = []) {
+  if (!raw.extends) return raw;
+  const baseId = String(raw.extends);
+  if (chain.includes(baseId) || baseId === String(raw.id)) throw new Error(`circular extends via "${baseId}"`);
+  const baseRaw = byId.get(baseId);
+  if (!baseRaw) throw new Error(`extends unknown template "${baseId}"`);
+
+  const base = resolveExtends(baseRaw, byId, [...chain, String(raw.id)]);
+  const mergeEntries = (baseMap = {}, ownMap = {}) => {
+    const merged = { ...baseMap };
+    for (const [name, spec] of Object.entries(ownMap)) merged[name] = { ...baseMap[name], ...spec };
+    return merged;
+  };
+  return {
+    ...raw,
+    fields: mergeEntries(base.fields, raw.fields),
+    kinds: mergeEntries(base.kinds, raw.kinds),
+    links: raw.links || base.links,
+    dateFormats: raw.dateFormats || base.dateFormats
+  };
+}
+
+/**
+ * Validate and compile one (extends-resolved) template. Throws with the reason.
+ * @returns {Object} compiled template
+ */
+function compileTemplate(id, def) {
+  const version = def.version != null ? String(def.version).trim() : '';
+  if (!version) throw new Error('version is required');
+  const language = String(def.language || '').trim().toLowerCase();
+  if (!/^[a-z]{2}$/.test(language)) throw new Error('language must be a two-letter code');
+
+  const fields = def.fields || {};
+  const patterns = {};
+  for (const name of REGEX_FIELDS) {
+    patterns[name] = compileRegex(fields[name], `fields.${name}`, { capture: true });
+  }
+  patterns.moraviaLinks = compileRegex(def.links, 'links', { global: true });
+
+  const domLabels = {};
+  for (const [name, key] of Object.entries(LABEL_KEYS)) {
+    const label = fields[name]?.label;
+    if (label != null && (typeof label !== 'string' || label.includes('"'))) {
+      throw new Error(`fields.${name}.label must be a string without double quotes`);
+    }
+    domLabels[key] = label || null;
+  }
+
+  // Optional metadata fields: a label, a regex, or both
+  const metadata = {};
+  for (const name of TASK_METADATA.FIELDS) {
+    const spec = fields[name];
+    if (!spec) continue;
+    if (spec.label != null && (typeof spec.label !== 'string' || spec.label.includes('"'))) {
+      throw new Error(`fields.${name}.label must be a string without double quotes`);
+    }
+    if (!spec.label && !spec.regex) throw new Error(`fields.${name} needs a label or regex`);
+    metadata[name] = {
+      label: spec.label || null,
+      regex: spec.regex ? compileRegex(spec, `fields.${name}`, { capture: true }) : null
+    };
+  }
+
+  const kinds = {};
+  for (const [kind, rule] of Object.entries(def.kinds || {})) {
+    if (!RULE_KINDS.includes(kind)) throw new Error(`kinds.${kind} is not one of ${RULE_KINDS.join(', ')}`);
+    if (!rule?.status && !rule?.regex) throw new Error(`kinds.${kind} needs a status or regex`);
+    kinds[kind] = {
+      status: rule.status ? compileRegex({ regex: rule.status, flags: rule.flags }, `kinds.${kind}.status`) : null,
+      regex: rule.regex ? compileRegex(rule, `kinds.${kind}`) : null
+    };
+  }
+
+  const dateFormats = def.dateFormats;
+  if (!Array.isArray(dateFormats) || dateFormats.length === 0 || dateFormats.some(f => typeof f !== 'string' || !f.trim())) {
+    throw new Error('dateFormats must be a non-empty array of dayjs formats');
+  }
+
+  const detect = def.detect || {};
+  if (detect.priority != null && !Number.isFinite(Number(detect.priority))) {
+    throw new Error('detect.priority must be a number');
+  }
+
+  return {
+    id,
+    version,
+    language,
+    description: def.description || null,
+    extends: def.extends ? String(def.extends) : null,
+    default: def.default === true,
+    charPattern: detect.charPattern ? compileRegex(detect.charPattern, 'detect.charPattern') : null,
+    marker: detect.marker ? compileRegex(detect.marker, 'detect.marker') : null,
+    priority: Number(detect.priority) || 0,
+    patterns,
+    kinds,
+    domLabels,
+    metadata,
+    dateFormats: [...dateFormats],
+    file: def._file || null
+  };
+}
+
+/* ========================= EmailTemplates Class ========================= */
+class EmailTemplates {
+  /**
+   * @param {string} [templatesDir] - directory of *.json templates (defaults to Config/emailTemplates)
+   */
+  constructor(templatesDir = TEMPLATES_DIR) {
+    this.templatesDir = templatesDir;
+    /** @type {Array<Object>} compiled templates, in file name order */
+    this.templates = [];
+    /** @type {string[]} why templates were skipped on the last load */
+    this.errors = [];
+    /** @type {number} bumped whenever the active set changes (I18nEmailParser rebuilds on change) */
+    this.revision = 0;
+    this.loadedAt = null;
+    /** @type {string|null} file names + mtimes seen on the last load */
+    this._signature = null;
+    /** @type {boolean} true once setTemplates() is used — the directory is no longer consulted */
+    this._pinned = false;
+    /** @type {Map<string, {count: number, lastAt: string}>} parsed emails per template id */
+    this._matches = new Map();
+    this._reload();
+  }
+
+  /* -------------------- Loading -------------------- */
+
+  /** *.json files in the directory, sorted by name ([] when the directory is missing) */
+  _files() {
+    try {
+      return fs.readdirSync(this.templatesDir).filter(f => f.endsWith('.json')).sort();
+    } catch (err) {
+      if (err.code !== 'ENOENT') logFail(`[EmailTemplates] Cannot read ${this.templatesDir}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Reload the templates from disk (only if a file was added, removed or changed).
+   */
+  _reload() {
+    if (this._pinned) return;
+    const files = this._files();
+    const signature = files.map(f => {
+      const stat = fs.statSync(path.join(this.templatesDir, f), { throwIfNoEntry: false });
+      return `${f}:${stat?.mtimeMs}:${stat?.size}`;
+    }).join('|');
+    if (signature === this._signature) return;
+    this._signature = signature;
+
+    const errors = [];
+    const rawTemplates = [];
+    for (const file of files) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.templatesDir, file), 'utf-8'));
+        rawTemplates.push({ ...raw, _file: file });
+      } catch (err) {
+        const message = `Skipping ${file}: ${err.message}`;
+        logFail(`[EmailTemplates] ${message}`);
+        errors.push(message);
+      }
+    }
+    this._apply(rawTemplates, errors);
+  }
+
+  /**
+   * Replace the templates (bypasses the directory; useful for tests).
+   * @param {Array<Object>} rawTemplates - same shape as the files
+   * @returns {number} number of valid templates loaded
+   */
+  setTemplates(rawTemplates) {
+    this._pinned = true;
+    this._apply(rawTemplates, []);
+    return this.templates.length;
+  }
+
+  _apply(rawTemplates, errors) {
+    const templates = this._validate(rawTemplates, errors);
+    this.errors = errors;
+    if (templates.length === 0 && this.templates.length > 0) {
+      logFail(`[EmailTemplates] No valid template loaded - keeping the ${this.templates.length} previous template(s)`);
+      return;
+    }
+    this.templates = templates;
+    this.revision++;
+    this.loadedAt = new Date().toISOString();
+    if (templates.length > 0) {
+      logInfo(`[EmailTemplates] Loaded ${templates.map(t => `${t.id}@${t.version}`).join(', ')}`);
+    } else {
+      logFail(`[EmailTemplates] No email template in ${this.templatesDir} - notifications cannot be parsed`);
+    }
+  }
+
+  /**
+   * Drop invalid / disabled templates (logged) and compile the rest.
+   * @param {Array<Object>} rawTemplates
+   * @param {string[]} errors - skip reasons are appended here
+   * @returns {Array<Object>}
+   */
+  _validate(rawTemplates, errors) {
+    if (!Array.isArray(rawTemplates)) return [];
+
+    const byId = new Map(rawTemplates.filter(r => r && r.id).map(r => [String(r.id).trim(), r]));
+    const seen = new Set();
+    const templates = [];
+    rawTemplates.forEach((raw, idx) => {
+      if (!raw || raw.enabled === false) return;
+      const id = raw.id ? String(raw.id).trim() : '';
+      const skip = (reason) => {
+        const message = `Skipping template ${id ? `"${id}"` : `#${idx}`}${raw._file ? ` (${raw._file})` : ''}: ${reason}`;
+        logFail(`[EmailTemplates] ${message}`);
+        errors.push(message);
+      };
+
+      if (!/^[\w.-]+$/.test(id)) return skip('id is required (letters, digits, _, . or -)');
+      if (seen.has(id)) return skip('duplicate id');
+      try {
+        templates.push(compileTemplate(id, resolveExtends(raw, byId)));
+        seen.add(id);
+      } catch (err) {
+        skip(err.message);
+      }
+    });
+    return templates;
+  }
+
+  /* -------------------- Core Methods -------------------- */
+
+  /**
+   * Active templates.
+   * @returns {Array<Object>}
+   */
+  getTemplates() {
+    this._reload();
+    return this.templates;
+  }
+
+  /**
+   * Template used when no language matches: the one marked "default",
+   * otherwise the first English one, otherwise the first.
+   * @returns {Object|null}
+   */
+  getDefault() {
+    const templates = this.getTemplates();
+    return templates.find(t => t.default) || templates.find(t => t.language === 'en') || templates[0] || null;
+  }
+
+  /**
+   * Count an email parsed with a template (for the Dashboard).
+   * @param {string} templateId
+   */
+  recordMatch(templateId) {
+    const entry = this._matches.get(templateId) || { count: 0, lastAt: null };
+    entry.count++;
+    entry.lastAt = new Date().toISOString();
+    this._matches.set(templateId, entry);
+  }
+
+  /**
+   * Loaded templates, skip reasons and match counts (for the Dashboard).
+   */
+  getStatus() {
+    const defaultId = this.getDefault()?.id || null;
+    return {
+      source: this._pinned ? 'runtime' : this.templatesDir,
+      revision: this.revision,
+      loadedAt: this.loadedAt,
+      templates: this.templates.map(t => ({
+        id: t.id,
+        version: t.version,
+        language: t.language,
+        description: t.description,
+        extends: t.extends,
+        default: t.id === defaultId,
+        file: t.file,
+        matched: this._matches.get(t.id)?.count || 0,
+        lastMatchedAt: this._matches.get(t.id)?.lastAt || null
+      })),
+      errors: this.errors
+    };
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const emailTemplates = new EmailTemplates();
+
+module.exports = { emailTemplates, EmailTemplates, TEMPLATES_DIR, RULE_KINDS };
@@ -1,22 +1,22 @@
 const { simpleParser } = require('mailparser');
 const cheerio = require('cheerio');
-const dayjs = require('dayjs');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
-const customParseFormat = require('dayjs/plugin/customParseFormat');
-dayjs.extend(utc);
-dayjs.extend(timezone);
-dayjs.extend(customParseFormat);
 const { loadLastSeenUidFromFile, saveLastSeenUid } = require('./uidStore');
 const { loadSeenUids, saveSeenUids } = require('./seenUidsStore');
 const { logInfo, logSuccess, logFail } = require('../Logs/logger');
 const { retry } = require('./retryHandler');
-const { TIMEOUTS, CAPACITY, RETRIES } = require('../Config/constants');
+const { TIMEOUTS, CAPACITY, RETRIES, IMAP_SWEEP, NOTIFICATION_KIND, TASK_METADATA, TASK_OUTCOME } = require('../Config/constants');
 const { I18nEmailParser } = require('./i18nParser');
+const { mailboxKey, DEFAULT_ACCOUNT_ID } = require('./imapAccounts');
+const { getDeadLetterStore, DEAD_LETTER_REASON } = require('./deadLetterStore');
+const { getEmailIdempotencyIndex } = require('./emailIdempotencyIndex');
+const { mailboxActions } = require('./mailboxActions');
+const businessTime = require('../Utils/businessTime');
 
 // Health monitor instance - set externally via setHealthMonitor()
 let healthMonitor = null;
 
+// Per-mailbox maps are keyed by mailboxKey(accountId, mailboxName) - see imapAccounts.js
+const mailboxInfoMap = new Map(); // key -> { mailboxName, accountId }
 const seenUidsMap = new Map();
 const lastSeenUidMap = new Map();
 const isFetchingMap = new Map();
@@ -30,54 +30,68 @@ const i18nParser = new I18nEmailParser();
 
 class EmailContentParser {
   constructor() {
-    // Default English patterns (used as fallback and for backward compatibility)
-    this.patterns = {
-      orderId: /\[#(\d+)\]/,
-      amountWords: /amountWords\s*[:：]?\s*['"]?([0-9.,]+)/i,
-      plannedEndDate: /plannedEndDate\s*[:：]?\s*['"]?([0-9./:\sAPMapm]+)['"]?/i,
-      moraviaLinks: /https:\/\/projects\.moravia\.com\/Task\/[^\s<>"']*\/detail\/notification\?command=Accept/g,
-      status: /Status\s*[:：]?\s*['"]?([A-Za-z ]+)['"]?/i
-    };
     this.i18n = i18nParser;
   }
 
-  parseEmail(content, rawText, headers = {}) {
-    // Detect language from content and headers
-    const detectedLanguage = this.i18n.detectLanguage(content, headers);
-    const langPatterns = this.i18n.getPatternsForLanguage(detectedLanguage);
-
-    // Use detected language patterns (falls back to English automatically)
-    const activePatterns = {
-      ...this.patterns,
-      status: langPatterns.status,
-      amountWords: langPatterns.amountWords,
-      plannedEndDate: langPatterns.plannedEndDate,
-      orderId: langPatterns.orderId,
-      moraviaLinks: langPatterns.moraviaLinks
-    };
+  /** Default template's patterns (used when a caller passes none) */
+  get patterns() {
+    return this.i18n.getDefaultPatterns();
+  }
 
-    // Get DOM labels for the detected language
-    const domLabels = langPatterns.domLabels || this.i18n.getPatternsForLanguage('en').domLabels;
+  parseEmail(content, rawText, headers = {}) {
+    // Detect language and pick the template (Config/emailTemplates/)
+    const { language: detectedLanguage, patterns } = this.i18n.selectTemplate(content, headers);
+    if (patterns.template) this.i18n.templates.recordMatch(patterns.template.id);
 
     // Single cheerio instance per email
     const $ = cheerio.load(content);
+    const status = this.extractStatus(content, $, patterns, patterns.domLabels);
+    const moraviaLinks = this.extractMoraviaLinks(content, patterns);
 
     return {
-      status: this.extractStatus(content, $, activePatterns, domLabels),
-      orderId: this.extractOrderId(rawText, activePatterns),
-      workflowName: this.extractWorkflowName($, domLabels),
-      metrics: this.extractMetrics(content, $, activePatterns, domLabels),
-      moraviaLinks: this.extractMoraviaLinks(content, activePatterns),
-      detectedLanguage
+      status,
+      orderId: this.extractOrderId(rawText, patterns),
+      workflowName: this.extractWorkflowName($, patterns.domLabels),
+      metrics: this.extractMetrics(content, $, patterns, patterns.domLabels),
+      metadata: this.extractMetadata(content, $, patterns),
+      moraviaLinks,
+      kind: this.classifyNotification(rawText, status, moraviaLinks, patterns),
+      detectedLanguage,
+      template: patterns.template
+    };
+  }
+
+  /**
+   * Which notification this is (NOTIFICATION_KIND), null when there is nothing to act on.
+   * A cancellation wins over everything; an email with an Accept link is an offer;
+   * the template's deadline / word-change rules only apply to the rest.
+   */
+  classifyNotification(rawText, status, moraviaLinks, patterns) {
+    const kinds = (patterns || this.patterns).kinds || {};
+    const matches = (kind) => {
+      const rule = kinds[kind];
+      return !!rule && (!!(rule.status && status && rule.status.test(status)) || !!(rule.regex && rule.regex.test(rawText)));
     };
+
+    if (matches(NOTIFICATION_KIND.CANCELLED)) return NOTIFICATION_KIND.CANCELLED;
+    if (moraviaLinks.length > 0) return NOTIFICATION_KIND.ASSIGNMENT;
+    if ((status || '').toLowerCase() === 'on hold') return NOTIFICATION_KIND.ON_HOLD;
+    if (matches(NOTIFICATION_KIND.DEADLINE_CHANGED)) return NOTIFICATION_KIND.DEADLINE_CHANGED;
+    if (matches(NOTIFICATION_KIND.WORDS_CHANGED)) return NOTIFICATION_KIND.WORDS_CHANGED;
+    return null;
+  }
+
+  /** Text of the table cell next to the one containing `label` ('' when the template has no label) */
+  cellAfter($, label) {
+    return label ? $(`td:contains("${label}")`).next().text() : '';
   }
 
   extractStatus(content, $, patterns, domLabels) {
-    // Use resolved patterns and labels, or fall back to defaults
+    // Use resolved patterns and labels, or fall back to the default template
     const p = patterns || this.patterns;
-    const labels = domLabels || { status: 'Status' };
+    const labels = domLabels || p.domLabels;
 
-    const domText = $(`td:contains("${labels.status}")`).next().text().trim();
+    const domText = this.cellAfter($, labels.status).trim();
     if (domText) return domText;
 
     const match = content.match(p.status);
@@ -91,34 +105,55 @@ class EmailContentParser {
   }
 
   extractWorkflowName($, domLabels) {
-    const labels = domLabels || { workflowName: 'Workflow name' };
-    // Try localized label first, then fall back to English
-    const localizedText = $(`td:contains("${labels.workflowName}")`).next().text().trim();
+    const fallback = this.patterns.domLabels;
+    const labels = domLabels || fallback;
+    // Try localized label first, then fall back to the default template's label
+    const localizedText = this.cellAfter($, labels.workflowName).trim();
     if (localizedText) return localizedText;
 
-    // English fallback (in case email mixes languages)
-    if (labels.workflowName !== 'Workflow name') {
-      const englishText = $('td:contains("Workflow name")').next().text().trim();
-      if (englishText) return englishText;
+    // Default-language fallback (in case email mixes languages)
+    if (labels.workflowName !== fallback.workflowName) {
+      const fallbackText = this.cellAfter($, fallback.workflowName).trim();
+      if (fallbackText) return fallbackText;
     }
 
     return null;
   }
 
+  /**
+   * Optional task metadata (TASK_METADATA.FIELDS: language pair, client, task type, PM).
+   * Table cell by the template's label, then its regex, then the default template's label.
+   * @returns {Object<string, string|null>} every field, null when the email does not carry it
+   */
+  extractMetadata(content, $, patterns) {
+    const specs = (patterns || this.patterns).metadata || {};
+    const fallback = this.patterns.metadata || {};
+    const metadata = {};
+    for (const field of TASK_METADATA.FIELDS) {
+      const spec = specs[field] || {};
+      let value = this.cellAfter($, spec.label).trim();
+      if (!value && spec.regex) value = (content.match(spec.regex)?.[1] || '').trim();
+      if (!value && fallback[field]?.label !== spec.label) value = this.cellAfter($, fallback[field]?.label).trim();
+      metadata[field] = value || null;
+    }
+    return metadata;
+  }
+
   extractMetrics(content, $, patterns, domLabels) {
     const p = patterns || this.patterns;
-    const labels = domLabels || { amounts: 'Amounts', plannedEnd: 'Planned end' };
+    const fallback = this.patterns.domLabels;
+    const labels = domLabels || p.domLabels;
 
     // Try structured data first (localized labels)
-    let amountsText = $(`td:contains("${labels.amounts}")`).next().text();
-    let deadlineText = $(`td:contains("${labels.plannedEnd}")`).next().text();
+    let amountsText = this.cellAfter($, labels.amounts);
+    let deadlineText = this.cellAfter($, labels.plannedEnd);
 
-    // Try English labels as fallback if localized labels found nothing
-    if (!amountsText && labels.amounts !== 'Amounts') {
-      amountsText = $('td:contains("Amounts")').next().text();
+    // Try the default template's labels if localized labels found nothing
+    if (!amountsText && labels.amounts !== fallback.amounts) {
+      amountsText = this.cellAfter($, fallback.amounts);
     }
-    if (!deadlineText && labels.plannedEnd !== 'Planned end') {
-      deadlineText = $('td:contains("Planned end")').next().text();
+    if (!deadlineText && labels.plannedEnd !== fallback.plannedEnd) {
+      deadlineText = this.cellAfter($, fallback.plannedEnd);
     }
 
     // Fallback to regex
@@ -133,7 +168,7 @@ class EmailContentParser {
 
     return {
       amountWords: amountsText ? parseFloat(amountsText.replace(/[^0-9.]/g, '')) : null,
-      plannedEndDate: this.normalizeDate(deadlineText)
+      plannedEndDate: this.normalizeDate(deadlineText, p.dateFormats)
     };
   }
 
@@ -142,26 +177,26 @@ class EmailContentParser {
     return [...(content.match(p.moraviaLinks) || [])];
   }
 
-  normalizeDate(dateText) {
+  /**
+   * Deadline text → business time. A zone hint in the text ('(GMT+01:00)', 'CET')
+   * is converted; other bracketed notes are ignored.
+   * @param {string|null} dateText
+   * @param {string[]} [dateFormats] - the template's dateFormats (default template when omitted)
+   * @returns {string|null} 'YYYY-MM-DD HH:mm'
+   */
+  normalizeDate(dateText, dateFormats = this.patterns.dateFormats) {
     if (!dateText) return null;
-    
-    const cleaned = dateText.replace(/\(.*?\)/g, '').trim();
-    const parsed = dayjs(cleaned, [
-      'DD.MM.YYYY h:mm A',
-      'DD.MM.YYYY h:mmA',
-      'DD/MM/YYYY h:mm A',
-      'DD-MM-YYYY h:mm A',
-      'YYYY-MM-DD HH:mm',
-      'YYYY-MM-DD',
-      'DD/MM/YYYY',
-      'DD-MM-YYYY',
-      'DD.MM.YYYY'
-    ], true);
-    
-    return parsed.isValid() ? parsed.format('YYYY-MM-DD HH:mm') : null;
+
+    const parsed = businessTime.parseBusiness(dateText, dateFormats);
+    return parsed ? parsed.format('YYYY-MM-DD HH:mm') : null;
   }
 }
 
+/** Server mailbox name and account behind a mailboxKey */
+function mailboxInfo(key) {
+  return mailboxInfoMap.get(key) || { mailboxName: key, accountId: DEFAULT_ACCOUNT_ID };
+}
+
 /**
  * Inject health monitor instance (called from imapClient.js to avoid circular dependency)
  * @param {import('./IMAPHealthMonitor').IMAPHealthMonitor} monitor
@@ -241,17 +276,19 @@ function trimSeenUids(mailboxName, seenSet) {
 }
 
 // ===== ✅ 3. โหลด UID ล่าสุดจากไฟล์ (ไม่เปลี่ยน) =====
-async function initLastSeenUid(client, mailboxName) {
-  const seen = loadSeenUids(mailboxName);
-  const last = loadLastSeenUidFromFile(mailboxName) || 0;
-  seenUidsMap.set(mailboxName, seen);
-  lastSeenUidMap.set(mailboxName, last);
+async function initLastSeenUid(client, mailboxName, accountId = DEFAULT_ACCOUNT_ID) {
+  const key = mailboxKey(accountId, mailboxName);
+  const seen = loadSeenUids(mailboxName, accountId);
+  const last = loadLastSeenUidFromFile(mailboxName, accountId) || 0;
+  mailboxInfoMap.set(key, { mailboxName, accountId });
+  seenUidsMap.set(key, seen);
+  lastSeenUidMap.set(key, last);
 
   // Initialize health check timer per mailbox
-  lastHealthCheckMap.set(mailboxName, Date.now());
+  lastHealthCheckMap.set(key, Date.now());
 
-  logInfo(`📌 Loaded lastSeenUid for "${mailboxName}": ${last}`);
-  logInfo(`⏱️ [${mailboxName}] Health check interval: ${HEALTH_CHECK_INTERVAL/1000}s`);
+  logInfo(`📌 Loaded lastSeenUid for "${key}": ${last}`);
+  logInfo(`⏱️ [${key}] Health check interval: ${HEALTH_CHECK_INTERVAL/1000}s`);
   return last;
 }
 
@@ -290,7 +327,7 @@ async function parseEmailMessage(message, parser) {
   const rawText = `${parsed.subject || ''} ${parsed.text || ''} ${parsed.html || ''}`;
 
   const receivedDate = parsed.date
-    ? dayjs(parsed.date).tz('Asia/Bangkok').format('YYYY-MM-DD h:mm A')
+    ? businessTime.toBusiness(parsed.date).format('YYYY-MM-DD h:mm A')
     : null;
 
   // Build headers object for language detection
@@ -305,21 +342,38 @@ async function parseEmailMessage(message, parser) {
   return { ...emailData, receivedDate };
 }
 
+/** Notifications about an order that already exists */
+const CHANGE_KINDS = [NOTIFICATION_KIND.CANCELLED, NOTIFICATION_KIND.DEADLINE_CHANGED, NOTIFICATION_KIND.WORDS_CHANGED];
+
+/**
+ * Notification kind of parsed email data (EmailContentParser.classifyNotification).
+ * Falls back to links / status when `kind` is not set.
+ * @param {Object} emailData
+ * @returns {string|null} One of NOTIFICATION_KIND, null = nothing to act on
+ */
+function kindOf(emailData) {
+  if (emailData.kind !== undefined) return emailData.kind;
+  if (Array.isArray(emailData.moraviaLinks) && emailData.moraviaLinks.length > 0) return NOTIFICATION_KIND.ASSIGNMENT;
+  return (emailData.status || '').toLowerCase() === 'on hold' ? NOTIFICATION_KIND.ON_HOLD : null;
+}
+
 /**
  * Creates payload object for callback from email data
  * @param {Object} emailData - Parsed email data
  * @param {string|null} url - Moravia task URL or null
- * @returns {Object} Payload object
+ * @returns {Object} Payload object (TASK_METADATA fields flattened in, null when missing)
  */
 function createTaskPayload(emailData, url = null) {
   return {
+    kind: kindOf(emailData),
     orderId: emailData.orderId,
     workflowName: emailData.workflowName,
     url,
     amountWords: emailData.metrics.amountWords,
     plannedEndDate: emailData.metrics.plannedEndDate,
     status: emailData.status,
-    receivedDate: emailData.receivedDate
+    receivedDate: emailData.receivedDate,
+    ...Object.fromEntries(TASK_METADATA.FIELDS.map(field => [field, emailData.metadata?.[field] ?? null]))
   };
 }
 
@@ -341,34 +395,121 @@ function invokeTaskCallback(callback, payload, uid, context = '') {
   });
 }
 
+/**
+ * True when the same (orderId, receivedDate, url) was already handed downstream
+ * (re-sent notification, or a UID that changed with a mailbox move).
+ * Fails open: an index error must not drop a task.
+ * @param {Object} payload - Task payload
+ * @param {string|null} account - IMAP account (recorded with the key)
+ * @returns {boolean}
+ */
+function isDuplicateTask(payload, account) {
+  if (!payload.orderId) return false;
+  try {
+    return !getEmailIdempotencyIndex().claim({ ...payload, account });
+  } catch (err) {
+    logFail(`❌ Idempotency check failed for [${payload.orderId}]: ${err.message}`);
+    return false;
+  }
+}
+
 /**
  * Processes email data and triggers callbacks for tasks
- * Handles both "On Hold" status (no link) and active tasks (with links)
+ * Handles "On Hold" (no link), change notifications (cancel / deadline / words) and active tasks (with links)
  * @param {Object} emailData - Parsed email data
  * @param {number} uid - Email UID
  * @param {Function} callback - Callback function for task processing
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe=true] - skip tasks already in the idempotency index (replays pass false)
+ * @param {string|null} [options.account=null] - IMAP account, recorded in the index
+ * @param {string|null} [options.mailbox=null] - server mailbox name; tasks then carry
+ *        `email: { account, mailbox, uid }` so their outcome can be marked on the email (mailboxActions.js)
+ * @returns {number} tasks handed to the callback
  */
-function processEmailData(emailData, uid, callback) {
+function processEmailData(emailData, uid, callback, { dedupe = true, account = null, mailbox = null } = {}) {
   logInfo(`📩 UID ${uid} | ${emailData.status} :: [${emailData.orderId}] Words: ${emailData.metrics.amountWords} | Deadline: ${emailData.metrics.plannedEndDate}`);
 
-  const hasLinks = Array.isArray(emailData.moraviaLinks) && emailData.moraviaLinks.length > 0;
+  const kind = kindOf(emailData);
+  const email = mailbox ? { account, mailbox, uid } : null;
+  const isDuplicate = (payload) => {
+    if (!dedupe || !isDuplicateTask(payload, account)) return false;
+    logInfo(`🔁 UID ${uid} :: [${payload.orderId}] Duplicate notification suppressed (received ${payload.receivedDate || '-'})`);
+    return true;
+  };
+  const dispatch = (payload, context) => {
+    if (isDuplicate(payload)) return 0;
+    invokeTaskCallback(callback, email ? { ...payload, email } : payload, uid, context);
+    return 1;
+  };
 
   // Handle "On Hold" status without links
-  if (!hasLinks && (emailData.status || '').toLowerCase() === 'on hold') {
+  if (kind === NOTIFICATION_KIND.ON_HOLD) {
     logInfo(`🟡 ${emailData.status} :: [${emailData.orderId}] Without link`);
-    const payload = createTaskPayload(emailData, null);
-    invokeTaskCallback(callback, payload, uid, '(On Hold) ');
-    return;
+    return dispatch(createTaskPayload(emailData, null), '(On Hold) ');
+  }
+
+  // Cancellations / deadline and word-count changes to an order (TaskHandler re-plans or releases it)
+  if (CHANGE_KINDS.includes(kind)) {
+    logInfo(`🔄 ${kind} :: [${emailData.orderId}] Change notification`);
+    return dispatch(createTaskPayload(emailData, null), `(${kind}) `);
   }
 
   // Handle tasks with Moravia links
-  if (hasLinks) {
+  let dispatched = 0;
+  if (kind === NOTIFICATION_KIND.ASSIGNMENT) {
     for (const link of emailData.moraviaLinks) {
       logInfo(`✅ ${emailData.status} :: [${emailData.orderId}] Processing Moravia link`);
-      const payload = createTaskPayload(emailData, link);
-      invokeTaskCallback(callback, payload, uid);
+      dispatched += dispatch(createTaskPayload(emailData, link));
     }
   }
+  return dispatched;
+}
+
+/**
+ * Fields a task email needs before it goes downstream. Active tasks (with
+ * Moravia links) need words and deadline to be planned; every other kind needs
+ * the order, plus the changed value for deadline / word-count changes.
+ * Emails that yield no task need nothing.
+ * @param {Object} emailData - Parsed email data
+ * @returns {string[]} missing field names
+ */
+function findMissingFields(emailData) {
+  const kind = kindOf(emailData);
+  if (!kind) return [];
+
+  const planned = kind === NOTIFICATION_KIND.ASSIGNMENT;
+  const fields = {
+    orderId: emailData.orderId,
+    ...((planned || kind === NOTIFICATION_KIND.WORDS_CHANGED) && { amountWords: emailData.metrics?.amountWords }),
+    ...((planned || kind === NOTIFICATION_KIND.DEADLINE_CHANGED) && { plannedEndDate: emailData.metrics?.plannedEndDate }),
+  };
+  return Object.entries(fields)
+    .filter(([, value]) => value == null || value === '' || Number.isNaN(value))
+    .map(([field]) => field);
+}
+
+/**
+ * Keep a failed / incomplete email for the Dashboard (IMAP/deadLetterStore.js).
+ * Never throws: a dead-letter write must not stop the fetch.
+ * @param {Object} message - IMAP message object
+ * @param {string} mailboxKeyName - mailboxKey of the mailbox
+ * @param {Object} details - reason, error, missingFields, orderId
+ */
+function deadLetter(message, mailboxKeyName, details) {
+  const { mailboxName, accountId } = mailboxInfo(mailboxKeyName);
+  try {
+    getDeadLetterStore().add({
+      account: accountId,
+      mailbox: mailboxName,
+      uid: message.uid,
+      source: message.source,
+      subject: message.envelope?.subject || null,
+      from: message.envelope?.from?.[0]?.address || null,
+      ...details,
+    });
+  } catch (err) {
+    logFail(`❌ Failed to dead-letter UID ${message.uid} (${mailboxKeyName}): ${err.message}`);
+  }
 }
 
 /**
@@ -383,6 +524,8 @@ function processEmailData(emailData, uid, callback) {
 async function processSingleEmail(message, seenSet, mailboxName, parser, callback) {
   const uid = message.uid;
   const emailStart = Date.now();
+  const { mailboxName: mailbox, accountId: account } = mailboxInfo(mailboxName);
+  const email = { account, mailbox, uid };
 
   if (seenSet.has(uid)) {
     logInfo(`⚠️ [${mailboxName}] Skipping duplicate UID: ${uid}`);
@@ -391,9 +534,23 @@ async function processSingleEmail(message, seenSet, mailboxName, parser, callbac
 
   try {
     const emailData = await parseEmailMessage(message, parser);
-    processEmailData(emailData, uid, callback);
+    // No template loaded at all (Config/emailTemplates/ empty or invalid): hold it back until one is
+    const missingFields = emailData.template ? findMissingFields(emailData) : ['template'];
+    if (missingFields.length > 0) {
+      // Held back: downstream would decline or plan it on bad data. Re-run from the Dashboard after a fix.
+      logFail(`⚠️ UID ${uid} [${emailData.orderId || '-'}] parsed incomplete (missing ${missingFields.join(', ')}) → dead-letter`);
+      deadLetter(message, mailboxName, {
+        reason: DEAD_LETTER_REASON.INCOMPLETE,
+        orderId: emailData.orderId,
+        missingFields,
+      });
+      mailboxActions.record(email, TASK_OUTCOME.PARSE_ERROR);
+      return true;
+    }
+    // Registered before the callbacks run (setImmediate), so no outcome can arrive first
+    mailboxActions.expect(email, processEmailData(emailData, uid, callback, { account, mailbox }));
 
-    logInfo(`⚡ UID ${uid} processed in ${Date.now() - emailStart}ms`);
+    logInfo(`⚡ UID ${uid} processed in ${Date.now() - emailStart}ms (template ${emailData.template.id}@${emailData.template.version})`);
     return true;
   } catch (parseError) {
     logFail(`❌ Failed to process UID ${uid}:`, {
@@ -402,7 +559,9 @@ async function processSingleEmail(message, seenSet, mailboxName, parser, callbac
       from: message.envelope?.from?.[0]?.address,
       duration: Date.now() - emailStart
     });
-    return true; // Still count as processed to prevent reprocessing
+    deadLetter(message, mailboxName, { reason: DEAD_LETTER_REASON.PARSE_ERROR, error: parseError.message });
+    mailboxActions.record(email, TASK_OUTCOME.PARSE_ERROR);
+    return true; // Still count as processed to prevent reprocessing - re-run it from the dead-letter store
   }
 }
 
@@ -413,14 +572,17 @@ async function processSingleEmail(message, seenSet, mailboxName, parser, callbac
  * @param {Set} seenSet - Set of already seen UIDs
  * @param {string} mailboxName - Mailbox name
  * @param {Function} callback - Callback function
+ * @param {boolean} [byUid=false] - uids are UIDs rather than sequence numbers (reconciliation sweep)
  * @returns {Promise<number[]>} Array of processed UIDs
  */
-async function processEmailBatch(client, uids, seenSet, mailboxName, callback) {
+async function processEmailBatch(client, uids, seenSet, mailboxName, callback, byUid = false) {
   const parser = new EmailContentParser();
   const fetchedUids = [];
   const processingStart = Date.now();
+  const query = { uid: true, source: true, envelope: true };
+  const messages = byUid ? client.fetch(uids, query, { uid: true }) : client.fetch(uids, query);
 
-  for await (const message of client.fetch(uids, { uid: true, source: true, envelope: true })) {
+  for await (const message of messages) {
     const processed = await processSingleEmail(message, seenSet, mailboxName, parser, callback);
     if (processed) {
       fetchedUids.push(message.uid);
@@ -439,23 +601,26 @@ async function processEmailBatch(client, uids, seenSet, mailboxName, callback) {
  * @param {string} mailboxName - Mailbox name
  * @param {number[]} fetchedUids - Array of processed UIDs
  * @param {Set} seenSet - Set of seen UIDs
+ * @param {string} [accountId] - IMAP account (UID store namespace)
  */
-function updateUidTracking(mailboxName, fetchedUids, seenSet) {
-  const maxUid = Math.max(...fetchedUids);
+function updateUidTracking(mailboxName, fetchedUids, seenSet, accountId = DEFAULT_ACCOUNT_ID) {
+  const key = mailboxKey(accountId, mailboxName);
+  // Never move backwards: a sweep can recover UIDs below lastSeenUid
+  const maxUid = Math.max(lastSeenUidMap.get(key) || 0, ...fetchedUids);
 
   // Add to seen set
   fetchedUids.forEach(uid => seenSet.add(uid));
 
   // Memory management
-  const trimmedSeen = trimSeenUids(mailboxName, seenSet);
+  const trimmedSeen = trimSeenUids(key, seenSet);
 
   // Save to state
-  seenUidsMap.set(mailboxName, trimmedSeen);
-  saveSeenUids(mailboxName, trimmedSeen);
-  lastSeenUidMap.set(mailboxName, maxUid);
-  saveLastSeenUid(mailboxName, maxUid);
+  seenUidsMap.set(key, trimmedSeen);
+  saveSeenUids(mailboxName, trimmedSeen, accountId);
+  lastSeenUidMap.set(key, maxUid);
+  saveLastSeenUid(mailboxName, maxUid, accountId);
 
-  logInfo(`📌 [${mailboxName}] Updated lastSeenUid → ${maxUid} | SeenUIDs count: ${trimmedSeen.size}`);
+  logInfo(`📌 [${key}] Updated lastSeenUid → ${maxUid} | SeenUIDs count: ${trimmedSeen.size}`);
 }
 
 /**
@@ -464,8 +629,10 @@ function updateUidTracking(mailboxName, fetchedUids, seenSet) {
  * @param {string} mailboxName - Mailbox name
  * @param {number} startUid - Starting UID for search
  * @param {Function} callback - Callback function
+ * @param {string} [accountId] - IMAP account the mailbox belongs to
  */
-async function processMailboxWithLock(client, mailboxName, startUid, callback) {
+async function processMailboxWithLock(client, mailboxName, startUid, callback, accountId = DEFAULT_ACCOUNT_ID) {
+  const key = mailboxKey(accountId, mailboxName);
   const lock = await client.getMailboxLock(mailboxName);
 
   try {
@@ -479,11 +646,11 @@ async function processMailboxWithLock(client, mailboxName, startUid, callback) {
     const first = uids[0], last = uids[uids.length - 1];
     logInfo(`📨 Processing ${uids.length} new emails (UID ${first}…${last})`);
 
-    const seen = seenUidsMap.get(mailboxName) || new Set();
-    const fetchedUids = await processEmailBatch(client, uids, seen, mailboxName, callback);
+    const seen = seenUidsMap.get(key) || new Set();
+    const fetchedUids = await processEmailBatch(client, uids, seen, key, callback);
 
     if (fetchedUids.length > 0) {
-      updateUidTracking(mailboxName, fetchedUids, seen);
+      updateUidTracking(mailboxName, fetchedUids, seen, accountId);
     }
   } finally {
     lock.release();
@@ -491,25 +658,35 @@ async function processMailboxWithLock(client, mailboxName, startUid, callback) {
 }
 
 // ===== ✅ 4. Optimized fetchNewEmails =====
-async function fetchNewEmails(client, mailboxName, callback) {
-  if (isFetchingMap.get(mailboxName)) {
-    logInfo(`⏳ Skip fetch: already running for "${mailboxName}"`);
+/**
+ * @param {ImapClient} client - IMAP client instance
+ * @param {string} mailboxName - Mailbox name
+ * @param {Function} callback - receives each task payload, tagged with `account`
+ * @param {string} [accountId] - IMAP account the mailbox belongs to (imapAccounts.js)
+ */
+async function fetchNewEmails(client, mailboxName, callback, accountId = DEFAULT_ACCOUNT_ID) {
+  const key = mailboxKey(accountId, mailboxName);
+  if (isFetchingMap.get(key)) {
+    logInfo(`⏳ Skip fetch: already running for "${key}"`);
     return;
   }
 
   const fetchStartTime = Date.now();
-  isFetchingMap.set(mailboxName, true);
-  const lastSeenUid = lastSeenUidMap.get(mailboxName) || 0;
+  isFetchingMap.set(key, true);
+  const lastSeenUid = lastSeenUidMap.get(key) || 0;
   const startUid = lastSeenUid + 1;
 
+  // Tag every task with its account so acceptance rules, capacity pool and Sheets target can differ
+  const taggedCallback = (task) => callback?.({ ...task, account: accountId });
+
   try {
     // Smart Health Check - check only when needed
     await new Promise(r => setTimeout(r, Math.floor(Math.random() * 300)));
-    await performHealthCheckIfNeeded(client, mailboxName);
+    await performHealthCheckIfNeeded(client, key);
 
     // Process mailbox with retry logic
     await retry(
-      () => processMailboxWithLock(client, mailboxName, startUid, callback),
+      () => processMailboxWithLock(client, mailboxName, startUid, taggedCallback, accountId),
       RETRIES.IMAP_FETCH,
       RETRIES.IMAP_FETCH_DELAY
     );
@@ -524,16 +701,138 @@ async function fetchNewEmails(client, mailboxName, callback) {
   } finally {
     const totalTime = Date.now() - fetchStartTime;
     logInfo(`📈 Fetch cycle completed in ${totalTime}ms`);
-    isFetchingMap.set(mailboxName, false);
+    isFetchingMap.set(key, false);
+  }
+}
+
+// ===== 5. Reconciliation sweep =====
+/**
+ * UIDs the 'exists' handler may have missed: everything after lastSeenUid plus
+ * anything received within IMAP_SWEEP.DATE_WINDOW, minus UIDs already seen.
+ * Date-window hits older than the oldest tracked UID are left alone - the seen
+ * set is trimmed, so "not seen" cannot be told apart from "trimmed" there.
+ * @param {ImapClient} client - IMAP client instance
+ * @param {number} lastSeenUid
+ * @param {Set} seenSet
+ * @returns {Promise<number[]>} UIDs (not sequence numbers), ascending
+ */
+async function searchMissedUids(client, lastSeenUid, seenSet) {
+  const byUid = await client.search({ uid: `${lastSeenUid + 1}:*` }, { uid: true });
+  const byDate = await client.search({ since: new Date(Date.now() - IMAP_SWEEP.DATE_WINDOW) }, { uid: true });
+
+  const floor = seenSet.size > 0 ? Math.min(...Array.from(seenSet, Number)) : Infinity;
+  const candidates = new Set([
+    ...(byUid || []).filter(uid => uid > lastSeenUid), // "n:*" always matches the newest message
+    ...(byDate || []).filter(uid => uid > floor),
+  ]);
+
+  return [...candidates].filter(uid => !seenSet.has(uid)).sort((a, b) => a - b);
+}
+
+async function sweepMailboxWithLock(client, mailboxName, callback, accountId) {
+  const key = mailboxKey(accountId, mailboxName);
+  const lock = await client.getMailboxLock(mailboxName);
+
+  try {
+    const seen = seenUidsMap.get(key) || new Set();
+    const missed = await searchMissedUids(client, lastSeenUidMap.get(key) || 0, seen);
+    if (missed.length === 0) return 0;
+
+    logInfo(`🧹 [${key}] Sweep found ${missed.length} missed emails (UID ${missed.join(', ')})`);
+    const fetchedUids = await processEmailBatch(client, missed, seen, key, callback, true);
+
+    if (fetchedUids.length > 0) {
+      updateUidTracking(mailboxName, fetchedUids, seen, accountId);
+    }
+    return fetchedUids.length;
+  } finally {
+    lock.release();
   }
 }
 
+/**
+ * Pick up mail that arrived without an 'exists' event (IDLE dropped silently,
+ * or IMAP was paused). Called on a timer and after resumeImap() (imapClient.js).
+ * @param {ImapClient} client - IMAP client instance
+ * @param {string} mailboxName - Mailbox name
+ * @param {Function} callback - receives each task payload, tagged with `account`
+ * @param {string} [accountId] - IMAP account the mailbox belongs to
+ * @returns {Promise<number>} number of recovered emails
+ */
+async function sweepMailbox(client, mailboxName, callback, accountId = DEFAULT_ACCOUNT_ID) {
+  const key = mailboxKey(accountId, mailboxName);
+  if (isFetchingMap.get(key)) {
+    logInfo(`⏳ Skip sweep: fetch already running for "${key}"`);
+    return 0;
+  }
+
+  isFetchingMap.set(key, true);
+  const taggedCallback = (task) => callback?.({ ...task, account: accountId });
+
+  try {
+    return await retry(
+      () => sweepMailboxWithLock(client, mailboxName, taggedCallback, accountId),
+      RETRIES.IMAP_FETCH,
+      RETRIES.IMAP_FETCH_DELAY
+    );
+  } catch (err) {
+    logFail(`❌ Sweep failed for "${key}":`, { error: err.message, code: err.code });
+    return 0;
+  } finally {
+    isFetchingMap.set(key, false);
+  }
+}
+
+// ===== 6. Dead-letter re-run =====
+/**
+ * Re-run a dead-lettered email through the parser (after a parser / template fix).
+ * When it now parses completely it is marked resolved and, with `dispatch`,
+ * handed to the task callback like a freshly fetched email.
+ * @param {number} id - dead-letter entry id
+ * @param {Function} callback - task callback (imapClient passes the one from startListeningEmails)
+ * @param {Object} [options]
+ * @param {boolean} [options.dispatch=true] - send the parsed task downstream when complete
+ * @returns {Promise<Object>} { success, resolved, dispatched, missingFields, parsed, entry } or { success: false, message }
+ */
+async function reprocessDeadLetter(id, callback, { dispatch = true } = {}) {
+  const store = getDeadLetterStore();
+  const entry = store.get(id);
+  if (!entry) return { success: false, message: `Dead-letter entry ${id} not found` };
+
+  let emailData;
+  try {
+    emailData = await parseEmailMessage({ source: store.readRaw(entry) }, new EmailContentParser());
+  } catch (err) {
+    logFail(`❌ Dead-letter #${id} re-run failed: ${err.message}`);
+    const updated = store.recordAttempt(id, { resolved: false, missingFields: entry.missingFields, error: err.message });
+    return { success: true, resolved: false, dispatched: false, error: err.message, entry: updated };
+  }
+
+  const missingFields = emailData.template ? findMissingFields(emailData) : ['template'];
+  const resolved = missingFields.length === 0;
+  const parsed = { ...createTaskPayload(emailData), moraviaLinks: emailData.moraviaLinks.length, detectedLanguage: emailData.detectedLanguage, template: emailData.template };
+  const updated = store.recordAttempt(id, { resolved, missingFields, summary: parsed });
+
+  const dispatched = resolved && dispatch && typeof callback === 'function';
+  if (dispatched) {
+    logSuccess(`♻️ Dead-letter #${id} [${emailData.orderId}] parsed complete - dispatching`);
+    const email = { account: entry.account, mailbox: entry.mailbox, uid: entry.uid };
+    const count = processEmailData(emailData, entry.uid, (task) => callback({ ...task, account: entry.account }), { account: entry.account, mailbox: entry.mailbox });
+    mailboxActions.expect(email, count);
+  } else {
+    logInfo(`♻️ Dead-letter #${id} re-run: ${resolved ? 'complete' : `still missing ${missingFields.join(', ')}`}`);
+  }
+
+  return { success: true, resolved, dispatched, missingFields, parsed, entry: updated };
+}
+
 // ✅ Enhanced cleanup function
 function cleanupFetcher() {
   // Save seenUids ของทุก mailbox
   for (const [mb, seen] of seenUidsMap.entries()) {
     if (seen.size) {
-      saveSeenUids(mb, seen);
+      const { mailboxName, accountId } = mailboxInfo(mb);
+      saveSeenUids(mailboxName, seen, accountId);
       logInfo(`🧼 SeenUIDs for "${mb}" saved during shutdown.`);
     }
   }
@@ -541,7 +840,8 @@ function cleanupFetcher() {
   // Save lastSeenUid ของทุก mailbox
   for (const [mb, lastUid] of lastSeenUidMap.entries()) {
     if (lastUid) {
-      saveLastSeenUid(mb, lastUid);
+      const { mailboxName, accountId } = mailboxInfo(mb);
+      saveLastSeenUid(mailboxName, lastUid, accountId);
       logInfo(`💾 LastSeenUid for "${mb}" saved during shutdown: ${lastUid}`);
     }
   }
@@ -563,10 +863,15 @@ async function forceHealthCheck(client, mailboxName) {
 
 module.exports = {
   fetchNewEmails,
+  sweepMailbox,
   initLastSeenUid,
   cleanupFetcher,
   forceHealthCheck, // Export for debugging
   setHealthMonitor, // Inject health monitor instance
   EmailContentParser,
-  i18nParser // Expose singleton for external language registration
+  i18nParser, // Expose singleton for external language registration
+  parseEmailMessage, // Used by tools/replayEmails.js
+  processEmailData,
+  findMissingFields,
+  reprocessDeadLetter
 };
\ No newline at end of file
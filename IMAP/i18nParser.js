@@ -4,8 +4,10 @@
  * Detects email language and provides language-specific regex patterns
  * for extracting task data (status, word count, deadline, order ID, Moravia links).
  *
- * Supported languages: English (en), Thai (th), Japanese (ja), German (de)
- * Extensible via registerLanguage() for future additions.
+ * The patterns come from the declarative templates in Config/emailTemplates/
+ * (IMAP/emailTemplates.js) and are rebuilt when the templates change on disk.
+ * Shipped templates: English (en), Thai (th), Japanese (ja), German (de).
+ * registerLanguage() still adds or overrides a language at runtime.
  *
  * Usage:
  *   const parser = new I18nEmailParser();
@@ -13,79 +15,93 @@
  *   const patterns = parser.getPatternsForLanguage(lang);
  */
 
+const { emailTemplates } = require('./emailTemplates');
+
+/** Pattern set used when no template is loaded: nothing matches, so emails are held back as incomplete */
+const NO_TEMPLATE = Object.freeze({
+  status: /(?!)/,
+  amountWords: /(?!)/,
+  plannedEndDate: /(?!)/,
+  orderId: /(?!)/,
+  moraviaLinks: /(?!)/g,
+  kinds: {},
+  domLabels: {},
+  metadata: {},
+  dateFormats: [],
+  template: null
+});
+
 class I18nEmailParser {
-  constructor() {
+  /**
+   * @param {import('./emailTemplates').EmailTemplates} [templates] - template source (defaults to Config/emailTemplates)
+   */
+  constructor(templates = emailTemplates) {
+    this.templates = templates;
+
     /**
-     * Language-specific regex patterns for email field extraction.
-     * Each language must define: status, amountWords, plannedEndDate, orderId, moraviaLinks.
-     *
-     * Notes:
-     * - orderId and moraviaLinks are language-independent (URLs/IDs don't translate)
-     * - status regex must handle the localized label (e.g., "Status", "สถานะ", "ステータス")
+     * Pattern set per language, built from the templates.
+     * Each set has: status, amountWords, plannedEndDate, orderId, moraviaLinks,
+     * kinds (change-notification rules), domLabels, metadata (optional task
+     * fields: { label, regex } each), dateFormats and
+     * template ({ id, version } of its source).
      */
-    this.languagePatterns = {
-      en: {
-        status: /Status\s*[:：]?\s*['"]?([A-Za-z ]+)['"]?/i,
-        amountWords: /amountWords\s*[:：]?\s*['"]?([0-9.,]+)/i,
-        plannedEndDate: /plannedEndDate\s*[:：]?\s*['"]?([0-9./:\sAPMapm]+)['"]?/i,
-        orderId: /\[#(\d+)\]/,
-        moraviaLinks: /https:\/\/projects\.moravia\.com\/Task\/[^\s<>"']*\/detail\/notification\?command=Accept/g,
-        // DOM label selectors for cheerio extraction (td:contains("Label"))
-        domLabels: {
-          status: 'Status',
-          amounts: 'Amounts',
-          plannedEnd: 'Planned end',
-          workflowName: 'Workflow name'
-        }
-      },
-      th: {
-        status: /สถานะ\s*[:：]?\s*['"]?([ก-๛A-Za-z ]+)['"]?/i,
-        amountWords: /จำนวนคำ\s*[:：]?\s*['"]?([0-9.,]+)/i,
-        plannedEndDate: /วันส่งมอบ\s*[:：]?\s*['"]?([0-9./:\sAPMapm]+)['"]?/i,
-        orderId: /\[#(\d+)\]/,
-        moraviaLinks: /https:\/\/projects\.moravia\.com\/Task\/[^\s<>"']*\/detail\/notification\?command=Accept/g,
-        domLabels: {
-          status: 'สถานะ',
-          amounts: 'จำนวนคำ',
-          plannedEnd: 'วันส่งมอบ',
-          workflowName: 'ชื่อเวิร์กโฟลว์'
-        }
-      },
-      ja: {
-        status: /ステータス\s*[:：]?\s*['"]?([^\s'"]+)['"]?/i,
-        amountWords: /ワード数\s*[:：]?\s*['"]?([0-9.,]+)/i,
-        plannedEndDate: /期限\s*[:：]?\s*['"]?([0-9./:\sAPMapm]+)['"]?/i,
-        orderId: /\[#(\d+)\]/,
-        moraviaLinks: /https:\/\/projects\.moravia\.com\/Task\/[^\s<>"']*\/detail\/notification\?command=Accept/g,
-        domLabels: {
-          status: 'ステータス',
-          amounts: 'ワード数',
-          plannedEnd: '期限',
-          workflowName: 'ワークフロー名'
-        }
-      },
-      de: {
-        status: /Status\s*[:：]?\s*['"]?([A-Za-z\u00C4\u00D6\u00DC\u00E4\u00F6\u00FC\u00DF ]+)['"]?/i,
-        amountWords: /Wortanzahl\s*[:：]?\s*['"]?([0-9.,]+)/i,
-        plannedEndDate: /Abgabetermin\s*[:：]?\s*['"]?([0-9./:\sAPMapm]+)['"]?/i,
-        orderId: /\[#(\d+)\]/,
-        moraviaLinks: /https:\/\/projects\.moravia\.com\/Task\/[^\s<>"']*\/detail\/notification\?command=Accept/g,
-        domLabels: {
-          status: 'Status',
-          amounts: 'Wortanzahl',
-          plannedEnd: 'Abgabetermin',
-          workflowName: 'Workflow-Name'
-        }
+    this.languagePatterns = {};
+
+    // Character range patterns for heuristic language detection,
+    // ordered by the templates' detect.priority (most unique ranges first)
+    this._heuristicRules = [];
+
+    /** @type {Object<string, Array<{marker: RegExp, patterns: Object}>>} templates picked by a body marker */
+    this._variants = {};
+    /** @type {Object<string, Object>} registerLanguage() calls, re-applied after a template reload */
+    this._registered = {};
+    this._defaultLanguage = 'en';
+    this._revision = null;
+    this._sync();
+  }
+
+  /**
+   * Rebuild the pattern sets when the templates changed.
+   * @private
+   */
+  _sync() {
+    const templates = this.templates.getTemplates();
+    if (this.templates.revision === this._revision) return;
+    this._revision = this.templates.revision;
+
+    const languagePatterns = {};
+    const variants = {};
+    for (const t of templates) {
+      const patterns = {
+        ...t.patterns,
+        kinds: t.kinds,
+        domLabels: { ...t.domLabels },
+        metadata: t.metadata,
+        dateFormats: t.dateFormats,
+        template: { id: t.id, version: t.version }
+      };
+      if (t.marker) {
+        (variants[t.language] = variants[t.language] || []).push({ marker: t.marker, patterns });
+      } else if (!languagePatterns[t.language]) {
+        languagePatterns[t.language] = patterns;
       }
-    };
+    }
+    // A language covered only by marker templates falls back to its first one
+    for (const [lang, list] of Object.entries(variants)) {
+      if (!languagePatterns[lang]) languagePatterns[lang] = list[0].patterns;
+    }
+
+    this.languagePatterns = languagePatterns;
+    this._variants = variants;
+    this._defaultLanguage = this.templates.getDefault()?.language || 'en';
+    this._heuristicRules = templates
+      .filter(t => t.charPattern)
+      .sort((a, b) => b.priority - a.priority)
+      .map(t => ({ lang: t.language, pattern: t.charPattern }));
 
-    // Character range patterns for heuristic language detection
-    // Ordered by specificity: most unique character ranges first
-    this._heuristicRules = [
-      { lang: 'th', pattern: /[\u0E00-\u0E7F]/ },   // Thai characters
-      { lang: 'ja', pattern: /[\u3000-\u9FFF]/ },    // CJK + Hiragana + Katakana
-      { lang: 'de', pattern: /[\u00C4\u00D6\u00DC\u00E4\u00F6\u00FC\u00DF]/ }  // German umlauts
-    ];
+    for (const [langCode, patterns] of Object.entries(this._registered)) {
+      this._applyRegistration(langCode, patterns);
+    }
   }
 
   /**
@@ -93,14 +109,16 @@ class I18nEmailParser {
    * Detection priority:
    *   1. Content-Language header (most reliable)
    *   2. HTML lang attribute
-   *   3. Character heuristics (Thai > Japanese > German > English)
-   *   4. Fallback: 'en'
+   *   3. Character heuristics (templates' detect.charPattern, by detect.priority)
+   *   4. Fallback: the default template's language ('en')
    *
    * @param {string} content - HTML or plain text email body
    * @param {Object} [headers={}] - Email headers (e.g., { contentLanguage: 'th' })
    * @returns {string} ISO 639-1 language code (e.g., 'en', 'th', 'ja', 'de')
    */
   detectLanguage(content, headers = {}) {
+    this._sync();
+
     // 1. Check Content-Language header
     const headerLang = this._detectFromHeader(headers);
     if (headerLang) return headerLang;
@@ -113,32 +131,66 @@ class I18nEmailParser {
     const heuristicLang = this._detectFromHeuristics(content);
     if (heuristicLang) return heuristicLang;
 
-    // 4. Fallback to English
-    return 'en';
+    // 4. Fallback to the default template
+    return this._defaultLanguage;
+  }
+
+  /**
+   * Detect the language and pick the template for an email. Within a
+   * language, a template whose detect.marker matches the body wins.
+   *
+   * @param {string} content - HTML or plain text email body
+   * @param {Object} [headers={}] - Email headers
+   * @returns {{ language: string, patterns: Object }} patterns.template is the { id, version } that matched
+   */
+  selectTemplate(content, headers = {}) {
+    const language = this.detectLanguage(content, headers);
+    const variant = typeof content === 'string'
+      ? (this._variants[language] || []).find(v => v.marker.test(content))
+      : null;
+    return { language, patterns: variant ? variant.patterns : this.getPatternsForLanguage(language) };
   }
 
   /**
    * Get regex patterns and DOM labels for a specific language.
-   * Returns English patterns as fallback if language is not registered.
+   * Returns the default template's patterns if the language is not registered.
    *
    * @param {string} lang - ISO 639-1 language code
    * @returns {Object} Pattern set for the language
    */
   getPatternsForLanguage(lang) {
-    return this.languagePatterns[lang] || this.languagePatterns.en;
+    this._sync();
+    return this.languagePatterns[lang] || this.getDefaultPatterns();
+  }
+
+  /**
+   * Pattern set of the default template (English unless a template says otherwise).
+   * @returns {Object}
+   */
+  getDefaultPatterns() {
+    this._sync();
+    return this.languagePatterns[this._defaultLanguage] || NO_TEMPLATE;
   }
 
   /**
    * Register a new language or override existing patterns.
-   * Merges with English patterns as base, so you only need to provide
-   * the fields that differ from English.
+   * Merges with the default (English) patterns as base, so you only need to
+   * provide the fields that differ. Kept across template reloads.
    *
    * @param {string} langCode - ISO 639-1 language code
    * @param {Object} patterns - Partial or full pattern set
    */
   registerLanguage(langCode, patterns) {
+    this._sync();
+    this._registered[langCode] = patterns;
+    this._applyRegistration(langCode, patterns);
+  }
+
+  /** @private */
+  _applyRegistration(langCode, patterns) {
     this.languagePatterns[langCode] = {
-      ...this.languagePatterns.en,
+      ...this.getDefaultPatterns(),
+      template: { id: `runtime:${langCode}`, version: 'runtime' },
       ...patterns
     };
   }
@@ -148,6 +200,7 @@ class I18nEmailParser {
    * @returns {string[]}
    */
   getSupportedLanguages() {
+    this._sync();
     return Object.keys(this.languagePatterns);
   }
 
@@ -183,7 +236,7 @@ class I18nEmailParser {
 
   /**
    * Detect language by checking for characteristic Unicode ranges.
-   * Tests rules in order of specificity (Thai first, then Japanese, then German).
+   * Tests rules in detect.priority order (as shipped: Thai, then Japanese, then German).
    * @private
    */
   _detectFromHeuristics(content) {
@@ -0,0 +1,264 @@
+/**
+ * ImapAccounts — IMAP accounts to watch, with per-account routing
+ * Location: ./IMAP/imapAccounts.js
+ *
+ * Loads the accounts from Config/imapAccounts.json. Each account has its own
+ * server, credentials and mailboxes, plus optional routing for the tasks that
+ * arrive through it:
+ * {
+ *   "accounts": [
+ *     {
+ *       "id": "rws",                               // task tag; also the UID store namespace
+ *       "user": "env:EMAIL_USER",                  // "env:NAME" reads process.env.NAME
+ *       "pass": "env:EMAIL_PASS",
+ *       "mailboxes": ["Symfonie/Order", "Symfonie/On hold"]
+ *     },
+ *     {
+ *       "id": "m365",
+ *       "host": "outlook.office365.com",           // server / TLS default to configs.imap
+ *       "auth": "oauth2",
+ *       "user": "team-b@contoso.com",
+ *       "oauth2": { "provider": "microsoft", "clientId": "env:M365_CLIENT_ID", "refreshToken": "env:M365_REFRESH_TOKEN" },
+ *       "mailboxes": ["INBOX"],
+ *       "capacityPool": ["ploy", "nok"],           // Config/team.json member ids this account's tasks are planned on
+ *       "trackingSheet": { "sheetId": "env:SHEET_ID_TRACKING_B" }, // merged over jobLinks.TrackingSheet
+ *       "mailboxActions": { "mode": "flag", "moveTo": { "accepted": "Archive" } } // merged over configs.mailboxActions
+ *     }
+ *   ]
+ * }
+ *
+ * With no accounts listed there is one account, "default", built from the
+ * .env settings (EMAIL_USER / EMAIL_PASS / MAILBOXES / configs.imap). The
+ * "default" account keeps the un-prefixed UID store files, so naming the old
+ * .env account "default" in the file carries its UID history over.
+ *
+ * mailboxActions says what happens to an email once its tasks finish
+ * (IMAP/mailboxActions.js): "mode" 'label' (Gmail), 'flag' or 'none', "names"
+ * overriding MAILBOX_ACTIONS.NAMES per outcome, and "moveTo" - one folder, or
+ * a folder per outcome.
+ *
+ * Acceptance rules and allocation strategies can be scoped with
+ * "when": { "account": "^m365$" } (Task/acceptanceRules.js).
+ *
+ * Unlike the team roster the file is read once: connections are opened at boot.
+ */
+
+const path = require('path');
+const { loadJSON } = require('../Utils/fileUtils');
+const { logFail, logInfo } = require('../Logs/logger');
+const { imap: imapSettings, mailboxActions: defaultMailboxActions } = require('../Config/configs');
+const { IMAP_ACCOUNTS } = require('../Config/constants');
+
+/* ========================= Paths ========================= */
+const ACCOUNTS_PATH = path.join(__dirname, '..', IMAP_ACCOUNTS.CONFIG_PATH);
+const DEFAULT_ACCOUNT_ID = IMAP_ACCOUNTS.DEFAULT_ID;
+
+/* ========================= Helpers ========================= */
+/**
+ * "env:NAME" → process.env.NAME, anything else as is.
+ * Keeps secrets in .env rather than in the accounts file.
+ */
+function resolveSecret(value) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+  return process.env[value.slice(4)];
+}
+
+/**
+ * Key for per-mailbox state (clients, health, UID maps). Two accounts may
+ * both watch "INBOX", so non-default accounts prefix their id.
+ * @param {string} accountId
+ * @param {string} mailboxName
+ * @returns {string}
+ */
+function mailboxKey(accountId, mailboxName) {
+  return !accountId || accountId === DEFAULT_ACCOUNT_ID ? mailboxName : `${accountId}:${mailboxName}`;
+}
+
+const MAILBOX_ACTION_MODES = ['label', 'flag', 'none'];
+
+/**
+ * An account's mailbox actions, merged over configs.mailboxActions.
+ * @param {Object} [raw] - { mode, names, moveTo } from the accounts file
+ * @returns {{ mode: string, names: Object<string, string>, moveTo: string|Object<string, string>|null }}
+ */
+function buildMailboxActions(raw = {}) {
+  return {
+    mode: raw.mode || defaultMailboxActions.mode,
+    names: { ...(raw.names || {}) },
+    moveTo: raw.moveTo ?? defaultMailboxActions.moveTo
+  };
+}
+
+/** Mailboxes from MAILBOXES=Symfonie/Order,Symfonie/On hold (or MAILBOX) */
+function envMailboxes() {
+  return (process.env.MAILBOXES || process.env.MAILBOX || 'Symfonie/Order')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/* ========================= ImapAccounts Class ========================= */
+class ImapAccounts {
+  /**
+   * @param {string} [accountsPath] - JSON accounts file (defaults to Config/imapAccounts.json)
+   */
+  constructor(accountsPath = ACCOUNTS_PATH) {
+    this.accountsPath = accountsPath;
+    /** @type {'file'|'env'|'runtime'} where the accounts came from */
+    this.source = 'env';
+    /** @type {Array<Object>} validated accounts */
+    this.accounts = [];
+    this._load();
+  }
+
+  /* -------------------- Loading -------------------- */
+
+  _load() {
+    const config = loadJSON(this.accountsPath, { accounts: [] });
+    const listed = Array.isArray(config.accounts) && config.accounts.length > 0;
+    this.source = listed ? 'file' : 'env';
+    this.accounts = listed ? this._validate(config.accounts) : [this._fromEnv()];
+    if (listed) {
+      logInfo(`[ImapAccounts] Loaded ${this.accounts.length} account(s) from ${path.basename(this.accountsPath)}`);
+    }
+  }
+
+  /**
+   * Replace the accounts (bypasses the file; useful for tests).
+   * @param {Array<Object>} accounts - same shape as the file entries
+   * @returns {number} number of valid accounts loaded
+   */
+  setAccounts(accounts) {
+    this.accounts = this._validate(accounts);
+    this.source = 'runtime';
+    return this.accounts.length;
+  }
+
+  /** The single account used when the file lists none */
+  _fromEnv() {
+    return {
+      id: DEFAULT_ACCOUNT_ID,
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      host: imapSettings.host,
+      port: imapSettings.port,
+      secure: imapSettings.secure,
+      rejectUnauthorized: imapSettings.rejectUnauthorized,
+      authMethod: imapSettings.authMethod,
+      oauth2: { ...imapSettings.oauth2 },
+      mailboxes: envMailboxes(),
+      capacityPool: null,
+      trackingSheet: null,
+      mailboxActions: buildMailboxActions()
+    };
+  }
+
+  /**
+   * Drop invalid / disabled accounts (logged) and fill server defaults.
+   * Credentials are checked when the account connects (imapClient.js).
+   * @param {Array<Object>} rawAccounts
+   * @returns {Array<Object>}
+   */
+  _validate(rawAccounts) {
+    if (!Array.isArray(rawAccounts)) return [];
+
+    const seen = new Set();
+    const accounts = [];
+    rawAccounts.forEach((raw, idx) => {
+      if (!raw || raw.enabled === false) return;
+      const id = raw.id ? String(raw.id).trim() : '';
+      const skip = (reason) => logFail(`[ImapAccounts] Skipping account ${id ? `"${id}"` : `#${idx}`}: ${reason}`);
+
+      if (!/^[\w-]+$/.test(id)) return skip('id is required (letters, digits, _ or -)');
+      if (seen.has(id)) return skip('duplicate id');
+      const mailboxes = Array.isArray(raw.mailboxes) ? raw.mailboxes.map(m => String(m).trim()).filter(Boolean) : [];
+      if (mailboxes.length === 0) return skip('mailboxes must be a non-empty array');
+      if (raw.capacityPool != null && !Array.isArray(raw.capacityPool)) return skip('capacityPool must be an array of member ids');
+      const mode = raw.mailboxActions?.mode;
+      if (mode != null && !MAILBOX_ACTION_MODES.includes(mode)) return skip(`mailboxActions.mode must be one of ${MAILBOX_ACTION_MODES.join(', ')}`);
+
+      seen.add(id);
+      const oauth2 = raw.oauth2 || {};
+      accounts.push({
+        id,
+        user: resolveSecret(raw.user),
+        pass: resolveSecret(raw.pass),
+        host: raw.host || imapSettings.host,
+        port: parseInt(raw.port) || imapSettings.port,
+        secure: raw.secure ?? imapSettings.secure,
+        rejectUnauthorized: raw.rejectUnauthorized ?? imapSettings.rejectUnauthorized,
+        authMethod: raw.auth === 'oauth2' ? 'oauth2' : 'password',
+        // The OAuth app (client / tenant) may be shared; the refresh token belongs to the mailbox user
+        oauth2: {
+          provider: oauth2.provider || imapSettings.oauth2.provider,
+          clientId: resolveSecret(oauth2.clientId) || imapSettings.oauth2.clientId,
+          clientSecret: resolveSecret(oauth2.clientSecret) || imapSettings.oauth2.clientSecret,
+          refreshToken: resolveSecret(oauth2.refreshToken),
+          tenantId: oauth2.tenantId || imapSettings.oauth2.tenantId,
+          tokenUrl: oauth2.tokenUrl || imapSettings.oauth2.tokenUrl
+        },
+        mailboxes,
+        capacityPool: raw.capacityPool ? raw.capacityPool.map(String) : null,
+        trackingSheet: raw.trackingSheet
+          ? Object.fromEntries(Object.entries(raw.trackingSheet).map(([k, v]) => [k, resolveSecret(v)]))
+          : null,
+        mailboxActions: buildMailboxActions(raw.mailboxActions)
+      });
+    });
+    return accounts;
+  }
+
+  /* -------------------- Core Methods -------------------- */
+
+  /** @returns {Array<Object>} */
+  getAccounts() {
+    return this.accounts;
+  }
+
+  /**
+   * @param {string} accountId
+   * @returns {Object|null}
+   */
+  getAccount(accountId) {
+    return this.accounts.find(a => a.id === accountId) || null;
+  }
+
+  /**
+   * Routing for a task tagged with an account id. Unknown / missing ids get the
+   * shared defaults (team-wide capacity, jobLinks.TrackingSheet).
+   * @param {string|null} accountId
+   * @returns {{ capacityPool: string[]|null, trackingSheet: Object|null }}
+   */
+  getRouting(accountId) {
+    const account = accountId ? this.getAccount(accountId) : null;
+    return {
+      capacityPool: account?.capacityPool || null,
+      trackingSheet: account?.trackingSheet || null
+    };
+  }
+
+  /**
+   * Accounts without credentials (for the Dashboard).
+   */
+  getStatus() {
+    return {
+      source: this.source === 'file' ? this.accountsPath : this.source,
+      accounts: this.accounts.map(a => ({
+        id: a.id,
+        user: a.user || null,
+        host: a.host,
+        port: a.port,
+        authMethod: a.authMethod,
+        mailboxes: a.mailboxes,
+        capacityPool: a.capacityPool,
+        trackingSheet: a.trackingSheet ? { ...a.trackingSheet } : null,
+        mailboxActions: a.mailboxActions
+      }))
+    };
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const imapAccounts = new ImapAccounts();
+
+module.exports = { imapAccounts, ImapAccounts, mailboxKey, resolveSecret, DEFAULT_ACCOUNT_ID, ACCOUNTS_PATH };
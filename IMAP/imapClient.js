@@ -1,11 +1,19 @@
-// imapClient.js — multi-mailbox ready
+// imapClient.js — multi-account, multi-mailbox
+// One ImapFlow client per (account, mailbox). Accounts come from IMAP/imapAccounts.js;
+// per-mailbox state is keyed by mailboxKey(accountId, mailbox).
 require('dotenv').config();
 const { ImapFlow } = require('imapflow');
 const { logInfo, logSuccess, logFail, logProgress } = require('../Logs/logger');
 const { notifyGoogleChat } = require('../Logs/notifier');
 const { IMAPHealthMonitor } = require('./IMAPHealthMonitor');
-const { fetchNewEmails, initLastSeenUid, setHealthMonitor } = require('./fetcher');
+const { fetchNewEmails, sweepMailbox, initLastSeenUid, setHealthMonitor, reprocessDeadLetter } = require('./fetcher');
 const { stateManager } = require('../State/stateManager');
+const { imapAccounts, mailboxKey } = require('./imapAccounts');
+const { OAuth2TokenProvider } = require('./oauth2TokenProvider');
+const { IMAPError } = require('../Errors/customErrors');
+const { IMAP_SWEEP } = require('../Config/constants');
+const { eventBus } = require('../Core/eventBus');
+const { mailboxActions } = require('./mailboxActions');
 
 // Singleton IMAP health monitor
 const healthMonitor = new IMAPHealthMonitor(notifyGoogleChat);
@@ -13,13 +21,9 @@ const healthMonitor = new IMAPHealthMonitor(notifyGoogleChat);
 // Inject health monitor into fetcher (avoids circular dependency)
 setHealthMonitor(healthMonitor);
 
-// อ่านหลายกล่องจาก .env: MAILBOXES=Symfonie/Order,Symfonie/On hold
-const MAILBOXES = (process.env.MAILBOXES || process.env.MAILBOX || 'Symfonie/Order')
-  .split(',')
-  .map(s => s.trim())
-  .filter(Boolean);
-
-const ALLOW_BACKFILL = process.env.ALLOW_BACKFILL === 'true';
+// Config/imapAccounts.json, or one "default" account from .env (MAILBOXES=Symfonie/Order,Symfonie/On hold)
+const ACCOUNTS = imapAccounts.getAccounts();
+const MAILBOXES = ACCOUNTS.flatMap(a => a.mailboxes.map(mb => mailboxKey(a.id, mb)));
 
 const CONFIG = {
   CONNECTION_TIMEOUT: 45000,
@@ -30,12 +34,15 @@ const CONFIG = {
   MAX_RETRY_DELAY: 300000,
 };
 
-// ---- per-mailbox state ----
+// ---- per-mailbox state (keyed by mailboxKey) ----
 const clients = new Map();          // mailbox -> ImapFlow
 const retryCount = new Map();       // mailbox -> number
 const reconnecting = new Map();     // mailbox -> boolean
 const alreadyHandled = new Map();   // mailbox -> boolean
+const sweepTimers = new Map();      // mailbox -> interval handle (reconciliation sweep)
+const sweepTargets = new Map();     // mailbox -> { account, mailbox, callback } (connected mailboxes)
 let isPaused = false;
+let taskCallback = null;            // callback given to startListeningEmails (dead-letter re-runs)
 
 // metrics (รวม)
 const connectionStats = {
@@ -43,8 +50,12 @@ const connectionStats = {
   totalConnections: 0,
   totalReconnects: 0,
   lastConnectionTime: null,
+  totalRecovered: 0,           // emails picked up by the reconciliation sweep
 };
 
+// Label / flag / move handled emails on the connection that fetched them
+mailboxActions.setClientResolver((accountId, mailbox) => clients.get(mailboxKey(accountId, mailbox)) || null);
+
 // ---------------- helpers ----------------
 function getRetry(mb)          { return retryCount.get(mb) || 0; }
 function setRetry(mb, v)       { retryCount.set(mb, v); }
@@ -53,52 +64,130 @@ function setReconnecting(mb,v) { reconnecting.set(mb, !!v); }
 function getHandled(mb)        { return alreadyHandled.get(mb) === true; }
 function setHandled(mb, v)     { alreadyHandled.set(mb, !!v); }
 
-function buildImapConfig() {
-  const user = process.env.EMAIL_USER;
-  const pass = process.env.EMAIL_PASS;
-  if (!user || !pass) throw new Error('Missing EMAIL_USER or EMAIL_PASS');
+// XOAUTH2 token providers (one per account, shared by its mailboxes, created on first connect)
+const tokenProviders = new Map();   // accountId -> OAuth2TokenProvider
+
+function getTokenProvider(account) {
+  if (!tokenProviders.has(account.id)) {
+    tokenProviders.set(account.id, new OAuth2TokenProvider(account.oauth2, {
+      onError: (err) => healthMonitor.recordAuthFailure(`token:${account.id}`, err),
+    }));
+  }
+  return tokenProviders.get(account.id);
+}
+
+// Server rejected the login, or we could not get an XOAUTH2 token
+function isAuthError(err) {
+  return !!err && (err.authenticationFailed === true || (err instanceof IMAPError && err.code === 'AUTH_FAILED'));
+}
+
+// Missing settings throw here (before connecting) - retrying would not fix them
+function getImapCredentials(account) {
+  const { user } = account;
+
+  if (account.authMethod === 'oauth2') {
+    if (!user) throw new Error(`Missing user for IMAP account "${account.id}" (EMAIL_USER)`);
+    getTokenProvider(account); // throws when the client id / refresh token are missing
+    return { user };
+  }
+
+  const { pass } = account;
+  if (!user || !pass) throw new Error(`Missing user or password for IMAP account "${account.id}" (EMAIL_USER / EMAIL_PASS)`);
+  return { user, pass };
+}
+
+async function buildImapConfig(account, credentials) {
+  const auth = { ...credentials };
+  if (account.authMethod === 'oauth2') {
+    auth.accessToken = await getTokenProvider(account).getAccessToken();
+    healthMonitor.recordAuthSuccess(`token:${account.id}`);
+  }
 
   return {
-    host: 'imap.gmail.com',
-    port: 993,
-    secure: true,
+    host: account.host,
+    port: account.port,
+    secure: account.secure,
+    tls: { rejectUnauthorized: account.rejectUnauthorized },
     logger: false,
     socketTimeout: CONFIG.CONNECTION_TIMEOUT,
     greetingTimeout: CONFIG.CONNECTION_TIMEOUT,
-    auth: { user, pass },
+    auth,
   };
 }
 
-// -------------- core: connect single mailbox --------------
-async function connectToImapForMailbox(mailboxName, callback) {
-  if (getReconnecting(mailboxName)) return; // ป้องกันซ้ำซ้อนระหว่าง reconnect
+// -------------- reconciliation sweep --------------
+// 'exists' only fires for live IDLE sessions: mail that arrives while IDLE is
+// silently dead, or while IMAP is paused, waits for the next new message.
+// The sweep searches for it on a timer and once after resumeImap().
+async function runSweep(mailboxName, trigger = 'scheduled') {
+  const target = sweepTargets.get(mailboxName);
+  const client = clients.get(mailboxName);
+  if (isPaused || !target || !client || client.destroyed) return 0;
+
+  const recovered = await sweepMailbox(client, target.mailbox, target.callback, target.account.id);
+  healthMonitor.recordSweep(mailboxName, recovered, trigger);
+  if (recovered > 0) {
+    connectionStats.totalRecovered += recovered;
+    logSuccess(`🧹 Sweep (${trigger}) recovered ${recovered} missed email(s) in "${mailboxName}"`);
+  }
+  return recovered;
+}
+
+function startSweep(account, mailbox, callback) {
+  const mailboxName = mailboxKey(account.id, mailbox);
+  stopSweep(mailboxName);
+  sweepTargets.set(mailboxName, { account, mailbox, callback });
+
+  const timer = setInterval(() => {
+    runSweep(mailboxName).catch(err => logFail(`❌ Sweep error in "${mailboxName}": ${err.message}`));
+  }, IMAP_SWEEP.INTERVAL);
+  // Allow Node to exit even if timer is still active
+  if (timer.unref) timer.unref();
+  sweepTimers.set(mailboxName, timer);
+}
 
-  const baseConfig = buildImapConfig();
+// Called when the connection drops; startSweep() runs again after reconnecting
+function stopSweep(mailboxName) {
+  clearInterval(sweepTimers.get(mailboxName));
+  sweepTimers.delete(mailboxName);
+  sweepTargets.delete(mailboxName);
+}
 
-  const client = new ImapFlow({
-    ...baseConfig,
-    idleTimeout: CONFIG.IDLE_TIMEOUT,            // 👈 ใช้ค่า timeout จาก CONFIG
-    keepaliveInterval: CONFIG.KEEPALIVE_INTERVAL // 👈 ใช้ค่า keepalive จาก CONFIG
-  });
+// -------------- core: connect single mailbox --------------
+async function connectToImapForMailbox(account, mailbox, callback) {
+  const mailboxName = mailboxKey(account.id, mailbox); // state / log key
+  if (getReconnecting(mailboxName)) return; // ป้องกันซ้ำซ้อนระหว่าง reconnect
 
-  clients.set(mailboxName, client);
+  const credentials = getImapCredentials(account);
   setHandled(mailboxName, false);
 
   try {
-    logInfo(`🔡 Connecting to IMAP for "${mailboxName}"...`);
+    // Inside try: an XOAUTH2 token refresh can fail and must go through reconnect
+    const baseConfig = await buildImapConfig(account, credentials);
+
+    const client = new ImapFlow({
+      ...baseConfig,
+      idleTimeout: CONFIG.IDLE_TIMEOUT,            // 👈 ใช้ค่า timeout จาก CONFIG
+      keepaliveInterval: CONFIG.KEEPALIVE_INTERVAL // 👈 ใช้ค่า keepalive จาก CONFIG
+    });
+
+    clients.set(mailboxName, client);
+
+    logInfo(`🔡 Connecting to IMAP for "${mailboxName}" (${account.host}:${account.port}, ${account.authMethod})...`);
     const t0 = Date.now();
     await client.connect();
     const tConn = Date.now() - t0;
     logSuccess(`🟢 IMAP connected (${tConn} ms) for "${mailboxName}"`);
+    healthMonitor.recordAuthSuccess(mailboxName);
 
     connectionStats.totalConnections++;
     connectionStats.lastConnectionTime = Date.now();
     if (getRetry(mailboxName) > 0) connectionStats.totalReconnects++;
     setRetry(mailboxName, 0);
 
-    await client.mailboxOpen(mailboxName);
+    await client.mailboxOpen(mailbox);
     logInfo(`📬 Mailbox "${mailboxName}" opened`);
-    await initLastSeenUid(client, mailboxName, ALLOW_BACKFILL);
+    await initLastSeenUid(client, mailbox, account.id);
     try { stateManager.updateIMAPStatus({ connected: true, mailboxes: MAILBOXES }); } catch (_) { /* non-critical */ }
 
     // แจ้งครั้งเดียวพอเมื่อระบบออนไลน์
@@ -112,48 +201,59 @@ async function connectToImapForMailbox(mailboxName, callback) {
       if (isPaused) return;
       logInfo(`🔔 New mail in "${mailboxName}"`);
       try {
-        await fetchNewEmails(client, mailboxName, callback);
+        await fetchNewEmails(client, mailbox, callback, account.id);
       } catch (err) {
         logFail(`❌ fetchNewEmails error in "${mailboxName}": ${err.message}`);
       }
     });
+    startSweep(account, mailbox, callback);
 
     // Errors
     client.on('error', err => {
       if (getHandled(mailboxName)) return;
       setHandled(mailboxName, true);
       logFail(`❌ IMAP error (${mailboxName}): ${err.message}`);
+      stopSweep(mailboxName);
       try { stateManager.updateIMAPStatus({ connected: false }); } catch (_) { /* non-critical */ }
       notifyGoogleChat(`❌ [Auto RWS] IMAP error (${mailboxName}): ${err.message}`);
-      attemptReconnect(mailboxName, callback);
+      attemptReconnect(account, mailbox, callback);
     });
 
     client.on('close', () => {
       if (getHandled(mailboxName)) return;
       setHandled(mailboxName, true);
       logFail(`🔌 IMAP closed (${mailboxName})`);
+      stopSweep(mailboxName);
       try { stateManager.updateIMAPStatus({ connected: false }); } catch (_) { /* non-critical */ }
-      attemptReconnect(mailboxName, callback);
+      attemptReconnect(account, mailbox, callback);
     });
 
     client.on('end', () => {
       if (getHandled(mailboxName)) return;
       setHandled(mailboxName, true);
       logFail(`🔴 IMAP ended by server (${mailboxName})`);
+      stopSweep(mailboxName);
       try { stateManager.updateIMAPStatus({ connected: false }); } catch (_) { /* non-critical */ }
       notifyGoogleChat(`🔴 [Auto RWS] IMAP ended (${mailboxName})`);
-      attemptReconnect(mailboxName, callback);
+      attemptReconnect(account, mailbox, callback);
     });
   } catch (err) {
     logFail(`❌ IMAP setup failed (${mailboxName}): ${err.message}`);
+    stopSweep(mailboxName);
+    if (isAuthError(err)) {
+      healthMonitor.recordAuthFailure(mailboxName, err);
+      // A rejected token must not be reused on the next attempt
+      tokenProviders.get(account.id)?.invalidate();
+    }
     try { stateManager.updateIMAPStatus({ connected: false }); } catch (_) { /* non-critical */ }
     notifyGoogleChat(`❌ [Auto RWS] IMAP setup failed (${mailboxName}): ${err.message}`);
-    attemptReconnect(mailboxName, callback);
+    attemptReconnect(account, mailbox, callback);
   }
 }
 
 
-function attemptReconnect(mailboxName, callback, baseDelay = CONFIG.INITIAL_RETRY_DELAY) {
+function attemptReconnect(account, mailbox, callback, baseDelay = CONFIG.INITIAL_RETRY_DELAY) {
+  const mailboxName = mailboxKey(account.id, mailbox);
   if (getReconnecting(mailboxName)) return;
 
   // Track reconnect event in health monitor
@@ -169,7 +269,7 @@ function attemptReconnect(mailboxName, callback, baseDelay = CONFIG.INITIAL_RETR
       setRetry(mailboxName, 0);
       setReconnecting(mailboxName, false);
       setHandled(mailboxName, false);
-      connectToImapForMailbox(mailboxName, callback);
+      connectToImapForMailbox(account, mailbox, callback);
     }, CONFIG.MAX_RETRY_DELAY);
     return;
   }
@@ -184,15 +284,19 @@ function attemptReconnect(mailboxName, callback, baseDelay = CONFIG.INITIAL_RETR
   setTimeout(() => {
     setReconnecting(mailboxName, false);
     setHandled(mailboxName, false);
-    connectToImapForMailbox(mailboxName, callback);
+    connectToImapForMailbox(account, mailbox, callback);
   }, delay);
 }
 
 // -------------- public entrypoint: start all mailboxes --------------
 async function connectToImap(callback) {
+  taskCallback = callback;
+  mailboxActions.attach(eventBus); // TaskHandler 'task:outcome' → mailbox actions
   // สปิน 1 client ต่อ 1 mailbox (ขนานกัน)
-  for (const mb of MAILBOXES) {
-    connectToImapForMailbox(mb, callback);
+  for (const account of ACCOUNTS) {
+    for (const mb of account.mailboxes) {
+      connectToImapForMailbox(account, mb, callback);
+    }
   }
 }
 
@@ -203,14 +307,35 @@ function pauseImap() {
   logInfo('⏸️ IMAP paused');
 }
 
+/**
+ * Resume and sweep every connected mailbox once for mail that arrived while paused.
+ * @returns {Promise<number>} emails recovered by the sweep
+ */
 function resumeImap() {
   isPaused = false;
   try { stateManager.updateIMAPStatus({ paused: false }); } catch (_) { /* non-critical */ }
   logInfo('▶️ IMAP resumed');
+
+  return Promise.all([...sweepTargets.keys()].map(mb =>
+    runSweep(mb, 'resume').catch(err => {
+      logFail(`❌ Sweep error in "${mb}": ${err.message}`);
+      return 0;
+    })
+  )).then(counts => counts.reduce((sum, n) => sum + n, 0));
 }
 
 function isImapPaused() { return isPaused; }
 
+/**
+ * Re-run a dead-lettered email and, once it parses completely, hand it to the
+ * same callback as fetched emails (Dashboard: POST /api/emails/dead-letter/:id/reprocess).
+ * @param {number} id
+ * @param {Object} [options] - { dispatch }
+ */
+function reprocessDeadLetterEmail(id, options) {
+  return reprocessDeadLetter(id, taskCallback, options);
+}
+
 async function checkConnection() {
   const results = {};
   for (const [mb, client] of clients.entries()) {
@@ -234,9 +359,19 @@ function getConnectionStats() {
     totalConnections: connectionStats.totalConnections,
     totalReconnects: connectionStats.totalReconnects,
     lastConnectionTime: connectionStats.lastConnectionTime,
+    totalRecovered: connectionStats.totalRecovered,
+    mailboxActions: mailboxActions.getStatus(),
     currentRetryCount: Object.fromEntries(retryCount.entries()),
     isPaused,
     mailboxes: MAILBOXES,
+    accounts: ACCOUNTS.map(account => ({
+      id: account.id,
+      mailboxes: account.mailboxes,
+      server: { host: account.host, port: account.port, secure: account.secure },
+      auth: account.authMethod === 'oauth2'
+        ? { method: 'oauth2', ...(tokenProviders.get(account.id)?.getStatus() || { provider: account.oauth2.provider, hasToken: false }) }
+        : { method: 'password' },
+    })),
   };
 }
 
@@ -253,6 +388,7 @@ module.exports = {
   pauseImap,
   resumeImap,
   isImapPaused,
+  reprocessDeadLetterEmail,
   checkConnection,
   getConnectionStats,
   getIMAPHealthStatus,
@@ -0,0 +1,207 @@
+/**
+ * IMAP/mailboxActions.js
+ * Mark handled notification emails in the mailbox with what the bot did.
+ *
+ * Design rationale:
+ *   Processed emails used to stay in Symfonie/Order unchanged, so a human
+ *   looking at the mailbox could not tell accepted offers from declined or
+ *   missed ones. The fetcher tags every task with the email it came from
+ *   ({ account, mailbox, uid }) and tells this module how many tasks the email
+ *   produced (expect). TaskHandler emits 'task:outcome' once each task reaches
+ *   its final state; when every task of an email has reported, the email gets
+ *   the Gmail label (mode 'label') or IMAP keyword (mode 'flag') of each
+ *   outcome (MAILBOX_ACTIONS.NAMES) and is then moved when the account has a
+ *   moveTo folder. Dead-lettered emails are marked straight away (parse_error).
+ *
+ * Settings are per account (imapAccounts.js "mailboxActions", defaulting to
+ * MAILBOX_ACTION / MAILBOX_MOVE_TO). Actions run in the background under the
+ * mailbox lock, after the fetch that found the email released it; failures
+ * are logged and never reach the task pipeline. In shadow mode they are only
+ * logged.
+ *
+ * Emails whose tasks outlive the process (replayed accept jobs) report to an
+ * email that was never expected here: they are marked on their own outcome.
+ */
+
+const { logInfo, logFail } = require('../Logs/logger');
+const { MAILBOX_ACTIONS } = require('../Config/constants');
+const { SHADOW_MODE } = require('../Config/configs');
+const { imapAccounts, mailboxKey } = require('./imapAccounts');
+
+/** Pending-map key of an email reference */
+function refKey({ account, mailbox, uid }) {
+  return `${mailboxKey(account, mailbox)}#${uid}`;
+}
+
+class MailboxActions {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.getAccount] - accountId → account with mailboxActions (imapAccounts)
+   * @param {boolean} [options.dryRun] - log instead of touching the mailbox (defaults to SHADOW_MODE)
+   */
+  constructor(options = {}) {
+    this.getAccount = options.getAccount || ((accountId) => imapAccounts.getAccount(accountId));
+    this.dryRun = options.dryRun ?? SHADOW_MODE;
+    /** @type {Function|null} (accountId, mailbox) → ImapFlow client, set by imapClient.js */
+    this.resolveClient = null;
+    /** @type {Map<string, { ref: Object, expected: number, outcomes: string[], createdAt: number }>} */
+    this.pending = new Map();
+    this.history = [];
+    this.stats = { applied: 0, failed: 0, skipped: 0 };
+    this._onOutcome = (task, outcome) => this.record(task?.email, outcome);
+  }
+
+  /**
+   * Set how the IMAP client of a mailbox is found (avoids a circular dependency on imapClient.js).
+   * @param {Function} resolver - (accountId, mailbox) → ImapFlow client or null
+   */
+  setClientResolver(resolver) {
+    this.resolveClient = resolver;
+  }
+
+  /**
+   * Listen for TaskHandler's 'task:outcome' events. Safe to call again.
+   * @param {import('../Core/eventBus').SystemEventBus} eventBus
+   */
+  attach(eventBus) {
+    eventBus.off('task:outcome', this._onOutcome);
+    eventBus.on('task:outcome', this._onOutcome);
+  }
+
+  /**
+   * The fetcher handed `count` tasks of this email downstream.
+   * @param {{ account: string, mailbox: string, uid: number }} ref
+   * @param {number} count
+   */
+  expect(ref, count) {
+    if (!ref || count <= 0) return;
+    this._prune();
+    this.pending.set(refKey(ref), { ref, expected: count, outcomes: [], createdAt: Date.now() });
+  }
+
+  /**
+   * One task of the email reached its final state (TASK_OUTCOME). Actions start
+   * in the background once every expected task has reported.
+   * @param {{ account: string, mailbox: string, uid: number }|null} ref
+   * @param {string} outcome
+   */
+  record(ref, outcome) {
+    if (!ref || !outcome) return;
+    const key = refKey(ref);
+    const entry = this.pending.get(key) || { ref, expected: 1, outcomes: [] };
+    entry.outcomes.push(outcome);
+    if (entry.outcomes.length < entry.expected) {
+      this.pending.set(key, entry);
+      return;
+    }
+
+    this.pending.delete(key);
+    this.apply(entry.ref, entry.outcomes).catch(err => {
+      logFail(`❌ [MailboxActions] ${key}: ${err.message}`);
+    });
+  }
+
+  /**
+   * Label / flag the email with its outcomes, then move it.
+   * @param {{ account: string, mailbox: string, uid: number }} ref
+   * @param {string[]} outcomes
+   * @returns {Promise<Object|null>} the history entry, null when the account has nothing to do
+   */
+  async apply(ref, outcomes) {
+    const plan = this.plan(ref, outcomes);
+    if (!plan) return null;
+
+    const entry = { ...ref, outcomes: [...new Set(outcomes)], ...plan, at: Date.now(), dryRun: this.dryRun, error: null };
+    const where = `${mailboxKey(ref.account, ref.mailbox)} UID ${ref.uid}`;
+    const what = [plan.names.length ? `${plan.mode} ${plan.names.join(', ')}` : '', plan.moveTo ? `move → ${plan.moveTo}` : '']
+      .filter(Boolean).join(' + ');
+
+    if (this.dryRun) {
+      logInfo(`👻 [MailboxActions] ${where}: would ${what}`);
+      this.stats.skipped++;
+      return this._remember(entry);
+    }
+
+    const client = this.resolveClient?.(ref.account, ref.mailbox);
+    if (!client || client.destroyed) {
+      entry.error = 'mailbox not connected';
+      logFail(`⚠️ [MailboxActions] ${where}: ${what} skipped - mailbox not connected`);
+      this.stats.failed++;
+      return this._remember(entry);
+    }
+
+    const lock = await client.getMailboxLock(ref.mailbox);
+    try {
+      if (plan.names.length > 0) {
+        await client.messageFlagsAdd(String(ref.uid), plan.names, { uid: true, useLabels: plan.mode === 'label' });
+      }
+      if (plan.moveTo) {
+        await client.messageMove(String(ref.uid), plan.moveTo, { uid: true });
+      }
+      logInfo(`🏷️ [MailboxActions] ${where}: ${what}`);
+      this.stats.applied++;
+    } catch (err) {
+      entry.error = err.message;
+      logFail(`❌ [MailboxActions] ${where}: ${what} failed: ${err.message}`);
+      this.stats.failed++;
+    } finally {
+      lock.release();
+    }
+    return this._remember(entry);
+  }
+
+  /**
+   * What to do with an email, from its account's settings.
+   * @param {{ account: string }} ref
+   * @param {string[]} outcomes
+   * @returns {{ mode: string, names: string[], moveTo: string|null }|null} null when nothing applies
+   */
+  plan(ref, outcomes) {
+    const settings = this.getAccount(ref.account)?.mailboxActions;
+    if (!settings) return null;
+
+    const names = settings.mode === 'none' ? [] : [...new Set(outcomes
+      .map(outcome => settings.names?.[outcome] || MAILBOX_ACTIONS.NAMES[outcome])
+      .filter(Boolean))];
+    // One folder for every email, or a folder per outcome (the first outcome that names one)
+    const moveTo = typeof settings.moveTo === 'string'
+      ? settings.moveTo
+      : outcomes.map(outcome => settings.moveTo?.[outcome]).find(Boolean) || null;
+
+    if (names.length === 0 && !moveTo) return null;
+    return { mode: settings.mode, names, moveTo };
+  }
+
+  /**
+   * Counters, emails still waiting on tasks and the latest actions (for the Dashboard).
+   */
+  getStatus() {
+    return {
+      dryRun: this.dryRun,
+      ...this.stats,
+      pending: this.pending.size,
+      recent: this.history.slice(-20).reverse(),
+    };
+  }
+
+  // ================================================================ Helpers
+
+  _remember(entry) {
+    this.history.push(entry);
+    if (this.history.length > MAILBOX_ACTIONS.HISTORY_SIZE) this.history.shift();
+    return entry;
+  }
+
+  /** Drop emails whose tasks never reported back (process restart, login expiry) */
+  _prune() {
+    const cutoff = Date.now() - MAILBOX_ACTIONS.PENDING_TTL;
+    for (const [key, entry] of this.pending) {
+      if (entry.createdAt < cutoff) this.pending.delete(key);
+    }
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const mailboxActions = new MailboxActions();
+
+module.exports = { mailboxActions, MailboxActions };
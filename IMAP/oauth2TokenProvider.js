@@ -0,0 +1,182 @@
+/**
+ * OAuth2TokenProvider - XOAUTH2 access tokens for IMAP (Gmail / Microsoft 365)
+ *
+ * Exchanges a long-lived refresh token for short-lived access tokens and keeps
+ * one cached. A background timer refreshes the token shortly before it expires,
+ * so a reconnect never has to wait for the token endpoint.
+ *
+ * Refreshing only replaces the cached token: live ImapFlow clients were already
+ * authenticated when they connected and keep their IDLE session. The new token
+ * is used the next time a mailbox (re)connects.
+ *
+ * Providers that rotate refresh tokens (Microsoft) return a new one with each
+ * refresh; it replaces the configured token for the rest of the process.
+ */
+
+const axios = require('axios');
+const { logInfo, logFail } = require('../Logs/logger');
+const { IMAP_AUTH, TIMEOUTS } = require('../Config/constants');
+const { IMAPError } = require('../Errors/customErrors');
+
+const PROVIDERS = {
+  google: {
+    tokenUrl: () => 'https://oauth2.googleapis.com/token',
+    scope: null,
+  },
+  microsoft: {
+    tokenUrl: (tenantId) => `https://login.microsoftonline.com/${tenantId || 'common'}/oauth2/v2.0/token`,
+    scope: 'https://outlook.office365.com/IMAP.AccessAsUser.All offline_access',
+  },
+};
+
+class OAuth2TokenProvider {
+  /**
+   * @param {object} settings - configs.imap.oauth2
+   * @param {string} [settings.provider='google'] - 'google' | 'microsoft'
+   * @param {string} settings.clientId
+   * @param {string} [settings.clientSecret]
+   * @param {string} settings.refreshToken
+   * @param {string} [settings.tenantId] - Microsoft tenant (defaults to 'common')
+   * @param {string} [settings.tokenUrl] - overrides the provider's token endpoint
+   * @param {string} [settings.scope] - overrides the provider's scope
+   * @param {object} [deps]
+   * @param {Function} [deps.httpPost] - axios.post compatible (tests)
+   * @param {Function} [deps.onError] - called with the error when a background refresh fails
+   */
+  constructor(settings = {}, { httpPost = axios.post, onError = null } = {}) {
+    const provider = PROVIDERS[settings.provider] ? settings.provider : 'google';
+    if (!settings.clientId || !settings.refreshToken) {
+      throw new IMAPError('XOAUTH2 needs IMAP_OAUTH_CLIENT_ID and IMAP_OAUTH_REFRESH_TOKEN', 'AUTH_FAILED', { provider });
+    }
+
+    this.provider = provider;
+    this.clientId = settings.clientId;
+    this.clientSecret = settings.clientSecret || null;
+    this.refreshToken = settings.refreshToken;
+    this.tokenUrl = settings.tokenUrl || PROVIDERS[provider].tokenUrl(settings.tenantId);
+    this.scope = settings.scope || PROVIDERS[provider].scope;
+
+    this.httpPost = httpPost;
+    this.onError = onError;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.lastRefreshAt = null;
+    this.lastError = null;
+
+    this._refreshing = null;   // in-flight refresh promise (shared by concurrent callers)
+    this._timer = null;
+  }
+
+  /**
+   * A valid access token, refreshing first when the cached one is missing or about to expire.
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - IMAP_AUTH.TOKEN_REFRESH_MARGIN) {
+      return this.accessToken;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Fetch a new access token. Concurrent calls share one request.
+   * @returns {Promise<string>}
+   */
+  refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._requestToken().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Drop the cached token (e.g. after the server rejected it) so the next connect refreshes.
+   */
+  invalidate() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Stop the background refresh timer (for graceful shutdown / tests).
+   */
+  stop() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Plain object for the Dashboard (no secrets).
+   */
+  getStatus() {
+    return {
+      provider: this.provider,
+      hasToken: !!this.accessToken,
+      expiresAt: this.expiresAt || null,
+      lastRefreshAt: this.lastRefreshAt,
+      lastError: this.lastError,
+    };
+  }
+
+  // ----------------------------------------------------------------
+  // Internal helpers
+  // ----------------------------------------------------------------
+
+  async _requestToken() {
+    const body = new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: this.clientId,
+      refresh_token: this.refreshToken,
+    });
+    if (this.clientSecret) body.set('client_secret', this.clientSecret);
+    if (this.scope) body.set('scope', this.scope);
+
+    let data;
+    try {
+      const res = await this.httpPost(this.tokenUrl, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: TIMEOUTS.HTTP_REQUEST_TIMEOUT,
+      });
+      data = res.data || {};
+      if (!data.access_token) throw new Error('token response has no access_token');
+    } catch (err) {
+      const reason = err.response?.data?.error_description || err.response?.data?.error || err.message;
+      this.lastError = reason;
+      throw new IMAPError(`XOAUTH2 token refresh failed (${this.provider}): ${reason}`, 'AUTH_FAILED', {
+        provider: this.provider,
+        status: err.response?.status || null,
+      });
+    }
+
+    this.accessToken = data.access_token;
+    this.expiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000;
+    if (data.refresh_token) this.refreshToken = data.refresh_token;
+    this.lastRefreshAt = Date.now();
+    this.lastError = null;
+
+    logInfo(`[OAuth2] Access token refreshed (${this.provider}), expires in ${Math.round((this.expiresAt - Date.now()) / 60000)} min`);
+    this._scheduleRefresh();
+    return this.accessToken;
+  }
+
+  /** Refresh again shortly before expiry; retry sooner after a failure. */
+  _scheduleRefresh(delay = this.expiresAt - IMAP_AUTH.TOKEN_REFRESH_MARGIN - Date.now()) {
+    this.stop();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.refresh().catch((err) => {
+        logFail(`[OAuth2] Background refresh failed: ${err.message}`);
+        if (typeof this.onError === 'function') this.onError(err);
+        this._scheduleRefresh(IMAP_AUTH.TOKEN_RETRY_DELAY);
+      });
+    }, Math.max(delay, 0));
+
+    // Allow Node to exit even if timer is still active
+    if (this._timer.unref) this._timer.unref();
+  }
+}
+
+module.exports = { OAuth2TokenProvider, PROVIDERS };
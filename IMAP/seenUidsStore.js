@@ -1,15 +1,18 @@
 const fs = require('fs');
 const path = require('path');
 const { logInfo, logFail } = require('../Logs/logger');
+const { IMAP_ACCOUNTS } = require('../Config/constants');
 
-function getSeenUidsPath(mailboxName) {
+// Same namespacing as uidStore.js: seenUids_<account>__<mailbox>.json for non-default accounts
+function getSeenUidsPath(mailboxName, accountId = IMAP_ACCOUNTS.DEFAULT_ID) {
   const safeName = mailboxName.replace(/[^\w]/g, '_');
-  return path.join(__dirname, `seenUids_${safeName}.json`);
+  const prefix = accountId && accountId !== IMAP_ACCOUNTS.DEFAULT_ID ? `${accountId.replace(/[^\w-]/g, '_')}__` : '';
+  return path.join(__dirname, `seenUids_${prefix}${safeName}.json`);
 }
 
 // โหลด UID ที่เคยเห็นทั้งหมด
-function loadSeenUids(mailboxName) {
-  const pathToFile = getSeenUidsPath(mailboxName);
+function loadSeenUids(mailboxName, accountId) {
+  const pathToFile = getSeenUidsPath(mailboxName, accountId);
   try {
     const data = fs.readFileSync(pathToFile, 'utf8');
     const uids = JSON.parse(data);
@@ -22,8 +25,8 @@ function loadSeenUids(mailboxName) {
 }
 
 // บันทึก UID ทั้งหมด (แบบ overwrite ทั้ง set)
-function saveSeenUids(mailboxName, seenSet) {
-  const pathToFile = getSeenUidsPath(mailboxName);
+function saveSeenUids(mailboxName, seenSet, accountId) {
+  const pathToFile = getSeenUidsPath(mailboxName, accountId);
   try {
     const uidArray = [...seenSet];
     const limitedUids = uidArray.slice(-1000);
@@ -35,6 +38,7 @@ function saveSeenUids(mailboxName, seenSet) {
 }
 
 module.exports = {
+  getSeenUidsPath,
   loadSeenUids,
   saveSeenUids
 };
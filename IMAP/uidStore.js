@@ -1,16 +1,19 @@
 const fs = require('fs');
 const path = require('path');
 const { logInfo, logFail } = require('../Logs/logger');
+const { IMAP_ACCOUNTS } = require('../Config/constants');
 
 // สร้างชื่อไฟล์ UID ที่ปลอดภัยตามชื่อ mailbox
-function getUidStorePath(mailboxName) {
+// Accounts other than the default one get their own namespace: uidStore_<account>__<mailbox>.json
+function getUidStorePath(mailboxName, accountId = IMAP_ACCOUNTS.DEFAULT_ID) {
     const safeName = mailboxName.replace(/[^\w]/g, '_');
-    return path.join(__dirname, `uidStore_${safeName}.json`);
+    const prefix = accountId && accountId !== IMAP_ACCOUNTS.DEFAULT_ID ? `${accountId.replace(/[^\w-]/g, '_')}__` : '';
+    return path.join(__dirname, `uidStore_${prefix}${safeName}.json`);
 }
 
 // โหลด UID ล่าสุดจากไฟล์
-function loadLastSeenUidFromFile(mailboxName) {
-    const pathToFile = getUidStorePath(mailboxName);
+function loadLastSeenUidFromFile(mailboxName, accountId) {
+    const pathToFile = getUidStorePath(mailboxName, accountId);
     try {
         const data = fs.readFileSync(pathToFile, 'utf8');
         const parsed = JSON.parse(data);
@@ -24,9 +27,9 @@ function loadLastSeenUidFromFile(mailboxName) {
 }
 
 // บันทึก UID ล่าสุดลงไฟล์ .tmp → .json (atomic)
-function saveLastSeenUid(mailboxName, uid) {
-    const tempPath = getUidStorePath(mailboxName) + '.tmp';
-    const finalPath = getUidStorePath(mailboxName);
+function saveLastSeenUid(mailboxName, uid, accountId) {
+    const finalPath = getUidStorePath(mailboxName, accountId);
+    const tempPath = finalPath + '.tmp';
     try {
         fs.writeFileSync(tempPath, JSON.stringify({ lastSeenUid: uid }));
         fs.renameSync(tempPath, finalPath);
@@ -1,6 +1,7 @@
 // Sheets/markStatusByOrderId.js
 const { logInfo, logFail, logProgress } = require('../Logs/logger');
 const config = require('../Config/configs');
+const { RETRIES } = require('../Config/constants');
 const { safeUpdateSheet, safeGetSheet } = require('./sheetCircuitBreaker');
 const dayjs = require('dayjs');
 const customParseFormat = require('dayjs/plugin/customParseFormat');
@@ -23,75 +24,89 @@ function columnToIndex(col) {
   return index - 1; // 0-based
 }
 
+/**
+ * Find the Tracking sheet row of an Order ID + Received Date (for precise matching when duplicate Order IDs exist)
+ * @param {string} orderId - Order ID to find
+ * @param {string|null} receivedDate - Received date from email (format: 'YYYY-MM-DD h:mm A')
+ * @param {Object} cfg - Tracking sheet settings (jobLinks.TrackingSheet merged with the account override)
+ * @returns {Promise<number>} sheet row number, -1 when not found
+ */
+async function findTrackingRow(orderId, receivedDate, cfg) {
+  const { sheetId: spreadsheetId, tabName, orderIdColumn, receivedDateColumn } = cfg;
+
+  // ถ้ามี receivedDate ให้ดึงทั้ง Order ID และ Received Date มาเช็คคู่กัน
+  // จำกัด row สูงสุดเพื่อป้องกัน timeout/memory issues
+  const endRow = 5 + MAX_ROWS - 1;
+  const range = receivedDate && receivedDateColumn
+    ? `${tabName}!${orderIdColumn}5:${receivedDateColumn}${endRow}`
+    : `${tabName}!${orderIdColumn}5:${orderIdColumn}${endRow}`;
+
+  const response = await safeGetSheet({
+    spreadsheetId,
+    range,
+    majorDimension: 'ROWS',
+  });
+
+  const rows = response.data.values || [];
+
+  // หา row ที่ตรงกับ Order ID + Received Date (ถ้ามี)
+  const rowIndex = rows.findIndex(row => {
+    const sheetOrderId = (row && row[0]) ? String(row[0]).trim() : '';
+    const orderIdMatch = sheetOrderId === String(orderId).trim();
+
+    // ถ้าไม่มี receivedDate หรือไม่มี receivedDateColumn ให้เช็คแค่ Order ID
+    if (!receivedDate || !receivedDateColumn) {
+      return orderIdMatch;
+    }
+
+    // คำนวณ index ของ receivedDateColumn ใน row array
+    // ใช้ columnToIndex() รองรับทั้ง A-Z และ AA, AB, etc.
+    const colDiff = columnToIndex(receivedDateColumn) - columnToIndex(orderIdColumn);
+    const sheetReceivedDate = (row && row[colDiff]) ? String(row[colDiff]).trim() : '';
+
+    // เปรียบเทียบ receivedDate (รองรับหลาย format)
+    const dateFormats = [
+      'YYYY-MM-DD h:mm A',
+      'YYYY-MM-DD HH:mm:ss',
+      'YYYY-MM-DD HH:mm',
+      'M/D/YYYY h:mm:ss A',
+      'DD/MM/YYYY HH:mm'
+    ];
+    const emailDate = dayjs(receivedDate, dateFormats, true);
+    const sheetDate = dayjs(sheetReceivedDate, dateFormats, true);
+
+    // ถ้า parse ไม่ได้ ให้เช็คแค่ Order ID
+    if (!emailDate.isValid() || !sheetDate.isValid()) {
+      return orderIdMatch;
+    }
+
+    // เช็คว่าตรงกันทั้ง Order ID และ Received Date (tolerance 2 นาที)
+    const dateMatch = Math.abs(emailDate.diff(sheetDate, 'minute')) <= 2;
+    return orderIdMatch && dateMatch;
+  });
+
+  return rowIndex === -1 ? -1 : rowIndex + 5;
+}
+
 /**
  * Mark status by Order ID + Received Date (for precise matching when duplicate Order IDs exist)
  * @param {string} orderId - Order ID to find
  * @param {string} status - Status to set
- * @param {string} pmName - PM name (default: 'DTP')
+ * @param {string} pmName - PM column value: the task's assignee, or TEAM.DEFAULT_ASSIGNEE ('DTP')
  * @param {string|null} receivedDate - Received date from email (format: 'YYYY-MM-DD h:mm A')
+ * @param {Object|null} sheet - per-account Tracking sheet (IMAP account routing), merged over jobLinks.TrackingSheet
  */
-async function markStatusByOrderId(orderId, status, pmName = 'DTP', receivedDate = null) {
-  const { sheetId: spreadsheetId, tabName, orderIdColumn, statusColumn, pmNameColumn, receivedDateColumn } =
-    config.jobLinks.TrackingSheet;
+async function markStatusByOrderId(orderId, status, pmName = 'DTP', receivedDate = null, sheet = null) {
+  const cfg = { ...config.jobLinks.TrackingSheet, ...sheet };
+  const { sheetId: spreadsheetId, tabName, statusColumn, pmNameColumn } = cfg;
 
   try {
-    // ถ้ามี receivedDate ให้ดึงทั้ง Order ID และ Received Date มาเช็คคู่กัน
-    // จำกัด row สูงสุดเพื่อป้องกัน timeout/memory issues
-    const endRow = 5 + MAX_ROWS - 1;
-    const range = receivedDate && receivedDateColumn
-      ? `${tabName}!${orderIdColumn}5:${receivedDateColumn}${endRow}`
-      : `${tabName}!${orderIdColumn}5:${orderIdColumn}${endRow}`;
-
-    const response = await safeGetSheet({
-      spreadsheetId,
-      range,
-      majorDimension: 'ROWS',
-    });
-
-    const rows = response.data.values || [];
-
-    // หา row ที่ตรงกับ Order ID + Received Date (ถ้ามี)
-    const rowIndex = rows.findIndex(row => {
-      const sheetOrderId = (row && row[0]) ? String(row[0]).trim() : '';
-      const orderIdMatch = sheetOrderId === String(orderId).trim();
-
-      // ถ้าไม่มี receivedDate หรือไม่มี receivedDateColumn ให้เช็คแค่ Order ID
-      if (!receivedDate || !receivedDateColumn) {
-        return orderIdMatch;
-      }
-
-      // คำนวณ index ของ receivedDateColumn ใน row array
-      // ใช้ columnToIndex() รองรับทั้ง A-Z และ AA, AB, etc.
-      const colDiff = columnToIndex(receivedDateColumn) - columnToIndex(orderIdColumn);
-      const sheetReceivedDate = (row && row[colDiff]) ? String(row[colDiff]).trim() : '';
-
-      // เปรียบเทียบ receivedDate (รองรับหลาย format)
-      const dateFormats = [
-        'YYYY-MM-DD h:mm A',
-        'YYYY-MM-DD HH:mm:ss',
-        'YYYY-MM-DD HH:mm',
-        'M/D/YYYY h:mm:ss A',
-        'DD/MM/YYYY HH:mm'
-      ];
-      const emailDate = dayjs(receivedDate, dateFormats, true);
-      const sheetDate = dayjs(sheetReceivedDate, dateFormats, true);
-
-      // ถ้า parse ไม่ได้ ให้เช็คแค่ Order ID
-      if (!emailDate.isValid() || !sheetDate.isValid()) {
-        return orderIdMatch;
-      }
-
-      // เช็คว่าตรงกันทั้ง Order ID และ Received Date (tolerance 2 นาที)
-      const dateMatch = Math.abs(emailDate.diff(sheetDate, 'minute')) <= 2;
-      return orderIdMatch && dateMatch;
-    });
-
-    if (rowIndex === -1) {
+    const realRow = await findTrackingRow(orderId, receivedDate, cfg);
+    if (realRow === -1) {
       logProgress(`❌ Order ID ${orderId} (receivedDate: ${receivedDate || 'N/A'}) not found in sheet ${tabName}`);
       return false;
     }
 
-    const realRow = rowIndex + 5;
     const statusRange = `${tabName}!${statusColumn}${realRow}`;
     const pmRange     = `${tabName}!${pmNameColumn}${realRow}`;
 
@@ -118,19 +133,64 @@ async function markStatusByOrderId(orderId, status, pmName = 'DTP', receivedDate
   }
 }
 
+/**
+ * Write a re-planned task's words / deadline / assignee to its Tracking sheet row
+ * (deadline or word-count change notifications). Words and deadline are only
+ * written when the sheet config names amountWordsColumn / plannedEndColumn.
+ * @param {string} orderId
+ * @param {string|null} receivedDate - Received date of the accepted task's email
+ * @param {{amountWords?: number, plannedEndDate?: string, pmName?: string}} values
+ * @param {Object|null} sheet - per-account Tracking sheet override (see markStatusByOrderId)
+ * @returns {Promise<boolean>} true when the row was found and written
+ */
+async function updateTaskRowByOrderId(orderId, receivedDate, values, sheet = null) {
+  const cfg = { ...config.jobLinks.TrackingSheet, ...sheet };
+  const { sheetId: spreadsheetId, tabName } = cfg;
+  const cells = [
+    [cfg.amountWordsColumn, values.amountWords],
+    [cfg.plannedEndColumn, values.plannedEndDate],
+    [cfg.pmNameColumn, values.pmName],
+  ].filter(([column, value]) => column && value != null);
+  if (cells.length === 0) return true;
+
+  try {
+    const realRow = await findTrackingRow(orderId, receivedDate, cfg);
+    if (realRow === -1) {
+      logProgress(`❌ Order ID ${orderId} (receivedDate: ${receivedDate || 'N/A'}) not found in sheet ${tabName}`);
+      return false;
+    }
+
+    for (const [column, value] of cells) {
+      await safeUpdateSheet({
+        spreadsheetId,
+        range: `${tabName}!${column}${realRow}`,
+        values: [[value]],
+        valueInputOption: 'USER_ENTERED',
+      });
+    }
+
+    logInfo(`✅ Updated ${cells.map(([column]) => column).join(', ')} at ${tabName} row ${realRow} (Order: ${orderId})`);
+    return true;
+  } catch (err) {
+    logFail(`❌ Google Sheets API error: ${err.message}`);
+    return false;
+  }
+}
+
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
 /**
  * Mark status with retry (includes receivedDate for precise matching)
  * @param {string} orderId - Order ID to find
  * @param {string} status - Status to set
- * @param {string} pmName - PM name (default: 'DTP')
+ * @param {string} pmName - PM column value: the task's assignee, or TEAM.DEFAULT_ASSIGNEE ('DTP')
  * @param {string|null} receivedDate - Received date from email
- * @param {number} retries - Number of retries (default: 3)
+ * @param {number} retries - Number of retries (default: RETRIES.SHEET_STATUS = 3)
+ * @param {Object|null} sheet - per-account Tracking sheet override (see markStatusByOrderId)
  */
-async function markStatusWithRetry(orderId, status, pmName = 'DTP', receivedDate = null, retries = 3) {
+async function markStatusWithRetry(orderId, status, pmName = 'DTP', receivedDate = null, retries = RETRIES.SHEET_STATUS, sheet = null) {
   for (let attempt = 1; attempt <= retries; attempt++) {
-    const ok = await markStatusByOrderId(orderId, status, pmName, receivedDate);
+    const ok = await markStatusByOrderId(orderId, status, pmName, receivedDate, sheet);
     if (ok) return true;
 
     logProgress(`⏳ Retry ${attempt}/${retries} – Order ID ${orderId} (Date: ${receivedDate || 'N/A'}) not yet found, waiting 1 min for Google Sheet sync...`);
@@ -143,6 +203,7 @@ async function markStatusWithRetry(orderId, status, pmName = 'DTP', receivedDate
 module.exports = {
   markStatusByOrderId,
   markStatusWithRetry,
+  updateTaskRowByOrderId,
   columnToIndex, // export สำหรับ testing
   MAX_ROWS,
 };
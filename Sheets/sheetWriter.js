@@ -1,4 +1,4 @@
-const dayjs = require('dayjs');
+const businessTime = require('../Utils/businessTime');
 const { logSuccess, logFail } = require('../Logs/logger');
 const { DEFAULT_SHEET_KEY, jobLinks } = require('../Config/configs');
 const { safeAppendToSheet } = require('./sheetCircuitBreaker');
@@ -10,7 +10,7 @@ async function appendStatusToMainSheet({ url, status, reason, timestamp, sheetKe
   if (!config) throw new Error(`❌ MainSheet config not found`);
 
   const range = `${config.tabName}!${config.LinksOrderColumn}:${config.TimestampColumn}`;
-  const values = [[url, status, reason, timestamp || dayjs().format('YYYY-MM-DD HH:mm:ss')]];
+  const values = [[url, status, reason, timestamp || businessTime.now().format('YYYY-MM-DD HH:mm:ss')]];
 
   try {
     await safeAppendToSheet({
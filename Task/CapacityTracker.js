@@ -7,9 +7,17 @@ const { loadJSON, saveJSON, saveJSONAtomic, withFileLock } = require('../Utils/f
 const isSameOrBefore = require('dayjs/plugin/isSameOrBefore');
 const customParseFormat = require('dayjs/plugin/customParseFormat');
 const isBusinessDay = require('./isBusinessDay');
-const { maxDailyCapacity: MAX_DAILY_CAPACITY } = require('../Config/configs');
-const { CAPACITY } = require('../Config/constants');
+const { STRATEGIES, resolveStrategyName } = require('./allocationStrategies');
+const configs = require('../Config/configs');
+const { maxDailyCapacity: MAX_DAILY_CAPACITY, wordsPerHour, SHADOW_MODE } = configs;
+const { CAPACITY, WORKING_HOURS } = require('../Config/constants');
+const { workingHoursManager } = require('./workingHoursManager');
+const { teamRoster } = require('./teamRoster');
 const { stateManager } = require('../State/stateManager');
+const { getCapacityLedger, LEDGER_EVENTS } = require('./capacityLedger');
+const { getTaskStore } = require('./taskStore');
+const businessTime = require('../Utils/businessTime');
+const { logFail, logInfo } = require('../Logs/logger');
 
 dayjs.extend(isSameOrBefore);
 dayjs.extend(customParseFormat);
@@ -18,7 +26,83 @@ let capacityMap = {};
 const DAILY_OVERRIDE_PATH = path.join(__dirname, '../public/dailyOverride.json');
 const CAPACITY_MAP_PATH = path.join(__dirname, '../public/capacity.json');
 
+// Snapshot mode (tools/replayEmails.js): reads come from in-memory maps instead of
+// capacity.json / dailyOverride.json. Maps are held by reference so the caller can
+// simulate consumption between evaluations.
+let capacitySnapshot = null;
+
+function useCapacitySnapshot(capacity = {}, overrides = {}) {
+  capacitySnapshot = { capacity, overrides };
+}
+
+function clearCapacitySnapshot() {
+  capacitySnapshot = null;
+}
+
+// Per-order allocation ledger (Task/capacityLedger.js). capacity.json stays the
+// daily-total cache; every change to it is mirrored as ledger events so we know
+// which order holds which words. Ledger errors never block a capacity write, but
+// they are reported (notify once per failure streak): a missed event leaves the
+// ledger out of step with capacity.json until the next syncCapacityWithTasks().
+// A shadow instance runs beside production and never opens its ledger: seeding
+// alone would release production's open reservations.
+let ledgerSeeded = false;
+let ledgerFailing = false;
+
+function withLedger(fn) {
+  if (capacitySnapshot || SHADOW_MODE) return null;
+  try {
+    const ledger = getCapacityLedger();
+    if (!ledgerSeeded) {
+      if (ledger.isEmpty()) {
+        // First use on an existing install: carry current totals over as unattributed words
+        const existing = Object.entries(loadJSON(CAPACITY_MAP_PATH, {}))
+          .map(([date, amount]) => ({ date, amount }));
+        ledger.record(LEDGER_EVENTS.ADJUST, null, existing, 'import capacity.json');
+      } else {
+        // Reservations are in-memory only - drop any left behind by a previous process
+        ledger.releaseOpenReservations('expired on restart');
+      }
+      ledgerSeeded = true;
+    }
+    const result = fn(ledger);
+    if (ledgerFailing) {
+      ledgerFailing = false;
+      logInfo('[CapacityTracker] Capacity ledger is writable again; the next task sync reconciles it');
+    }
+    return result;
+  } catch (err) {
+    logFail(`[CapacityTracker] Capacity ledger error (per-order allocations may drift from capacity.json): ${err.message}`, !ledgerFailing);
+    ledgerFailing = true;
+    return null;
+  }
+}
+
+// Two-phase booking: an accepted task holds its plan as an in-memory reservation
+// (counted by getAvailableDates) until the browser accept succeeds and
+// applyCapacity commits it. Failures, rollbacks and the TTL release it. The accept
+// job holds without a TTL while it waits in the queue and starts the TTL when it
+// starts processing (refreshReservation), so a long queue never frees its days.
+// orderId -> { plan, strategy, expiresAt, timer }
+const reservations = new Map();
+
+function getReservedMap() {
+  const reserved = {};
+  for (const { plan } of reservations.values()) {
+    for (const { date, amount } of plan) {
+      reserved[date] = (reserved[date] || 0) + amount;
+    }
+  }
+  return reserved;
+}
+
+// Plan entries keep their assignee (team roster) when they have one
+function copyPlan(plan) {
+  return plan.map(p => (p.assignee ? { date: p.date, amount: p.amount, assignee: p.assignee } : { date: p.date, amount: p.amount }));
+}
+
 function loadDailyOverride() {
+  if (capacitySnapshot) return capacitySnapshot.overrides;
   return loadJSON(DAILY_OVERRIDE_PATH, {});
 }
 
@@ -27,13 +111,155 @@ function saveDailyOverride(overrideMap) {
 }
 
 function loadCapacityMap() {
-  capacityMap = loadJSON(CAPACITY_MAP_PATH, {});
+  capacityMap = capacitySnapshot ? capacitySnapshot.capacity : loadJSON(CAPACITY_MAP_PATH, {});
 }
 
 function saveCapacityMap() {
   saveJSON(CAPACITY_MAP_PATH, capacityMap);
 }
 
+// Capacity model (configs.capacityModel):
+//   daily  - flat maxDailyCapacity (or override) per business day (default).
+//   hourly - opt-in (CAPACITY_MODEL=hourly). A day's limit is WORDS_PER_HOUR × its
+//            working hours (WorkingHoursManager, OT days included). Today only counts
+//            the hours left after now and the deadline day only the hours before the
+//            deadline. A dailyOverride.json entry is that day's full-day total;
+//            partial days get the same share of it.
+// With a team roster (Task/teamRoster.js) a day's limit is the sum of the members'
+// limits instead - each member's wordsPerHour × their own hours (leave / OT).
+const isHourlyModel = () => configs.capacityModel === 'hourly';
+const WORDS_PER_HOUR = wordsPerHour || MAX_DAILY_CAPACITY / (WORKING_HOURS.END_HOUR - WORKING_HOURS.START_HOUR);
+
+/**
+ * Limit for one date.
+ * @param {string} dateStr
+ * @param {Object} overrideMap
+ * @param {{from?: dayjs.Dayjs, until?: dayjs.Dayjs}} [window] - see workingHoursManager.getAvailableHours
+ * @returns {{ full: number, available: number }} full-day limit, and the words that fit in the window
+ */
+function getDayLimit(dateStr, overrideMap, window = {}) {
+  const members = teamRoster.getMembers();
+  if (members.length > 0) {
+    let full = 0;
+    let available = 0;
+    for (const member of members) {
+      const limit = getMemberLimit(member, dateStr, window);
+      full += limit.full;
+      available += limit.available;
+    }
+    const override = overrideMap[dateStr];
+    if (!override) return { full, available };
+    return { full: override, available: full > 0 ? Math.round(override * available / full) : 0 };
+  }
+
+  if (!isHourlyModel()) {
+    const full = overrideMap[dateStr] || MAX_DAILY_CAPACITY;
+    return { full, available: full };
+  }
+  const dayHours = workingHoursManager.getAvailableHours(dateStr);
+  if (dayHours <= 0) return { full: 0, available: 0 };
+  const full = overrideMap[dateStr] || Math.round(WORDS_PER_HOUR * dayHours);
+  const hours = workingHoursManager.getAvailableHours(dateStr, window);
+  return { full, available: Math.round(full * hours / dayHours) };
+}
+
+/**
+ * One roster member's limit on a date (same shape as getDayLimit).
+ * Members are always sized by their own hours; the daily model only skips
+ * trimming today / the deadline day.
+ * @param {Object} member - teamRoster member
+ * @param {string} dateStr
+ * @param {{from?: dayjs.Dayjs, until?: dayjs.Dayjs}} [window]
+ * @returns {{ full: number, available: number }}
+ */
+function getMemberLimit(member, dateStr, window = {}) {
+  const rate = member.wordsPerHour || WORDS_PER_HOUR;
+  const dayHours = teamRoster.getAvailableHours(member, dateStr);
+  if (dayHours <= 0) return { full: 0, available: 0 };
+  const full = Math.round(rate * dayHours);
+  if (!isHourlyModel()) return { full, available: full };
+  return { full, available: Math.round(rate * teamRoster.getAvailableHours(member, dateStr, window)) };
+}
+
+/**
+ * Words booked per member: committed in the ledger plus pending reservations.
+ * @param {Array<{date: string, amount: number, assignee?: string}>} [replacing] - plan whose words count as free
+ * @returns {Object<string, Object<string, number>>} { date: { memberId: words } }
+ */
+function getAssigneeUsage(replacing = []) {
+  const usage = withLedger(ledger => ledger.getAssigneeTotals()) || {};
+  const add = (date, assignee, amount) => {
+    const day = usage[date] = usage[date] || {};
+    day[assignee] = Math.max(0, (day[assignee] || 0) + amount);
+  };
+  if (!capacitySnapshot) {
+    for (const { plan } of reservations.values()) {
+      for (const { date, amount, assignee } of plan) {
+        if (assignee) add(date, assignee, amount);
+      }
+    }
+  }
+  for (const { date, amount, assignee } of replacing) {
+    if (assignee) add(date, assignee, -amount);
+  }
+  return usage;
+}
+
+/**
+ * Split each day of a plan across roster members. One member (the one with
+ * the most room over the whole plan) takes as much as they can so a task
+ * stays with one linguist; the rest goes to whoever has the most room that day.
+ * @param {Array<{date: string, amount: number}>} plan
+ * @param {Array<Object>} members
+ * @param {{from?: dayjs.Dayjs, until?: dayjs.Dayjs}} window
+ * @param {Array<Object>} [replacing] - plan whose words count as free (planAllocation options.replacing)
+ * @returns {{ plan: Array<{date: string, amount: number, assignee?: string}>, assignee: string|null }}
+ */
+function assignMembers(plan, members, window, replacing) {
+  const usage = getAssigneeUsage(replacing);
+  const spaceOf = (member, date) => {
+    const { full, available } = getMemberLimit(member, date, window);
+    const used = usage[date]?.[member.id] || 0;
+    return Math.max(0, Math.min(full - used, available));
+  };
+
+  const room = (member) => plan.reduce((sum, p) => sum + Math.min(p.amount, spaceOf(member, p.date)), 0);
+  const [primary, ...others] = members
+    .map(member => ({ member, room: room(member) }))
+    .sort((a, b) => b.room - a.room)
+    .map(r => r.member);
+
+  const assigned = [];
+  const totals = {};
+  for (const { date, amount } of plan) {
+    let left = amount;
+    const order = [primary, ...others.sort((a, b) => spaceOf(b, date) - spaceOf(a, date))];
+    for (const member of order) {
+      const take = Math.min(left, spaceOf(member, date));
+      if (take <= 0) continue;
+      assigned.push({ date, amount: take, assignee: member.id });
+      totals[member.id] = (totals[member.id] || 0) + take;
+      left -= take;
+      if (left <= 0) break;
+    }
+    // A daily override above the members' total leaves words nobody is assigned to
+    if (left > 0) assigned.push({ date, amount: left });
+  }
+
+  const top = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+  return { plan: assigned, assignee: top ? top[0] : null };
+}
+
+/** Capacity model settings, for the Dashboard */
+function getCapacityModel() {
+  return {
+    model: isHourlyModel() ? 'hourly' : 'daily',
+    wordsPerHour: isHourlyModel() ? Math.round(WORDS_PER_HOUR) : null,
+    maxDailyCapacity: MAX_DAILY_CAPACITY,
+    teamSize: teamRoster.getMembers().length
+  };
+}
+
 function getOverrideMap() {
   return loadDailyOverride();
 }
@@ -42,27 +268,65 @@ function getCapacityMap() {
   return capacityMap;
 }
 
-function getAvailableDates(requiredWords, deadlineStr, excludeToday = false) {
+/**
+ * Plan how to spread a task's words over the days up to its deadline.
+ * @param {number} requiredWords
+ * @param {string|Date|dayjs.Dayjs} deadlineStr - deadline text (DEADLINE_FORMATS) or a moment
+ * @param {boolean} [excludeToday=false]
+ * @param {object} [options]
+ * @param {string} [options.strategy] - see Task/allocationStrategies.js (default CAPACITY.ALLOCATION_STRATEGY)
+ * @param {number} [options.bufferPercent] - for the 'buffer' strategy
+ * @param {string[]} [options.members] - capacity pool: plan on these roster members only, against
+ *        their own bookings (IMAP account routing). Ignored without a roster.
+ * @param {Array<{date: string, amount: number}>} [options.replacing] - the order's current plan when
+ *        re-planning it: its words count as free, so the new plan can reuse those days
+ * @returns {{ allocationPlan: Array<{date: string, amount: number, assignee?: string}>, strategy: string|null, assignee: string|null }}
+ *          strategy is the concrete strategy used (null when there was nothing to plan);
+ *          with a team roster every entry names its member and assignee is the main one
+ */
+function planAllocation(requiredWords, deadlineStr, excludeToday = false, options = {}) {
   loadCapacityMap();
   const overrideMap = loadDailyOverride();
-  const today = dayjs().startOf('day');
-  const deadline = dayjs(deadlineStr, [
-    'YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD HH:mm',
-    'DD.MM.YYYY h:mm A', 'DD/MM/YYYY h:mm A', 'DD-MM-YYYY h:mm A'
-  ], true);
+  const reserved = capacitySnapshot ? {} : getReservedMap();
+  // Days, "today" and the deadline are all business-timezone dates
+  const today = businessTime.now().startOf('day');
+  // evaluateTaskAcceptance passes its effective deadline as a dayjs moment
+  const deadline = typeof deadlineStr === 'string' || deadlineStr == null
+    ? businessTime.parseBusiness(deadlineStr)
+    : businessTime.toBusiness(deadlineStr);
 
   // Validate deadline
-  if (!deadline.isValid()) {
+  if (!deadline || !deadline.isValid()) {
     console.error('[CapacityTracker] Invalid deadline format:', deadlineStr);
-    return [];
+    return { allocationPlan: [], strategy: null, assignee: null };
+  }
+
+  const requested = options.strategy || CAPACITY.ALLOCATION_STRATEGY;
+  if (requested !== 'auto' && !STRATEGIES[requested]) {
+    console.warn(`[CapacityTracker] Unknown allocation strategy "${requested}", using auto`);
+  }
+  let members = teamRoster.getMembers();
+  let pool = null;
+  if (options.members && members.length > 0) {
+    pool = members.filter(m => options.members.includes(m.id));
+    if (pool.length === 0) {
+      console.warn(`[CapacityTracker] Capacity pool [${options.members.join(', ')}] has no roster members`);
+      return { allocationPlan: [], strategy: null, assignee: null };
+    }
+    members = pool;
   }
+  const isWorkingDay = STRATEGIES[requested]?.isWorkingDay ||
+    (members.length > 0 ? (dateStr => members.some(m => teamRoster.getWorkingHours(m, dateStr) !== null))
+      : isHourlyModel() ? (dateStr => workingHoursManager.isWorkingDay(dateStr))
+        : (dateStr => isBusinessDay(businessTime.toBusiness(dateStr))));
 
   let businessDates = [];
   let cursor = today;
 
   while (cursor.isSameOrBefore(deadline, 'day')) {
-    if (isBusinessDay(cursor)) {  // isBusinessDay already checks weekends
-      businessDates.push(cursor.format('YYYY-MM-DD'));
+    const dateStr = cursor.format('YYYY-MM-DD');
+    if (isWorkingDay(dateStr)) {  // isBusinessDay already checks weekends
+      businessDates.push(dateStr);
     }
     cursor = cursor.add(1, 'day');
   }
@@ -70,89 +334,196 @@ function getAvailableDates(requiredWords, deadlineStr, excludeToday = false) {
   // Filter by deadline and excludeToday flag
   const todayStr = today.format('YYYY-MM-DD');
   businessDates = businessDates.filter(d =>
-    dayjs(d).isSameOrBefore(deadline, 'day') &&
+    businessTime.toBusiness(d).isSameOrBefore(deadline, 'day') &&
     (!excludeToday || d !== todayStr)
   );
 
   businessDates.sort();
+  if (businessDates.length === 0) {
+    return { allocationPlan: [], strategy: null, assignee: null };
+  }
 
-  const isUrgent = businessDates.length < CAPACITY.URGENT_DAYS_THRESHOLD;
-  const allocationPlan = [];
-  let remaining = requiredWords;
-
-  if (isUrgent) {
-    // 🚨 URGENT MODE: อัดให้มากที่สุดตามลำดับวัน
-    for (const dateStr of businessDates) {
-      const used = capacityMap[dateStr] || 0;
-      const max = overrideMap[dateStr] || MAX_DAILY_CAPACITY;
-      const spaceLeft = max - used;
-      if (spaceLeft <= 0) continue;
-      const toUse = Math.min(spaceLeft, remaining);
-      if (toUse > 0) {
-        allocationPlan.push({ date: dateStr, amount: toUse });
-        remaining -= toUse;
-        if (remaining <= 0) break;
-      }
-    }
-  } else {
-    // ✅ BALANCED MODE: แบ่งเท่า ๆ กันก่อน แล้วค่อยเติม
-    const perDay = Math.ceil(requiredWords / businessDates.length);
-
-    // 📦 รอบแรก: ใส่ perDay หรือเท่าที่ใส่ได้
-    for (const dateStr of businessDates) {
-      const used = capacityMap[dateStr] || 0;
-      const max = overrideMap[dateStr] || MAX_DAILY_CAPACITY;
-      const spaceLeft = max - used;
-      if (spaceLeft <= 0) continue;
-      const toUse = Math.min(spaceLeft, remaining, perDay);
-      if (toUse > 0) {
-        allocationPlan.push({ date: dateStr, amount: toUse });
-        remaining -= toUse;
+  // Date-only deadlines (00:00) cover the whole deadline day
+  const window = {
+    from: businessTime.now(),
+    until: (deadline.hour() || deadline.minute()) ? deadline : undefined
+  };
+  const replacing = options.replacing || [];
+  const credit = {};
+  for (const { date, amount } of replacing) credit[date] = (credit[date] || 0) + amount;
+  let usedOf = (dateStr) => Math.max(0, (capacityMap[dateStr] || 0) + (reserved[dateStr] || 0) - (credit[dateStr] || 0));
+  let maxOf = (dateStr) => {
+    const { full, available } = getDayLimit(dateStr, overrideMap, window);
+    return Math.min(full, usedOf(dateStr) + available);
+  };
+  if (pool) {
+    // A pool only sees its members' bookings and limits; dailyOverride.json is team-wide
+    const usage = getAssigneeUsage(replacing);
+    usedOf = (dateStr) => pool.reduce((sum, m) => sum + (usage[dateStr]?.[m.id] || 0), 0);
+    maxOf = (dateStr) => {
+      let full = 0;
+      let available = 0;
+      for (const member of pool) {
+        const limit = getMemberLimit(member, dateStr, window);
+        full += limit.full;
+        available += limit.available;
       }
-    }
+      return Math.min(full, usedOf(dateStr) + available);
+    };
+  }
 
-    // 🔁 รอบสอง: เติมคำที่เหลือให้วันไหนว่าง (เรียงจากวันที่เหลือ space เยอะสุด → วันก่อนหน้า)
-    if (remaining > 0) {
-      const sortedBySpace = businessDates
-        .map(dateStr => {
-          const used = capacityMap[dateStr] || 0;
-          const plan = allocationPlan.find(p => p.date === dateStr);
-          const alreadyUsed = plan ? plan.amount : 0;
-          const max = overrideMap[dateStr] || MAX_DAILY_CAPACITY;
-          const spaceLeft = max - used - alreadyUsed;
-          return { date: dateStr, spaceLeft };
-        })
-        .filter(entry => entry.spaceLeft > 0)
-        .sort((a, b) => {
-          if (b.spaceLeft !== a.spaceLeft) return b.spaceLeft - a.spaceLeft;
-          return a.date.localeCompare(b.date); // ถ้า space เท่ากัน → เลือกวันก่อน
-        });
+  const strategy = resolveStrategyName(requested, businessDates.length);
+  const allocationPlan = STRATEGIES[strategy].allocate({
+    requiredWords,
+    dates: businessDates,
+    usedOf,
+    maxOf,
+    hourly: isHourlyModel(),
+    options,
+  });
 
-      for (const { date: dateStr, spaceLeft } of sortedBySpace) {
-        const toAdd = Math.min(spaceLeft, remaining);
-        if (toAdd <= 0) continue;
+  allocationPlan.sort((a, b) => a.date.localeCompare(b.date));
+  if (members.length === 0) return { allocationPlan, strategy, assignee: null };
 
-        const existing = allocationPlan.find(p => p.date === dateStr);
-        if (existing) {
-          existing.amount += toAdd;
-        } else {
-          allocationPlan.push({ date: dateStr, amount: toAdd });
-        }
+  const assigned = assignMembers(allocationPlan, members, window, replacing);
+  return { allocationPlan: assigned.plan, strategy, assignee: assigned.assignee };
+}
 
-        remaining -= toAdd;
-        if (remaining <= 0) break;
-      }
+/**
+ * Allocation plan only (see planAllocation for options).
+ * @returns {Array<{date: string, amount: number}>}
+ */
+function getAvailableDates(requiredWords, deadlineStr, excludeToday = false, options = {}) {
+  return planAllocation(requiredWords, deadlineStr, excludeToday, options).allocationPlan;
+}
+
+// Auto-release timer for a hold (none when ttlMs is null)
+function startReservationTimer(key, ttlMs) {
+  if (ttlMs === null) return { timer: null, expiresAt: null };
+  const timer = setTimeout(() => {
+    if (releaseReservation(key, 'timeout')) {
+      console.warn(`[CapacityTracker] Reservation for Order ${key} expired after ${Math.round(ttlMs / 1000)}s`);
     }
+  }, ttlMs);
+  if (timer.unref) timer.unref();
+  return { timer, expiresAt: Date.now() + ttlMs };
+}
+
+/**
+ * Hold an allocation plan for an order until it is committed or released.
+ * Synchronous so it can run right after evaluation, before any other email
+ * gets to plan against the same free space. Replaces an existing hold.
+ * @param {Array<{date: string, amount: number}>} plan
+ * @param {string} orderId
+ * @param {object} [options]
+ * @param {number|null} [options.ttlMs] - auto-release after this long (CAPACITY.RESERVATION_TTL_MS);
+ *        null holds until refreshReservation() starts the TTL
+ * @param {string} [options.strategy] - allocation strategy that produced the plan (ledger)
+ * @returns {{ orderId: string, plan: Array, expiresAt: number|null }}
+ */
+function reserveCapacity(plan, orderId, { ttlMs = CAPACITY.RESERVATION_TTL_MS, strategy = null } = {}) {
+  const key = String(orderId);
+  releaseReservation(key, 'replaced');
+
+  const reservation = { plan: copyPlan(plan), strategy, ...startReservationTimer(key, ttlMs) };
+  reservations.set(key, reservation);
+  withLedger(ledger => ledger.record(LEDGER_EVENTS.RESERVE, key, reservation.plan, null, strategy));
+  return { orderId: key, plan: reservation.plan, strategy, expiresAt: reservation.expiresAt };
+}
+
+/**
+ * Start (or restart) an order's hold TTL as its accept job starts processing.
+ * A hold that is gone is taken again only if the plan still fits next to
+ * what is booked and held now.
+ * @param {Array<{date: string, amount: number}>} plan
+ * @param {string} orderId
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - CAPACITY.RESERVATION_TTL_MS
+ * @param {string} [options.strategy]
+ * @returns {boolean} false when the hold was gone and the plan no longer fits
+ */
+function refreshReservation(plan, orderId, { ttlMs = CAPACITY.RESERVATION_TTL_MS, strategy = null } = {}) {
+  const key = String(orderId);
+  const reservation = reservations.get(key);
+  if (!reservation) {
+    const shortfall = findShortfall(plan);
+    if (shortfall.length > 0) {
+      console.warn(`[CapacityTracker] Order ${key} lost its reservation and no longer fits: ${describeShortfall(shortfall)}`);
+      return false;
+    }
+    reserveCapacity(plan, key, { ttlMs, strategy });
+    return true;
   }
 
-  allocationPlan.sort((a, b) => a.date.localeCompare(b.date));
-  return allocationPlan;
+  clearTimeout(reservation.timer);
+  Object.assign(reservation, startReservationTimer(key, ttlMs));
+  return true;
+}
+
+// Plan dates that need more words than are left next to bookings and holds
+function findShortfall(plan) {
+  const needed = {};
+  for (const { date, amount } of plan) needed[date] = (needed[date] || 0) + amount;
+  return Object.entries(needed)
+    .map(([date, amount]) => ({ date, amount, remaining: getRemainingCapacity(date) }))
+    .filter(d => d.amount > d.remaining);
+}
+
+function describeShortfall(shortfall) {
+  return shortfall.map(d => `${d.date} needs ${d.amount}, ${d.remaining} left`).join('; ');
+}
+
+/**
+ * Drop an order's reservation without booking it.
+ * @param {string} orderId
+ * @param {string} [reason] - recorded as the ledger note
+ * @returns {boolean} true if a reservation was released
+ */
+function releaseReservation(orderId, reason = 'released') {
+  const key = String(orderId);
+  const reservation = reservations.get(key);
+  if (!reservation) return false;
+
+  clearTimeout(reservation.timer);
+  reservations.delete(key);
+  withLedger(ledger => ledger.record(LEDGER_EVENTS.RELEASE, key, reservation.plan, reason));
+  return true;
 }
 
-async function applyCapacity(plan) {
+/**
+ * Pending reservations (for the Dashboard).
+ * @returns {Array<{ orderId: string, plan: Array, expiresAt: number }>}
+ */
+function getReservations() {
+  return [...reservations.entries()].map(([orderId, { plan, strategy, expiresAt }]) => ({ orderId, plan, strategy, expiresAt }));
+}
+
+// Ledger targets for pending reservations, so reset/sync leave in-flight holds alone
+function reservationTargets() {
+  return getReservations().flatMap(({ orderId, plan }) => plan.map(p => ({ orderId, ...p })));
+}
+
+/**
+ * Book an allocation plan. An existing reservation for the order is converted
+ * (released, then committed) so the words are only counted once.
+ * An order without a reservation is checked against the capacity left first:
+ * the plan is still booked (the task is accepted by now), but an overbooking
+ * is reported with a notification.
+ * @param {Array<{date: string, amount: number}>} plan
+ * @param {string} [orderId] - order the words belong to (recorded in the ledger)
+ * @param {object} [options]
+ * @param {string} [options.strategy] - allocation strategy that produced the plan (ledger)
+ * @returns {Promise<{ overbooked: Array<{date: string, amount: number, remaining: number}> }>}
+ */
+async function applyCapacity(plan, orderId = null, { strategy = null } = {}) {
   let snapshot;
+  let overbooked = [];
   await withFileLock(CAPACITY_MAP_PATH, () => {
+    if (orderId && !releaseReservation(orderId, 'commit')) {
+      overbooked = findShortfall(plan);
+    }
     capacityMap = loadJSON(CAPACITY_MAP_PATH, {});
+    withLedger(ledger => ledger.record(LEDGER_EVENTS.COMMIT, orderId, plan, null, strategy));
     for (const { date, amount } of plan) {
       if (!capacityMap[date]) capacityMap[date] = 0;
       capacityMap[date] += amount;
@@ -161,6 +532,10 @@ async function applyCapacity(plan) {
     snapshot = { ...capacityMap };
   });
   try { stateManager.setCapacityMap(snapshot); } catch (_) { /* non-critical */ }
+  if (overbooked.length > 0) {
+    logFail(`[CapacityTracker] Order ${orderId} was booked without a reservation and overbooks ${describeShortfall(overbooked)}`, true);
+  }
+  return { overbooked };
 }
 
 function getReport() {
@@ -173,32 +548,64 @@ function getReport() {
 function getRemainingCapacity(date) {
   loadCapacityMap();
   const overrideMap = loadDailyOverride();
-  const max = overrideMap[date] || MAX_DAILY_CAPACITY;
-  const used = capacityMap[date] || 0;
-  return Math.max(0, max - used);
+  const reserved = capacitySnapshot ? {} : getReservedMap();
+  const used = (capacityMap[date] || 0) + (reserved[date] || 0);
+  const { full, available } = getDayLimit(date, overrideMap, { from: businessTime.now() });
+  return Math.max(0, Math.min(full - used, available));
 }
 
-async function adjustCapacity({ date, amount }) {
+/**
+ * Manually add or remove words on a date.
+ * When orderId is given, a decrease is limited to what that order holds on the date.
+ * @param {{date: string, amount: number, orderId?: string}} adjustment
+ */
+async function adjustCapacity({ date, amount, orderId = null }) {
   let snapshot;
   await withFileLock(CAPACITY_MAP_PATH, () => {
     capacityMap = loadJSON(CAPACITY_MAP_PATH, {});
-    if (!capacityMap[date]) capacityMap[date] = 0;
-    capacityMap[date] = Math.max(0, capacityMap[date] + amount);
+    const used = capacityMap[date] || 0;
+    let delta = Math.max(0, used + amount) - used;
+    withLedger(ledger => {
+      if (orderId && delta < 0) {
+        delta = -ledger.takeFromOrder(LEDGER_EVENTS.ADJUST, orderId, date, -delta, { note: 'manual' });
+      } else {
+        ledger.record(LEDGER_EVENTS.ADJUST, orderId, [{ date, amount: delta }], 'manual');
+      }
+    });
+    capacityMap[date] = used + delta;
     saveJSONAtomic(CAPACITY_MAP_PATH, capacityMap);
     snapshot = { ...capacityMap };
   });
   try { stateManager.setCapacityMap(snapshot); } catch (_) { /* non-critical */ }
 }
 
-async function releaseCapacity(plan) {
+/**
+ * Give back words from an allocation plan (never below zero).
+ * With an orderId, words come out of that order's allocation first and any
+ * remainder out of unattributed words (bookings made before the ledger existed).
+ * An order that only holds a reservation gets the hold dropped instead.
+ * @param {Array<{date: string, amount: number}>} plan
+ * @param {string} [orderId]
+ * @param {object} [options]
+ * @param {boolean} [options.keepReservation] - release booked words and keep the order's hold
+ *        (re-plan: the new plan is held before the old one is given back)
+ */
+async function releaseCapacity(plan, orderId = null, { keepReservation = false } = {}) {
+  // Rolled back before the commit landed - the hold is all there is to give back
+  if (orderId && !keepReservation && releaseReservation(orderId, 'rollback')) return;
+
   let snapshot;
   await withFileLock(CAPACITY_MAP_PATH, () => {
     capacityMap = loadJSON(CAPACITY_MAP_PATH, {});
-    for (const { date, amount } of plan) {
+    for (const { date, amount, assignee } of plan) {
       const used = capacityMap[date] || 0;
       const safeRelease = Math.min(amount, used);
       if (safeRelease > 0) {
         capacityMap[date] = used - safeRelease;
+        withLedger(ledger => {
+          const fromOrder = orderId ? ledger.takeFromOrder(LEDGER_EVENTS.RELEASE, orderId, date, safeRelease, { assignee }) : 0;
+          ledger.record(LEDGER_EVENTS.RELEASE, null, [{ date, amount: safeRelease - fromOrder }]);
+        });
       }
     }
     saveJSONAtomic(CAPACITY_MAP_PATH, capacityMap);
@@ -207,8 +614,18 @@ async function releaseCapacity(plan) {
   try { stateManager.setCapacityMap(snapshot); } catch (_) { /* non-critical */ }
 }
 
+/**
+ * Per-order breakdown of one day from the ledger.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{orderId: string|null, amount: number, status: string, updatedAt: string}>}
+ */
+function getDateAllocations(date) {
+  return withLedger(ledger => ledger.getDateBreakdown(date)) || [];
+}
+
 async function resetCapacityMap() {
   await withFileLock(CAPACITY_MAP_PATH, () => {
+    withLedger(ledger => ledger.reconcile(reservationTargets(), 'reset'));
     capacityMap = {};
     saveJSONAtomic(CAPACITY_MAP_PATH, capacityMap);
   });
@@ -216,28 +633,18 @@ async function resetCapacityMap() {
 }
 
 /**
- * Sync capacity กับ tasks ใน acceptedTasks.json
+ * Sync capacity กับ active tasks ใน task store
  * คำนวณ capacity ใหม่จาก allocationPlan ของทุก tasks
  * และ cleanup dailyOverride วันเก่า
  */
 async function syncCapacityWithTasks() {
-  const acceptedTasksPath = path.join(__dirname, 'acceptedTasks.json');
-  const today = dayjs().format('YYYY-MM-DD');
+  const today = businessTime.today();
 
   let tasks = [];
   try {
-    if (fs.existsSync(acceptedTasksPath)) {
-      const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-      tasks = JSON.parse(raw);
-
-      // Validate tasks is an array
-      if (!Array.isArray(tasks)) {
-        console.error('[CapacityTracker] acceptedTasks.json is not an array');
-        return { success: false, error: 'Invalid tasks format: expected array' };
-      }
-    }
+    tasks = getTaskStore().getActive();
   } catch (err) {
-    console.error('Failed to read acceptedTasks.json:', err.message);
+    console.error('[CapacityTracker] Failed to read accepted tasks:', err.message);
     return { success: false, error: err.message };
   }
 
@@ -256,6 +663,11 @@ async function syncCapacityWithTasks() {
       }
     }
 
+    // Bring per-order ledger allocations in line with the active tasks
+    const targets = tasks.flatMap(task => (Array.isArray(task.allocationPlan) ? task.allocationPlan : [])
+      .map(plan => ({ orderId: task.orderId ?? null, date: plan.date, amount: plan.amount, assignee: plan.assignee })));
+    withLedger(ledger => ledger.reconcile([...targets, ...reservationTargets()], 'sync'));
+
     // อัปเดต capacityMap
     capacityMap = newCapacity;
     saveJSONAtomic(CAPACITY_MAP_PATH, capacityMap);
@@ -297,16 +709,26 @@ async function syncCapacityWithTasks() {
 
 module.exports = {
   getAvailableDates,
+  planAllocation,
   applyCapacity,
   releaseCapacity,
   adjustCapacity,
   getReport,
   getRemainingCapacity,
+  getCapacityModel,
+  getAssigneeUsage,
+  getDateAllocations,
+  reserveCapacity,
+  refreshReservation,
+  releaseReservation,
+  getReservations,
   resetCapacityMap,
   syncCapacityWithTasks,
   loadDailyOverride,
   saveDailyOverride,
   loadCapacityMap,
   getCapacityMap,
-  getOverrideMap
+  getOverrideMap,
+  useCapacitySnapshot,
+  clearCapacitySnapshot
 };
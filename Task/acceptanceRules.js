@@ -0,0 +1,449 @@
+/**
+ * Acceptance Rule Engine — Declarative per-client / per-workflow rules
+ * Location: ./Task/acceptanceRules.js
+ *
+ * Loads business rules from Config/acceptanceRules.json and evaluates them
+ * against an incoming task. Each rule type emits its own stable reason code
+ * (merged into taskAcceptance REASONS) so metrics and the dashboard can show
+ * exactly why a job was declined.
+ *
+ * File format:
+ * {
+ *   "rules": [
+ *     { "id": "no-mtpe",   "type": "workflowPattern", "pattern": "MTPE", "flags": "i" },
+ *     { "id": "words",     "type": "wordRange", "min": 50, "max": 20000 },
+ *     { "id": "urgent",    "type": "urgentDailyCap", "max": 3 },
+ *     { "id": "pm-block",  "type": "pmBlacklist", "names": ["Jane Doe"] },
+ *     { "id": "acme-min",  "type": "wordRange", "min": 500, "when": { "client": "^ACME" } }
+ *   ],
+ *   "strategies": [
+ *     { "id": "acme-late", "strategy": "backLoad", "when": { "client": "^ACME" } },
+ *     { "id": "review",    "strategy": "buffer", "bufferPercent": 30, "when": { "workflow": "Review" } }
+ *   ]
+ * }
+ *
+ * Optional "when" scopes a rule to tasks whose workflow / client / account
+ * (the IMAP account the email arrived through, see IMAP/imapAccounts.js) match
+ * the given regex (case-insensitive). The other task metadata parsed from the
+ * email can scope rules too: sourceLanguage, targetLanguage, taskType, projectManager
+ * (e.g. "when": { "targetLanguage": "^th", "taskType": "Review" }).
+ * A rule with "enabled": false is ignored.
+ * "strategies" pick the allocation strategy (Task/allocationStrategies.js) for
+ * accepted tasks; the first matching entry wins, unscoped entries match everything.
+ * The file is re-read when its mtime changes (same pattern as WorkingHoursManager).
+ * urgentDailyCap usage counts successful accepts plus urgent accepts still queued or
+ * running (recordPending() / releasePending()), so a burst of urgent emails cannot all
+ * pass the cap; with setUrgentHistory() the accepted part is rebuilt from the task
+ * store, so restarts do not reset it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const businessTime = require('../Utils/businessTime');
+const { loadJSON } = require('../Utils/fileUtils');
+const { logFail, logInfo } = require('../Logs/logger');
+const { STRATEGIES } = require('./allocationStrategies');
+
+/* ========================= Paths ========================= */
+const RULES_PATH = path.join(__dirname, '../Config/acceptanceRules.json');
+
+/** "when" keys → task fields they are matched against */
+const SCOPE_FIELDS = Object.freeze({
+  workflow: 'workflowName',
+  client: 'client',
+  account: 'account',
+  sourceLanguage: 'sourceLanguage',
+  targetLanguage: 'targetLanguage',
+  taskType: 'taskType',
+  projectManager: 'projectManager'
+});
+
+/* ========================= Reasons ========================= */
+// One reason code per rule type (stable for analytics & UI).
+const RULE_REASONS = Object.freeze({
+  REJECT_WORKFLOW_PATTERN: 'REJECT_WORKFLOW_PATTERN',
+  REJECT_WORDS_BELOW_MIN: 'REJECT_WORDS_BELOW_MIN',
+  REJECT_WORDS_ABOVE_MAX: 'REJECT_WORDS_ABOVE_MAX',
+  REJECT_URGENT_DAILY_CAP: 'REJECT_URGENT_DAILY_CAP',
+  REJECT_PM_BLACKLISTED: 'REJECT_PM_BLACKLISTED'
+});
+
+/* ========================= Rule Types ========================= */
+// Each handler returns null (pass) or { code, message } (reject).
+const RULE_TYPES = {
+  workflowPattern: {
+    compile(rule) {
+      if (!rule.pattern) throw new Error('pattern is required');
+      return { ...rule, regex: new RegExp(rule.pattern, (rule.flags || '').replace('g', '')) };
+    },
+    check(rule, task) {
+      if (!task.workflowName || !rule.regex.test(task.workflowName)) return null;
+      return {
+        code: RULE_REASONS.REJECT_WORKFLOW_PATTERN,
+        message: `Workflow "${task.workflowName}" matches blocked pattern ${rule.regex}`
+      };
+    }
+  },
+
+  wordRange: {
+    compile(rule) {
+      if (rule.min == null && rule.max == null) throw new Error('min or max is required');
+      return rule;
+    },
+    check(rule, task) {
+      const words = Number(task.amountWords) || 0;
+      if (rule.min != null && words < rule.min) {
+        return {
+          code: RULE_REASONS.REJECT_WORDS_BELOW_MIN,
+          message: `Word count ${words} below minimum ${rule.min}`
+        };
+      }
+      if (rule.max != null && words > rule.max) {
+        return {
+          code: RULE_REASONS.REJECT_WORDS_ABOVE_MAX,
+          message: `Word count ${words} above maximum ${rule.max}`
+        };
+      }
+      return null;
+    }
+  },
+
+  urgentDailyCap: {
+    compile(rule) {
+      if (!Number.isInteger(rule.max) || rule.max < 0) throw new Error('max must be a non-negative integer');
+      return rule;
+    },
+    check(rule, task, engine) {
+      if (!task.urgent) return null;
+      const used = engine.getUrgentCount(rule.id);
+      if (used < rule.max) return null;
+      return {
+        code: RULE_REASONS.REJECT_URGENT_DAILY_CAP,
+        message: `Urgent daily cap reached (${used}/${rule.max})`
+      };
+    }
+  },
+
+  pmBlacklist: {
+    compile(rule) {
+      if (!Array.isArray(rule.names) || rule.names.length === 0) throw new Error('names must be a non-empty array');
+      return { ...rule, nameSet: new Set(rule.names.map(n => String(n).trim().toLowerCase())) };
+    },
+    check(rule, task) {
+      const pm = (task.projectManager || '').trim().toLowerCase();
+      if (!pm || !rule.nameSet.has(pm)) return null;
+      return {
+        code: RULE_REASONS.REJECT_PM_BLACKLISTED,
+        message: `PM "${task.projectManager}" is blacklisted`
+      };
+    }
+  }
+};
+
+/* ========================= AcceptanceRuleEngine Class ========================= */
+class AcceptanceRuleEngine {
+  /**
+   * @param {string} [rulesPath] - JSON rules file (defaults to Config/acceptanceRules.json)
+   */
+  constructor(rulesPath = RULES_PATH) {
+    this.rulesPath = rulesPath;
+    /** @type {Array<Object>} compiled rules */
+    this.rules = [];
+    /** @type {Array<Object>} compiled allocation strategy selectors */
+    this.strategies = [];
+    /** @type {Map<string, Set>} urgent tasks accepted today per cap rule id */
+    this._urgentAccepted = new Map();
+    /** @type {string|null} business date _urgentAccepted holds */
+    this._urgentDate = null;
+    /** @type {Function|null} (date) => tasks accepted that day, the persisted source of the counts */
+    this._urgentHistory = null;
+    /** @type {Map<string, Object>} urgent tasks accepted and reserved whose accept has not finished, by key */
+    this._urgentPending = new Map();
+    /** @type {number|null} Cached mtime of the rules file */
+    this._lastMtimeMs = null;
+    /** @type {boolean} true once setRules() is used — the file is no longer consulted */
+    this._pinned = false;
+    this._reload();
+  }
+
+  /* -------------------- Loading -------------------- */
+
+  /**
+   * Reload rules from disk (only if the file changed).
+   */
+  _reload() {
+    if (this._pinned) return;
+    const stat = fs.statSync(this.rulesPath, { throwIfNoEntry: false });
+    const mtime = stat?.mtimeMs ?? null;
+    if (mtime === this._lastMtimeMs) return;
+    this._lastMtimeMs = mtime;
+
+    const config = loadJSON(this.rulesPath, { rules: [] });
+    this.rules = this._compile(config.rules);
+    this.strategies = this._compileStrategies(config.strategies);
+    this._recountUrgent();
+    if (this.rules.length > 0) {
+      logInfo(`[AcceptanceRules] Loaded ${this.rules.length} rule(s) from ${path.basename(this.rulesPath)}`);
+    }
+  }
+
+  /**
+   * Replace the active rule set (bypasses the file; useful for tests / dashboard).
+   * @param {Array<Object>} rules
+   * @returns {number} number of valid rules loaded
+   */
+  setRules(rules) {
+    this.rules = this._compile(rules);
+    this._pinned = true;
+    this._recountUrgent();
+    return this.rules.length;
+  }
+
+  /**
+   * Validate & compile raw rule definitions. Invalid rules are logged and skipped.
+   * @param {Array<Object>} rawRules
+   * @returns {Array<Object>}
+   */
+  _compile(rawRules) {
+    if (!Array.isArray(rawRules)) return [];
+
+    const compiled = [];
+    rawRules.forEach((raw, idx) => {
+      if (!raw || raw.enabled === false) return;
+      const id = raw.id || `${raw.type}#${idx}`;
+      const handler = RULE_TYPES[raw.type];
+      if (!handler) {
+        logFail(`[AcceptanceRules] Skipping rule "${id}": unknown type "${raw.type}"`);
+        return;
+      }
+      try {
+        const rule = handler.compile({ ...raw, id });
+        rule.scope = this._compileScope(raw.when);
+        compiled.push(rule);
+      } catch (err) {
+        logFail(`[AcceptanceRules] Skipping rule "${id}": ${err.message}`);
+      }
+    });
+    return compiled;
+  }
+
+  /**
+   * Validate strategy selectors. Unknown strategies are logged and skipped.
+   * @param {Array<Object>} rawStrategies
+   * @returns {Array<Object>}
+   */
+  _compileStrategies(rawStrategies) {
+    if (!Array.isArray(rawStrategies)) return [];
+
+    const compiled = [];
+    rawStrategies.forEach((raw, idx) => {
+      if (!raw || raw.enabled === false) return;
+      const id = raw.id || `strategy#${idx}`;
+      if (raw.strategy !== 'auto' && !STRATEGIES[raw.strategy]) {
+        logFail(`[AcceptanceRules] Skipping strategy "${id}": unknown strategy "${raw.strategy}"`);
+        return;
+      }
+      try {
+        compiled.push({ ...raw, id, scope: this._compileScope(raw.when) });
+      } catch (err) {
+        logFail(`[AcceptanceRules] Skipping strategy "${id}": ${err.message}`);
+      }
+    });
+    return compiled;
+  }
+
+  _compileScope(when) {
+    if (!when) return null;
+    const scope = {};
+    for (const key of Object.keys(SCOPE_FIELDS)) {
+      scope[key] = when[key] ? new RegExp(when[key], 'i') : null;
+    }
+    return scope;
+  }
+
+  /* -------------------- Evaluation -------------------- */
+
+  /**
+   * Whether a rule's "when" scope matches the task.
+   */
+  _applies(rule, task) {
+    const { scope } = rule;
+    if (!scope) return true;
+    return Object.entries(SCOPE_FIELDS).every(([key, field]) => !scope[key] || scope[key].test(task[field] || ''));
+  }
+
+  /**
+   * Run all rules against a task; first rejection wins.
+   *
+   * @param {Object} task - { orderId, workflowName, amountWords, urgent, account?, ...TASK_METADATA fields }
+   * @returns {{ ruleId: string, code: string, message: string } | null} null when all rules pass
+   */
+  evaluate(task) {
+    this._reload();
+
+    for (const rule of this.rules) {
+      if (!this._applies(rule, task)) continue;
+      const hit = RULE_TYPES[rule.type].check(rule, task, this);
+      if (hit) return { ruleId: rule.id, ...hit };
+    }
+    return null;
+  }
+
+  /**
+   * Allocation strategy for a task (first matching "strategies" entry).
+   *
+   * @param {Object} task - same shape as evaluate()
+   * @returns {{ strategy: string, bufferPercent?: number, selector: string } | null}
+   */
+  selectStrategy(task) {
+    this._reload();
+
+    const match = this.strategies.find(s => this._applies(s, task));
+    if (!match) return null;
+    return { strategy: match.strategy, bufferPercent: match.bufferPercent, selector: match.id };
+  }
+
+  /**
+   * Replace the active strategy selectors (bypasses the file, like setRules()).
+   * @param {Array<Object>} strategies
+   * @returns {number} number of valid selectors loaded
+   */
+  setStrategies(strategies) {
+    this.strategies = this._compileStrategies(strategies);
+    this._pinned = true;
+    return this.strategies.length;
+  }
+
+  /**
+   * Read urgent cap usage from persisted accepts, so a restart does not reset it.
+   * The source is consulted once per business day; recordAccepted() keeps it current.
+   *
+   * @param {Function|null} history - (date 'YYYY-MM-DD') => tasks accepted that day ({ orderId, receivedDate, urgent, ... })
+   */
+  setUrgentHistory(history) {
+    this._urgentHistory = history;
+    this._urgentDate = null;
+  }
+
+  /**
+   * Hold a cap slot for an urgent task that was accepted and reserved but whose
+   * browser accept has not finished. recordAccepted() or releasePending() ends the hold.
+   *
+   * @param {Object} task - same shape as evaluate()
+   */
+  recordPending(task) {
+    if (!task || !task.urgent || task.orderId == null) return;
+    this._urgentPending.set(this._urgentKey(task), task);
+  }
+
+  /**
+   * Give back the slot of a pending urgent task whose accept failed or was cancelled.
+   * @param {Object} task - { orderId, receivedDate }
+   */
+  releasePending(task) {
+    if (!task || task.orderId == null) return;
+    this._urgentPending.delete(this._urgentKey(task));
+  }
+
+  /**
+   * Record a task whose accept succeeded, so urgent daily caps can be enforced.
+   * Failed accepts never reach here and do not use up a cap.
+   *
+   * @param {Object} task - same shape as evaluate()
+   */
+  recordAccepted(task) {
+    if (!task) return;
+    this.releasePending(task);
+    if (!task.urgent) return;
+    this._countUrgent(this._urgentForToday(), task);
+  }
+
+  /**
+   * Urgent tasks accepted today under a given cap rule, pending accepts included.
+   * @param {string} ruleId
+   * @returns {number}
+   */
+  getUrgentCount(ruleId) {
+    const accepted = this._urgentForToday().get(ruleId) || new Set();
+    const rule = this.rules.find(r => r.id === ruleId);
+    let pending = 0;
+    for (const [key, task] of this._urgentPending) {
+      if (!accepted.has(key) && rule && this._applies(rule, task)) pending++;
+    }
+    return accepted.size + pending;
+  }
+
+  /** Today's per-rule sets, rebuilt from the history source when the day changes */
+  _urgentForToday() {
+    const today = businessTime.today();
+    if (this._urgentDate === today) return this._urgentAccepted;
+
+    this._urgentAccepted = new Map();
+    this._urgentDate = today;
+    if (this._urgentHistory) {
+      try {
+        for (const task of this._urgentHistory(today)) {
+          if (task && task.urgent) this._countUrgent(this._urgentAccepted, task);
+        }
+      } catch (err) {
+        // Retry on the next call rather than run the day on a zero count
+        this._urgentDate = null;
+        logFail(`[AcceptanceRules] Could not load today's urgent accepts: ${err.message}`, true);
+      }
+    }
+    return this._urgentAccepted;
+  }
+
+  /** Caps or scopes changed: recount from the history on next use (kept as is without one) */
+  _recountUrgent() {
+    if (this._urgentHistory) this._urgentDate = null;
+  }
+
+  _countUrgent(counts, task) {
+    // The same order is counted once, whether it came from the history or recordAccepted()
+    const key = task.orderId != null ? this._urgentKey(task) : Symbol('urgent');
+    for (const rule of this.rules) {
+      if (rule.type !== 'urgentDailyCap' || !this._applies(rule, task)) continue;
+      if (!counts.has(rule.id)) counts.set(rule.id, new Set());
+      counts.get(rule.id).add(key);
+    }
+  }
+
+  _urgentKey(task) {
+    return `${task.orderId}|${task.receivedDate || ''}`;
+  }
+
+  /**
+   * Serializable view of loaded rules (for Dashboard / debugging).
+   */
+  getRules() {
+    this._reload();
+    return this.rules.map(({ regex, nameSet, scope, ...rest }) => rest);
+  }
+
+  /**
+   * Rules plus today's urgent cap usage (for GET /api/acceptance-rules).
+   */
+  getStatus() {
+    const rules = this.getRules();
+    return {
+      source: this._pinned ? 'runtime' : this.rulesPath,
+      rules,
+      strategies: this.strategies.map(({ scope, ...rest }) => rest),
+      urgentCaps: rules
+        .filter(r => r.type === 'urgentDailyCap')
+        .map(r => ({ id: r.id, max: r.max, used: this.getUrgentCount(r.id) }))
+    };
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const acceptanceRules = new AcceptanceRuleEngine();
+
+module.exports = {
+  acceptanceRules,
+  AcceptanceRuleEngine,
+  RULE_REASONS,
+  RULE_TYPES,
+  RULES_PATH
+};
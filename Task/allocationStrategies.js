@@ -0,0 +1,178 @@
+/**
+ * Allocation Strategies — how a task's words are spread over the days before its deadline
+ * Location: ./Task/allocationStrategies.js
+ *
+ * Used by CapacityTracker.getAvailableDates(). A strategy receives the candidate
+ * dates (sorted, all on or before the deadline) plus per-date `usedOf` / `maxOf`
+ * lookups, and returns the plan as [{ date, amount }].
+ *
+ *   auto       frontLoad when fewer than URGENT_DAYS_THRESHOLD days remain, else balanced
+ *   frontLoad  fill the earliest days first (urgent jobs)
+ *   balanced   even split first, then top up the days with the most space left
+ *   backLoad   fill from the deadline backwards — keeps near-term days free
+ *   buffer     balanced, but hold back bufferPercent of every day for urgent jobs
+ *   otHours    balanced, with each day's limit scaled by its working-hours length
+ *              (WorkingHoursManager, incl. OT days that are normally off). Under the
+ *              hourly capacity model limits are already per-hour, so only the OT
+ *              days are added.
+ *
+ * Strategies may also define isWorkingDay(dateStr) to change which dates are candidates.
+ */
+
+const { CAPACITY, WORKING_HOURS } = require('../Config/constants');
+const { workingHoursManager } = require('./workingHoursManager');
+
+const DEFAULT_DAY_HOURS = WORKING_HOURS.END_HOUR - WORKING_HOURS.START_HOUR;
+
+/* ========================= Building Blocks ========================= */
+
+/**
+ * Fill dates in the given order until the words are placed.
+ * @param {string[]} dates
+ * @param {(date: string) => number} spaceOf - free words on a date
+ * @param {number} words
+ * @returns {Array<{date: string, amount: number}>}
+ */
+function fillInOrder(dates, spaceOf, words) {
+  const plan = [];
+  let remaining = words;
+  for (const date of dates) {
+    const toUse = Math.min(spaceOf(date), remaining);
+    if (toUse <= 0) continue;
+    plan.push({ date, amount: toUse });
+    remaining -= toUse;
+    if (remaining <= 0) break;
+  }
+  return plan;
+}
+
+/**
+ * Even split (perDay each), then top up the days with the most space left
+ * (earlier day first on ties).
+ * @param {string[]} dates
+ * @param {(date: string) => number} spaceOf
+ * @param {number} words
+ * @returns {Array<{date: string, amount: number}>}
+ */
+function balancedSplit(dates, spaceOf, words) {
+  const plan = [];
+  let remaining = words;
+  const perDay = Math.ceil(words / dates.length);
+
+  // First pass: perDay or whatever fits
+  for (const date of dates) {
+    const spaceLeft = spaceOf(date);
+    if (spaceLeft <= 0) continue;
+    const toUse = Math.min(spaceLeft, remaining, perDay);
+    if (toUse > 0) {
+      plan.push({ date, amount: toUse });
+      remaining -= toUse;
+    }
+  }
+
+  // Second pass: top up the days with the most space left
+  if (remaining > 0) {
+    const sortedBySpace = dates
+      .map(date => {
+        const planned = plan.find(p => p.date === date);
+        return { date, spaceLeft: spaceOf(date) - (planned ? planned.amount : 0) };
+      })
+      .filter(entry => entry.spaceLeft > 0)
+      .sort((a, b) => {
+        if (b.spaceLeft !== a.spaceLeft) return b.spaceLeft - a.spaceLeft;
+        return a.date.localeCompare(b.date);
+      });
+
+    for (const { date, spaceLeft } of sortedBySpace) {
+      const toAdd = Math.min(spaceLeft, remaining);
+      if (toAdd <= 0) continue;
+
+      const existing = plan.find(p => p.date === date);
+      if (existing) {
+        existing.amount += toAdd;
+      } else {
+        plan.push({ date, amount: toAdd });
+      }
+
+      remaining -= toAdd;
+      if (remaining <= 0) break;
+    }
+  }
+
+  return plan;
+}
+
+/** Working hours on a date as a fraction of a default day (0 when off) */
+function hoursRatio(date) {
+  const hours = workingHoursManager.getWorkingHours(date);
+  if (!hours) return 0;
+  return Math.max(0, hours.end - hours.start) / DEFAULT_DAY_HOURS;
+}
+
+/* ========================= Strategies ========================= */
+// ctx = { requiredWords, dates, usedOf(date), maxOf(date), hourly, options }
+const STRATEGIES = {
+  frontLoad: {
+    description: 'Fill the earliest days first',
+    allocate: ({ requiredWords, dates, usedOf, maxOf }) =>
+      fillInOrder(dates, d => maxOf(d) - usedOf(d), requiredWords)
+  },
+
+  balanced: {
+    description: 'Split evenly across days, then top up the emptiest days',
+    allocate: ({ requiredWords, dates, usedOf, maxOf }) =>
+      balancedSplit(dates, d => maxOf(d) - usedOf(d), requiredWords)
+  },
+
+  backLoad: {
+    description: 'Fill from the deadline backwards to keep near-term days free',
+    allocate: ({ requiredWords, dates, usedOf, maxOf }) =>
+      fillInOrder([...dates].reverse(), d => maxOf(d) - usedOf(d), requiredWords)
+  },
+
+  buffer: {
+    description: 'Balanced, holding back a percentage of each day for urgent jobs',
+    allocate: ({ requiredWords, dates, usedOf, maxOf, options }) => {
+      const pct = Math.min(100, Math.max(0, options.bufferPercent ?? CAPACITY.BUFFER_PERCENT));
+      return balancedSplit(dates, d => Math.floor(maxOf(d) * (1 - pct / 100)) - usedOf(d), requiredWords);
+    }
+  },
+
+  otHours: {
+    description: 'Balanced, scaling each day by its working hours (OT included)',
+    isWorkingDay: (date) => workingHoursManager.isWorkingDay(date),
+    allocate: ({ requiredWords, dates, usedOf, maxOf, hourly }) =>
+      balancedSplit(dates, d => (hourly ? maxOf(d) : Math.floor(maxOf(d) * hoursRatio(d))) - usedOf(d), requiredWords)
+  }
+};
+
+/**
+ * Resolve a strategy name to a concrete strategy. 'auto' (and unknown names)
+ * keep the original behaviour: frontLoad for short windows, balanced otherwise.
+ * @param {string} [name]
+ * @param {number} dayCount - number of candidate dates
+ * @returns {string} concrete strategy name
+ */
+function resolveStrategyName(name, dayCount) {
+  if (name && STRATEGIES[name]) return name;
+  return dayCount < CAPACITY.URGENT_DAYS_THRESHOLD ? 'frontLoad' : 'balanced';
+}
+
+/**
+ * Serializable list for the Dashboard.
+ * @returns {Array<{name: string, description: string}>}
+ */
+function listStrategies() {
+  return [
+    { name: 'auto', description: 'Front-load short windows, balance the rest' },
+    ...Object.entries(STRATEGIES).map(([name, s]) => ({ name, description: s.description }))
+  ];
+}
+
+module.exports = {
+  STRATEGIES,
+  resolveStrategyName,
+  listStrategies,
+  fillInOrder,
+  balancedSplit
+};
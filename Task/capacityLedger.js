@@ -0,0 +1,434 @@
+/**
+ * Task/capacityLedger.js
+ * Append-only SQLite ledger of per-order capacity allocations.
+ *
+ * Design rationale:
+ *   capacity.json only knows `{ date: words }`, so a release or manual adjust
+ *   cannot tell which order the words belonged to. Every change to a day's
+ *   booked words is appended here as one row per (order, date) instead, and the
+ *   daily totals / per-order allocations are derived views over those rows.
+ *   capacity.json stays as a cache of the daily totals for fast reads.
+ *
+ * Events (amount = signed change to the day's booked words):
+ *   reserve  +n  words held for an order that is not confirmed yet
+ *   commit   +n  words booked for a confirmed order (its reservation is released first)
+ *   release  -n  words given back (failed accept, rollback, manual release)
+ *   adjust   ±n  manual correction or sync (order_id may be NULL = unattributed)
+ *
+ * Rows are never updated or deleted; corrections are new rows. Reserve/commit
+ * rows also carry the allocation strategy that produced them (allocationStrategies.js)
+ * and, with a team roster (teamRoster.js), the member the words are assigned to.
+ * Allocations are keyed by (order, date, assignee).
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { logInfo, logFail } = require('../Logs/logger');
+const { CAPACITY_LEDGER } = require('../Config/constants');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', CAPACITY_LEDGER.DB_PATH);
+
+const LEDGER_EVENTS = Object.freeze({
+  RESERVE: 'reserve',
+  COMMIT: 'commit',
+  RELEASE: 'release',
+  ADJUST: 'adjust',
+});
+
+class CapacityLedger {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dbPath] - Path to SQLite database file
+   */
+  constructor(config = {}) {
+    this.config = {
+      dbPath: config.dbPath || DEFAULT_DB_PATH,
+    };
+
+    this._ensureDirectory();
+    this.db = new Database(this.config.dbPath);
+    this._initialize();
+  }
+
+  // ================================================================ Setup
+
+  /** Ensure the parent directory for the DB file exists */
+  _ensureDirectory() {
+    const dir = path.dirname(this.config.dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /** Create the event table, derived views and prepared statements */
+  _initialize() {
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS allocations (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id    TEXT,
+        date        TEXT    NOT NULL,
+        event       TEXT    NOT NULL CHECK (event IN ('reserve', 'commit', 'release', 'adjust')),
+        amount      INTEGER NOT NULL,
+        note        TEXT,
+        strategy    TEXT,
+        assignee    TEXT,
+        created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_allocations_date   ON allocations(date);
+      CREATE INDEX IF NOT EXISTS idx_allocations_order  ON allocations(order_id);
+    `);
+    this._migrate();
+
+    // Views hold no data - recreate them so definition changes apply to existing DBs
+    this.db.exec(`
+      DROP VIEW IF EXISTS order_allocations;
+      CREATE VIEW order_allocations AS
+        SELECT a.order_id,
+               a.date,
+               a.assignee,
+               SUM(a.amount)                                       AS amount,
+               MAX(CASE WHEN a.event = 'commit' THEN 1 ELSE 0 END) AS committed,
+               MAX(a.created_at)                                   AS updated_at,
+               (SELECT s.strategy FROM allocations s
+                 WHERE s.order_id IS a.order_id AND s.date = a.date AND s.assignee IS a.assignee
+                   AND s.strategy IS NOT NULL
+                 ORDER BY s.id DESC LIMIT 1)                       AS strategy
+        FROM allocations a
+        GROUP BY a.order_id, a.date, a.assignee;
+
+      DROP VIEW IF EXISTS daily_totals;
+      CREATE VIEW daily_totals AS
+        SELECT date, SUM(amount) AS amount
+        FROM allocations
+        GROUP BY date;
+    `);
+
+    this._stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO allocations (order_id, date, event, amount, note, strategy, assignee, created_at)
+        VALUES (@orderId, @date, @event, @amount, @note, @strategy, @assignee, datetime('now'))
+      `),
+
+      count: this.db.prepare(`
+        SELECT COUNT(*) as count FROM allocations
+      `),
+
+      dailyTotals: this.db.prepare(`
+        SELECT date, amount FROM daily_totals WHERE amount != 0 ORDER BY date ASC
+      `),
+
+      orderAmount: this.db.prepare(`
+        SELECT COALESCE(SUM(amount), 0) as amount
+        FROM allocations
+        WHERE order_id IS @orderId AND date = @date
+      `),
+
+      assigneeTotals: this.db.prepare(`
+        SELECT date, assignee, SUM(amount) AS amount
+        FROM allocations
+        WHERE assignee IS NOT NULL
+        GROUP BY date, assignee
+        HAVING SUM(amount) != 0
+      `),
+
+      orderDate: this.db.prepare(`
+        SELECT * FROM order_allocations
+        WHERE order_id IS @orderId AND date = @date AND amount > 0
+      `),
+
+      byDate: this.db.prepare(`
+        SELECT * FROM order_allocations
+        WHERE date = @date AND amount != 0
+        ORDER BY amount DESC
+      `),
+
+      byOrder: this.db.prepare(`
+        SELECT * FROM order_allocations
+        WHERE order_id IS @orderId AND amount != 0
+        ORDER BY date ASC
+      `),
+
+      allOpen: this.db.prepare(`
+        SELECT * FROM order_allocations WHERE amount != 0
+      `),
+
+      openReservations: this.db.prepare(`
+        SELECT * FROM order_allocations
+        WHERE committed = 0 AND order_id IS NOT NULL AND amount > 0
+      `),
+
+      history: this.db.prepare(`
+        SELECT * FROM allocations
+        WHERE (@orderId IS NULL OR order_id = @orderId)
+        ORDER BY id DESC
+        LIMIT @limit
+      `),
+    };
+
+    this._append = this.db.transaction((rows) => {
+      for (const row of rows) this._stmts.insert.run({ note: null, strategy: null, assignee: null, ...row });
+    });
+  }
+
+  /** Add columns introduced after the table was first created */
+  _migrate() {
+    const columns = this.db.prepare('PRAGMA table_info(allocations)').all().map(c => c.name);
+    if (!columns.includes('strategy')) {
+      this.db.exec('ALTER TABLE allocations ADD COLUMN strategy TEXT');
+    }
+    if (!columns.includes('assignee')) {
+      this.db.exec('ALTER TABLE allocations ADD COLUMN assignee TEXT');
+    }
+  }
+
+  // ================================================================ Recording
+
+  /**
+   * Append one event per plan entry for an order.
+   * Zero amounts are skipped; the caller decides the sign for 'adjust'.
+   * @param {string} event - One of LEDGER_EVENTS
+   * @param {string|null} orderId - null for unattributed words
+   * @param {Array<{date: string, amount: number, assignee?: string}>} plan
+   * @param {string} [note]
+   * @param {string} [strategy] - allocation strategy that produced the plan
+   * @returns {number} Number of rows written
+   */
+  record(event, orderId, plan, note = null, strategy = null) {
+    if (!Object.values(LEDGER_EVENTS).includes(event)) {
+      throw new Error(`Unknown ledger event: ${event}`);
+    }
+
+    const sign = event === LEDGER_EVENTS.RELEASE ? -1 : 1;
+    const rows = (plan || [])
+      .filter(p => p && p.date && Number.isFinite(p.amount) && p.amount !== 0)
+      .map(p => ({
+        orderId: orderId == null ? null : String(orderId),
+        date: p.date,
+        event,
+        amount: event === LEDGER_EVENTS.ADJUST ? Math.round(p.amount) : sign * Math.abs(Math.round(p.amount)),
+        note,
+        strategy,
+        assignee: p.assignee || null,
+      }));
+
+    if (rows.length > 0) this._append(rows);
+    return rows.length;
+  }
+
+  /**
+   * Take up to `amount` words out of what an order holds on a date, whichever
+   * member they are assigned to (the given assignee first).
+   * @param {string} event - RELEASE, or ADJUST for manual corrections
+   * @param {string} orderId
+   * @param {string} date
+   * @param {number} amount - positive number of words to take
+   * @param {object} [opts]
+   * @param {string|null} [opts.assignee] - take from this member's allocation first
+   * @param {string} [opts.note]
+   * @returns {number} Words actually taken
+   */
+  takeFromOrder(event, orderId, date, amount, { assignee = null, note = null } = {}) {
+    const held = this._stmts.orderDate.all({ orderId: String(orderId), date })
+      .sort((a, b) => (b.assignee === assignee) - (a.assignee === assignee));
+
+    let left = Math.max(0, Math.round(amount));
+    const rows = [];
+    for (const allocation of held) {
+      if (left <= 0) break;
+      const take = Math.min(left, allocation.amount);
+      rows.push({ orderId: String(orderId), date, event, amount: -take, note, assignee: allocation.assignee });
+      left -= take;
+    }
+    if (rows.length > 0) this._append(rows);
+    return Math.max(0, Math.round(amount)) - left;
+  }
+
+  /**
+   * Release everything an order still holds (all dates).
+   * @param {string} orderId
+   * @param {string} [note]
+   * @returns {Array<{date: string, amount: number, assignee: string|null}>} The released plan
+   */
+  releaseOrder(orderId, note = null) {
+    const plan = this.getOrderAllocations(orderId)
+      .filter(a => a.amount > 0)
+      .map(a => ({ date: a.date, amount: a.amount, assignee: a.assignee }));
+    this.record(LEDGER_EVENTS.RELEASE, orderId, plan, note);
+    return plan;
+  }
+
+  /**
+   * Release every reservation that was never committed.
+   * Reservations only live as long as the process that made them, so this
+   * runs once on startup to drop holds left behind by a crash.
+   * @param {string} [note]
+   * @returns {number} Number of rows written
+   */
+  releaseOpenReservations(note = null) {
+    const rows = this._stmts.openReservations.all().map(r => ({
+      orderId: r.order_id, date: r.date, event: LEDGER_EVENTS.RELEASE, amount: -r.amount, note, assignee: r.assignee,
+    }));
+    if (rows.length > 0) this._append(rows);
+    return rows.length;
+  }
+
+  /**
+   * Append the adjust rows that bring every (order, date, assignee) to the target amounts.
+   * Used by syncCapacityWithTasks; allocations missing from `targets` go to zero.
+   * @param {Array<{orderId: string|null, date: string, amount: number, assignee?: string}>} targets
+   * @param {string} [note]
+   * @returns {number} Number of correcting rows written
+   */
+  reconcile(targets, note = null) {
+    const key = (orderId, date, assignee) => `${orderId ?? ''}\u0000${date}\u0000${assignee ?? ''}`;
+    const wanted = new Map();
+    for (const t of targets) {
+      const orderId = t.orderId == null ? null : String(t.orderId);
+      const assignee = t.assignee || null;
+      const k = key(orderId, t.date, assignee);
+      const prev = wanted.get(k);
+      wanted.set(k, { orderId, date: t.date, assignee, amount: (prev?.amount || 0) + t.amount });
+    }
+
+    const rows = [];
+    for (const current of this._stmts.allOpen.all()) {
+      const k = key(current.order_id, current.date, current.assignee);
+      const target = wanted.get(k);
+      const diff = (target?.amount || 0) - current.amount;
+      if (diff !== 0) {
+        rows.push({ orderId: current.order_id, date: current.date, assignee: current.assignee, event: LEDGER_EVENTS.ADJUST, amount: diff, note });
+      }
+      wanted.delete(k);
+    }
+    for (const t of wanted.values()) {
+      if (t.amount !== 0) rows.push({ ...t, event: LEDGER_EVENTS.ADJUST, note });
+    }
+
+    if (rows.length > 0) this._append(rows);
+    return rows.length;
+  }
+
+  // ================================================================ Queries
+
+  /** @returns {boolean} True when no event has ever been recorded */
+  isEmpty() {
+    return this._stmts.count.get().count === 0;
+  }
+
+  /**
+   * Derived daily totals.
+   * @returns {Object<string, number>} { 'YYYY-MM-DD': words }
+   */
+  getDailyTotals() {
+    const totals = {};
+    for (const row of this._stmts.dailyTotals.all()) {
+      totals[row.date] = row.amount;
+    }
+    return totals;
+  }
+
+  /**
+   * Words an order currently holds on a date (null orderId = unattributed).
+   * @param {string|null} orderId
+   * @param {string} date
+   * @returns {number}
+   */
+  getOrderAmount(orderId, date) {
+    return this._stmts.orderAmount.get({ orderId: orderId == null ? null : String(orderId), date }).amount;
+  }
+
+  /**
+   * Words booked per roster member (rows without an assignee are left out).
+   * @returns {Object<string, Object<string, number>>} { 'YYYY-MM-DD': { memberId: words } }
+   */
+  getAssigneeTotals() {
+    const totals = {};
+    for (const row of this._stmts.assigneeTotals.all()) {
+      (totals[row.date] = totals[row.date] || {})[row.assignee] = row.amount;
+    }
+    return totals;
+  }
+
+  /**
+   * Per-order breakdown of one day, largest first.
+   * @param {string} date
+   * @returns {Array<{orderId: string|null, amount: number, status: string, strategy: string|null, assignee: string|null, updatedAt: string}>}
+   */
+  getDateBreakdown(date) {
+    return this._stmts.byDate.all({ date }).map(r => this._parseAllocation(r));
+  }
+
+  /**
+   * Open allocations of one order, by date.
+   * @param {string} orderId
+   * @returns {Array<{date: string, amount: number, status: string, updatedAt: string}>}
+   */
+  getOrderAllocations(orderId) {
+    return this._stmts.byOrder.all({ orderId: String(orderId) }).map(r => this._parseAllocation(r));
+  }
+
+  /**
+   * Raw event history, newest first.
+   * @param {object} [opts]
+   * @param {string} [opts.orderId] - Only events for this order
+   * @param {number} [opts.limit=100]
+   * @returns {object[]}
+   */
+  getHistory({ orderId = null, limit = 100 } = {}) {
+    return this._stmts.history.all({ orderId: orderId == null ? null : String(orderId), limit }).map(r => ({
+      id: r.id,
+      orderId: r.order_id,
+      date: r.date,
+      event: r.event,
+      amount: r.amount,
+      note: r.note,
+      strategy: r.strategy,
+      assignee: r.assignee,
+      createdAt: r.created_at,
+    }));
+  }
+
+  /**
+   * Close the database connection. Call this on shutdown.
+   */
+  close() {
+    try {
+      if (this.db && this.db.open) {
+        this.db.close();
+        logInfo('[CapacityLedger] Database closed');
+      }
+    } catch (err) {
+      logFail(`[CapacityLedger] Error closing database: ${err.message}`);
+    }
+  }
+
+  // ================================================================ Helpers
+
+  _parseAllocation(row) {
+    return {
+      orderId: row.order_id,
+      date: row.date,
+      amount: row.amount,
+      status: row.order_id == null ? 'manual' : (row.committed ? 'committed' : 'reserved'),
+      strategy: row.strategy || null,
+      assignee: row.assignee || null,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Lazily opened so modules that only read capacity.json never touch SQLite
+let _instance = null;
+
+/** @returns {CapacityLedger} Shared ledger at CAPACITY_LEDGER.DB_PATH */
+function getCapacityLedger() {
+  if (!_instance) _instance = new CapacityLedger();
+  return _instance;
+}
+
+module.exports = { CapacityLedger, getCapacityLedger, LEDGER_EVENTS };
@@ -148,6 +148,12 @@ class PersistentTaskQueue {
           AND updated_at < datetime('now', @offsetSeconds || ' seconds')
       `),
 
+      recoverAll: this.db.prepare(`
+        UPDATE tasks
+        SET status = 'pending', updated_at = datetime('now')
+        WHERE status = 'processing'
+      `),
+
       cleanup: this.db.prepare(`
         DELETE FROM tasks
         WHERE status IN ('completed', 'failed')
@@ -303,6 +309,16 @@ class PersistentTaskQueue {
     return result.changes;
   }
 
+  /**
+   * Move every 'processing' task back to 'pending', whatever its age.
+   * Only safe before this process starts processing: at boot, every
+   * 'processing' row belongs to a process that is gone (e.g. a PM2 restart).
+   * @returns {number} Number of recovered tasks
+   */
+  recoverAllProcessing() {
+    return this._stmts.recoverAll.run().changes;
+  }
+
   /**
    * Delete old completed/failed tasks.
    * @param {number} [olderThanMs] - Defaults to config.cleanupAge
@@ -3,6 +3,8 @@ const BrowserPool = require('../BrowserPool/browserPool');
 const BrowserHealthMonitor = require('../BrowserPool/healthMonitor');
 const execAccept = require('../Exec/execAccept');
 const withTimeout = require('../Utils/taskTimeout');
+const { ForensicsRecorder, getFailureForensics } = require('../Features/failureForensics');
+const { logFail, logInfo } = require('../Logs/logger');
 const { TIMEOUTS } = require('../Config/constants');
 
 // Config: ใช้จาก env หรือ default from constants
@@ -11,6 +13,8 @@ const TASK_TIMEOUT_MS = parseInt(process.env.TASK_TIMEOUT_MS, 10) || TIMEOUTS.TA
 // singleton browser pool and health monitor
 let browserPool = null;
 let healthMonitor = null;
+// BrowserPool/sharedSession: login cookies for every pool browser (owned by the bootstrapper)
+let sharedSession = null;
 
 function normalizeUrl(url) {
   if (!url || typeof url !== 'string') {
@@ -29,12 +33,19 @@ function normalizeUrl(url) {
  * @param {Object} [options] - optional dependencies for health monitoring
  * @param {Object} [options.metricsCollector] - MetricsCollector instance
  * @param {Object} [options.notifier] - Notifier with notifyGoogleChat method
+ * @param {import('../BrowserPool/sharedSession').SharedSession} [options.session] - shared login session:
+ *        loaded into every browser the pool launches, refreshed when a task lands on sign-in
  * @returns {Promise<BrowserPool>}
  */
 async function initializeBrowserPool(poolSize = 4, options = {}) {
   if (!browserPool) {
-    browserPool = new BrowserPool({ poolSize });
+    sharedSession = options.session || null;
+    browserPool = new BrowserPool({
+      poolSize,
+      onBrowserCreated: sharedSession ? (browser) => sharedSession.applyTo(browser) : null
+    });
     await browserPool.initialize();
+    if (sharedSession) sharedSession.attachPool(browserPool);
 
     // Start health monitoring after pool is ready
     try {
@@ -46,7 +57,6 @@ async function initializeBrowserPool(poolSize = 4, options = {}) {
       healthMonitor.startMonitoring();
     } catch (err) {
       // Health monitor failure should not block pool initialization
-      const { logFail } = require('../Logs/logger');
       logFail(`[HealthMonitor] Failed to start: ${err.message}`);
       healthMonitor = null;
     }
@@ -60,16 +70,44 @@ async function closeBrowserPool() {
     healthMonitor.stopMonitoring();
     healthMonitor = null;
   }
+  if (sharedSession) {
+    sharedSession.attachPool(null);
+    sharedSession = null;
+  }
   if (browserPool) {
     await browserPool.closeAll();
     browserPool = null;
   }
 }
 
+/**
+ * Keep a forensics bundle of a failed attempt (Features/failureForensics).
+ * Runs before the page is released; a forensics failure never changes the task result.
+ * @param {Object} task
+ * @param {{ reason: string, url: string }} result
+ * @param {Error|null} error - BrowserAutomationError from execAccept, if any
+ * @param {ForensicsRecorder} recorder
+ */
+async function saveForensics(task, result, error, recorder) {
+  try {
+    recorder.finish();
+    await recorder.snapshot();
+    await getFailureForensics().save({
+      orderId: task.orderId,
+      url: result.url,
+      reason: result.reason,
+      error,
+      recorder
+    });
+  } catch (err) {
+    logFail(`[Forensics] ${task.orderId}: bundle not saved: ${err.message}`);
+  }
+}
+
 /**
  * Run task in browser from pool
  * @param {Object} param0 - Task object
- * @param {Object} param0.task - Task with url property
+ * @param {Object} param0.task - Task with url property (orderId names its forensics bundle)
  * @returns {Promise<{success: boolean, reason: string, url: string}>}
  */
 async function runTaskInNewBrowser({ task }) {
@@ -85,6 +123,7 @@ async function runTaskInNewBrowser({ task }) {
   const fixedUrl = normalizeUrl(task.url);
   let browser = null;
   let page = null;
+  let recorder = null;
 
   try {
     if (!browserPool) {
@@ -100,9 +139,14 @@ async function runTaskInNewBrowser({ task }) {
     page.setDefaultTimeout(TASK_TIMEOUT_MS);
     page.setDefaultNavigationTimeout(TASK_TIMEOUT_MS);
 
+    // Console, failed requests and step timings for the forensics bundle of a failed attempt
+    recorder = new ForensicsRecorder(page);
+    let automationError = null;
+
     // เฉพาะ execAccept ที่อยู่ใน withTimeout
     const taskFn = async () => {
-      const result = await execAccept({ page, url: fixedUrl });
+      const result = await execAccept({ page, url: fixedUrl, trace: recorder });
+      automationError = result?.error || null;
       return {
         success: result?.success || false,
         reason: result?.reason || '',
@@ -110,15 +154,30 @@ async function runTaskInNewBrowser({ task }) {
       };
     };
 
-    return await withTimeout(taskFn, TASK_TIMEOUT_MS);
+    const startedAt = Date.now();
+    let result = await withTimeout(taskFn, TASK_TIMEOUT_MS);
+
+    // Landed on sign-in: refresh the shared session (one login for the whole pool)
+    // and try once more; a second LOGIN_EXPIRED still restarts the process
+    if (result.reason === 'LOGIN_EXPIRED' && sharedSession && await sharedSession.recover(startedAt)) {
+      logInfo(`[Session] ${task.orderId || fixedUrl}: retrying with the refreshed login session`);
+      result = await withTimeout(taskFn, TASK_TIMEOUT_MS);
+    }
+
+    if (!result.success) await saveForensics(task, result, automationError, recorder);
+    return result;
 
   } catch (err) {
-    return {
+    const result = {
       success: false,
       reason: err.message,
       url: fixedUrl
     };
+    // Timeout or crash: capture the page as it is now (execAccept may still be running)
+    if (recorder) await saveForensics(task, result, null, recorder);
+    return result;
   } finally {
+    if (recorder) recorder.detach();
     // Fix #1 & #2: Cleanup ทำงานเสมอ แม้ timeout
     // และ capture reference ก่อนใช้งาน
     if (page) {
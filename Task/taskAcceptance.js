@@ -7,7 +7,10 @@
  * - Encapsulate all accept/reject logic here with small, testable functions
  * - Provide a single, deterministic evaluateTaskAcceptance() entrypoint
  * - Support working-hours rules, urgent cutoff, night-deadline shift, and capacity check
+ * - Apply declarative per-client / per-workflow rules (see ./acceptanceRules.js)
+ * - Pick the allocation strategy per task (see ./allocationStrategies.js)
  * - Return structured reasons + context for logging & dashboards
+ * - Judge deadlines, working hours and "now" in the business timezone (Utils/businessTime.js)
  */
 
 const dayjs = require('dayjs');
@@ -15,10 +18,12 @@ const customParseFormat = require('dayjs/plugin/customParseFormat');
 const isSameOrBefore = require('dayjs/plugin/isSameOrBefore');
 
 // IMPORTANT: this module depends on CapacityTracker for allocation
-// getAvailableDates(amountWords, effectiveDeadline, excludeToday)
-const { getAvailableDates } = require('./CapacityTracker');
+// planAllocation(amountWords, effectiveDeadline, excludeToday, { strategy, ...options })
+const { planAllocation } = require('./CapacityTracker');
 const { WORKING_HOURS, CAPACITY } = require('../Config/constants');
 const { workingHoursManager } = require('./workingHoursManager');
+const { acceptanceRules, RULE_REASONS } = require('./acceptanceRules');
+const businessTime = require('../Utils/businessTime');
 
 // Register plugins locally (keeps this module self-contained)
 dayjs.extend(customParseFormat);
@@ -42,24 +47,20 @@ const REASONS = Object.freeze({
   REJECT_URGENT_OUT_OF_HOURS: 'REJECT_URGENT_OUT_OF_HOURS',
   REJECT_CAPACITY: 'REJECT_CAPACITY',
   REJECT_INVALID_DEADLINE: 'REJECT_INVALID_DEADLINE',
-  REJECT_HOLIDAY: 'REJECT_HOLIDAY'
+  REJECT_HOLIDAY: 'REJECT_HOLIDAY',
+
+  // Declarative rules (Config/acceptanceRules.json)
+  ...RULE_REASONS
 });
 
 /* ========================= Utilities ========================= */
 /**
- * Parse and normalize the incoming plannedEndDate to Dayjs.
- * Accepts common formats; strict parsing to avoid silent mistakes.
+ * Parse and normalize the incoming plannedEndDate to Dayjs in the business timezone.
+ * Accepts common formats; strict parsing to avoid silent mistakes. A zone hint in
+ * the text ('(GMT+01:00)', 'CET') is honoured, otherwise it is business wall-clock time.
  */
 function parseDeadline(plannedEndDate) {
-  const deadline = dayjs(
-    plannedEndDate,
-    [
-      'YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY',
-      'YYYY-MM-DD HH:mm', 'DD.MM.YYYY h:mm A', 'DD/MM/YYYY h:mm A', 'DD-MM-YYYY h:mm A'
-    ],
-    true
-  );
-  return deadline.isValid() ? deadline : null;
+  return businessTime.parseBusiness(plannedEndDate, businessTime.DEADLINE_FORMATS);
 }
 
 /**
@@ -122,14 +123,44 @@ function shouldExcludeToday(now, policy) {
   return now.isAfter(cutoff);
 }
 
+/**
+ * Deadline and "exclude today" flag used to plan a deadline, for re-planning an
+ * accepted task after a change notification (no accept/reject rules apply).
+ * @param {string} plannedEndDate
+ * @param {Object} [overrides] - policy overrides
+ * @returns {{ rawDeadline: string, effectiveDeadline: string, excludeToday: boolean } | null} null when unparseable
+ */
+function getAllocationWindow(plannedEndDate, overrides = {}) {
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+  const parsed = parseDeadline(plannedEndDate);
+  if (!parsed) return null;
+  const rawDeadline = adjustMidnight(parsed);
+  return {
+    rawDeadline: rawDeadline.format('YYYY-MM-DD HH:mm'),
+    effectiveDeadline: computeEffectiveDeadline(rawDeadline, policy).format('YYYY-MM-DD HH:mm'),
+    excludeToday: shouldExcludeToday(businessTime.now(), policy)
+  };
+}
+
 /**
  * Given amountWords and an effective deadline, try to allocate capacity.
- * Returns { allocationPlan, totalPlanned }
+ * `allocation` = { strategy, bufferPercent } (empty → CAPACITY.ALLOCATION_STRATEGY).
+ * Returns { allocationPlan, totalPlanned, strategy, assignee }
  */
-function planCapacity({ amountWords, effectiveDeadline, excludeToday }) {
-  const allocationPlan = getAvailableDates(amountWords, effectiveDeadline, excludeToday);
+function planCapacity({ amountWords, effectiveDeadline, excludeToday, allocation = {} }) {
+  const { allocationPlan, strategy, assignee = null } = planAllocation(amountWords, effectiveDeadline, excludeToday, allocation);
   const totalPlanned = allocationPlan.reduce((sum, d) => sum + d.amount, 0);
-  return { allocationPlan, totalPlanned };
+  return { allocationPlan, totalPlanned, strategy, assignee };
+}
+
+/**
+ * Allocation strategy for a task: explicit input / policy override first,
+ * then the first matching "strategies" entry in Config/acceptanceRules.json.
+ */
+function selectAllocation(input, policy, ruleEngine) {
+  const explicit = input.allocationStrategy || policy.allocationStrategy;
+  if (explicit) return { strategy: explicit, bufferPercent: policy.bufferPercent };
+  return ruleEngine.selectStrategy(input) || {};
 }
 
 /* ========================= Main Entry ========================= */
@@ -140,7 +171,14 @@ function planCapacity({ amountWords, effectiveDeadline, excludeToday }) {
  * @param {string} input.orderId
  * @param {number} input.amountWords
  * @param {string|Date} input.plannedEndDate
+ * @param {string} [input.workflowName]
+ * @param {string} [input.client]
+ * @param {string} [input.projectManager]
+ * @param {string} [input.allocationStrategy] - force an allocation strategy for this task
+ * @param {string} [input.account] - IMAP account the task arrived through (rule "when.account" scope)
  * @param {Object} [overrides] - optional policy overrides (e.g., weekend mode, holiday rules)
+ * @param {import('./acceptanceRules').AcceptanceRuleEngine} [overrides.ruleEngine] - defaults to the shared engine
+ * @param {string[]} [overrides.capacityPool] - roster member ids to plan on (account routing)
  * @returns {Object} result
  * {
  *   accepted: boolean,
@@ -151,13 +189,18 @@ function planCapacity({ amountWords, effectiveDeadline, excludeToday }) {
  *   urgent: boolean,
  *   inWorkingHours: boolean,
  *   allocationPlan: Array<{ date: string, amount: number }>,
- *   totalPlanned: number
+ *   totalPlanned: number,
+ *   strategy?: string,       // allocation strategy used (when capacity was planned)
+ *   assignee?: string|null,  // main team member the words are assigned to (accepted, team roster only)
+ *   rule?: string            // id of the declarative rule that rejected the task
  * }
  */
-function evaluateTaskAcceptance({ orderId, amountWords, plannedEndDate }, overrides = {}) {
-  const policy = { ...DEFAULT_POLICY, ...overrides };
+function evaluateTaskAcceptance(input, overrides = {}) {
+  const { orderId, amountWords, plannedEndDate } = input;
+  const { ruleEngine = acceptanceRules, capacityPool = null, ...policyOverrides } = overrides;
+  const policy = { ...DEFAULT_POLICY, ...policyOverrides };
 
-  const now = dayjs();
+  const now = businessTime.now();
   const parsed = parseDeadline(plannedEndDate);
   if (!parsed) {
     return {
@@ -196,6 +239,23 @@ function evaluateTaskAcceptance({ orderId, amountWords, plannedEndDate }, overri
     };
   }
 
+  // Declarative rules (workflow pattern, word range, urgent cap, PM blacklist, ...)
+  const ruleHit = ruleEngine.evaluate({ ...input, urgent });
+  if (ruleHit) {
+    return {
+      accepted: false,
+      code: ruleHit.code,
+      message: `${ruleHit.message} for order ${orderId} (rule: ${ruleHit.ruleId})`,
+      rawDeadline: rawDeadline.format('YYYY-MM-DD HH:mm'),
+      effectiveDeadline: '',
+      urgent,
+      inWorkingHours,
+      allocationPlan: [],
+      totalPlanned: 0,
+      rule: ruleHit.ruleId
+    };
+  }
+
   // Compute effective deadline for allocation (night deadline shifts to previous day EOD)
   const effectiveDeadline = computeEffectiveDeadline(rawDeadline, policy);
 
@@ -203,23 +263,30 @@ function evaluateTaskAcceptance({ orderId, amountWords, plannedEndDate }, overri
   const excludeToday = shouldExcludeToday(now, policy);
 
   // Try to allocate capacity
-  const { allocationPlan, totalPlanned } = planCapacity({
+  const { allocationPlan, totalPlanned, strategy, assignee } = planCapacity({
     amountWords,
     effectiveDeadline,
-    excludeToday
+    excludeToday,
+    allocation: { ...selectAllocation(input, policy, ruleEngine), ...(capacityPool ? { members: capacityPool } : {}) }
   });
 
   if (totalPlanned < amountWords) {
+    // Urgent jobs are planned against the working hours left before the deadline (hourly capacity model)
+    const hoursLeft = urgent
+      ? workingHoursManager.getAvailableHours(now.format('YYYY-MM-DD'), { from: now, until: effectiveDeadline })
+      : null;
     return {
       accepted: false,
       code: REASONS.REJECT_CAPACITY,
-      message: `Over capacity — required ${amountWords}, planned ${totalPlanned}`,
+      message: `Over capacity — required ${amountWords}, planned ${totalPlanned}` +
+        (hoursLeft !== null ? ` (${hoursLeft.toFixed(1)} working hours left before deadline)` : ''),
       rawDeadline: rawDeadline.format('YYYY-MM-DD HH:mm'),
       effectiveDeadline: effectiveDeadline.format('YYYY-MM-DD HH:mm'),
       urgent,
       inWorkingHours,
       allocationPlan,
-      totalPlanned
+      totalPlanned,
+      strategy
     };
   }
 
@@ -232,7 +299,9 @@ function evaluateTaskAcceptance({ orderId, amountWords, plannedEndDate }, overri
     urgent,
     inWorkingHours,
     allocationPlan,
-    totalPlanned
+    totalPlanned,
+    strategy,
+    assignee
   };
 }
 
@@ -248,7 +317,10 @@ module.exports = {
   isNightDeadline,
   computeEffectiveDeadline,
   shouldExcludeToday,
+  getAllocationWindow,
   planCapacity,
+  // expose rule engine for dashboard / callers recording urgent accepts
+  acceptanceRules,
   // expose workingHoursManager for external use (dashboard, etc.)
   workingHoursManager
 };
\ No newline at end of file
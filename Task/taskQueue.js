@@ -9,6 +9,11 @@
  * Backward compatibility:
  *   - addTask(asyncFn) still works exactly as before.
  *   - addTask(asyncFn, taskMeta) adds persistence tracking.
+ *
+ * Crash replay:
+ *   Async functions cannot survive a restart, so a persisted row is replayed by
+ *   its job type: taskMeta.type selects a factory registered via registerJobHandler(),
+ *   which rebuilds the async function from the serialized taskMeta.
  *   - If PersistentTaskQueue is unavailable (e.g. better-sqlite3 not installed),
  *     the queue falls back to pure in-memory mode silently.
  */
@@ -45,6 +50,9 @@ class TaskQueue {
     // Map: in-memory promise -> persistent queue row id
     this._persistMap = new Map();
 
+    // Map: job type -> factory(taskData) returning the async task function
+    this._jobHandlers = new Map();
+
     // Re-entrance guard to prevent multiple concurrent processQueue loops
     this._processingQueue = false;
 
@@ -93,6 +101,16 @@ class TaskQueue {
       }
     }
 
+    this._pushTask(taskFn, persistId);
+  }
+
+  /**
+   * Push a task function onto the in-memory queue, linked to an existing
+   * persistent row (or none when persistId is null).
+   * @param {Function} taskFn
+   * @param {number|null} persistId
+   */
+  _pushTask(taskFn, persistId) {
     // Wrap the original taskFn to carry the persistId
     const wrappedFn = () => {
       const promise = taskFn();
@@ -225,10 +243,10 @@ class TaskQueue {
 
   /**
    * Requeue a failed task by persistent ID (for dashboard retry button).
-   * Note: This only changes the persistent status back to pending.
-   * Actual re-execution requires the caller to re-submit the task function.
+   * If a job handler is registered for the task's type, the task is re-executed
+   * immediately; otherwise only the persistent status goes back to pending.
    * @param {number} id - Persistent task row id
-   * @returns {{ success: boolean, message?: string }}
+   * @returns {{ success: boolean, message?: string, replayed?: boolean }}
    */
   requeueTask(id) {
     if (!this.persistent) return { success: false, message: 'Persistence not enabled' };
@@ -237,12 +255,90 @@ class TaskQueue {
       if (!task) return { success: false, message: 'Task not found' };
       if (task.status !== 'failed') return { success: false, message: `Cannot requeue task with status: ${task.status}` };
       this.persistent.requeue(id);
-      return { success: true };
+      const replayed = this._jobHandlers.has(task.taskData?.type)
+        ? this._dispatchPersisted(task)
+        : false;
+      return { success: true, replayed };
     } catch (err) {
       return { success: false, message: err.message };
     }
   }
 
+  // ================================================================ Crash replay
+
+  /**
+   * Register a factory that rebuilds a task function from persisted taskMeta.
+   * @param {string} type - Job type stored as taskMeta.type
+   * @param {(taskData: object) => Function} factory - Returns the async task function
+   */
+  registerJobHandler(type, factory) {
+    if (!type || typeof factory !== 'function') {
+      throw new TypeError('registerJobHandler requires (string type, function factory)');
+    }
+    this._jobHandlers.set(type, factory);
+  }
+
+  /**
+   * Re-run tasks left behind by a previous process (call once on boot,
+   * before this process runs any persisted task).
+   * Every 'processing' row is moved back to 'pending' first - however recent,
+   * its process is gone (a quick PM2 restart leaves rows younger than
+   * STALE_TIMEOUT) - then every pending row is rebuilt through its job
+   * handler and enqueued in memory.
+   * @returns {number} Number of tasks replayed
+   */
+  replayPersistedTasks() {
+    if (!this.persistent) return 0;
+
+    let pending;
+    try {
+      const recovered = this.persistent.recoverAllProcessing();
+      if (recovered > 0) {
+        logInfo(`[TaskQueue] Recovered ${recovered} interrupted task(s) for replay`);
+      }
+      pending = this.persistent.getByStatus('pending');
+    } catch (err) {
+      logFail(`[TaskQueue] Failed to read pending tasks for replay: ${err.message}`);
+      return 0;
+    }
+
+    let replayed = 0;
+    for (const row of pending) {
+      if (this._dispatchPersisted(row)) replayed++;
+    }
+    return replayed;
+  }
+
+  /**
+   * Rebuild a persisted row into a task function and push it onto the queue.
+   * Rows without a registered handler are marked failed so they stay visible
+   * on the dashboard instead of being replayed forever.
+   * @param {object} row - Parsed row from PersistentTaskQueue
+   * @returns {boolean} true if the task was enqueued
+   */
+  _dispatchPersisted(row) {
+    const type = row.taskData?.type;
+    const factory = this._jobHandlers.get(type);
+
+    if (!factory) {
+      this.persistent.markFailed(row.id, `No job handler registered for type: ${type || 'unknown'}`);
+      logFail(`[TaskQueue] Cannot replay task ${row.id}: no handler for type "${type || 'unknown'}"`);
+      return false;
+    }
+
+    let taskFn;
+    try {
+      taskFn = factory(row.taskData);
+    } catch (err) {
+      this.persistent.markFailed(row.id, `Replay failed: ${err.message}`);
+      logFail(`[TaskQueue] Cannot replay task ${row.id}: ${err.message}`);
+      return false;
+    }
+
+    this._pushTask(taskFn, row.id);
+    return true;
+  }
+
   /**
    * Run cleanup on old completed/failed tasks.
    * @param {number} [olderThanMs]
@@ -1,16 +1,14 @@
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const dayjs = require('dayjs');
+const businessTime = require('../Utils/businessTime');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const axios = require('axios');
 const { logSuccess, logFail, logInfo, logProgress } = require('../Logs/logger');
 const { WORKING_HOURS, ALERTS, TIMEOUTS } = require('../Config/constants');
+const { getTaskStore, TASK_STATUS, normalizeDate } = require('./taskStore');
 
 const { jobLinks } = require('../Config/configs');
 const TRACKING_SHEET_ID = process.env.SHEET_ID_Tracking;
 const CHAT_WEBHOOK = process.env.GOOGLE_CHAT_Moravia;
-const acceptedTasksPath = path.join(__dirname, 'acceptedTasks.json');
 
 // Assignment config จาก configs.js
 const assignmentConfig = jobLinks.TrackingSheet?.Assignment || {};
@@ -27,15 +25,6 @@ const ASSIGNMENT_COL = {
   receivedDate: colToIndex(assignmentConfig.receivedDateColumn || 'D')
 };
 
-/**
- * Normalize date string เพื่อเทียบ - ลบ leading zero จากชั่วโมง
- * "2026-01-27 02:52 PM" → "2026-01-27 2:52 PM"
- */
-function normalizeDate(dateStr) {
-  if (!dateStr) return '';
-  return dateStr.trim().replace(/\s0(\d:)/, ' $1');
-}
-
 // Lazy load credentials to avoid crash if file missing
 let CREDENTIALS = null;
 function getCredentials() {
@@ -57,83 +46,56 @@ function validateSheetConfig() {
   }
 }
 
+/**
+ * Record an accepted task in the task store.
+ * The same orderId + receivedDate is only ever recorded once.
+ * @param {Object} task - accepted task, with the email's TASK_METADATA fields (language pair, client, task type, PM)
+ * @returns {boolean} true when the task was added
+ */
 function appendAcceptedTask(task) {
-  let data = [];
-  if (fs.existsSync(acceptedTasksPath)) {
-    try {
-      const raw = fs.readFileSync(acceptedTasksPath);
-      data = JSON.parse(raw);
-    } catch (err) {
-      console.error('❌ Failed to parse acceptedTasks.json:', err);
-    }
-  }
-  data.push(task);
   try {
-    fs.writeFileSync(acceptedTasksPath, JSON.stringify(data, null, 2));
+    const added = getTaskStore().add(task);
+    if (!added) {
+      logInfo(`[appendAcceptedTask] Order ID ${task.orderId} (Date: ${task.receivedDate || 'N/A'}) already recorded`);
+    }
+    return added;
   } catch (err) {
-    console.error('❌ Failed to write acceptedTasks.json:', err);
+    logFail(`[appendAcceptedTask] Failed to record Order ID ${task.orderId}: ${err.message}`);
+    return false;
   }
 }
 
+/**
+ * Mark an accepted task as removed (order cancelled / capacity released).
+ * Matches on orderId + receivedDate; a task recorded without a receivedDate
+ * only matches a call without one (ป้องกันลบผิดตัวเมื่อ orderId ซ้ำ).
+ */
 async function removeTaskCapacity(orderId, receivedDate = null) {
   try {
-    if (!fs.existsSync(acceptedTasksPath)) {
-      logInfo(`[removeTaskCapacity] No acceptedTasks.json found, nothing to remove for Order ID: ${orderId}`);
-      return { ok: true, removed: false, remaining: 0, totalWords: 0 };
-    }
-
-    const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-    const tasks = JSON.parse(raw);
+    const store = getTaskStore();
+    const removed = store.setStatus(orderId, receivedDate, TASK_STATUS.REMOVED, 'removeTaskCapacity');
+    const { count: remaining, words: totalWords } = store.getCounts()[TASK_STATUS.ACTIVE];
 
-    const before = tasks.length;
-    const next = tasks.filter(t => {
-      const idMatch = String(t.orderId) === String(orderId);
-      if (!idMatch) return true; // ไม่ตรง Order ID → เก็บไว้
-      // ทั้งคู่มี receivedDate → normalize แล้วเทียบ
-      if (receivedDate && t.receivedDate) {
-        return normalizeDate(t.receivedDate) !== normalizeDate(receivedDate);
-      }
-      // caller ส่ง receivedDate มา แต่ task ไม่มี → ไม่ลบ (legacy task, ไม่แน่ใจว่าตรงตัวไหน)
-      if (receivedDate && !t.receivedDate) {
-        return true;
-      }
-      // caller ไม่ส่ง receivedDate แต่ task มี → ไม่ลบ (ป้องกันลบผิดตัวเมื่อ orderId ซ้ำ)
-      if (!receivedDate && t.receivedDate) {
-        return true;
-      }
-      // ทั้งคู่ไม่มี receivedDate → ลบ (backward compatible)
-      return false;
-    });
-    const removed = before - next.length;
-
-    if (removed > 0) {
-      fs.writeFileSync(acceptedTasksPath, JSON.stringify(next, null, 2));
-      const totalWords = next.reduce((sum, t) => sum + (t.amountWords || 0), 0);
-
-      logSuccess(`✅ [removeTaskCapacity] Order ID ${orderId} (Date: ${receivedDate || 'N/A'}) removed. Remaining: ${next.length} | Words Left: ${totalWords}`);
-      return { ok: true, removed: true, remaining: next.length, totalWords };
+    if (removed) {
+      logSuccess(`✅ [removeTaskCapacity] Order ID ${orderId} (Date: ${receivedDate || 'N/A'}) removed. Remaining: ${remaining} | Words Left: ${totalWords}`);
     } else {
-      const totalWords = tasks.reduce((sum, t) => sum + (t.amountWords || 0), 0);
-      logInfo(`⚠️ [removeTaskCapacity] Order ID ${orderId} (Date: ${receivedDate || 'N/A'}) not found. Remaining: ${before} | Words Left: ${totalWords}`);
-      return { ok: true, removed: false, remaining: before, totalWords };
+      logInfo(`⚠️ [removeTaskCapacity] Order ID ${orderId} (Date: ${receivedDate || 'N/A'}) not found. Remaining: ${remaining} | Words Left: ${totalWords}`);
     }
+    return { ok: true, removed, remaining, totalWords };
   } catch (err) {
     logFail(`[removeTaskCapacity] Error for Order ID ${orderId}: ${err.message}`);
     return { ok: false, error: err.message };
   }
 }
 
+/**
+ * Check active tasks against the Tracking sheet and retire the ones marked
+ * Completed / On Hold (status changes are written in one transaction).
+ */
 async function loadAndFilterTasks() {
-  if (!fs.existsSync(acceptedTasksPath)) {
-    return { activeTasks: [], completedCount: 0 };
-  }
-
-  let allTasks = [];
-  try {
-    const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-    allTasks = JSON.parse(raw);
-  } catch (err) {
-    console.error('❌ Failed to parse acceptedTasks.json:', err.message);
+  const store = getTaskStore();
+  const allTasks = store.getActive();
+  if (allTasks.length === 0) {
     return { activeTasks: [], completedCount: 0 };
   }
 
@@ -153,6 +115,7 @@ async function loadAndFilterTasks() {
   let completedCount = 0;
   let onHoldCount = 0;
   const activeTasks = [];
+  const changes = [];
 
   for (const task of allTasks) {
     const row = rows.find(r => {
@@ -172,18 +135,22 @@ async function loadAndFilterTasks() {
 
     if (status === 'completed') {
       completedCount++;
+      changes.push({ id: task.id, status: TASK_STATUS.COMPLETED, note: 'Tracking sheet' });
       continue;
     }
 
     if (status === 'on hold') {
       onHoldCount++;
+      changes.push({ id: task.id, status: TASK_STATUS.ON_HOLD, note: 'Tracking sheet' });
       continue;
     }
 
     activeTasks.push(task);
   }
 
-  fs.writeFileSync(acceptedTasksPath, JSON.stringify(activeTasks, null, 2));
+  if (changes.length > 0) {
+    store.setStatuses(changes);
+  }
 
   if (completedCount > 0) {
     logSuccess(`✅ Removed ${completedCount} completed tasks`);
@@ -223,13 +190,13 @@ async function readStatusMapFromSheet() {
 }
 
 function summarizeTasks(tasks) {
-  const now = dayjs();
+  const now = businessTime.now();
   const today = now.startOf('day');
   const tomorrow = today.add(1, 'day');
 
   // Apply night deadline shift: if deadline before work start hour, count as previous day
   const parsed = tasks.map(task => {
-    let due = dayjs(task.plannedEndDate);
+    let due = businessTime.toBusiness(task.plannedEndDate);
     if (due.hour() < WORKING_HOURS.START_HOUR) {
       due = due.subtract(1, 'day');
     }
@@ -240,7 +207,7 @@ function summarizeTasks(tasks) {
   const tomorrowTasks = parsed.filter(t => t.due.isSame(tomorrow, 'day'));
   const afterTasks = parsed.filter(t => t.due.isAfter(tomorrow, 'day'));
   const alerts = parsed.filter(t => {
-    const diffMinutes = dayjs(t.plannedEndDate).diff(now, 'minute');
+    const diffMinutes = businessTime.toBusiness(t.plannedEndDate).diff(now, 'minute');
     return diffMinutes > 0 && diffMinutes <= ALERTS.DUE_WITHIN_MINUTES;
   });
 
@@ -261,7 +228,7 @@ function summarizeTasks(tasks) {
 }
 
 function formatReport(summary) {
-  const now = dayjs().format('YYYY-MM-DD HH:mm');
+  const now = businessTime.now().format('YYYY-MM-DD HH:mm');
 
   const lines = [
     `📊 *RWS Task Report* _(as of ${now})_`,
@@ -303,7 +270,6 @@ module.exports = {
   summarizeTasks,
   formatReport,
   sendToGoogleChat,
-  acceptedTasksPath,
   readStatusMapFromSheet,
   removeTaskCapacity
 };
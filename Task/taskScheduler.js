@@ -1,15 +1,14 @@
 // /Task/taskScheduler.js
-const dayjs = require('dayjs');
+const businessTime = require('../Utils/businessTime');
 const isBusinessDay = require('./isBusinessDay');
 const {
   loadAndFilterTasks,
   summarizeTasks,
   formatReport,
   sendToGoogleChat,
-  acceptedTasksPath,
   readStatusMapFromSheet
 } = require('./taskReporter');
-const fs = require('fs');
+const { getTaskStore } = require('./taskStore');
 const { logSuccess, logFail, logInfo } = require('../Logs/logger');
 const { TIMEOUTS, REPORT_SCHEDULE } = require('../Config/constants');
 
@@ -42,20 +41,19 @@ async function runDailyReport() {
 }
 
 /**
- * Schedule a task to run daily at a specific time
+ * Schedule a task to run daily at a specific time (business timezone)
  */
 function scheduleDailyAt(hour, minute, taskFn, label) {
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(hour, minute, 0, 0);
-  if (target <= now) target.setDate(target.getDate() + 1);
-  const delay = target - now;
+  const now = businessTime.now();
+  let target = now.hour(hour).minute(minute).second(0).millisecond(0);
+  if (!target.isAfter(now)) target = target.add(1, 'day');
+  const delay = target.diff(now);
 
   logInfo(`🕘 [INIT] Scheduled daily "${label}" in ${Math.round(delay / 1000)} sec`);
 
   const timeoutId = setTimeout(() => {
     const wrapped = async () => {
-      if (!isBusinessDay(dayjs())) {
+      if (!isBusinessDay(businessTime.now())) {
         logInfo(`[SKIP] ${label} – Not a business day`);
         return;
       }
@@ -77,13 +75,12 @@ function scheduleDailyAt(hour, minute, taskFn, label) {
  * Check for tasks due within 15 minutes and send alerts
  */
 async function checkAlerts() {
-  if (!isBusinessDay(dayjs())) return;
+  if (!isBusinessDay(businessTime.now())) return;
 
   try {
-    if (!fs.existsSync(acceptedTasksPath)) return;
+    const allTasks = getTaskStore().getActive();
+    if (allTasks.length === 0) return;
 
-    const raw = fs.readFileSync(acceptedTasksPath, 'utf-8');
-    const allTasks = JSON.parse(raw);
     const statusMap = await readStatusMapFromSheet();
 
     const activeTasks = allTasks.filter(task => {
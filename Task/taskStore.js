@@ -0,0 +1,444 @@
+/**
+ * Task/taskStore.js
+ * SQLite store of accepted tasks (replaces Task/acceptedTasks.json).
+ *
+ * Design rationale:
+ *   acceptedTasks.json was read and rewritten whole by every caller with no
+ *   locking, so concurrent accepts / refreshes could drop or duplicate tasks.
+ *   Here every write is a single statement or transaction, and (order_id,
+ *   received_date) is UNIQUE so the same notification can never be recorded
+ *   twice. Tasks are never deleted; they change status and every change is
+ *   appended to task_status_history.
+ *
+ * Status flow:  active -> completed | on_hold | removed
+ *
+ * received_date is stored normalized (see normalizeDate) and '' when unknown,
+ * so legacy tasks without a received date still take part in the unique key.
+ * On first use the legacy JSON file is imported once and renamed to
+ * acceptedTasks.json.migrated.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const businessTime = require('../Utils/businessTime');
+const { logInfo, logSuccess, logFail } = require('../Logs/logger');
+const { TASK_STORE } = require('../Config/constants');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', TASK_STORE.DB_PATH);
+const LEGACY_JSON_PATH = path.join(__dirname, '..', TASK_STORE.LEGACY_JSON_PATH);
+
+const TASK_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  ON_HOLD: 'on_hold',
+  REMOVED: 'removed',
+});
+
+/**
+ * Normalize date string เพื่อเทียบ - ลบ leading zero จากชั่วโมง
+ * "2026-01-27 02:52 PM" → "2026-01-27 2:52 PM"
+ */
+function normalizeDate(dateStr) {
+  if (!dateStr) return '';
+  return String(dateStr).trim().replace(/\s0(\d:)/, ' $1');
+}
+
+/** Sortable deadline ('YYYY-MM-DD HH:mm', business time) or null when it cannot be parsed */
+function toDeadline(value) {
+  if (!value) return null;
+  const d = businessTime.toBusiness(value);
+  return d.isValid() ? d.format('YYYY-MM-DD HH:mm') : null;
+}
+
+class TaskStore {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dbPath] - Path to SQLite database file
+   */
+  constructor(config = {}) {
+    this.config = {
+      dbPath: config.dbPath || DEFAULT_DB_PATH,
+    };
+
+    this._ensureDirectory();
+    this.db = new Database(this.config.dbPath);
+    this._initialize();
+  }
+
+  // ================================================================ Setup
+
+  /** Ensure the parent directory for the DB file exists */
+  _ensureDirectory() {
+    const dir = path.dirname(this.config.dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /** Create tables, indexes and prepared statements */
+  _initialize() {
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS accepted_tasks (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id       TEXT    NOT NULL,
+        received_date  TEXT    NOT NULL DEFAULT '',
+        workflow_name  TEXT,
+        amount_words   INTEGER NOT NULL DEFAULT 0,
+        deadline       TEXT,
+        status         TEXT    NOT NULL DEFAULT 'active'
+                       CHECK (status IN ('active', 'completed', 'on_hold', 'removed')),
+        task_data      TEXT    NOT NULL,
+        accepted_at    TEXT    NOT NULL DEFAULT (datetime('now')),
+        updated_at     TEXT    NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (order_id, received_date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_accepted_tasks_deadline ON accepted_tasks(deadline);
+      CREATE INDEX IF NOT EXISTS idx_accepted_tasks_status   ON accepted_tasks(status, deadline);
+
+      CREATE TABLE IF NOT EXISTS task_status_history (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id     INTEGER NOT NULL REFERENCES accepted_tasks(id),
+        status      TEXT    NOT NULL,
+        note        TEXT,
+        created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_task_status_history_task ON task_status_history(task_id);
+    `);
+
+    this._stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO accepted_tasks (order_id, received_date, workflow_name, amount_words, deadline, task_data, accepted_at)
+        VALUES (@orderId, @receivedDate, @workflowName, @amountWords, @deadline, @taskData, @acceptedAt)
+        ON CONFLICT (order_id, received_date) DO NOTHING
+      `),
+
+      insertHistory: this.db.prepare(`
+        INSERT INTO task_status_history (task_id, status, note, created_at)
+        VALUES (@taskId, @status, @note, datetime('now'))
+      `),
+
+      find: this.db.prepare(`
+        SELECT * FROM accepted_tasks
+        WHERE order_id = @orderId AND received_date = @receivedDate
+      `),
+
+      setStatus: this.db.prepare(`
+        UPDATE accepted_tasks SET status = @status, updated_at = datetime('now')
+        WHERE id = @id AND status != @status
+      `),
+
+      setTaskData: this.db.prepare(`
+        UPDATE accepted_tasks SET task_data = @taskData, updated_at = datetime('now')
+        WHERE id = @id
+      `),
+
+      updateTask: this.db.prepare(`
+        UPDATE accepted_tasks
+        SET task_data = @taskData, amount_words = @amountWords, deadline = @deadline, updated_at = datetime('now')
+        WHERE id = @id
+      `),
+
+      getById: this.db.prepare('SELECT * FROM accepted_tasks WHERE id = ?'),
+
+      latestByOrder: this.db.prepare(`
+        SELECT * FROM accepted_tasks
+        WHERE order_id = @orderId AND status = @status
+        ORDER BY id DESC
+        LIMIT 1
+      `),
+
+      byStatus: this.db.prepare(`
+        SELECT * FROM accepted_tasks
+        WHERE status = @status
+        ORDER BY deadline IS NULL, deadline ASC, id ASC
+      `),
+
+      acceptedOn: this.db.prepare(`
+        SELECT * FROM accepted_tasks
+        WHERE substr(accepted_at, 1, 10) = @date
+        ORDER BY id ASC
+      `),
+
+      countByStatus: this.db.prepare(`
+        SELECT status, COUNT(*) AS count, COALESCE(SUM(amount_words), 0) AS words
+        FROM accepted_tasks
+        GROUP BY status
+      `),
+
+      history: this.db.prepare(`
+        SELECT status, note, created_at FROM task_status_history
+        WHERE task_id = @taskId
+        ORDER BY id ASC
+      `),
+    };
+
+    this._transition = this.db.transaction((changes) => {
+      let changed = 0;
+      for (const { id, status, note } of changes) {
+        if (this._stmts.setStatus.run({ id, status }).changes > 0) {
+          this._stmts.insertHistory.run({ taskId: id, status, note: note || null });
+          changed++;
+        }
+      }
+      return changed;
+    });
+
+    this._insertMany = this.db.transaction((tasks, note) => {
+      let inserted = 0;
+      for (const task of tasks) {
+        if (this._insert(task, note)) inserted++;
+      }
+      return inserted;
+    });
+  }
+
+  // ================================================================ Writing
+
+  /**
+   * Record an accepted task. A second task with the same orderId + receivedDate is ignored.
+   * @param {object} task - the task as written by taskHandler (orderId, workflowName, allocationPlan, ...)
+   * @param {string} [note] - status history note
+   * @returns {boolean} true when the task was inserted
+   */
+  add(task, note = 'accepted') {
+    return this._insertMany([task], note) === 1;
+  }
+
+  /**
+   * Import tasks from a legacy acceptedTasks.json once, then rename the file
+   * so it is never imported again. Duplicates in the file are skipped.
+   * @param {string} [jsonPath]
+   * @returns {{ imported: number, skipped: number } | null} null when there is no file
+   */
+  migrateFromJson(jsonPath = LEGACY_JSON_PATH) {
+    if (!fs.existsSync(jsonPath)) return null;
+
+    const tasks = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+    if (!Array.isArray(tasks)) {
+      throw new Error(`${path.basename(jsonPath)} is not an array`);
+    }
+
+    const valid = tasks.filter(t => t && t.orderId != null);
+    const imported = this._insertMany(valid, 'imported from acceptedTasks.json');
+    fs.renameSync(jsonPath, `${jsonPath}.migrated`);
+
+    const skipped = tasks.length - imported;
+    logSuccess(`[TaskStore] Imported ${imported} task(s) from ${path.basename(jsonPath)} (${skipped} duplicate/invalid skipped)`);
+    return { imported, skipped };
+  }
+
+  /**
+   * Move one task to a new status (no-op when it already has it).
+   * @param {string} orderId
+   * @param {string|null} receivedDate
+   * @param {string} status - One of TASK_STATUS
+   * @param {string} [note]
+   * @returns {boolean} true when the status changed
+   */
+  setStatus(orderId, receivedDate, status, note = null) {
+    const row = this._find(orderId, receivedDate);
+    if (!row) return false;
+    return this.setStatuses([{ id: row.id, status, note }]) > 0;
+  }
+
+  /**
+   * Apply several status changes in one transaction.
+   * @param {Array<{id: number, status: string, note?: string}>} changes - ids from getActive()
+   * @returns {number} Number of tasks whose status changed
+   */
+  setStatuses(changes) {
+    for (const { status } of changes) {
+      if (!Object.values(TASK_STATUS).includes(status)) {
+        throw new Error(`Unknown task status: ${status}`);
+      }
+    }
+    return this._transition(changes);
+  }
+
+  /**
+   * Drop allocation plan entries matching `shouldDrop` from every active task.
+   * Tasks left without any allocation are marked removed.
+   * @param {(date: string) => boolean} shouldDrop
+   * @param {string} [note]
+   * @returns {{ allocationsRemoved: number, tasksRemoved: number }}
+   */
+  pruneAllocations(shouldDrop, note = 'allocations cleaned up') {
+    return this.db.transaction(() => {
+      let allocationsRemoved = 0;
+      const emptied = [];
+      for (const row of this._stmts.byStatus.all({ status: TASK_STATUS.ACTIVE })) {
+        const task = JSON.parse(row.task_data);
+        if (!Array.isArray(task.allocationPlan)) continue;
+
+        const kept = task.allocationPlan.filter(p => !shouldDrop(p.date));
+        if (kept.length === task.allocationPlan.length) continue;
+
+        allocationsRemoved += task.allocationPlan.length - kept.length;
+        this._stmts.setTaskData.run({ id: row.id, taskData: JSON.stringify({ ...task, allocationPlan: kept }) });
+        if (kept.length === 0) emptied.push({ id: row.id, status: TASK_STATUS.REMOVED, note });
+      }
+      const tasksRemoved = emptied.length > 0 ? this._transition(emptied) : 0;
+      return { allocationsRemoved, tasksRemoved };
+    })();
+  }
+
+  /**
+   * Change an active task's words / deadline / allocation (change notifications).
+   * The change is recorded in the status history under the current status.
+   * @param {number} id - store id (from findActiveByOrder / getActive)
+   * @param {object} changes - task fields to overwrite (amountWords, plannedEndDate, allocationPlan, ...)
+   * @param {string} [note] - status history note
+   * @returns {object|null} the updated task, null when the id is unknown
+   */
+  updateTask(id, changes, note = 'updated') {
+    return this.db.transaction(() => {
+      const row = this._stmts.getById.get(id);
+      if (!row) return null;
+      const { id: _id, ...data } = { ...JSON.parse(row.task_data), ...changes };
+      this._stmts.updateTask.run({
+        id,
+        taskData: JSON.stringify(data),
+        amountWords: Number(data.amountWords) || 0,
+        deadline: toDeadline(data.plannedEndDate),
+      });
+      this._stmts.insertHistory.run({ taskId: id, status: row.status, note });
+      return this._parseTask(this._stmts.getById.get(id));
+    })();
+  }
+
+  // ================================================================ Queries
+
+  /**
+   * Latest active task for an order, whatever email it was accepted from.
+   * Change notifications carry their own received date, so they cannot use getTask().
+   * @param {string} orderId
+   * @returns {object|null} task with its store `id`
+   */
+  findActiveByOrder(orderId) {
+    const row = this._stmts.latestByOrder.get({ orderId: String(orderId), status: TASK_STATUS.ACTIVE });
+    return row ? this._parseTask(row) : null;
+  }
+
+  /**
+   * Active tasks, earliest deadline first (tasks without a deadline last).
+   * Each task carries its store `id` for setStatuses().
+   * @returns {object[]}
+   */
+  getActive() {
+    return this.getByStatus(TASK_STATUS.ACTIVE);
+  }
+
+  /**
+   * @param {string} status - One of TASK_STATUS
+   * @returns {object[]}
+   */
+  getByStatus(status) {
+    return this._stmts.byStatus.all({ status }).map(r => this._parseTask(r));
+  }
+
+  /**
+   * Tasks accepted on a business date, whatever their status now.
+   * @param {string} date - 'YYYY-MM-DD'
+   * @returns {object[]}
+   */
+  getAcceptedOn(date) {
+    return this._stmts.acceptedOn.all({ date }).map(r => this._parseTask(r));
+  }
+
+  /**
+   * One task with its status history.
+   * @param {string} orderId
+   * @param {string|null} [receivedDate]
+   * @returns {object|null}
+   */
+  getTask(orderId, receivedDate = null) {
+    const row = this._find(orderId, receivedDate);
+    if (!row) return null;
+    return {
+      ...this._parseTask(row),
+      status: row.status,
+      acceptedAt: row.accepted_at,
+      updatedAt: row.updated_at,
+      history: this._stmts.history.all({ taskId: row.id }).map(h => ({
+        status: h.status, note: h.note, createdAt: h.created_at,
+      })),
+    };
+  }
+
+  /**
+   * Task count and words per status.
+   * @returns {Object<string, {count: number, words: number}>}
+   */
+  getCounts() {
+    const counts = {};
+    for (const s of Object.values(TASK_STATUS)) counts[s] = { count: 0, words: 0 };
+    for (const row of this._stmts.countByStatus.all()) {
+      counts[row.status] = { count: row.count, words: row.words };
+    }
+    return counts;
+  }
+
+  /**
+   * Close the database connection. Call this on shutdown.
+   */
+  close() {
+    try {
+      if (this.db && this.db.open) {
+        this.db.close();
+        logInfo('[TaskStore] Database closed');
+      }
+    } catch (err) {
+      logFail(`[TaskStore] Error closing database: ${err.message}`);
+    }
+  }
+
+  // ================================================================ Helpers
+
+  _find(orderId, receivedDate) {
+    return this._stmts.find.get({ orderId: String(orderId), receivedDate: normalizeDate(receivedDate) });
+  }
+
+  _insert(task, note) {
+    const { id: _id, ...data } = task;
+    const result = this._stmts.insert.run({
+      orderId: String(task.orderId),
+      receivedDate: normalizeDate(task.receivedDate),
+      workflowName: task.workflowName || null,
+      amountWords: Number(task.amountWords) || 0,
+      deadline: toDeadline(task.plannedEndDate),
+      taskData: JSON.stringify(data),
+      acceptedAt: task.timestamp || businessTime.now().format('YYYY-MM-DD HH:mm:ss'),
+    });
+    if (result.changes === 0) return false;
+    this._stmts.insertHistory.run({ taskId: result.lastInsertRowid, status: TASK_STATUS.ACTIVE, note });
+    return true;
+  }
+
+  _parseTask(row) {
+    return { ...JSON.parse(row.task_data), id: row.id };
+  }
+}
+
+// Lazily opened so modules that never touch tasks do not open SQLite
+let _instance = null;
+
+/** @returns {TaskStore} Shared store at TASK_STORE.DB_PATH (imports acceptedTasks.json on first use) */
+function getTaskStore() {
+  if (!_instance) {
+    _instance = new TaskStore();
+    try {
+      _instance.migrateFromJson();
+    } catch (err) {
+      logFail(`[TaskStore] acceptedTasks.json migration failed: ${err.message}`);
+    }
+  }
+  return _instance;
+}
+
+module.exports = { TaskStore, getTaskStore, TASK_STATUS, normalizeDate, LEGACY_JSON_PATH };
@@ -0,0 +1,213 @@
+/**
+ * TeamRoster — per-linguist capacity and calendars
+ * Location: ./Task/teamRoster.js
+ *
+ * Loads the team from Config/team.json. Each member has their own throughput,
+ * leave days and OT, in the same shapes WorkingHoursManager uses for the team
+ * calendar (holidays.json / overtimeSchedule.json):
+ * {
+ *   "members": [
+ *     {
+ *       "id": "ploy",                       // written to the Tracking sheet PM column
+ *       "name": "Ploy",
+ *       "wordsPerHour": 1000,               // optional, defaults to the team rate
+ *       "hours": { "start": 9, "end": 18 }, // optional, defaults to WORKING_HOURS
+ *       "holidays": { "extraHolidays": ["2026-02-02"], "workingHolidays": [] },
+ *       "overtime": { "2026-01-31": { "start": 9, "end": 13 } }
+ *     }
+ *   ]
+ * }
+ *
+ * Priority order for getWorkingHours(memberId, date):
+ *   1. Member OT for that date -> OT hours
+ *   2. Member leave (extraHolidays) -> null
+ *   3. Team calendar off (holiday/weekend) -> null, unless listed in the member's workingHolidays
+ *   4. Team OT for that date -> team OT hours, otherwise the member's own hours
+ *
+ * An empty roster means one shared pool (CapacityTracker falls back to team-wide limits).
+ * The file is re-read when its mtime changes (same pattern as WorkingHoursManager).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { loadJSON } = require('../Utils/fileUtils');
+const { logFail, logInfo } = require('../Logs/logger');
+const { TEAM } = require('../Config/constants');
+const { workingHoursManager, hoursInWindow } = require('./workingHoursManager');
+
+/* ========================= Paths ========================= */
+const ROSTER_PATH = path.join(__dirname, '..', TEAM.ROSTER_PATH);
+
+/* ========================= TeamRoster Class ========================= */
+class TeamRoster {
+  /**
+   * @param {string} [rosterPath] - JSON roster file (defaults to Config/team.json)
+   */
+  constructor(rosterPath = ROSTER_PATH) {
+    this.rosterPath = rosterPath;
+    /** @type {Array<Object>} validated members */
+    this.members = [];
+    /** @type {number|null} Cached mtime of the roster file */
+    this._lastMtimeMs = null;
+    /** @type {boolean} true once setMembers() is used — the file is no longer consulted */
+    this._pinned = false;
+    this._reload();
+  }
+
+  /* -------------------- Loading -------------------- */
+
+  /**
+   * Reload the roster from disk (only if the file changed).
+   */
+  _reload() {
+    if (this._pinned) return;
+    const stat = fs.statSync(this.rosterPath, { throwIfNoEntry: false });
+    const mtime = stat?.mtimeMs ?? null;
+    if (mtime === this._lastMtimeMs) return;
+    this._lastMtimeMs = mtime;
+
+    const config = loadJSON(this.rosterPath, { members: [] });
+    this.members = this._validate(config.members);
+    if (this.members.length > 0) {
+      logInfo(`[TeamRoster] Loaded ${this.members.length} member(s) from ${path.basename(this.rosterPath)}`);
+    }
+  }
+
+  /**
+   * Replace the roster (bypasses the file; useful for tests / dashboard).
+   * @param {Array<Object>} members
+   * @returns {number} number of valid members loaded
+   */
+  setMembers(members) {
+    this.members = this._validate(members);
+    this._pinned = true;
+    return this.members.length;
+  }
+
+  /**
+   * Drop invalid / disabled members (logged) and fill defaults.
+   * @param {Array<Object>} rawMembers
+   * @returns {Array<Object>}
+   */
+  _validate(rawMembers) {
+    if (!Array.isArray(rawMembers)) return [];
+
+    const seen = new Set();
+    const members = [];
+    rawMembers.forEach((raw, idx) => {
+      if (!raw || raw.enabled === false) return;
+      const id = raw.id ? String(raw.id).trim() : '';
+      if (!id || seen.has(id)) {
+        logFail(`[TeamRoster] Skipping member #${idx}: ${id ? `duplicate id "${id}"` : 'id is required'}`);
+        return;
+      }
+      if (raw.wordsPerHour != null && !(Number(raw.wordsPerHour) > 0)) {
+        logFail(`[TeamRoster] Skipping member "${id}": wordsPerHour must be a positive number`);
+        return;
+      }
+      seen.add(id);
+      members.push({
+        id,
+        name: raw.name || id,
+        wordsPerHour: raw.wordsPerHour != null ? Number(raw.wordsPerHour) : null,
+        hours: raw.hours && typeof raw.hours.start === 'number' && typeof raw.hours.end === 'number'
+          ? { start: raw.hours.start, end: raw.hours.end }
+          : null,
+        holidays: {
+          extraHolidays: raw.holidays?.extraHolidays || [],
+          workingHolidays: raw.holidays?.workingHolidays || []
+        },
+        overtime: raw.overtime || {}
+      });
+    });
+    return members;
+  }
+
+  /* -------------------- Core Methods -------------------- */
+
+  /**
+   * Active members.
+   * @returns {Array<Object>}
+   */
+  getMembers() {
+    this._reload();
+    return this.members;
+  }
+
+  /** @returns {boolean} true when no roster is configured (shared pool) */
+  isEmpty() {
+    return this.getMembers().length === 0;
+  }
+
+  /**
+   * @param {string} memberId
+   * @returns {Object|null}
+   */
+  getMember(memberId) {
+    return this.getMembers().find(m => m.id === memberId) || null;
+  }
+
+  /**
+   * A member's working hours on a date (see priority order in the header).
+   * @param {string|Object} member - member id or member object
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {{ start: number, end: number } | null}
+   */
+  getWorkingHours(member, dateStr) {
+    const m = typeof member === 'string' ? this.getMember(member) : member;
+    if (!m) return null;
+
+    const ot = m.overtime[dateStr];
+    if (ot && typeof ot.start === 'number' && typeof ot.end === 'number') {
+      return { start: ot.start, end: ot.end };
+    }
+    if (m.holidays.extraHolidays.includes(dateStr)) return null;
+
+    const own = m.hours || { ...workingHoursManager.defaultHours };
+    const team = workingHoursManager.getWorkingHours(dateStr);
+    if (!team) {
+      return m.holidays.workingHolidays.includes(dateStr) ? own : null;
+    }
+    return workingHoursManager.getOvertimeSchedule()[dateStr] ? team : own;
+  }
+
+  /**
+   * A member's working hours on a date, trimmed like WorkingHoursManager.getAvailableHours().
+   * @param {string|Object} member
+   * @param {string} dateStr
+   * @param {{ from?: string|dayjs.Dayjs, until?: string|dayjs.Dayjs }} [window]
+   * @returns {number}
+   */
+  getAvailableHours(member, dateStr, window = {}) {
+    return hoursInWindow(dateStr, this.getWorkingHours(member, dateStr), window);
+  }
+
+  /**
+   * Whether anyone on the roster works on a date.
+   * @param {string} dateStr
+   * @returns {boolean}
+   */
+  isAnyoneWorking(dateStr) {
+    return this.getMembers().some(m => this.getWorkingHours(m, dateStr) !== null);
+  }
+
+  /* -------------------- Summary / Status -------------------- */
+
+  /**
+   * Roster plus each member's hours on a date (for GET /api/team).
+   * @param {string} dateStr
+   */
+  getStatus(dateStr) {
+    const members = this.getMembers().map(m => ({ ...m, hoursOnDate: this.getWorkingHours(m, dateStr) }));
+    return {
+      source: this._pinned ? 'runtime' : this.rosterPath,
+      date: dateStr,
+      members
+    };
+  }
+}
+
+/* ========================= Singleton Export ========================= */
+const teamRoster = new TeamRoster();
+
+module.exports = { teamRoster, TeamRoster, ROSTER_PATH };
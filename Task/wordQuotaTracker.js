@@ -3,22 +3,20 @@ const fs = require('fs');
 const { logInfo, logFail, logProgress } = require('../Logs/logger');
 const { CAPACITY, RETRIES, TIMEOUTS } = require('../Config/constants');
 const { loadJSON, saveJSON } = require('../Utils/fileUtils');
+const businessTime = require('../Utils/businessTime');
 
 const QUOTA_FILE = path.join(__dirname, 'wordQuota.json');
 const LIMIT = CAPACITY.WORD_QUOTA_LIMIT;
 const STEP = CAPACITY.WORD_QUOTA_STEP;
 const RESET_HOUR = CAPACITY.WORD_QUOTA_RESET_HOUR;
 
+// Quota windows reset at RESET_HOUR business time
 function getTimeWindowKey() {
-  const now = new Date();
-  const hour = now.getHours();
-  if (hour < RESET_HOUR) {
-    now.setDate(now.getDate() - 1);
+  let now = businessTime.now();
+  if (now.hour() < RESET_HOUR) {
+    now = now.subtract(1, 'day');
   }
-  const y = now.getFullYear();
-  const m = String(now.getMonth() + 1).padStart(2, '0');
-  const d = String(now.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}-${RESET_HOUR}h`;
+  return `${now.format('YYYY-MM-DD')}-${RESET_HOUR}h`;
 }
 
 function loadQuota() {
@@ -15,6 +15,7 @@
  *   4. Default working hours -> return { start, end }
  *
  * Backward compatible: taskAcceptance.js can use this instead of hardcoded hours.
+ * Dates and moments are read in the business timezone (Utils/businessTime.js).
  */
 
 const path = require('path');
@@ -24,11 +25,41 @@ const { loadJSON, saveJSON } = require('../Utils/fileUtils');
 const { WORKING_HOURS } = require('../Config/constants');
 const isBusinessDay = require('./isBusinessDay');
 const { clearConfigCache } = require('./isBusinessDay');
+const businessTime = require('../Utils/businessTime');
 
 /* ========================= Paths ========================= */
 const HOLIDAYS_PATH = path.join(__dirname, '../Config/holidays.json');
 const OVERTIME_PATH = path.join(__dirname, '../public/overtimeSchedule.json');
 
+/* ========================= Helpers ========================= */
+
+/**
+ * Length of a day's working hours, trimmed by `from` / `until` when they fall on that day.
+ * Shared with Task/teamRoster.js for per-member calendars.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {{ start: number, end: number } | null} hours - that day's working hours
+ * @param {{ from?: string|dayjs.Dayjs, until?: string|dayjs.Dayjs }} [window]
+ * @returns {number} - fractional hours (0 when hours is null)
+ */
+function hoursInWindow(dateStr, hours, { from, until } = {}) {
+  if (!hours) return 0;
+
+  const hourOf = (d) => d.hour() + d.minute() / 60;
+  let { start, end } = hours;
+
+  const fromDt = from ? businessTime.toBusiness(from) : null;
+  if (fromDt && fromDt.isValid() && fromDt.format('YYYY-MM-DD') === dateStr) {
+    start = Math.max(start, hourOf(fromDt));
+  }
+  const untilDt = until ? businessTime.toBusiness(until) : null;
+  if (untilDt && untilDt.isValid() && untilDt.format('YYYY-MM-DD') === dateStr) {
+    end = Math.min(end, hourOf(untilDt));
+  }
+
+  return Math.max(0, end - start);
+}
+
 /* ========================= WorkingHoursManager Class ========================= */
 class WorkingHoursManager {
   constructor() {
@@ -99,7 +130,7 @@ class WorkingHoursManager {
       return null;
     }
 
-    if (!isBusinessDay(d)) {
+    if (!isBusinessDay(businessTime.toBusiness(dateStr))) {
       return null;
     }
 
@@ -117,14 +148,30 @@ class WorkingHoursManager {
     return this.getWorkingHours(dateStr) !== null;
   }
 
+  /**
+   * Number of working hours on a date, optionally trimmed to a time window.
+   * `from` / `until` only trim the day they fall on (e.g. from = now cuts today's
+   * elapsed hours, until = deadline cuts the deadline day); other dates keep
+   * their full working hours.
+   *
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {Object} [window]
+   * @param {string|dayjs.Dayjs} [window.from] - count only hours after this moment
+   * @param {string|dayjs.Dayjs} [window.until] - count only hours before this moment
+   * @returns {number} - fractional hours (0 when not a working day)
+   */
+  getAvailableHours(dateStr, window = {}) {
+    return hoursInWindow(dateStr, this.getWorkingHours(dateStr), window);
+  }
+
   /**
    * Check if the current moment (or a given datetime) falls within working hours.
    *
-   * @param {string|dayjs.Dayjs} [dateTimeInput] - ISO string or dayjs object. Defaults to now.
+   * @param {string|dayjs.Dayjs} [dateTimeInput] - business wall-clock / ISO string or dayjs object. Defaults to now.
    * @returns {boolean}
    */
   isWithinWorkingHours(dateTimeInput) {
-    const dt = dateTimeInput ? dayjs(dateTimeInput) : dayjs();
+    const dt = businessTime.toBusiness(dateTimeInput || undefined);
     if (!dt.isValid()) return false;
 
     const dateStr = dt.format('YYYY-MM-DD');
@@ -311,7 +358,7 @@ class WorkingHoursManager {
     this._reloadHolidays();
     this._reloadOvertime();
 
-    const today = dayjs().format('YYYY-MM-DD');
+    const today = businessTime.today();
     const todayHours = this.getWorkingHours(today);
 
     return {
@@ -330,4 +377,4 @@ class WorkingHoursManager {
 /* ========================= Singleton ========================= */
 const workingHoursManager = new WorkingHoursManager();
 
-module.exports = { workingHoursManager, WorkingHoursManager };
+module.exports = { workingHoursManager, WorkingHoursManager, hoursInWindow };
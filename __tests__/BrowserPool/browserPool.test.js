@@ -240,6 +240,25 @@ describe('BrowserPool/browserPool.js', () => {
 
       await expect(pool.createBrowser(1)).rejects.toThrow('Launch error');
     });
+
+    it('should run onBrowserCreated with the new browser and its slot', async () => {
+      const onBrowserCreated = jest.fn().mockResolvedValue();
+      const pool = new BrowserPool({ onBrowserCreated });
+
+      const browser = await pool.createBrowser(2);
+
+      expect(onBrowserCreated).toHaveBeenCalledWith(browser, 2);
+    });
+
+    it('should keep the browser when onBrowserCreated fails', async () => {
+      const { logFail } = require('../../Logs/logger');
+      const pool = new BrowserPool({ onBrowserCreated: jest.fn().mockRejectedValue(new Error('CDP error')) });
+
+      const browser = await pool.createBrowser(1);
+
+      expect(browser._slotIndex).toBe(1);
+      expect(logFail).toHaveBeenCalledWith('Browser slot 1: onBrowserCreated failed: CDP error');
+    });
   });
 
   describe('getBrowser()', () => {
@@ -0,0 +1,277 @@
+/**
+ * Tests for BrowserPool/sharedSession.js
+ *
+ * Testing Strategy:
+ * 1. adopt(): domain filter, cookie conversion, expiry from httpOnly auth cookies
+ * 2. applyTo() / pushToPool(): Network.setCookies through CDP, per-slot generation
+ * 3. refresh(): single flight, login retries, login browser always closed
+ * 4. recover(): reuses a jar refreshed after the failed attempt started
+ * 5. Proactive refresh timer
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logInfo: jest.fn(),
+  logProgress: jest.fn()
+}));
+
+const { SharedSession, toCookieParam } = require('../../BrowserPool/sharedSession');
+const { logFail } = require('../../Logs/logger');
+
+const HOUR = 60 * 60 * 1000;
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+const cookie = (overrides = {}) => ({
+  name: 'MoraviaAuth',
+  value: 'secret',
+  domain: 'projects.moravia.com',
+  path: '/',
+  expires: -1,
+  session: true,
+  secure: true,
+  httpOnly: true,
+  sameSite: 'Lax',
+  priority: 'Medium',
+  size: 30,
+  ...overrides
+});
+
+/** Page whose CDP session answers getAllCookies and records setCookies */
+const createPage = (cookies = []) => {
+  const client = {
+    send: jest.fn(async (method, params) => (method === 'Network.getAllCookies' ? { cookies } : params)),
+    detach: jest.fn().mockResolvedValue()
+  };
+  return {
+    client,
+    isClosed: jest.fn(() => false),
+    close: jest.fn().mockResolvedValue(),
+    target: jest.fn(() => ({ createCDPSession: jest.fn().mockResolvedValue(client) }))
+  };
+};
+
+const createBrowser = (slot, page = createPage()) => {
+  const browser = {
+    page,
+    pages: jest.fn().mockResolvedValue([page]),
+    newPage: jest.fn(),
+    isConnected: jest.fn(() => true),
+    close: jest.fn().mockResolvedValue()
+  };
+  Object.defineProperty(browser, '_slotIndex', { value: slot });
+  return browser;
+};
+
+const createPool = (browsers) => ({
+  getBrowsers: jest.fn(() => new Map(browsers.map(b => [b._slotIndex, b])))
+});
+
+const loginReturning = (cookies) => jest.fn(async () => ({ browser: createBrowser(0), page: createPage(cookies) }));
+
+describe('BrowserPool/sharedSession.js', () => {
+
+  describe('adopt()', () => {
+    it('should keep only session-domain cookies, converted for Network.setCookies', async () => {
+      const session = new SharedSession();
+      const persistent = cookie({ name: 'ESTSAUTH', domain: '.login.microsoftonline.com', session: false, expires: nowSec() + 24 * 3600, httpOnly: false });
+      const page = createPage([cookie(), persistent, cookie({ name: '_ga', domain: '.google.com' })]);
+
+      expect(await session.adopt(page)).toBe(2);
+
+      expect(session.cookies).toEqual([
+        { name: 'MoraviaAuth', value: 'secret', domain: 'projects.moravia.com', path: '/', secure: true, httpOnly: true, sameSite: 'Lax', priority: 'Medium' },
+        expect.objectContaining({ name: 'ESTSAUTH', expires: persistent.expires })
+      ]);
+      expect(session.generation).toBe(1);
+      expect(page.client.detach).toHaveBeenCalled();
+    });
+
+    it('should expire with the earliest httpOnly Moravia cookie, or after MAX_AGE', async () => {
+      const session = new SharedSession({ maxAge: 8 * HOUR, refreshBefore: 0.5 * HOUR });
+      const soon = nowSec() + 2 * 3600;
+
+      await session.adopt(createPage([
+        cookie({ session: false, expires: soon }),
+        cookie({ name: 'tracking', session: false, expires: nowSec() + 3600, httpOnly: false }),
+        cookie({ name: 'antiforgery', session: false, expires: nowSec() + 60 })
+      ]));
+      expect(session.expiresAt).toBe(soon * 1000);
+      expect(session.refreshDueAt()).toBe(soon * 1000 - 0.5 * HOUR);
+
+      await session.adopt(createPage([cookie()]));
+      expect(session.expiresAt).toBe(session.capturedAt + 8 * HOUR);
+      expect(session.needsRefresh(session.capturedAt + 7 * HOUR)).toBe(false);
+      expect(session.needsRefresh(session.capturedAt + 7.5 * HOUR)).toBe(true);
+    });
+
+    it('should refuse a page without login cookies', async () => {
+      const session = new SharedSession();
+
+      await expect(session.adopt(createPage([cookie({ domain: 'example.com' })]))).rejects.toThrow('No login cookies');
+      expect(session.generation).toBe(0);
+      expect(session.needsRefresh()).toBe(true);
+    });
+  });
+
+  describe('applyTo() / pushToPool()', () => {
+    it('should set the jar on every connected pool browser and track the generation per slot', async () => {
+      const session = new SharedSession();
+      await session.adopt(createPage([cookie()]));
+      const b1 = createBrowser(1);
+      const b2 = createBrowser(2);
+      const gone = createBrowser(3);
+      gone.isConnected.mockReturnValue(false);
+      session.attachPool(createPool([b1, b2, gone]));
+
+      expect(await session.pushToPool()).toEqual({ synced: 2, failed: 0 });
+
+      expect(b1.page.client.send).toHaveBeenCalledWith('Network.setCookies', { cookies: session.cookies });
+      expect(gone.pages).not.toHaveBeenCalled();
+      expect(session.getStatus().browsers).toEqual([
+        expect.objectContaining({ slot: 1, generation: 1, current: true }),
+        expect.objectContaining({ slot: 2, generation: 1, current: true }),
+        expect.objectContaining({ slot: 3, generation: null, current: false })
+      ]);
+    });
+
+    it('should open and close a page for a browser without one, and keep going when a browser fails', async () => {
+      const session = new SharedSession();
+      await session.adopt(createPage([cookie()]));
+      const spare = createPage();
+      const empty = createBrowser(1);
+      empty.pages.mockResolvedValue([]);
+      empty.newPage.mockResolvedValue(spare);
+      const broken = createBrowser(2);
+      broken.pages.mockRejectedValue(new Error('Target closed'));
+      session.attachPool(createPool([empty, broken]));
+
+      expect(await session.pushToPool()).toEqual({ synced: 1, failed: 1 });
+      expect(spare.client.send).toHaveBeenCalledWith('Network.setCookies', expect.any(Object));
+      expect(spare.close).toHaveBeenCalled();
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Slot 2: cookie sync failed: Target closed'));
+    });
+
+    it('should leave a browser alone before the first login', async () => {
+      const browser = createBrowser(1);
+
+      await new SharedSession().applyTo(browser);
+
+      expect(browser.pages).not.toHaveBeenCalled();
+    });
+
+    it('should not expose cookie values in the status', async () => {
+      const session = new SharedSession();
+      await session.adopt(createPage([cookie()]));
+
+      expect(JSON.stringify(session.getStatus())).not.toContain('secret');
+      expect(session.getStatus()).toMatchObject({ loggedIn: true, cookieCount: 1, generation: 1 });
+    });
+  });
+
+  describe('refresh()', () => {
+    it('should log in, close the login browser and push the new jar to the pool', async () => {
+      const login = loginReturning([cookie()]);
+      const session = new SharedSession({ login });
+      const poolBrowser = createBrowser(1);
+      session.attachPool(createPool([poolBrowser]));
+
+      expect(await session.refresh('proactive')).toBe(true);
+
+      const { browser: loginBrowser } = await login.mock.results[0].value;
+      expect(loginBrowser.close).toHaveBeenCalled();
+      expect(poolBrowser.page.client.send).toHaveBeenCalledWith('Network.setCookies', expect.any(Object));
+      expect(session.lastRefresh).toMatchObject({ reason: 'proactive', ok: true, error: null });
+    });
+
+    it('should share one login between concurrent callers', async () => {
+      const login = loginReturning([cookie()]);
+      const session = new SharedSession({ login });
+
+      const results = await Promise.all([session.refresh('LOGIN_EXPIRED'), session.refresh('LOGIN_EXPIRED'), session.refresh('dashboard')]);
+
+      expect(results).toEqual([true, true, true]);
+      expect(login).toHaveBeenCalledTimes(1);
+      expect(session.generation).toBe(1);
+    });
+
+    it('should retry the login, close every login browser, and notify once per failure streak', async () => {
+      const loginBrowser = createBrowser(0);
+      const login = jest.fn()
+        .mockResolvedValueOnce({ browser: loginBrowser, page: createPage([]) })
+        .mockRejectedValueOnce(new Error('MFA prompt'));
+      const session = new SharedSession({ login, loginAttempts: 2 });
+
+      expect(await session.refresh('proactive')).toBe(false);
+      expect(login).toHaveBeenCalledTimes(2);
+      expect(loginBrowser.close).toHaveBeenCalled();
+      expect(session.lastRefresh).toMatchObject({ ok: false, error: 'MFA prompt' });
+      expect(logFail).toHaveBeenLastCalledWith('[Session] Login refresh failed (proactive): MFA prompt', true);
+
+      login.mockRejectedValue(new Error('still down'));
+      expect(await session.refresh('proactive')).toBe(false);
+      expect(logFail).toHaveBeenLastCalledWith('[Session] Login refresh failed (proactive): still down', false);
+      expect(session.failures).toBe(2);
+    });
+
+    it('should fail without a login function', async () => {
+      expect(await new SharedSession().refresh('boot')).toBe(false);
+    });
+  });
+
+  describe('recover()', () => {
+    it('should reuse a jar captured after the failed attempt started', async () => {
+      const login = loginReturning([cookie()]);
+      const session = new SharedSession({ login });
+      await session.refresh('boot');
+
+      expect(await session.recover(session.capturedAt - 1000)).toBe(true);
+      expect(login).toHaveBeenCalledTimes(1);
+
+      expect(await session.recover(session.capturedAt + 1000)).toBe(true);
+      expect(login).toHaveBeenCalledTimes(2);
+      expect(session.lastRefresh.reason).toBe('LOGIN_EXPIRED');
+    });
+
+    it('should wait for a refresh already in flight', async () => {
+      const login = loginReturning([cookie()]);
+      const session = new SharedSession({ login });
+
+      const inFlight = session.refresh('proactive');
+      expect(await session.recover(Date.now() + 1000)).toBe(true);
+      await inFlight;
+
+      expect(login).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('startAutoRefresh()', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('should refresh only once the jar is due', async () => {
+      const session = new SharedSession({ login: loginReturning([cookie()]), maxAge: 2 * HOUR, refreshBefore: 0.5 * HOUR });
+      await session.adopt(createPage([cookie()]));
+      const refresh = jest.spyOn(session, 'refresh');
+
+      session.startAutoRefresh(10 * 60 * 1000);
+      session.startAutoRefresh(10 * 60 * 1000);
+      jest.advanceTimersByTime(HOUR);
+      expect(refresh).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(HOUR);
+      expect(refresh).toHaveBeenCalledWith('proactive');
+      expect(session.getStatus().autoRefresh).toBe(true);
+
+      session.stopAutoRefresh();
+      expect(session.getStatus().autoRefresh).toBe(false);
+    });
+  });
+
+  describe('toCookieParam()', () => {
+    it('should keep session cookies without an expiry', () => {
+      expect(toCookieParam(cookie())).not.toHaveProperty('expires');
+      expect(toCookieParam(cookie({ session: false, expires: 1900000000 })).expires).toBe(1900000000);
+    });
+  });
+});
@@ -0,0 +1,566 @@
+/**
+ * Tests for Core/taskHandler.js
+ *
+ * Testing Strategy:
+ * 1. Cancellations: accepted task, no task, and an accept job that is still
+ *    queued, running, or committing when the cancellation arrives
+ * 2. Re-plans after a deadline / word-count change (new plan held before the
+ *    old one is released), changes held until an in-flight accept is booked,
+ *    and a deadline that cannot be parsed
+ * 3. The accept job starts its reservation TTL; urgent caps count queued and
+ *    successful accepts, not failed or cancelled ones
+ * 4. Replayed accept jobs hold their stored plan again only while it fits,
+ *    else re-plan, and fail without the browser when nothing fits
+ * Queues are replaced by a fake that runs jobs on demand; capacity, Sheets
+ * and the browser go through `handler.actions` mocks.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logInfo: jest.fn(),
+  logProgress: jest.fn()
+}));
+jest.mock('../../Logs/notifier', () => ({ notifyGoogleChat: jest.fn() }));
+
+jest.mock('../../Task/taskQueue', () => ({
+  TaskQueue: class {
+    constructor(options) {
+      Object.assign(this, options);
+      this.tasks = [];
+    }
+    addTask(fn, meta) { this.tasks.push({ fn, meta }); }
+    registerJobHandler() {}
+    replayPersistedTasks() { return 0; }
+    closePersistence() {}
+  }
+}));
+jest.mock('../../Task/taskAcceptance', () => ({
+  ...jest.requireActual('../../Task/taskAcceptance'),
+  evaluateTaskAcceptance: jest.fn()
+}));
+jest.mock('../../Task/CapacityTracker', () => ({
+  applyCapacity: jest.fn(),
+  releaseCapacity: jest.fn(),
+  reserveCapacity: jest.fn(),
+  refreshReservation: jest.fn(),
+  releaseReservation: jest.fn(),
+  getAvailableDates: jest.fn(),
+  planAllocation: jest.fn()
+}));
+jest.mock('../../Task/taskStore', () => ({ getTaskStore: jest.fn() }));
+jest.mock('../../Task/taskReporter', () => ({ appendAcceptedTask: jest.fn(), removeTaskCapacity: jest.fn() }));
+jest.mock('../../Task/wordQuotaTracker', () => ({ trackAmountWords: jest.fn() }));
+jest.mock('../../Task/consecutiveFailureTracker', () => ({ recordFailure: jest.fn(), resetFailure: jest.fn() }));
+jest.mock('../../Sheets/markStatusByOrderId', () => ({ markStatusWithRetry: jest.fn(), updateTaskRowByOrderId: jest.fn() }));
+jest.mock('../../Task/runTaskInNewBrowser', () => Object.assign(jest.fn(), {
+  getBrowserPoolStatus: () => ({ availableBrowsers: 1, totalBrowsers: 1 })
+}));
+jest.mock('../../Dashboard/server', () => ({
+  pushStatusUpdate: jest.fn(),
+  broadcastToClients: jest.fn(),
+  setTaskQueue: jest.fn()
+}));
+jest.mock('../../Metrics/metricsCollector', () => ({
+  metricsCollector: {
+    recordTaskReceived: jest.fn(),
+    recordTaskAccepted: jest.fn(),
+    recordTaskRejected: jest.fn(),
+    recordTaskCompleted: jest.fn(),
+    recordTaskFailed: jest.fn()
+  }
+}));
+jest.mock('../../Features/capacityLearner', () => ({ capacityLearner: { recordPerformance: jest.fn() } }));
+jest.mock('../../Features/postAcceptVerifier', () => ({ PostAcceptVerifier: jest.fn() }));
+jest.mock('../../State/stateManager', () => ({
+  stateManager: { addActiveTask: jest.fn(), removeActiveTask: jest.fn() }
+}));
+jest.mock('../../IMAP/imapAccounts', () => ({ imapAccounts: { getRouting: () => ({}) } }));
+
+const { TaskHandler } = require('../../Core/taskHandler');
+const { SystemEventBus } = require('../../Core/eventBus');
+const { evaluateTaskAcceptance, getAllocationWindow, acceptanceRules } = require('../../Task/taskAcceptance');
+const { getAvailableDates } = require('../../Task/CapacityTracker');
+const { getTaskStore } = require('../../Task/taskStore');
+const { appendAcceptedTask } = require('../../Task/taskReporter');
+const { recordFailure } = require('../../Task/consecutiveFailureTracker');
+const { logFail } = require('../../Logs/logger');
+const { NOTIFICATION_KIND, TASK_OUTCOME } = require('../../Config/constants');
+
+const PLAN = [{ date: '2026-02-09', amount: 1000 }];
+const EMAIL = { account: 'default', mailbox: 'INBOX', uid: 1 };
+const CANCEL_EMAIL = { account: 'default', mailbox: 'INBOX', uid: 2 };
+
+const incoming = (overrides = {}) => ({
+  orderId: '100',
+  workflowName: 'TH_TR',
+  url: 'https://projects.moravia.com/Task/100/detail',
+  amountWords: 1000,
+  plannedEndDate: '2026-02-10 18:00',
+  status: 'New',
+  receivedDate: '2026-02-06 09:00 AM',
+  email: EMAIL,
+  ...overrides
+});
+
+const storedTask = (overrides = {}) => ({
+  id: 7,
+  orderId: '100',
+  workflowName: 'TH_TR',
+  amountWords: 1000,
+  plannedEndDate: '2026-02-10 16:00',
+  receivedDate: '2026-02-06 09:00 AM',
+  allocationPlan: PLAN,
+  allocationStrategy: 'even',
+  assignee: null,
+  account: null,
+  ...overrides
+});
+
+/** Promise resolved from the outside */
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+}
+
+describe('Core/taskHandler.js', () => {
+  let bus;
+  let handler;
+  let store;
+  let outcomes;
+  let changes;
+
+  const actions = () => handler.actions;
+  const statusesMarked = () => actions().markStatusWithRetry.mock.calls.map(([orderId, status]) => [orderId, status]);
+
+  /** Run the next accept job the way TaskQueue does: job, then onSuccess / onError */
+  async function runAccept() {
+    const { fn } = handler.queue.tasks.shift();
+    let result;
+    try {
+      result = await fn();
+    } catch (err) {
+      return handler.queue.onError(err);
+    }
+    return handler.queue.onSuccess(result);
+  }
+
+  async function runMeta() {
+    while (handler.metaQueue.tasks.length > 0) {
+      await handler.metaQueue.tasks.shift().fn();
+    }
+  }
+
+  const cancel = () => handler.handleIncomingTask({ orderId: '100', workflowName: 'TH_TR', kind: NOTIFICATION_KIND.CANCELLED, email: CANCEL_EMAIL });
+
+  beforeEach(() => {
+    store = { findActiveByOrder: jest.fn(() => null), updateTask: jest.fn(), getAcceptedOn: jest.fn(() => []) };
+    getTaskStore.mockReturnValue(store);
+    evaluateTaskAcceptance.mockReturnValue({
+      accepted: true,
+      code: 'ACCEPTED',
+      allocationPlan: PLAN,
+      effectiveDeadline: '2026-02-10 16:00',
+      rawDeadline: '2026-02-10 18:00',
+      strategy: 'even',
+      assignee: null,
+      urgent: false
+    });
+
+    bus = new SystemEventBus();
+    outcomes = [];
+    changes = [];
+    bus.on('task:outcome', (task, outcome) => outcomes.push([task.email?.uid ?? null, outcome]));
+    bus.on('task:changed', (task, change) => changes.push(change));
+
+    handler = new TaskHandler(bus, { shadowMode: false });
+    handler.actions = {
+      runTaskInNewBrowser: jest.fn().mockResolvedValue({ success: true, reason: 'Licence set successfully.' }),
+      markStatusWithRetry: jest.fn().mockResolvedValue(true),
+      updateTaskRowByOrderId: jest.fn().mockResolvedValue(true),
+      reserveCapacity: jest.fn(),
+      refreshReservation: jest.fn(() => true),
+      releaseReservation: jest.fn(() => true),
+      applyCapacity: jest.fn().mockResolvedValue({ overbooked: [] }),
+      releaseCapacity: jest.fn().mockResolvedValue(),
+      removeTaskCapacity: jest.fn().mockResolvedValue({ ok: true, removed: true, totalWords: 1000 })
+    };
+  });
+
+  afterEach(() => {
+    acceptanceRules.setUrgentHistory(null);
+  });
+
+  describe('accept job', () => {
+    it('should hold the plan without a TTL when queued and start the TTL when the job starts', async () => {
+      handler.handleIncomingTask(incoming());
+
+      expect(actions().reserveCapacity).toHaveBeenCalledWith(PLAN, '100', { strategy: 'even', ttlMs: null });
+      expect(actions().refreshReservation).not.toHaveBeenCalled();
+
+      await runAccept();
+
+      expect(actions().refreshReservation).toHaveBeenCalledWith(PLAN, '100', { strategy: 'even' });
+      expect(actions().applyCapacity).toHaveBeenCalledWith(PLAN, '100', { strategy: 'even' });
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.ACCEPTED]]);
+    });
+
+    it('should not open the browser when the hold is gone and the plan no longer fits', async () => {
+      handler.handleIncomingTask(incoming());
+      actions().refreshReservation.mockReturnValue(false);
+
+      await runAccept();
+
+      expect(actions().runTaskInNewBrowser).not.toHaveBeenCalled();
+      expect(actions().applyCapacity).not.toHaveBeenCalled();
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.FAILED]]);
+    });
+
+    it('should count an urgent accept against the daily cap only once it succeeds', async () => {
+      const recordAccepted = jest.spyOn(acceptanceRules, 'recordAccepted');
+      evaluateTaskAcceptance.mockReturnValue({ ...evaluateTaskAcceptance(), urgent: true });
+
+      handler.handleIncomingTask(incoming());
+      handler.handleIncomingTask(incoming({ orderId: '101', email: CANCEL_EMAIL }));
+      expect(recordAccepted).not.toHaveBeenCalled();
+
+      await runAccept();
+      actions().runTaskInNewBrowser.mockResolvedValue({ success: false, reason: 'Timeout' });
+      await runAccept();
+
+      expect(recordAccepted).toHaveBeenCalledTimes(1);
+      expect(recordAccepted).toHaveBeenCalledWith(expect.objectContaining({ orderId: '100', urgent: true }));
+      expect(appendAcceptedTask).toHaveBeenCalledWith(expect.objectContaining({ orderId: '100', urgent: true }));
+    });
+  });
+
+  describe('urgent daily cap', () => {
+    const URGENT_CAP = 2;
+
+    beforeEach(() => {
+      acceptanceRules.setRules([{ id: 'urgent', type: 'urgentDailyCap', max: URGENT_CAP }]);
+      // The real rule engine decides the cap; every email here is urgent and fits
+      evaluateTaskAcceptance.mockImplementation((input) => {
+        const hit = acceptanceRules.evaluate({ ...input, urgent: true });
+        if (hit) return { accepted: false, code: hit.code, message: hit.message, rawDeadline: '2026-02-06 15:00' };
+        return { accepted: true, code: 'ACCEPTED', allocationPlan: PLAN, effectiveDeadline: '2026-02-06 15:00', rawDeadline: '2026-02-06 15:00', strategy: 'even', assignee: null, urgent: true };
+      });
+    });
+
+    afterEach(() => {
+      // The rule engine is shared: drop the slots of jobs a test left queued
+      handler.queue.tasks.forEach(({ meta }) => acceptanceRules.releasePending(meta));
+      acceptanceRules.setRules([]);
+    });
+
+    const send = (orderId) => handler.handleIncomingTask(incoming({ orderId, receivedDate: `2026-02-06 09:0${orderId.slice(-1)} AM`, email: { ...EMAIL, uid: Number(orderId) } }));
+
+    it('should decline urgent emails past the cap while the accepted ones are still queued', () => {
+      ['101', '102', '103'].forEach(send);
+
+      expect(handler.queue.tasks).toHaveLength(URGENT_CAP);
+      expect(outcomes).toEqual([[103, TASK_OUTCOME.DECLINED]]);
+      expect(actions().reserveCapacity).toHaveBeenCalledTimes(URGENT_CAP);
+    });
+
+    it('should free the slot of an urgent accept that fails or is cancelled', async () => {
+      send('101');
+      send('102');
+      actions().runTaskInNewBrowser.mockResolvedValueOnce({ success: false, reason: 'Timeout' });
+      await runAccept();
+
+      send('103');
+      expect(handler.queue.tasks).toHaveLength(2);
+
+      handler.handleIncomingTask({ orderId: '102', workflowName: 'TH_TR', kind: NOTIFICATION_KIND.CANCELLED, email: CANCEL_EMAIL });
+      await runAccept();
+
+      send('104');
+      expect(handler.queue.tasks.map(t => t.meta.orderId)).toEqual(['103', '104']);
+    });
+
+    it('should keep counting an urgent accept once it succeeds', async () => {
+      send('101');
+      await runAccept();
+      send('102');
+      send('103');
+
+      expect(acceptanceRules.getUrgentCount('urgent')).toBe(URGENT_CAP);
+      expect(outcomes).toEqual([[101, TASK_OUTCOME.ACCEPTED], [103, TASK_OUTCOME.DECLINED]]);
+    });
+  });
+
+  describe('replayed accept job', () => {
+    const NEW_PLAN = [{ date: '2026-02-09', amount: 400 }, { date: '2026-02-10', amount: 600 }];
+
+    /** An accept job as TaskQueue persisted it before the restart */
+    const persisted = (overrides = {}) => ({
+      type: 'accept',
+      ...incoming(),
+      allocationPlan: PLAN,
+      allocationStrategy: 'even',
+      assignee: null,
+      effectiveDeadline: '2026-02-10 16:00',
+      acceptanceCode: 'ACCEPTED',
+      urgent: false,
+      ...overrides
+    });
+
+    const replay = (job = persisted()) => handler.queue.addTask(handler._restoreAcceptJob(job), job);
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-02-06T10:00:00+07:00') });
+      getAvailableDates.mockReturnValue(NEW_PLAN);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should hold the stored plan again while its days still fit', async () => {
+      replay();
+
+      expect(actions().refreshReservation).toHaveBeenCalledWith(PLAN, '100', { strategy: 'even', ttlMs: null });
+      expect(getAvailableDates).not.toHaveBeenCalled();
+
+      await runAccept();
+
+      expect(actions().applyCapacity).toHaveBeenCalledWith(PLAN, '100', { strategy: 'even' });
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.ACCEPTED]]);
+    });
+
+    it('should re-plan when the stored days were filled while it was down', async () => {
+      const window = getAllocationWindow('2026-02-10 18:00');
+      actions().refreshReservation.mockReturnValueOnce(false);
+
+      replay();
+
+      expect(getAvailableDates).toHaveBeenCalledWith(1000, window.effectiveDeadline, window.excludeToday, { strategy: 'even' });
+      expect(actions().reserveCapacity).toHaveBeenCalledWith(NEW_PLAN, '100', { strategy: 'even', ttlMs: null });
+
+      await runAccept();
+
+      expect(actions().refreshReservation).toHaveBeenLastCalledWith(NEW_PLAN, '100', { strategy: 'even' });
+      expect(actions().applyCapacity).toHaveBeenCalledWith(NEW_PLAN, '100', { strategy: 'even' });
+      expect(appendAcceptedTask).toHaveBeenCalledWith(expect.objectContaining({ allocationPlan: NEW_PLAN }));
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.ACCEPTED]]);
+    });
+
+    it('should re-plan a stored plan whose days have passed', () => {
+      jest.setSystemTime(new Date('2026-02-10T08:00:00+07:00'));
+
+      replay();
+
+      expect(actions().refreshReservation).not.toHaveBeenCalled();
+      expect(actions().releaseReservation).toHaveBeenCalledWith('100', 'replaced');
+      expect(actions().reserveCapacity).toHaveBeenCalledWith(NEW_PLAN, '100', { strategy: 'even', ttlMs: null });
+    });
+
+    it('should fail without opening the browser when the words no longer fit', async () => {
+      actions().refreshReservation.mockReturnValueOnce(false);
+      getAvailableDates.mockReturnValue([{ date: '2026-02-09', amount: 400 }]);
+
+      replay();
+      expect(actions().reserveCapacity).not.toHaveBeenCalled();
+
+      await runAccept();
+
+      expect(actions().runTaskInNewBrowser).not.toHaveBeenCalled();
+      expect(actions().applyCapacity).not.toHaveBeenCalled();
+      expect(actions().releaseReservation).toHaveBeenCalledWith('100', 'failed');
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('only 400/1000 words fit'), true);
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.FAILED]]);
+    });
+
+    it('should fail a job whose deadline passed while it was down', async () => {
+      jest.setSystemTime(new Date('2026-02-11T08:00:00+07:00'));
+
+      replay();
+      await runAccept();
+
+      expect(getAvailableDates).not.toHaveBeenCalled();
+      expect(actions().runTaskInNewBrowser).not.toHaveBeenCalled();
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('deadline 2026-02-10 18:00 passed'), true);
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.FAILED]]);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should release an accepted task and mark it Cancelled', async () => {
+      store.findActiveByOrder.mockReturnValue(storedTask({ assignee: 'ploy' }));
+
+      cancel();
+      await runMeta();
+
+      expect(actions().releaseCapacity).toHaveBeenCalledWith(PLAN, '100');
+      expect(actions().removeTaskCapacity).toHaveBeenCalledWith('100', '2026-02-06 09:00 AM');
+      expect(actions().markStatusWithRetry).toHaveBeenCalledWith('100', 'Cancelled', 'ploy', '2026-02-06 09:00 AM', expect.any(Number), undefined);
+      expect(changes).toEqual([{ kind: NOTIFICATION_KIND.CANCELLED, found: true, releasedWords: 1000 }]);
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should only report the change when the order has no task', async () => {
+      cancel();
+      await runMeta();
+
+      expect(actions().releaseCapacity).not.toHaveBeenCalled();
+      expect(actions().markStatusWithRetry).not.toHaveBeenCalled();
+      expect(changes).toEqual([{ kind: NOTIFICATION_KIND.CANCELLED, found: false }]);
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should skip an accept job that is still queued', async () => {
+      handler.handleIncomingTask(incoming());
+
+      cancel();
+      expect(handler.metaQueue.tasks).toHaveLength(0);
+      await runAccept();
+
+      expect(actions().runTaskInNewBrowser).not.toHaveBeenCalled();
+      expect(actions().releaseReservation).toHaveBeenCalledWith('100', 'cancelled');
+      expect(actions().applyCapacity).not.toHaveBeenCalled();
+      expect(appendAcceptedTask).not.toHaveBeenCalled();
+      expect(recordFailure).not.toHaveBeenCalled();
+      expect(statusesMarked()).toEqual([['100', 'Cancelled']]);
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.CHANGED], [1, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should book nothing when the cancellation arrives while the browser is accepting', async () => {
+      const browser = deferred();
+      actions().runTaskInNewBrowser.mockReturnValue(browser.promise);
+      handler.handleIncomingTask(incoming());
+
+      const running = runAccept();
+      cancel();
+      browser.resolve({ success: true, reason: 'Licence set successfully.' });
+      await running;
+
+      expect(actions().applyCapacity).not.toHaveBeenCalled();
+      expect(appendAcceptedTask).not.toHaveBeenCalled();
+      expect(statusesMarked()).toEqual([['100', 'Cancelled']]);
+      expect(changes).toEqual([expect.objectContaining({ kind: NOTIFICATION_KIND.CANCELLED, acceptStopped: true })]);
+    });
+
+    it('should cancel the stored task when the cancellation arrives during the commit', async () => {
+      const commit = deferred();
+      actions().applyCapacity.mockReturnValue(commit.promise);
+      handler.handleIncomingTask(incoming());
+
+      const running = runAccept();
+      await Promise.resolve();
+      await new Promise(setImmediate);
+      cancel();
+      expect(handler.metaQueue.tasks).toHaveLength(0);
+      commit.resolve({ overbooked: [] });
+      await running;
+
+      store.findActiveByOrder.mockReturnValue(storedTask());
+      await runMeta();
+
+      expect(appendAcceptedTask).toHaveBeenCalled();
+      expect(actions().releaseCapacity).toHaveBeenCalledWith(PLAN, '100');
+      expect(statusesMarked()).toEqual([['100', 'Accepted'], ['100', 'Cancelled']]);
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.ACCEPTED], [2, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should treat a later order with the same id as new once the accept finished', async () => {
+      handler.handleIncomingTask(incoming());
+      await runAccept();
+
+      cancel();
+
+      expect(handler.metaQueue.tasks).toHaveLength(1);
+    });
+  });
+
+  describe('re-plan', () => {
+    const NEW_PLAN = [{ date: '2026-02-11', amount: 600 }, { date: '2026-02-12', amount: 600 }];
+
+    beforeEach(() => {
+      store.findActiveByOrder.mockReturnValue(storedTask());
+      getAvailableDates.mockReturnValue(NEW_PLAN);
+    });
+
+    it('should re-plan a deadline change, holding the new plan before the old one is released', async () => {
+      const window = getAllocationWindow('2026-02-13 18:00');
+      const order = [];
+      for (const name of ['reserveCapacity', 'releaseCapacity', 'applyCapacity']) {
+        actions()[name].mockImplementation(async () => { order.push(name); });
+      }
+
+      handler.handleIncomingTask({ orderId: '100', plannedEndDate: '2026-02-13 18:00', kind: NOTIFICATION_KIND.DEADLINE_CHANGED, email: CANCEL_EMAIL });
+      await runMeta();
+
+      expect(getAvailableDates).toHaveBeenCalledWith(1000, window.effectiveDeadline, window.excludeToday, { strategy: 'even', replacing: PLAN });
+      expect(order).toEqual(['reserveCapacity', 'releaseCapacity', 'applyCapacity']);
+      expect(actions().reserveCapacity).toHaveBeenCalledWith(NEW_PLAN, '100', { strategy: 'even' });
+      expect(actions().releaseCapacity).toHaveBeenCalledWith(PLAN, '100', { keepReservation: true });
+      expect(actions().applyCapacity).toHaveBeenCalledWith(NEW_PLAN, '100', { strategy: 'even' });
+      expect(store.updateTask).toHaveBeenCalledWith(7, expect.objectContaining({
+        amountWords: 1000, plannedEndDate: window.effectiveDeadline, allocationPlan: NEW_PLAN
+      }), NOTIFICATION_KIND.DEADLINE_CHANGED);
+      expect(actions().updateTaskRowByOrderId).toHaveBeenCalledWith('100', '2026-02-06 09:00 AM', { plannedEndDate: window.rawDeadline }, undefined);
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should re-plan a word-count change against the stored deadline', async () => {
+      const window = getAllocationWindow('2026-02-10 16:00');
+
+      handler.handleIncomingTask({ orderId: '100', amountWords: 1200, kind: NOTIFICATION_KIND.WORDS_CHANGED, email: CANCEL_EMAIL });
+      await runMeta();
+
+      expect(getAvailableDates).toHaveBeenCalledWith(1200, window.effectiveDeadline, window.excludeToday, expect.objectContaining({ replacing: PLAN }));
+      expect(store.updateTask).toHaveBeenCalledWith(7, expect.objectContaining({ amountWords: 1200 }), NOTIFICATION_KIND.WORDS_CHANGED);
+      expect(actions().updateTaskRowByOrderId).toHaveBeenCalledWith('100', '2026-02-06 09:00 AM', { amountWords: 1200 }, undefined);
+    });
+
+    it('should hold a change that arrives during the accept and re-plan what it booked', async () => {
+      const browser = deferred();
+      actions().runTaskInNewBrowser.mockReturnValue(browser.promise);
+      handler.handleIncomingTask(incoming());
+
+      const running = runAccept();
+      handler.handleIncomingTask({ orderId: '100', amountWords: 1200, kind: NOTIFICATION_KIND.WORDS_CHANGED, email: CANCEL_EMAIL });
+      await runMeta();
+      expect(store.updateTask).not.toHaveBeenCalled();
+
+      browser.resolve({ success: true, reason: 'Licence set successfully.' });
+      await running;
+      await runMeta();
+
+      expect(actions().applyCapacity.mock.calls).toEqual([
+        [PLAN, '100', { strategy: 'even' }],
+        [NEW_PLAN, '100', { strategy: 'even' }]
+      ]);
+      expect(store.updateTask).toHaveBeenCalledWith(7, expect.objectContaining({ amountWords: 1200, allocationPlan: NEW_PLAN }), NOTIFICATION_KIND.WORDS_CHANGED);
+      expect(outcomes).toEqual([[1, TASK_OUTCOME.ACCEPTED], [2, TASK_OUTCOME.CHANGED]]);
+    });
+
+    it('should report a held change done without re-planning when the accept fails', async () => {
+      handler.handleIncomingTask(incoming());
+      handler.handleIncomingTask({ orderId: '100', plannedEndDate: '2026-02-13 18:00', kind: NOTIFICATION_KIND.DEADLINE_CHANGED, email: CANCEL_EMAIL });
+      actions().runTaskInNewBrowser.mockResolvedValue({ success: false, reason: 'Timeout' });
+
+      await runAccept();
+      await runMeta();
+
+      expect(getAvailableDates).not.toHaveBeenCalled();
+      expect(store.updateTask).not.toHaveBeenCalled();
+      expect(changes).toEqual([{ kind: NOTIFICATION_KIND.DEADLINE_CHANGED, found: false }]);
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.CHANGED], [1, TASK_OUTCOME.FAILED]]);
+    });
+
+    it('should leave the allocation alone when the new deadline cannot be parsed', async () => {
+      handler.handleIncomingTask({ orderId: '100', plannedEndDate: 'next Tuesday-ish', kind: NOTIFICATION_KIND.DEADLINE_CHANGED, email: CANCEL_EMAIL });
+      await runMeta();
+
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('invalid deadline "next Tuesday-ish"'), true);
+      expect(getAvailableDates).not.toHaveBeenCalled();
+      expect(actions().reserveCapacity).not.toHaveBeenCalled();
+      expect(actions().releaseCapacity).not.toHaveBeenCalled();
+      expect(store.updateTask).not.toHaveBeenCalled();
+      expect(outcomes).toEqual([[2, TASK_OUTCOME.FAILED]]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for Exec/acceptWorkflow.js
+ * Covers: the shipped definition, validation at load, disabled steps and hot
+ * reload (keeping the last good workflow).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { AcceptWorkflow, compileWorkflow } = require('../../Exec/acceptWorkflow');
+
+const definition = (steps, extra = {}) => ({
+  version: '2.0.0',
+  stages: [{ id: 'MAIN', name: 'Main', timeout: 5000, steps }],
+  ...extra,
+});
+
+const clickStep = (extra = {}) => ({ id: 'STEP_1', action: 'click', selectors: ['#go'], timeout: 1000, ...extra });
+
+describe('Exec/acceptWorkflow.js', () => {
+  it('should load the shipped Moravia workflow', () => {
+    const workflow = new AcceptWorkflow().get();
+
+    expect(workflow.stages.map(s => [s.id, s.timeout, s.retries])).toEqual([['STEP_1', 15000, 2], ['STEP_2TO6', 45000, 2]]);
+    expect(workflow.stages.flatMap(s => s.steps.map(step => step.id))).toEqual(['STEP_1', 'STEP_2', 'STEP_3', 'STEP_4', 'STEP_5', 'STEP_6']);
+
+    const select = workflow.stages[1].steps.find(s => s.action === 'select');
+    expect(select.option).toBe('EQHOmoraviateam');
+    expect(select.optionLocators[0].selector).toContain("contains(text(), 'EQHOmoraviateam')");
+    expect(select.locators.map(l => l.strategy)).toEqual(['css', 'label']);
+  });
+
+  it('should fill in step defaults and drop disabled steps', () => {
+    const workflow = compileWorkflow(definition([clickStep(), clickStep({ id: 'STEP_2', enabled: false })]));
+
+    expect(workflow.successReason).toBe('Workflow completed.');
+    expect(workflow.stages[0]).toMatchObject({ retries: 0, retryDelay: 1000, ready: null });
+    expect(workflow.stages[0].steps).toEqual([{
+      id: 'STEP_1', name: 'STEP_1', action: 'click', locators: [{ strategy: 'css', selector: '#go' }], selectors: ['#go'], wait: 'present',
+      timeout: 1000, retries: 0, retryDelay: 1000, after: 0, scrollBy: null, skipIfUrlIncludes: null,
+    }]);
+  });
+
+  it.each([
+    ['an unknown action', [clickStep({ action: 'hover' })], /action must be one of/],
+    ['an empty selector list', [clickStep({ selectors: [] })], /selectors must be a non-empty array/],
+    ['an empty XPath', [clickStep({ selectors: ['xpath:  '] })], /selectors\[0\] has an empty XPath/],
+    ['a locator without strategy', [clickStep({ selectors: ['#go', { tag: 'a' }] })], /selectors\[1\] needs one of text, role or label/],
+    ['a missing timeout', [clickStep({ timeout: 0 })], /timeout must be a positive/],
+    ['negative retries', [clickStep({ retries: -1 })], /retries must be a non-negative integer/],
+    ['an expand without collapsedClass', [clickStep({ action: 'expand' })], /expand needs a collapsedClass/],
+    ['a select without option', [clickStep({ action: 'select', optionSelectors: ['.opt'] })], /select needs an option/],
+    ['duplicate step ids', [clickStep(), clickStep()], /duplicate step id "STEP_1"/],
+    ['only disabled steps', [clickStep({ enabled: false })], /needs at least one enabled step/],
+  ])('should reject %s', (_, steps, message) => {
+    expect(() => compileWorkflow(definition(steps))).toThrow(message);
+  });
+
+  it('should fill the option into text locators before compiling them', () => {
+    const [step] = compileWorkflow(definition([clickStep({
+      action: 'select', option: 'EQHO', selectors: ['.dropdown'], optionSelectors: [{ text: '{option}', tag: 'li' }],
+    })])).stages[0].steps;
+
+    expect(step.optionLocators).toEqual([{ strategy: 'text', selector: expect.stringContaining("'eqho'") }]);
+  });
+
+  it('should reject a definition without version', () => {
+    expect(() => compileWorkflow(definition([clickStep()], { version: '' }))).toThrow('version is required');
+  });
+
+  describe('hot reload', () => {
+    let tempDir;
+    let filePath;
+
+    const write = (raw, mtime) => {
+      fs.writeFileSync(filePath, typeof raw === 'string' ? raw : JSON.stringify(raw));
+      fs.utimesSync(filePath, mtime, mtime);
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accept-workflow-'));
+      filePath = path.join(tempDir, 'acceptWorkflow.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should pick up an edited file without a restart', () => {
+      write(definition([clickStep()]), new Date('2026-01-01T00:00:00Z'));
+      const workflow = new AcceptWorkflow(filePath);
+      expect(workflow.get().stages[0].steps[0].selectors).toEqual(['#go']);
+
+      write(definition([clickStep({ selectors: ['#go', '#go-fallback'] })], { version: '2.0.1' }), new Date('2026-01-02T00:00:00Z'));
+
+      expect(workflow.get().version).toBe('2.0.1');
+      expect(workflow.get().stages[0].steps[0].selectors).toEqual(['#go', '#go-fallback']);
+    });
+
+    it('should keep the last good workflow when an edit is invalid', () => {
+      write(definition([clickStep()]), new Date('2026-01-01T00:00:00Z'));
+      const workflow = new AcceptWorkflow(filePath);
+
+      write('{ "version": "2.0.1", ', new Date('2026-01-02T00:00:00Z'));
+      expect(workflow.get().version).toBe('2.0.0');
+      expect(workflow.getStatus().error).toMatch(/^Cannot read acceptWorkflow\.json/);
+
+      write(definition([clickStep({ action: 'hover' })]), new Date('2026-01-03T00:00:00Z'));
+      expect(workflow.get().version).toBe('2.0.0');
+      expect(workflow.getStatus().error).toMatch(/^Invalid accept workflow: .*action must be one of/);
+    });
+
+    it('should report no workflow when the file is missing', () => {
+      const workflow = new AcceptWorkflow(filePath);
+
+      expect(workflow.get()).toBeNull();
+      expect(workflow.getStatus()).toMatchObject({ version: null, stages: [], error: expect.stringContaining('file not found') });
+    });
+  });
+});
@@ -19,6 +19,9 @@ jest.mock('../../Logs/logger', () => ({
   logInfo: mockLogInfo,
   logProgress: mockLogProgress
 }));
+jest.mock('../../Features/selectorHealth', () => ({
+  selectorHealth: { recordMatch: jest.fn(), recordMiss: jest.fn() }
+}));
 
 describe('Exec/execAccept.js', () => {
   let execAccept;
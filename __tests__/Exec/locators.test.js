@@ -0,0 +1,53 @@
+/**
+ * Tests for Exec/locators.js
+ * Covers: compiling each locator strategy and rejecting malformed candidates.
+ */
+
+const { compileLocator, xpathLiteral } = require('../../Exec/locators');
+
+describe('Exec/locators.js', () => {
+  it('should keep CSS, XPath and aria/ strings as they are', () => {
+    expect(compileLocator(' #go ', 'c')).toEqual({ strategy: 'css', selector: '#go' });
+    expect(compileLocator("xpath://a[@id='x']", 'c')).toEqual({ strategy: 'xpath', selector: "xpath://a[@id='x']" });
+    expect(compileLocator('aria/Save[role="button"]', 'c')).toEqual({ strategy: 'role', selector: 'aria/Save[role="button"]' });
+  });
+
+  it('should match text case-insensitively, on the tag or on the element owning the text', () => {
+    const { strategy, selector } = compileLocator({ text: 'Attachments', tag: 'A' }, 'c');
+
+    expect(strategy).toBe('text');
+    expect(selector).toMatch(/^xpath:\/\/a\[contains\(translate\(normalize-space\(\.\), 'ABC.*'attachments'\)\]$/);
+    expect(compileLocator({ text: 'Attachments' }, 'c').selector).toMatch(/^xpath:\/\/\*\[text\(\)\[contains\(/);
+  });
+
+  it('should compile a role to an aria/ query', () => {
+    expect(compileLocator({ role: 'button', name: 'Set Licence' }, 'c')).toEqual({ strategy: 'role', selector: 'aria/Set Licence[role="button"]' });
+    expect(compileLocator({ role: 'combobox' }, 'c').selector).toBe('aria/[role="combobox"]');
+  });
+
+  it('should find a labelled control by <label for> or the next control after the text', () => {
+    const { strategy, selector } = compileLocator({ label: 'Licence' }, 'c');
+
+    expect(strategy).toBe('label');
+    expect(selector).toContain("//*[@id = //label[contains(");
+    expect(selector).toContain("/following::*[self::input or self::select");
+    expect(compileLocator({ label: 'Licence', tag: 'select' }, 'c').selector).toContain('/following::*[self::select][1]');
+  });
+
+  it('should quote text containing quotes', () => {
+    expect(xpathLiteral('plain')).toBe("'plain'");
+    expect(xpathLiteral("it's")).toBe('"it\'s"');
+    expect(xpathLiteral(`it's "x"`)).toBe(`concat('it', "'", 's "x"')`);
+  });
+
+  it.each([
+    ['an empty string', '  ', /c is empty/],
+    ['a number', 42, /must be a selector string or a locator object/],
+    ['an invalid tag', { text: 'x', tag: 'a b' }, /tag must be an element name/],
+    ['an invalid role', { role: 'Button!' }, /role must be an ARIA role name/],
+    ['a name with brackets', { role: 'button', name: 'a]b' }, /name must be a non-empty string/],
+    ['an object without strategy', { name: 'x' }, /needs one of text, role or label/],
+  ])('should reject %s', (_, value, message) => {
+    expect(() => compileLocator(value, 'c')).toThrow(message);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for Exec/workflowRunner.js
+ * Covers: ranked selector candidates and selector-health reporting, step
+ * retries, failure details, skipped steps and stage readiness against a
+ * mocked Puppeteer page.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logInfo: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { runStage, runStep } = require('../../Exec/workflowRunner');
+const { compileWorkflow } = require('../../Exec/acceptWorkflow');
+const { BrowserAutomationError } = require('../../Errors/customErrors');
+
+const compileStage = (steps, extra = {}) =>
+  compileWorkflow({ version: '9.9.9', stages: [{ id: 'MAIN', name: 'Main', timeout: 5000, steps, ...extra }] }).stages[0];
+
+const element = () => ({ click: jest.fn().mockResolvedValue(null), evaluate: jest.fn().mockResolvedValue(null) });
+
+/** Page where only the given selectors exist */
+function createPage(present = []) {
+  return {
+    url: jest.fn().mockReturnValue('https://projects.moravia.com/Task/1/detail'),
+    waitForSelector: jest.fn(async (selector) => {
+      if (present.includes(selector)) return element();
+      throw new Error(`Waiting for selector \`${selector}\` failed`);
+    }),
+    waitForFunction: jest.fn().mockResolvedValue(null),
+    waitForNavigation: jest.fn(() => new Promise(() => {})),
+    evaluate: jest.fn().mockResolvedValue(null),
+  };
+}
+
+describe('Exec/workflowRunner.js', () => {
+  it('should click the first selector candidate that appears', async () => {
+    const page = createPage(['#new-button']);
+    const [step] = compileStage([{ id: 'STEP_1', action: 'click', selectors: ['#old-button', '#new-button'], timeout: 100 }]).steps;
+
+    const result = await runStep(page, step);
+
+    expect(result).toEqual({ success: true });
+    expect(page.waitForSelector).toHaveBeenCalledWith('#old-button', { timeout: 100 });
+    expect(page.waitForSelector).toHaveBeenCalledWith('#new-button', { timeout: 100 });
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ click: expect.any(Function) }));
+  });
+
+  it('should prefer a better-ranked candidate that is present, and report the winner', async () => {
+    const page = createPage();
+    let primaryWaits = 0;
+    page.waitForSelector.mockImplementation(async (selector) => {
+      // The primary renders after the fallback: lost the race, present at the re-check
+      if (selector === '#primary' && ++primaryWaits === 1) return new Promise(() => {});
+      return element();
+    });
+    const health = { recordMatch: jest.fn(), recordMiss: jest.fn() };
+    const [step] = compileStage([{ id: 'STEP_2', action: 'waitFor', selectors: ['#primary', { role: 'link', name: 'Attachments' }], timeout: 100 }]).steps;
+
+    await runStep(page, step, { version: '9.9.9', health });
+
+    expect(health.recordMatch).toHaveBeenCalledWith(step, expect.objectContaining({ rank: 0, strategy: 'css', selector: '#primary' }), { version: '9.9.9' });
+  });
+
+  it('should report a fallback win when the primary is missing', async () => {
+    const page = createPage(['aria/Attachments[role="link"]']);
+    const health = { recordMatch: jest.fn(), recordMiss: jest.fn() };
+    const [step] = compileStage([{ id: 'STEP_2', action: 'click', selectors: ['#primary', { role: 'link', name: 'Attachments' }], timeout: 100 }]).steps;
+
+    const result = await runStep(page, step, { health });
+
+    expect(result.success).toBe(true);
+    expect(health.recordMatch).toHaveBeenCalledWith(step, expect.objectContaining({ rank: 1, strategy: 'role' }), { version: null });
+    expect(page.waitForSelector).toHaveBeenCalledWith('#primary', { timeout: 500 });
+  });
+
+  it('should report a miss only when the step\'s own locators found nothing', async () => {
+    const health = { recordMatch: jest.fn(), recordMiss: jest.fn() };
+    const [missing] = compileStage([{ id: 'STEP_6', action: 'click', selectors: ['#set'], timeout: 100 }]).steps;
+
+    await runStep(createPage(), missing, { health });
+    expect(health.recordMiss).toHaveBeenCalledWith(missing, { version: null });
+
+    health.recordMiss.mockClear();
+    const page = createPage(['#set']);
+    page.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+    await runStep(page, missing, { health });
+    expect(health.recordMiss).not.toHaveBeenCalled();
+  });
+
+  it('should retry a step and report the step id, selectors and version when it keeps failing', async () => {
+    const page = createPage();
+    const [step] = compileStage([{
+      id: 'STEP_4', action: 'click', selectors: ['a.file', 'a.file-v2'], timeout: 100, retries: 2, retryDelay: 0,
+    }]).steps;
+
+    const result = await runStep(page, step, { version: '9.9.9' });
+
+    expect(page.waitForSelector).toHaveBeenCalledTimes(6);
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('STEP 4 failed: none of 2 selectors matched (Waiting for selector `a.file` failed)');
+    expect(result.error).toBeInstanceOf(BrowserAutomationError);
+    expect(result.error.step).toBe('STEP_4');
+    expect(result.error.details).toEqual({ selector: 'a.file', selectors: ['a.file', 'a.file-v2'], action: 'click', workflowVersion: '9.9.9' });
+  });
+
+  it('should skip a step whose result is already in the URL', async () => {
+    const page = createPage();
+    page.url.mockReturnValue('https://projects.moravia.com/Task/1/attachments');
+    const [step] = compileStage([{ id: 'STEP_2', action: 'click', selectors: ['a.tab'], skipIfUrlIncludes: '/attachments', timeout: 100 }]).steps;
+
+    expect(await runStep(page, step)).toEqual({ success: true });
+    expect(page.waitForSelector).not.toHaveBeenCalled();
+  });
+
+  it('should run the steps in order, stop at the first failure and mark each step', async () => {
+    const page = createPage(['#a']);
+    const trace = { step: jest.fn() };
+    const stage = compileStage([
+      { id: 'A', action: 'waitFor', selectors: ['#a'], timeout: 100 },
+      { id: 'B', action: 'waitFor', selectors: ['#b'], timeout: 100 },
+      { id: 'C', action: 'waitFor', selectors: ['#c'], timeout: 100 },
+    ], { ready: { busySelector: '.busy', timeout: 100 } });
+
+    const result = await runStage(page, stage, { trace });
+
+    expect(result.reason).toBe('B failed: Waiting for selector `#b` failed');
+    expect(trace.step.mock.calls.map(c => c[0])).toEqual(['PAGE_READY', 'A', 'B']);
+    expect(page.waitForFunction).toHaveBeenCalledWith(expect.any(Function), { timeout: 100 }, '.busy', []);
+    expect(page.waitForNavigation).not.toHaveBeenCalled();
+  });
+
+  it('should fail the stage with its name when the page never becomes ready', async () => {
+    const page = createPage(['#a']);
+    page.waitForFunction.mockRejectedValue(new Error('Waiting failed: 100ms exceeded'));
+    const stage = compileStage([{ id: 'A', action: 'waitFor', selectors: ['#a'], timeout: 100 }], { ready: { timeout: 100 } });
+
+    const result = await runStage(page, stage, { version: '9.9.9' });
+
+    expect(result.reason).toBe('Main failed: Page did not load in time: Waiting failed: 100ms exceeded');
+    expect(result.error.step).toBe('MAIN');
+    expect(result.error.details.workflowVersion).toBe('9.9.9');
+  });
+});
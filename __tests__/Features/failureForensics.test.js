@@ -0,0 +1,188 @@
+/**
+ * Tests for Features/failureForensics.js
+ * Covers: console / network / timing capture, one-shot snapshots, bundle layout,
+ * path-safe lookups and the per-order / total-size retention policy.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { EventEmitter } = require('events');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { FailureForensics, ForensicsRecorder, orderDirName } = require('../../Features/failureForensics');
+const { BrowserAutomationError } = require('../../Errors/customErrors');
+
+function createPage(overrides = {}) {
+  const page = new EventEmitter();
+  Object.assign(page, {
+    url: jest.fn().mockReturnValue('https://projects.moravia.com/Task/123/attachments'),
+    screenshot: jest.fn().mockResolvedValue(Buffer.from('png-bytes')),
+    content: jest.fn().mockResolvedValue('<html><body>Attachments</body></html>'),
+    isClosed: jest.fn().mockReturnValue(false),
+    ...overrides,
+  });
+  return page;
+}
+
+const consoleMessage = (type, text) => ({ type: () => type, text: () => text });
+
+describe('ForensicsRecorder', () => {
+  it('should collect console messages, page errors and failed requests of watched pages', () => {
+    const page = createPage();
+    const recorder = new ForensicsRecorder(page);
+
+    page.emit('console', consoleMessage('error', 'Uncaught TypeError'));
+    page.emit('pageerror', new Error('boom'));
+    page.emit('requestfailed', { method: () => 'GET', url: () => 'https://cdn/x.js', failure: () => ({ errorText: 'net::ERR_FAILED' }) });
+    page.emit('response', { status: () => 200, url: () => 'https://ok', request: () => ({ method: () => 'GET' }) });
+    page.emit('response', { status: () => 500, url: () => 'https://api/task', request: () => ({ method: () => 'POST' }) });
+
+    expect(recorder.console.map(c => [c.type, c.text])).toEqual([['error', 'Uncaught TypeError'], ['pageerror', 'boom']]);
+    expect(recorder.failedRequests).toEqual([
+      expect.objectContaining({ method: 'GET', url: 'https://cdn/x.js', error: 'net::ERR_FAILED' }),
+      expect.objectContaining({ method: 'POST', url: 'https://api/task', status: 500 }),
+    ]);
+
+    recorder.detach();
+    page.emit('console', consoleMessage('log', 'after detach'));
+    expect(recorder.console).toHaveLength(2);
+  });
+
+  it('should time each step and ignore steps after finish()', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-27T09:00:00Z') });
+    try {
+      const recorder = new ForensicsRecorder();
+      recorder.step('NAVIGATE');
+      jest.advanceTimersByTime(1200);
+      recorder.step('STEP_1');
+      jest.advanceTimersByTime(300);
+      recorder.finish();
+      recorder.step('STEP_2');
+
+      expect(recorder.timings.map(t => [t.step, t.durationMs])).toEqual([['NAVIGATE', 1200], ['STEP_1', 300]]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should capture the first snapshot only, from the last watched page', async () => {
+    const original = createPage();
+    const fallback = createPage({ content: jest.fn().mockResolvedValue('<html>fallback</html>') });
+    const recorder = new ForensicsRecorder(original);
+    recorder.watch(fallback);
+
+    const captured = await recorder.snapshot();
+    await recorder.snapshot(original);
+
+    expect(captured.html).toBe('<html>fallback</html>');
+    expect(fallback.screenshot).toHaveBeenCalledWith({ fullPage: true, type: 'png' });
+    expect(original.screenshot).not.toHaveBeenCalled();
+  });
+
+  it('should record what could not be captured instead of throwing', async () => {
+    const page = createPage({
+      screenshot: jest.fn().mockRejectedValue(new Error('Target closed')),
+      content: jest.fn(() => new Promise(() => {})),
+    });
+    const recorder = new ForensicsRecorder(page, { captureTimeout: 20 });
+
+    const captured = await recorder.snapshot();
+
+    expect(captured.screenshot).toBeNull();
+    expect(captured.errors).toEqual(['screenshot: Target closed', 'html: page.content() timed out after 20 ms']);
+    expect((await new ForensicsRecorder(createPage({ isClosed: () => true })).snapshot()).errors).toEqual(['page not available']);
+  });
+});
+
+describe('FailureForensics', () => {
+  let tempDir;
+  let store;
+
+  const saveFor = async (orderId, { html = '<html></html>', reason = 'STEP 3 failed' } = {}) => {
+    const page = createPage({ content: jest.fn().mockResolvedValue(html) });
+    const recorder = new ForensicsRecorder(page);
+    await recorder.snapshot();
+    return store.save({ orderId, url: 'https://projects.moravia.com/Task/1', reason, recorder });
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forensics-'));
+    store = new FailureForensics({ dir: tempDir, maxTotalBytes: 10 * 1024 * 1024, maxBundlesPerOrder: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write the screenshot, HTML and bundle.json under <orderId>/<bundleId>/', async () => {
+    const page = createPage();
+    const recorder = new ForensicsRecorder(page);
+    recorder.step('STEP_3');
+    page.emit('console', consoleMessage('warning', 'slow'));
+    recorder.finish();
+    await recorder.snapshot();
+    const error = new BrowserAutomationError('STEP 3 failed: Source chevron not found', 'STEP_3', { context: 'Source chevron expand' });
+
+    const bundle = await store.save({ orderId: '123', url: 'https://projects.moravia.com/Task/123', reason: error.message, error, recorder });
+
+    const dir = path.join(tempDir, '123', bundle.bundleId);
+    expect(fs.readFileSync(path.join(dir, 'screenshot.png'), 'utf8')).toBe('png-bytes');
+    expect(fs.readFileSync(path.join(dir, 'page.html'), 'utf8')).toContain('Attachments');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'bundle.json'), 'utf8'))).toMatchObject({
+      orderId: '123',
+      step: 'STEP_3',
+      details: { context: 'Source chevron expand' },
+      pageUrl: 'https://projects.moravia.com/Task/123/attachments',
+      timings: [expect.objectContaining({ step: 'STEP_3' })],
+      console: [expect.objectContaining({ type: 'warning', text: 'slow' })],
+      files: ['screenshot.png', 'page.html'],
+    });
+  });
+
+  it('should list bundles newest first and look them up safely', async () => {
+    const first = await saveFor('123');
+    const second = await saveFor('456', { reason: 'LOGIN_EXPIRED' });
+
+    expect(store.list().map(b => b.bundleId)).toEqual([second.bundleId, first.bundleId]);
+    expect(store.list({ orderId: '123' })).toEqual([expect.objectContaining({ orderId: '123', orderDir: '123', reason: 'STEP 3 failed' })]);
+    expect(store.get('456', second.bundleId).reason).toBe('LOGIN_EXPIRED');
+    expect(store.filePath('123', first.bundleId, 'page.html')).toBe(path.join(tempDir, '123', first.bundleId, 'page.html'));
+
+    expect(store.get('..', first.bundleId)).toBeNull();
+    expect(store.filePath('123', first.bundleId, 'bundle.json')).toBeNull();
+    expect(store.filePath('123', '../123', 'page.html')).toBeNull();
+  });
+
+  it('should keep the latest bundles of each order', async () => {
+    await saveFor('123');
+    const kept = [await saveFor('123'), await saveFor('123')];
+
+    expect(store.list({ orderId: '123' }).map(b => b.bundleId)).toEqual([kept[1].bundleId, kept[0].bundleId]);
+  });
+
+  it('should delete the oldest bundles once the total size is exceeded', async () => {
+    store = new FailureForensics({ dir: tempDir, maxTotalBytes: 6000, maxBundlesPerOrder: 5 });
+    const big = 'x'.repeat(2500);
+    await saveFor('1', { html: big });
+    await saveFor('2', { html: big });
+    const newest = await saveFor('3', { html: big });
+
+    expect(store.list().map(b => b.orderId)).toEqual(['3', '2']);
+    expect(fs.existsSync(path.join(tempDir, '1'))).toBe(false);
+
+    store = new FailureForensics({ dir: tempDir, maxTotalBytes: 10, maxBundlesPerOrder: 5 });
+    store.prune();
+    expect(store.list().map(b => b.bundleId)).toEqual([newest.bundleId]);
+  });
+
+  it('should turn any orderId into a plain directory name', () => {
+    expect(orderDirName('123')).toBe('123');
+    expect(orderDirName('../../etc/passwd')).toBe('_.._etc_passwd');
+    expect(orderDirName(null)).toBe('unknown');
+  });
+});
@@ -234,7 +234,7 @@ describe('PostAcceptVerifier', () => {
         allocationPlan,
       });
 
-      expect(mockCapacityTracker.releaseCapacity).toHaveBeenCalledWith(allocationPlan);
+      expect(mockCapacityTracker.releaseCapacity).toHaveBeenCalledWith(allocationPlan, 'ORD-004');
       expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('Capacity rolled back'));
     });
 
@@ -0,0 +1,112 @@
+/**
+ * Tests for Features/selectorHealth.js
+ * Covers: winning-locator stats, drift detection and alert cooldown, recovery,
+ * reset on a new primary selector and persistence.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+jest.mock('../../Logs/notifier', () => ({
+  notifyGoogleChat: jest.fn(),
+}));
+
+const { SelectorHealth } = require('../../Features/selectorHealth');
+
+const step = (primary = 'a[href$="/attachments"]') => ({ id: 'STEP_2', name: 'Open Attachments tab', selectors: [primary, 'aria/Attachments[role="link"]'] });
+const primaryWin = { rank: 0, strategy: 'css', selector: 'a[href$="/attachments"]' };
+const fallbackWin = { rank: 1, strategy: 'role', selector: 'aria/Attachments[role="link"]' };
+
+describe('Features/selectorHealth.js', () => {
+  let tempDir;
+  let notifier;
+  let health;
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-health-'));
+    notifier = jest.fn().mockResolvedValue(undefined);
+    health = new SelectorHealth({ filePath: path.join(tempDir, 'selectorHealth.json'), notifier, alertAfter: 2, alertCooldown: 60 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record the winning strategy of each step', () => {
+    health.recordMatch(step(), primaryWin, { version: '1.1.0' });
+    health.recordMatch(step(), primaryWin, { version: '1.1.0' });
+
+    expect(health.getStatus()).toEqual({
+      drifting: 0,
+      steps: [expect.objectContaining({
+        stepId: 'STEP_2',
+        workflowVersion: '1.1.0',
+        wins: { css: 2 },
+        last: expect.objectContaining({ rank: 0, strategy: 'css' }),
+        drifting: false,
+      })],
+    });
+  });
+
+  it('should alert once the primary keeps missing while a fallback works', async () => {
+    health.recordMatch(step(), fallbackWin, { version: '1.1.0' });
+    await flush();
+    expect(notifier).not.toHaveBeenCalled();
+
+    health.recordMatch(step(), fallbackWin, { version: '1.1.0' });
+    await flush();
+
+    expect(health.getStatus().drifting).toBe(1);
+    expect(notifier).toHaveBeenCalledTimes(1);
+    expect(notifier.mock.calls[0][0]).toMatch(/Selector drift\] STEP_2 .*`a\[href\$="\/attachments"\]`.*fallback #2 \(role\)/);
+  });
+
+  it('should not repeat the alert within the cooldown', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-27T09:00:00Z'), doNotFake: ['setImmediate'] });
+    for (let i = 0; i < 4; i++) health.recordMatch(step(), fallbackWin);
+    await flush();
+    expect(notifier).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(new Date('2026-01-27T09:01:00Z'));
+    health.recordMatch(step(), fallbackWin);
+    await flush();
+    expect(notifier).toHaveBeenCalledTimes(2);
+  });
+
+  it('should end the drift when the primary matches again, and start over on a new primary', () => {
+    health.recordMatch(step(), fallbackWin);
+    health.recordMatch(step(), fallbackWin);
+    health.recordMatch(step(), primaryWin);
+    expect(health.getStatus().steps[0]).toMatchObject({ drifting: false, fallbackStreak: 0, wins: { css: 1, role: 2 } });
+
+    health.recordMatch(step('a.attachments-tab'), fallbackWin);
+    expect(health.getStatus().steps[0]).toMatchObject({ primary: 'a.attachments-tab', wins: { role: 1 }, fallbackStreak: 1 });
+  });
+
+  it('should count misses and persist the state', () => {
+    health.recordMiss(step());
+    health.recordMiss(step());
+
+    const reloaded = new SelectorHealth({ filePath: health.filePath, notifier });
+    expect(reloaded.getStatus().steps[0]).toMatchObject({ stepId: 'STEP_2', missStreak: 2 });
+  });
+
+  it('should not fail the step when the alert cannot be sent', async () => {
+    notifier.mockRejectedValue(new Error('webhook down'));
+    const { logFail } = require('../../Logs/logger');
+
+    health.recordMatch(step(), fallbackWin);
+    expect(() => health.recordMatch(step(), fallbackWin)).not.toThrow();
+    await flush();
+
+    expect(logFail).toHaveBeenCalledWith('[SelectorHealth] Drift alert failed: webhook down');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for Features/shadowMode.js
+ * Covers: decision/action recording, JSONL output, ring buffer, summary, shadow action stubs
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Mock logger to avoid console noise
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { ShadowRecorder, createShadowActions } = require('../../Features/shadowMode');
+const { logFail } = require('../../Logs/logger');
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('ShadowRecorder', () => {
+  let recorder;
+  let tempDir;
+  let logPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-'));
+    logPath = path.join(tempDir, 'nested', 'shadowDecisions.jsonl');
+    recorder = new ShadowRecorder({ logPath, maxRecent: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('recordDecision()', () => {
+    it('should append accepted decisions as JSON lines', () => {
+      recorder.recordDecision(
+        { orderId: '100', workflowName: 'WF', amountWords: 500, plannedEndDate: '2026-01-28 17:00' },
+        {
+          accepted: true,
+          code: 'ACCEPTED_NORMAL',
+          urgent: false,
+          rawDeadline: '2026-01-28 17:00',
+          effectiveDeadline: '2026-01-28 17:00',
+          allocationPlan: [{ date: '2026-01-27', amount: 500 }],
+        },
+      );
+
+      const [line] = readLines(logPath);
+      expect(line).toMatchObject({
+        type: 'decision',
+        decision: 'accepted',
+        orderId: '100',
+        code: 'ACCEPTED_NORMAL',
+        allocationPlan: [{ date: '2026-01-27', amount: 500 }],
+      });
+      expect(line.timestamp).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    });
+
+    it('should classify rejected and on-hold decisions', () => {
+      recorder.recordDecision({ orderId: '1' }, { accepted: false, code: 'REJECT_CAPACITY' });
+      recorder.recordDecision({ orderId: '2' }, { accepted: false, code: 'REJECT_CAPACITY', rule: null });
+      recorder.recordDecision({ orderId: '3' }, { code: 'ON_HOLD' });
+
+      const summary = recorder.getSummary(true);
+      expect(summary.enabled).toBe(true);
+      expect(summary.counters).toMatchObject({ decisions: 3, accepted: 0, rejected: 2, onHold: 1 });
+      expect(summary.byCode).toEqual({ REJECT_CAPACITY: 2, ON_HOLD: 1 });
+      expect(readLines(logPath).map(l => l.decision)).toEqual(['rejected', 'rejected', 'on_hold']);
+    });
+  });
+
+  describe('recordAction()', () => {
+    it('should log suppressed side effects', () => {
+      recorder.recordAction('markStatus', { orderId: '9', status: 'Declined' });
+
+      expect(readLines(logPath)[0]).toMatchObject({ type: 'action', action: 'markStatus', orderId: '9' });
+      expect(recorder.getSummary(true).counters.actions).toBe(1);
+    });
+  });
+
+  describe('getRecent()', () => {
+    it('should keep a bounded buffer, newest first', () => {
+      for (let i = 1; i <= 5; i++) {
+        recorder.recordDecision({ orderId: String(i) }, { accepted: true, code: 'ACCEPTED_NORMAL' });
+      }
+
+      expect(recorder.getRecent().map(e => e.orderId)).toEqual(['5', '4', '3']);
+      expect(recorder.getRecent(1).map(e => e.orderId)).toEqual(['5']);
+      // JSONL keeps the full history
+      expect(readLines(logPath)).toHaveLength(5);
+    });
+
+    it('should filter by entry type', () => {
+      recorder.recordDecision({ orderId: '1' }, { accepted: true, code: 'ACCEPTED_NORMAL' });
+      recorder.recordAction('applyCapacity', { allocationPlan: [] });
+
+      expect(recorder.getRecent(10, 'action')).toHaveLength(1);
+      expect(recorder.getRecent(10, 'decision')[0].orderId).toBe('1');
+    });
+  });
+
+  it('should keep recording in memory when the log file cannot be written', () => {
+    const blocker = path.join(tempDir, 'file');
+    fs.writeFileSync(blocker, '');
+    const broken = new ShadowRecorder({ logPath: path.join(blocker, 'x.jsonl') });
+
+    broken.recordAction('markStatus', { orderId: '1' });
+
+    expect(logFail).toHaveBeenCalledWith(expect.stringContaining('[Shadow]'));
+    expect(broken.getRecent()).toHaveLength(1);
+  });
+});
+
+describe('createShadowActions()', () => {
+  let recorder;
+  let actions;
+
+  beforeEach(() => {
+    recorder = { recordAction: jest.fn() };
+    actions = createShadowActions(recorder);
+  });
+
+  it('should report a successful accept without opening a browser', async () => {
+    const result = await actions.runTaskInNewBrowser({ task: { orderId: '1', url: 'https://x' } });
+
+    expect(result).toEqual({ success: true, reason: 'SHADOW_MODE' });
+    expect(recorder.recordAction).toHaveBeenCalledWith('acceptInMoravia', { orderId: '1', url: 'https://x' });
+  });
+
+  it('should record sheet status writes', async () => {
+    await expect(actions.markStatusWithRetry('1', 'Declined', 'DTP', '2026-01-26')).resolves.toBe(true);
+    expect(recorder.recordAction).toHaveBeenCalledWith('markStatus', {
+      orderId: '1', status: 'Declined', assignee: 'DTP', receivedDate: '2026-01-26', sheetId: null,
+    });
+
+    await actions.markStatusWithRetry('2', 'Accepted', 'ploy', null, 3, { sheetId: 'team-b-sheet' });
+    expect(recorder.recordAction).toHaveBeenLastCalledWith('markStatus', expect.objectContaining({ sheetId: 'team-b-sheet' }));
+  });
+
+  it('should record capacity changes', async () => {
+    const plan = [{ date: '2026-01-27', amount: 100 }];
+    await actions.applyCapacity(plan);
+    expect(recorder.recordAction).toHaveBeenCalledWith('applyCapacity', { allocationPlan: plan, strategy: null });
+
+    expect(actions.reserveCapacity(plan, '1')).toMatchObject({ orderId: '1', plan });
+    expect(actions.refreshReservation(plan, '1')).toBe(true);
+    expect(actions.releaseReservation('1', 'failed')).toBe(false);
+    expect(recorder.recordAction).toHaveBeenCalledWith('releaseReservation', { orderId: '1', reason: 'failed' });
+
+    await expect(actions.removeTaskCapacity('1')).resolves.toEqual({ ok: true, removed: false });
+    expect(recorder.recordAction).toHaveBeenCalledWith('removeTaskCapacity', { orderId: '1', receivedDate: null });
+  });
+});
@@ -195,6 +195,49 @@ describe('IMAPHealthMonitor', () => {
     });
   });
 
+  // ===================== auth status =====================
+  describe('recordAuthFailure / recordAuthSuccess', () => {
+    it('should alert on the first auth failure and once per window after that', () => {
+      monitor.recordAuthFailure('Symfonie/Order', new Error('Invalid credentials'));
+      monitor.recordAuthFailure('Symfonie/Order', new Error('Invalid credentials'));
+
+      expect(mockNotifier).toHaveBeenCalledTimes(1);
+      expect(mockNotifier.mock.calls[0][0]).toContain('authentication failed');
+
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      monitor.recordAuthFailure('Symfonie/Order', 'still failing');
+      expect(mockNotifier).toHaveBeenCalledTimes(2);
+    });
+
+    it('should clear the failed state on success', () => {
+      monitor.recordAuthFailure('token', new Error('invalid_grant'));
+      monitor.recordAuthSuccess('token');
+      monitor.recordAuthFailure('token', new Error('invalid_grant'));
+
+      expect(mockNotifier).toHaveBeenCalledTimes(2);
+      monitor.recordAuthSuccess('token');
+      expect(monitor.getHealthSnapshot().auth.token).toMatchObject({ ok: true, failures: 2, lastError: 'invalid_grant' });
+    });
+  });
+
+  // ===================== recordSweep =====================
+  describe('recordSweep', () => {
+    it('should accumulate recovered emails per mailbox without alerting', () => {
+      monitor.recordSweep('Symfonie/Order', 0);
+      monitor.recordSweep('Symfonie/Order', 2, 'resume');
+      monitor.recordSweep('Symfonie/On hold', 1);
+
+      const snapshot = monitor.getHealthSnapshot();
+      expect(snapshot.mailboxes['Symfonie/Order']).toMatchObject({
+        recovered: 2,
+        lastSweep: expect.any(Number),
+        lastRecovered: { count: 2, trigger: 'resume', timestamp: expect.any(Number) },
+      });
+      expect(snapshot.totalRecovered).toBe(3);
+      expect(mockNotifier).not.toHaveBeenCalled();
+    });
+  });
+
   // ===================== getHealthSnapshot =====================
   describe('getHealthSnapshot', () => {
     it('should return JSON-serialisable object', () => {
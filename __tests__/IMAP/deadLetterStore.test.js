@@ -0,0 +1,96 @@
+/**
+ * Tests for IMAP/deadLetterStore.js
+ * Covers: recording with raw source on disk, re-recording the same email,
+ * re-run attempts and status filtering.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { DeadLetterStore } = require('../../IMAP/deadLetterStore');
+
+function failed(uid, extra = {}) {
+  return {
+    account: 'default',
+    mailbox: 'Symfonie/Order',
+    uid,
+    reason: 'incomplete',
+    source: Buffer.from(`raw-${uid}`),
+    subject: `[#${uid}] New task`,
+    from: 'pm@rws.com',
+    orderId: String(uid),
+    missingFields: ['plannedEndDate'],
+    ...extra,
+  };
+}
+
+describe('IMAP/deadLetterStore.js', () => {
+  let dir, store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+    store = new DeadLetterStore({ dbPath: path.join(dir, 'deadLetter.db'), rawDir: path.join(dir, 'raw') });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should record the email and keep its raw source', () => {
+    const entry = store.add(failed(101));
+
+    expect(entry).toMatchObject({
+      account: 'default',
+      mailbox: 'Symfonie/Order',
+      uid: 101,
+      subject: '[#101] New task',
+      from: 'pm@rws.com',
+      reason: 'incomplete',
+      missingFields: ['plannedEndDate'],
+      status: 'open',
+      attempts: 0,
+    });
+    expect(path.dirname(entry.rawPath)).toBe(path.join(dir, 'raw'));
+    expect(store.readRaw(entry).toString()).toBe('raw-101');
+  });
+
+  it('should reopen and update an email recorded again', () => {
+    const first = store.add(failed(102));
+    store.recordAttempt(first.id, { resolved: true });
+
+    const again = store.add(failed(102, { reason: 'parse_error', error: 'Malformed MIME', missingFields: [] }));
+
+    expect(again.id).toBe(first.id);
+    expect(again).toMatchObject({ reason: 'parse_error', error: 'Malformed MIME', status: 'open' });
+    expect(store.list()).toHaveLength(1);
+  });
+
+  it('should reject unknown reasons', () => {
+    expect(() => store.add(failed(103, { reason: 'weird' }))).toThrow('Unknown dead-letter reason');
+  });
+
+  it('should record re-run attempts and filter by status', () => {
+    const a = store.add(failed(104));
+    store.add(failed(105));
+
+    store.recordAttempt(a.id, { resolved: false, missingFields: ['plannedEndDate'] });
+    const resolved = store.recordAttempt(a.id, { resolved: true, summary: { orderId: '104' } });
+
+    expect(resolved).toMatchObject({ status: 'resolved', attempts: 2, missingFields: [], lastResult: { orderId: '104' } });
+    expect(store.list({ status: 'open' }).map(e => e.uid)).toEqual([105]);
+    expect(store.getCounts()).toEqual({ open: 1, resolved: 1 });
+    expect(store.recordAttempt(999, { resolved: true })).toBeNull();
+  });
+
+  it('should fail clearly when the raw source is gone', () => {
+    const entry = store.add(failed(106, { source: null }));
+    expect(() => store.readRaw(entry)).toThrow('is not available');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for IMAP/emailIdempotencyIndex.js
+ * Covers: (orderId, receivedDate, url) keys, duplicate counters that survive
+ * restarts and pruning, and retention.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+  logSuccess: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { EmailIdempotencyIndex } = require('../../IMAP/emailIdempotencyIndex');
+
+const task = (extra = {}) => ({
+  orderId: '1001',
+  receivedDate: '2026-01-26 09:15 AM',
+  url: 'https://projects.moravia.com/Task/1001/detail/notification?command=Accept',
+  ...extra,
+});
+
+describe('IMAP/emailIdempotencyIndex.js', () => {
+  let dir, dbPath, index;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-index-'));
+    dbPath = path.join(dir, 'emailIndex.db');
+    index = new EmailIdempotencyIndex({ dbPath, retentionDays: 30 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    index.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should claim a key once and treat re-sends as duplicates', () => {
+    expect(index.claim(task())).toBe(true);
+    expect(index.claim(task({ receivedDate: '2026-01-26 9:15 AM', account: 'm365' }))).toBe(false);
+    expect(index.claim(task({ url: 'https://projects.moravia.com/Task/1001-b' }))).toBe(true);
+    expect(index.claim(task({ receivedDate: '2026-01-27 10:00 AM' }))).toBe(true);
+
+    expect(index.getStats()).toMatchObject({ trackedKeys: 3, suppressedTotal: 1, suppressedSinceStart: 1, retentionDays: 30 });
+  });
+
+  it('should key "On Hold" notifications without a url or received date', () => {
+    expect(index.claim({ orderId: '1002', url: null, receivedDate: null })).toBe(true);
+    expect(index.claim({ orderId: '1002' })).toBe(false);
+  });
+
+  it('should remember keys and the suppressed total across restarts', () => {
+    index.claim(task());
+    index.claim(task());
+    index.close();
+
+    index = new EmailIdempotencyIndex({ dbPath, retentionDays: 30 });
+    expect(index.claim(task())).toBe(false);
+    expect(index.getStats()).toMatchObject({ suppressedTotal: 2, suppressedSinceStart: 1 });
+  });
+
+  it('should drop keys older than the retention but keep the suppressed total', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    index.claim(task());
+    index.claim(task());
+
+    jest.setSystemTime(new Date('2026-02-15T00:00:00Z'));
+    expect(index.prune()).toBe(1);
+
+    expect(index.claim(task())).toBe(true);
+    expect(index.getStats()).toMatchObject({ trackedKeys: 1, suppressedTotal: 1 });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for IMAP/emailTemplates.js
+ * Covers: the shipped templates, extends, validation at load, hot reload
+ * (keeping the last good set) and template selection in I18nEmailParser.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { EmailTemplates, TEMPLATES_DIR } = require('../../IMAP/emailTemplates');
+const { I18nEmailParser } = require('../../IMAP/i18nParser');
+
+const base = (extra = {}) => ({
+  id: 'base-en',
+  version: '1',
+  language: 'en',
+  fields: {
+    status: { label: 'Status', regex: 'Status:\\s*(\\w+)' },
+    amountWords: { label: 'Amounts', regex: 'Words:\\s*([0-9,]+)' },
+    plannedEndDate: { label: 'Planned end', regex: 'Due:\\s*([0-9. :APM]+)' },
+    workflowName: { label: 'Workflow name' },
+    orderId: { regex: '\\[#(\\d+)\\]' },
+  },
+  links: { regex: 'https://example\\.com/task/\\d+' },
+  dateFormats: ['DD.MM.YYYY h:mm A'],
+  ...extra,
+});
+
+describe('IMAP/emailTemplates.js', () => {
+  it('should load the shipped templates', () => {
+    const templates = new EmailTemplates(TEMPLATES_DIR);
+
+    expect(templates.errors).toEqual([]);
+    expect(templates.getTemplates().map(t => t.id).sort()).toEqual(['moravia-de', 'moravia-en', 'moravia-ja', 'moravia-th']);
+    expect(templates.getDefault().id).toBe('moravia-en');
+  });
+
+  it('should inherit fields, links and date formats from the extended template', () => {
+    const templates = new EmailTemplates(TEMPLATES_DIR);
+    templates.setTemplates([
+      base(),
+      { id: 'base-th', version: '2', language: 'th', extends: 'base-en', fields: { status: { regex: 'สถานะ:\\s*(\\S+)' } } },
+    ]);
+
+    const th = templates.getTemplates().find(t => t.id === 'base-th');
+    expect(th.patterns.status.source).toBe('สถานะ:\\s*(\\S+)');
+    expect(th.domLabels.status).toBe('Status');
+    expect(th.patterns.orderId.source).toBe('\\[#(\\d+)\\]');
+    expect(th.patterns.moraviaLinks.flags).toBe('g');
+    expect(th.dateFormats).toEqual(['DD.MM.YYYY h:mm A']);
+    expect(th.metadata).toEqual({});
+  });
+
+  it('should skip invalid templates with the reason', () => {
+    const templates = new EmailTemplates(TEMPLATES_DIR);
+    const loaded = templates.setTemplates([
+      base(),
+      base(),
+      base({ id: 'no-group', fields: { ...base().fields, orderId: { regex: '\\[#\\d+\\]' } } }),
+      base({ id: 'bad-regex', links: { regex: '(' } }),
+      base({ id: 'no-version', version: '' }),
+      base({ id: 'bad-kind', kinds: { moved: { regex: 'moved' } } }),
+      base({ id: 'bad-meta', fields: { ...base().fields, client: { regex: 'Client: \\w+' } } }),
+      { id: 'orphan', version: '1', language: 'en', extends: 'missing' },
+      { id: 'loop-a', version: '1', language: 'en', extends: 'loop-b' },
+      { id: 'loop-b', version: '1', language: 'en', extends: 'loop-a' },
+    ]);
+
+    expect(loaded).toBe(1);
+    expect(templates.getStatus().errors).toEqual([
+      'Skipping template "base-en": duplicate id',
+      'Skipping template "no-group": fields.orderId regex must capture the value in a group',
+      expect.stringContaining('Skipping template "bad-regex": links regex is invalid'),
+      'Skipping template "no-version": version is required',
+      expect.stringContaining('Skipping template "bad-kind": kinds.moved'),
+      'Skipping template "bad-meta": fields.client regex must capture the value in a group',
+      'Skipping template "orphan": extends unknown template "missing"',
+      'Skipping template "loop-a": circular extends via "loop-a"',
+      'Skipping template "loop-b": circular extends via "loop-b"',
+    ]);
+  });
+
+  describe('hot reload', () => {
+    let dir;
+
+    const write = (file, template, mtime) => {
+      const filePath = path.join(dir, file);
+      fs.writeFileSync(filePath, typeof template === 'string' ? template : JSON.stringify(template));
+      fs.utimesSync(filePath, mtime, mtime);
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should pick up a changed template and keep the last good set on a broken edit', () => {
+      write('base.json', base(), 1000);
+      const templates = new EmailTemplates(dir);
+      expect(templates.getStatus()).toMatchObject({ revision: 1, templates: [{ id: 'base-en', version: '1', file: 'base.json' }] });
+
+      write('base.json', base({ version: '2' }), 2000);
+      expect(templates.getTemplates()[0].version).toBe('2');
+      expect(templates.revision).toBe(2);
+
+      write('base.json', '{ not json', 3000);
+      expect(templates.getTemplates()[0].version).toBe('2');
+      expect(templates.revision).toBe(2);
+      expect(templates.errors).toEqual([expect.stringContaining('Skipping base.json')]);
+    });
+
+    it('should rebuild the parser patterns after a reload', () => {
+      write('base.json', base(), 1000);
+      const parser = new I18nEmailParser(new EmailTemplates(dir));
+      expect(parser.getPatternsForLanguage('en').template).toEqual({ id: 'base-en', version: '1' });
+
+      write('base-v2.json', base({ id: 'base-en-v2', version: '2', detect: { marker: 'Layout v2' } }), 2000);
+
+      expect(parser.selectTemplate('Status: New').patterns.template).toEqual({ id: 'base-en', version: '1' });
+      expect(parser.selectTemplate('Layout v2 | Status: New').patterns.template).toEqual({ id: 'base-en-v2', version: '2' });
+    });
+  });
+
+  it('should count the emails parsed per template', () => {
+    const templates = new EmailTemplates(TEMPLATES_DIR);
+    templates.recordMatch('moravia-th');
+    templates.recordMatch('moravia-th');
+
+    const th = templates.getStatus().templates.find(t => t.id === 'moravia-th');
+    expect(th).toMatchObject({ language: 'th', extends: 'moravia-en', default: false, matched: 2 });
+  });
+});
@@ -32,15 +32,35 @@ jest.mock('../../IMAP/retryHandler', () => ({
   retry: jest.fn((fn) => fn())
 }));
 
+const mockDeadLetterStore = {
+  add: jest.fn(),
+  get: jest.fn(),
+  readRaw: jest.fn(),
+  recordAttempt: jest.fn(),
+};
+const mockEmailIndex = { claim: jest.fn() };
+jest.mock('../../IMAP/emailIdempotencyIndex', () => ({
+  getEmailIdempotencyIndex: () => mockEmailIndex,
+}));
+jest.mock('../../IMAP/mailboxActions', () => ({
+  mailboxActions: { expect: jest.fn(), record: jest.fn() },
+}));
+jest.mock('../../IMAP/deadLetterStore', () => ({
+  getDeadLetterStore: () => mockDeadLetterStore,
+  DEAD_LETTER_REASON: { PARSE_ERROR: 'parse_error', INCOMPLETE: 'incomplete' },
+}));
+
 const { simpleParser } = require('mailparser');
-const { EmailContentParser, initLastSeenUid, cleanupFetcher, forceHealthCheck, fetchNewEmails } = require('../../IMAP/fetcher');
+const { EmailContentParser, initLastSeenUid, cleanupFetcher, forceHealthCheck, fetchNewEmails, sweepMailbox, findMissingFields, reprocessDeadLetter, processEmailData } = require('../../IMAP/fetcher');
 const { loadLastSeenUidFromFile, saveLastSeenUid } = require('../../IMAP/uidStore');
 const { loadSeenUids, saveSeenUids } = require('../../IMAP/seenUidsStore');
 const { logInfo, logSuccess, logFail } = require('../../Logs/logger');
+const { mailboxActions } = require('../../IMAP/mailboxActions');
 
 describe('IMAP/fetcher.js', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockEmailIndex.claim.mockReturnValue(true);
   });
 
   describe('EmailContentParser', () => {
@@ -259,6 +279,60 @@ describe('IMAP/fetcher.js', () => {
         expect(result.workflowName).toBe('DTP Project');
         expect(result.metrics.amountWords).toBe(3000);
         expect(result.moraviaLinks).toHaveLength(1);
+        expect(result.template).toEqual({ id: 'moravia-en', version: '1.0.0' });
+      });
+
+      it('should extract the task metadata from the table', () => {
+        const content = `
+          <table>
+            <tr><td>Status</td><td>New</td></tr>
+            <tr><td>Source language</td><td>English (US)</td></tr>
+            <tr><td>Target language</td><td>Thai</td></tr>
+            <tr><td>Client</td><td>ACME Corp</td></tr>
+            <tr><td>Project manager</td><td>Jane Doe</td></tr>
+          </table>
+        `;
+
+        expect(parser.parseEmail(content, 'Task [#12345]').metadata).toEqual({
+          sourceLanguage: 'English (US)',
+          targetLanguage: 'Thai',
+          client: 'ACME Corp',
+          taskType: null,
+          projectManager: 'Jane Doe',
+        });
+      });
+
+      it('should report the localized template that matched', () => {
+        const content = `
+          <html lang="th"><table>
+            <tr><td>สถานะ</td><td>ใหม่</td></tr>
+            <tr><td>จำนวนคำ</td><td>2,500</td></tr>
+            <tr><td>วันส่งมอบ</td><td>25.01.2026 10:30 AM</td></tr>
+          </table></html>
+        `;
+
+        const result = parser.parseEmail(content, 'Task [#12345]');
+
+        expect(result.detectedLanguage).toBe('th');
+        expect(result.template).toEqual({ id: 'moravia-th', version: '1.0.0' });
+        expect(result.metrics).toEqual({ amountWords: 2500, plannedEndDate: '2026-01-25 10:30' });
+      });
+
+      it('should classify cancellations and change notifications', () => {
+        const table = (status, words = '3000') => `
+          <table>
+            <tr><td>Status</td><td>${status}</td></tr>
+            <tr><td>Amounts</td><td>${words} words</td></tr>
+            <tr><td>Planned end</td><td>2026-01-28 18:00</td></tr>
+          </table>
+        `;
+
+        expect(parser.parseEmail(table('Cancelled'), 'Task [#12345]').kind).toBe('cancelled');
+        expect(parser.parseEmail(table('In Progress'), 'Task [#12345]: the planned end has been changed').kind).toBe('deadline_changed');
+        expect(parser.parseEmail(table('In Progress', '4000'), 'Task [#12345]: amounts were updated').kind).toBe('words_changed');
+        expect(parser.parseEmail(table('New') + '<a href="https://projects.moravia.com/Task/12345/detail/notification?command=Accept">Accept</a>',
+          'Task [#12345]: deadline was moved').kind).toBe('assignment');
+        expect(parser.parseEmail(table('Completed'), 'Task [#12345] completed').kind).toBeNull();
       });
 
       it('should handle email with missing fields', () => {
@@ -611,6 +685,38 @@ describe('IMAP/fetcher.js', () => {
       expect(batchLog).toBeDefined();
     });
 
+    it('should keep accounts apart and tag their tasks', async () => {
+      const mockLock = { release: jest.fn() };
+      mockClient = {
+        noop: jest.fn().mockResolvedValue(),
+        getMailboxLock: jest.fn().mockResolvedValue(mockLock),
+        search: jest.fn().mockResolvedValue([7]),
+        fetch: jest.fn(async function* () {
+          yield { uid: 7, source: Buffer.from('test'), envelope: {} };
+        })
+      };
+      simpleParser.mockResolvedValue({
+        subject: 'New Task [#777]',
+        text: 'Task details',
+        html: '<table><tr><td>Amounts</td><td>500</td></tr><tr><td>Planned end</td><td>2026-01-25 18:00</td></tr></table>'
+          + '<a href="https://projects.moravia.com/Task/777/detail/notification?command=Accept">Accept</a>'
+      });
+
+      // Both accounts watch INBOX; "default" has already seen UID 100
+      loadLastSeenUidFromFile.mockImplementation((mailbox, accountId) => (accountId === 'm365' ? 6 : 100));
+      await initLastSeenUid(mockClient, 'INBOX');
+      await initLastSeenUid(mockClient, 'INBOX', 'm365');
+      expect(loadSeenUids).toHaveBeenCalledWith('INBOX', 'm365');
+
+      await fetchNewEmails(mockClient, 'INBOX', mockCallback, 'm365');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockClient.search).toHaveBeenCalledWith({ uid: '7:*' });
+      expect(mockClient.getMailboxLock).toHaveBeenCalledWith('INBOX');
+      expect(mockCallback).toHaveBeenCalledWith(expect.objectContaining({ orderId: '777', account: 'm365' }));
+      expect(saveLastSeenUid).toHaveBeenCalledWith('INBOX', 7, 'm365');
+    });
+
     // Test lines 302-310: Email processing error handling
     it('should handle email parsing errors gracefully', async () => {
       const mockLock = { release: jest.fn() };
@@ -692,7 +798,7 @@ describe('IMAP/fetcher.js', () => {
         typeof call[0] === 'string' && call[0].includes('Trimmed seenUids')
       );
       expect(trimLog).toBeDefined();
-      expect(saveLastSeenUid).toHaveBeenCalledWith('TrimMailbox', 1051);
+      expect(saveLastSeenUid).toHaveBeenCalledWith('TrimMailbox', 1051, 'default');
     });
 
     // Test lines 335-342: Fetch error after retry
@@ -863,13 +969,13 @@ describe('IMAP/fetcher.js', () => {
       cleanupFetcher();
 
       // Verify all mailboxes were saved
-      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_A', expect.any(Set));
-      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_B', expect.any(Set));
-      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_C', expect.any(Set));
+      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_A', expect.any(Set), 'default');
+      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_B', expect.any(Set), 'default');
+      expect(saveSeenUids).toHaveBeenCalledWith('Mailbox_C', expect.any(Set), 'default');
 
-      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_A', 200);
-      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_B', 200);
-      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_C', 200);
+      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_A', 200, 'default');
+      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_B', 200, 'default');
+      expect(saveLastSeenUid).toHaveBeenCalledWith('Mailbox_C', 200, 'default');
 
       // Verify cleanup logs
       const mailboxALog = logInfo.mock.calls.find(call =>
@@ -878,4 +984,284 @@ describe('IMAP/fetcher.js', () => {
       expect(mailboxALog).toBeDefined();
     });
   });
+
+  describe('sweepMailbox', () => {
+    let mockLock;
+    let mockCallback;
+
+    beforeEach(() => {
+      mockLock = { release: jest.fn() };
+      mockCallback = jest.fn().mockResolvedValue();
+      loadLastSeenUidFromFile.mockReturnValue(100);
+      const { retry } = require('../../IMAP/retryHandler');
+      retry.mockImplementation((fn) => fn());
+      simpleParser.mockResolvedValue({
+        subject: 'New Task [#555]',
+        text: 'Task details',
+        html: '<table><tr><td>Amounts</td><td>500</td></tr><tr><td>Planned end</td><td>2026-01-25 18:00</td></tr></table>'
+          + '<a href="https://projects.moravia.com/Task/555/detail/notification?command=Accept">Accept</a>'
+      });
+    });
+
+    const sweepClient = (byUid, byDate) => ({
+      getMailboxLock: jest.fn().mockResolvedValue(mockLock),
+      search: jest.fn()
+        .mockResolvedValueOnce(byUid)
+        .mockResolvedValueOnce(byDate),
+      fetch: jest.fn(async function* (uids) {
+        for (const uid of uids) yield { uid, source: Buffer.from('test'), envelope: {} };
+      })
+    });
+
+    it('should recover unseen UIDs from the UID range and the date window', async () => {
+      // 97 is below the oldest tracked UID (may have been trimmed) - left alone
+      loadSeenUids.mockReturnValue(new Set([98, 100]));
+      const client = sweepClient([100, 101], [97, 98, 99, 100, 101]);
+      await initLastSeenUid(client, 'SweepMailbox');
+
+      const recovered = await sweepMailbox(client, 'SweepMailbox', mockCallback);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(recovered).toBe(2);
+      expect(client.search).toHaveBeenCalledWith({ uid: '101:*' }, { uid: true });
+      expect(client.search).toHaveBeenCalledWith({ since: expect.any(Date) }, { uid: true });
+      expect(client.fetch).toHaveBeenCalledWith([99, 101], expect.any(Object), { uid: true });
+      expect(mockCallback).toHaveBeenCalledWith(expect.objectContaining({ orderId: '555', account: 'default' }));
+      // lastSeenUid stays at the highest UID even though 99 was recovered
+      expect(saveLastSeenUid).toHaveBeenLastCalledWith('SweepMailbox', 101, 'default');
+      expect(mockLock.release).toHaveBeenCalled();
+    });
+
+    it('should not fetch when nothing was missed', async () => {
+      loadSeenUids.mockReturnValue(new Set([99, 100]));
+      const client = sweepClient([100], [99, 100]);
+      await initLastSeenUid(client, 'QuietMailbox');
+
+      expect(await sweepMailbox(client, 'QuietMailbox', mockCallback)).toBe(0);
+      expect(client.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 0 when the search fails', async () => {
+      const client = {
+        getMailboxLock: jest.fn().mockResolvedValue(mockLock),
+        search: jest.fn().mockRejectedValue(new Error('Connection lost')),
+        fetch: jest.fn()
+      };
+      await initLastSeenUid(client, 'BrokenMailbox');
+
+      expect(await sweepMailbox(client, 'BrokenMailbox', mockCallback)).toBe(0);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Sweep failed'), expect.any(Object));
+      expect(mockLock.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('dead-letter', () => {
+    const taskEmail = (rows) => ({
+      subject: 'New Task [#888]',
+      text: 'Task details',
+      html: `<table>${rows}</table><a href="https://projects.moravia.com/Task/888/detail/notification?command=Accept">Accept</a>`
+    });
+
+    beforeEach(() => {
+      loadLastSeenUidFromFile.mockReturnValue(0);
+      loadSeenUids.mockReturnValue(new Set());
+      const { retry } = require('../../IMAP/retryHandler');
+      retry.mockImplementation((fn) => fn());
+    });
+
+    const fetchOne = async (mailbox, uid, callback) => {
+      const client = {
+        noop: jest.fn().mockResolvedValue(),
+        getMailboxLock: jest.fn().mockResolvedValue({ release: jest.fn() }),
+        search: jest.fn().mockResolvedValue([uid]),
+        fetch: jest.fn(async function* () {
+          yield { uid, source: Buffer.from('raw'), envelope: { subject: 'Subj', from: [{ address: 'pm@rws.com' }] } };
+        })
+      };
+      await initLastSeenUid(client, mailbox, 'm365');
+      await fetchNewEmails(client, mailbox, callback, 'm365');
+      await new Promise(resolve => setImmediate(resolve));
+    };
+
+    it('should list missing fields only for emails that yield a task', () => {
+      expect(findMissingFields({ orderId: '1', status: 'New', moraviaLinks: ['x'], metrics: { amountWords: 10, plannedEndDate: null } }))
+        .toEqual(['plannedEndDate']);
+      expect(findMissingFields({ orderId: null, status: 'On Hold', moraviaLinks: [], metrics: {} })).toEqual(['orderId']);
+      expect(findMissingFields({ orderId: null, status: 'Completed', moraviaLinks: [], metrics: {} })).toEqual([]);
+      expect(findMissingFields({ kind: 'cancelled', orderId: '1', moraviaLinks: [], metrics: {} })).toEqual([]);
+      expect(findMissingFields({ kind: 'words_changed', orderId: '1', moraviaLinks: [], metrics: { plannedEndDate: '2026-01-27 18:00' } }))
+        .toEqual(['amountWords']);
+      expect(findMissingFields({ kind: 'deadline_changed', orderId: '1', moraviaLinks: [], metrics: { amountWords: 10 } }))
+        .toEqual(['plannedEndDate']);
+    });
+
+    it('should hold back an incomplete task email and store it', async () => {
+      const callback = jest.fn();
+      simpleParser.mockResolvedValue(taskEmail('<tr><td>Amounts</td><td>500</td></tr>'));
+
+      await fetchOne('INBOX', 21, callback);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(mockDeadLetterStore.add).toHaveBeenCalledWith(expect.objectContaining({
+        account: 'm365',
+        mailbox: 'INBOX',
+        uid: 21,
+        reason: 'incomplete',
+        orderId: '888',
+        missingFields: ['plannedEndDate'],
+        subject: 'Subj',
+        from: 'pm@rws.com',
+        source: Buffer.from('raw'),
+      }));
+      expect(saveLastSeenUid).toHaveBeenCalledWith('INBOX', 21, 'm365');
+      expect(mailboxActions.record).toHaveBeenCalledWith({ account: 'm365', mailbox: 'INBOX', uid: 21 }, 'parse_error');
+    });
+
+    it('should store emails the parser throws on', async () => {
+      simpleParser.mockRejectedValue(new Error('Malformed MIME'));
+
+      await fetchOne('Broken', 22, jest.fn());
+
+      expect(mockDeadLetterStore.add).toHaveBeenCalledWith(expect.objectContaining({
+        uid: 22, mailbox: 'Broken', reason: 'parse_error', error: 'Malformed MIME'
+      }));
+      expect(mailboxActions.record).toHaveBeenCalledWith({ account: 'm365', mailbox: 'Broken', uid: 22 }, 'parse_error');
+    });
+
+    it('should tag complete tasks with their email and expect their outcomes', async () => {
+      const callback = jest.fn();
+      simpleParser.mockResolvedValue(taskEmail('<tr><td>Amounts</td><td>500</td></tr><tr><td>Planned end</td><td>2026-01-25 18:00</td></tr>'));
+
+      await fetchOne('Orders', 24, callback);
+
+      const email = { account: 'm365', mailbox: 'Orders', uid: 24 };
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ orderId: '888', account: 'm365', email }));
+      expect(mailboxActions.expect).toHaveBeenCalledWith(email, 1);
+      expect(mailboxActions.record).not.toHaveBeenCalled();
+    });
+
+    it('should keep fetching when the dead-letter store fails', async () => {
+      mockDeadLetterStore.add.mockImplementation(() => { throw new Error('disk full'); });
+      simpleParser.mockRejectedValue(new Error('Malformed MIME'));
+
+      await fetchOne('Full', 23, jest.fn());
+
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Failed to dead-letter UID 23'));
+      expect(saveLastSeenUid).toHaveBeenCalledWith('Full', 23, 'm365');
+    });
+
+    describe('reprocessDeadLetter', () => {
+      const entry = { id: 5, account: 'm365', uid: 21, missingFields: ['plannedEndDate'] };
+
+      beforeEach(() => {
+        mockDeadLetterStore.get.mockReturnValue(entry);
+        mockDeadLetterStore.readRaw.mockReturnValue(Buffer.from('raw'));
+        mockDeadLetterStore.recordAttempt.mockImplementation((id, result) => ({ ...entry, status: result.resolved ? 'resolved' : 'open' }));
+      });
+
+      it('should resolve and dispatch an email that now parses completely', async () => {
+        const callback = jest.fn();
+        simpleParser.mockResolvedValue(taskEmail('<tr><td>Amounts</td><td>500</td></tr><tr><td>Planned end</td><td>2026-01-25 18:00</td></tr>'));
+
+        const result = await reprocessDeadLetter(5, callback);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(result).toMatchObject({ success: true, resolved: true, dispatched: true, missingFields: [] });
+        expect(mockDeadLetterStore.recordAttempt).toHaveBeenCalledWith(5, expect.objectContaining({ resolved: true }));
+        expect(callback).toHaveBeenCalledWith(expect.objectContaining({ orderId: '888', amountWords: 500, account: 'm365' }));
+      });
+
+      it('should only record the attempt when fields are still missing or dispatch is off', async () => {
+        const callback = jest.fn();
+        simpleParser.mockResolvedValue(taskEmail('<tr><td>Amounts</td><td>500</td></tr>'));
+
+        const result = await reprocessDeadLetter(5, callback);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(result).toMatchObject({ resolved: false, dispatched: false, missingFields: ['plannedEndDate'] });
+        expect(callback).not.toHaveBeenCalled();
+
+        simpleParser.mockResolvedValue(taskEmail('<tr><td>Amounts</td><td>500</td></tr><tr><td>Planned end</td><td>2026-01-25 18:00</td></tr>'));
+        expect(await reprocessDeadLetter(5, callback, { dispatch: false })).toMatchObject({ resolved: true, dispatched: false });
+      });
+
+      it('should report unknown entries', async () => {
+        mockDeadLetterStore.get.mockReturnValue(null);
+        expect(await reprocessDeadLetter(99, jest.fn())).toEqual({ success: false, message: 'Dead-letter entry 99 not found' });
+      });
+    });
+  });
+
+  describe('processEmailData idempotency', () => {
+    const emailData = {
+      orderId: '321',
+      status: 'New',
+      workflowName: 'WF',
+      receivedDate: '2026-01-26 9:15 AM',
+      metrics: { amountWords: 500, plannedEndDate: '2026-01-27 18:00' },
+      moraviaLinks: ['https://projects.moravia.com/Task/a', 'https://projects.moravia.com/Task/b'],
+    };
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should claim each (orderId, receivedDate, url) and suppress keys already claimed', async () => {
+      const callback = jest.fn();
+      mockEmailIndex.claim.mockImplementation(({ url }) => url.endsWith('/b'));
+
+      expect(processEmailData(emailData, 1, callback, { account: 'm365' })).toBe(1);
+      await flush();
+
+      expect(mockEmailIndex.claim).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: '321', receivedDate: '2026-01-26 9:15 AM', url: 'https://projects.moravia.com/Task/a', account: 'm365'
+      }));
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://projects.moravia.com/Task/b', client: null }));
+      expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('Duplicate notification suppressed'));
+    });
+
+    it('should skip the index when dedupe is off', async () => {
+      const callback = jest.fn();
+
+      processEmailData(emailData, 1, callback, { dedupe: false });
+      await flush();
+
+      expect(mockEmailIndex.claim).not.toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let the task through when the index fails', async () => {
+      const callback = jest.fn();
+      mockEmailIndex.claim.mockImplementation(() => { throw new Error('database is locked'); });
+
+      processEmailData({ ...emailData, status: 'On Hold', moraviaLinks: [] }, 1, callback);
+      await flush();
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ orderId: '321', url: null }));
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Idempotency check failed'));
+    });
+
+    it('should carry the task metadata in the payload', async () => {
+      const callback = jest.fn();
+
+      processEmailData({ ...emailData, moraviaLinks: ['https://projects.moravia.com/Task/a'], metadata: { client: 'ACME', targetLanguage: 'Thai' } },
+        1, callback, { dedupe: false });
+      await flush();
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        client: 'ACME', targetLanguage: 'Thai', sourceLanguage: null, taskType: null, projectManager: null
+      }));
+    });
+
+    it('should dispatch one change task without a url for change notifications', async () => {
+      const callback = jest.fn();
+      mockEmailIndex.claim.mockReturnValue(true);
+
+      processEmailData({ ...emailData, kind: 'deadline_changed', status: 'In Progress', moraviaLinks: [] }, 1, callback);
+      await flush();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: '321', kind: 'deadline_changed', url: null, plannedEndDate: '2026-01-27 18:00'
+      }));
+    });
+  });
 });
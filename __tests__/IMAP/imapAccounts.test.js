@@ -0,0 +1,133 @@
+/**
+ * Tests for IMAP/imapAccounts.js
+ * Covers: .env fallback account, file loading with env: secrets, validation,
+ * routing lookups, mailbox keys and the credential-free status view.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { ImapAccounts, mailboxKey, resolveSecret } = require('../../IMAP/imapAccounts');
+const { logFail } = require('../../Logs/logger');
+
+describe('IMAP/imapAccounts.js', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, EMAIL_USER: 'me@example.com', EMAIL_PASS: 'secret', MAILBOXES: 'Symfonie/Order, Symfonie/On hold' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should build one "default" account from .env when the file lists none', () => {
+    const accounts = new ImapAccounts('/nonexistent/imapAccounts.json');
+
+    expect(accounts.source).toBe('env');
+    expect(accounts.getAccounts()).toEqual([expect.objectContaining({
+      id: 'default',
+      user: 'me@example.com',
+      pass: 'secret',
+      mailboxes: ['Symfonie/Order', 'Symfonie/On hold'],
+      capacityPool: null,
+      trackingSheet: null,
+    })]);
+  });
+
+  it('should load accounts from the file and resolve env: secrets', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imap-accounts-'));
+    const file = path.join(dir, 'imapAccounts.json');
+    process.env.TEAM_B_PASS = 'b-secret';
+    process.env.SHEET_ID_B = 'sheet-b';
+    try {
+      fs.writeFileSync(file, JSON.stringify({
+        accounts: [{
+          id: 'team-b',
+          host: 'outlook.office365.com',
+          user: 'b@example.com',
+          pass: 'env:TEAM_B_PASS',
+          mailboxes: ['INBOX'],
+          capacityPool: ['ploy'],
+          trackingSheet: { sheetId: 'env:SHEET_ID_B', tabName: 'B_Tracking' },
+        }],
+      }));
+      const accounts = new ImapAccounts(file);
+
+      expect(accounts.getAccount('team-b')).toMatchObject({
+        host: 'outlook.office365.com',
+        port: 993,
+        pass: 'b-secret',
+        authMethod: 'password',
+      });
+      expect(accounts.getRouting('team-b')).toEqual({
+        capacityPool: ['ploy'],
+        trackingSheet: { sheetId: 'sheet-b', tabName: 'B_Tracking' },
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should skip invalid and duplicate accounts', () => {
+    const accounts = new ImapAccounts('/nonexistent/imapAccounts.json');
+    const count = accounts.setAccounts([
+      { id: 'a', mailboxes: ['INBOX'] },
+      { id: 'a', mailboxes: ['INBOX'] },
+      { id: 'bad id', mailboxes: ['INBOX'] },
+      { id: 'b', mailboxes: [] },
+      { id: 'c', mailboxes: ['INBOX'], capacityPool: 'ploy' },
+      { id: 'd', mailboxes: ['INBOX'], enabled: false },
+      { id: 'e', mailboxes: ['INBOX'], mailboxActions: { mode: 'archive' } },
+    ]);
+
+    expect(count).toBe(1);
+    expect(logFail).toHaveBeenCalledTimes(5);
+  });
+
+  it('should merge each account\'s mailbox actions over the .env defaults', () => {
+    const accounts = new ImapAccounts('/nonexistent/imapAccounts.json');
+    expect(accounts.getAccount('default').mailboxActions).toEqual({ mode: 'none', names: {}, moveTo: null });
+
+    accounts.setAccounts([
+      { id: 'gmail', mailboxes: ['INBOX'], mailboxActions: { mode: 'label', names: { accepted: 'Bot/OK' } } },
+      { id: 'plain', mailboxes: ['INBOX'], mailboxActions: { mode: 'flag', moveTo: 'Processed' } },
+    ]);
+    expect(accounts.getAccount('gmail').mailboxActions).toEqual({ mode: 'label', names: { accepted: 'Bot/OK' }, moveTo: null });
+    expect(accounts.getAccount('plain').mailboxActions).toEqual({ mode: 'flag', names: {}, moveTo: 'Processed' });
+  });
+
+  it('should fall back to shared routing for unknown accounts', () => {
+    const accounts = new ImapAccounts('/nonexistent/imapAccounts.json');
+
+    expect(accounts.getRouting('ghost')).toEqual({ capacityPool: null, trackingSheet: null });
+    expect(accounts.getRouting(null)).toEqual({ capacityPool: null, trackingSheet: null });
+  });
+
+  it('should key mailboxes by account except for the default account', () => {
+    expect(mailboxKey('default', 'INBOX')).toBe('INBOX');
+    expect(mailboxKey(null, 'INBOX')).toBe('INBOX');
+    expect(mailboxKey('team-b', 'INBOX')).toBe('team-b:INBOX');
+  });
+
+  it('should only read process.env for env: values', () => {
+    process.env.SOME_VAR = 'x';
+    expect(resolveSecret('env:SOME_VAR')).toBe('x');
+    expect(resolveSecret('plain')).toBe('plain');
+    expect(resolveSecret(undefined)).toBeUndefined();
+  });
+
+  it('should leave credentials out of getStatus()', () => {
+    const status = new ImapAccounts('/nonexistent/imapAccounts.json').getStatus();
+
+    expect(status.source).toBe('env');
+    expect(status.accounts[0]).toMatchObject({ id: 'default', user: 'me@example.com' });
+    expect(JSON.stringify(status)).not.toContain('secret');
+  });
+});
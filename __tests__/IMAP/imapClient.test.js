@@ -11,6 +11,8 @@ const mockLogProgress = jest.fn();
 const mockNotifyGoogleChat = jest.fn();
 const mockFetchNewEmails = jest.fn();
 const mockInitLastSeenUid = jest.fn();
+const mockSweepMailbox = jest.fn();
+const mockReprocessDeadLetter = jest.fn();
 
 jest.mock('dotenv', () => ({
   config: jest.fn()
@@ -29,6 +31,8 @@ jest.mock('../../Logs/notifier', () => ({
 
 jest.mock('../../IMAP/fetcher', () => ({
   fetchNewEmails: (...args) => mockFetchNewEmails(...args),
+  sweepMailbox: (...args) => mockSweepMailbox(...args),
+  reprocessDeadLetter: (...args) => mockReprocessDeadLetter(...args),
   initLastSeenUid: (...args) => mockInitLastSeenUid(...args),
   setHealthMonitor: jest.fn()
 }));
@@ -38,6 +42,9 @@ jest.mock('../../IMAP/IMAPHealthMonitor', () => ({
   IMAPHealthMonitor: jest.fn().mockImplementation(() => ({
     recordReconnect: jest.fn(),
     recordHealthCheck: jest.fn(),
+    recordAuthFailure: jest.fn(),
+    recordAuthSuccess: jest.fn(),
+    recordSweep: jest.fn(),
     getHealthSnapshot: jest.fn().mockReturnValue({
       timestamp: Date.now(),
       thresholds: {},
@@ -49,6 +56,9 @@ jest.mock('../../IMAP/IMAPHealthMonitor', () => ({
   }))
 }));
 
+// XOAUTH2 token endpoint
+jest.mock('axios');
+
 // Mock ImapFlow
 const mockOn = jest.fn();
 const mockConnect = jest.fn().mockResolvedValue();
@@ -180,6 +190,17 @@ describe('IMAP/imapClient.js', () => {
     });
   });
 
+  describe('reprocessDeadLetterEmail()', () => {
+    it('should re-run with the callback given to startListeningEmails', () => {
+      const callback = jest.fn();
+      imapClient.startListeningEmails(callback);
+
+      imapClient.reprocessDeadLetterEmail(7, { dispatch: false });
+
+      expect(mockReprocessDeadLetter).toHaveBeenCalledWith(7, callback, { dispatch: false });
+    });
+  });
+
   describe('getIMAPHealthStatus()', () => {
     it('should return a health snapshot object', () => {
       const snapshot = imapClient.getIMAPHealthStatus();
@@ -196,4 +217,127 @@ describe('IMAP/imapClient.js', () => {
       expect(monitor.getHealthSnapshot).toBeDefined();
     });
   });
+  const connectWith = async (env, setup = () => {}) => {
+    Object.assign(process.env, env);
+    jest.resetModules();
+    setup();
+    imapClient = require('../../IMAP/imapClient');
+    imapClient.startListeningEmails(jest.fn());
+    await jest.advanceTimersByTimeAsync(0);
+    return require('imapflow').ImapFlow;
+  };
+
+  describe('server settings and authentication', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    it('should take host, port and TLS settings from config', async () => {
+      const ImapFlow = await connectWith({
+        IMAP_HOST: 'outlook.office365.com',
+        IMAP_PORT: '1993',
+        IMAP_TLS_REJECT_UNAUTHORIZED: 'false',
+      });
+
+      expect(ImapFlow).toHaveBeenCalledWith(expect.objectContaining({
+        host: 'outlook.office365.com',
+        port: 1993,
+        secure: true,
+        tls: { rejectUnauthorized: false },
+        auth: { user: 'test@example.com', pass: 'testpass' },
+      }));
+      expect(imapClient.getConnectionStats().accounts[0].server).toEqual({ host: 'outlook.office365.com', port: 1993, secure: true });
+    });
+
+    it('should log in with an XOAUTH2 access token in oauth2 mode', async () => {
+      const ImapFlow = await connectWith(
+        { IMAP_AUTH: 'oauth2', IMAP_OAUTH_CLIENT_ID: 'client', IMAP_OAUTH_REFRESH_TOKEN: 'refresh' },
+        () => require('axios').post.mockResolvedValue({ data: { access_token: 'access-1', expires_in: 3600 } })
+      );
+
+      expect(ImapFlow).toHaveBeenCalledWith(expect.objectContaining({
+        auth: { user: 'test@example.com', accessToken: 'access-1' },
+      }));
+      expect(imapClient.getConnectionStats().accounts[0].auth).toMatchObject({ method: 'oauth2', provider: 'google', hasToken: true });
+    });
+
+    it('should connect every mailbox of every account with its own credentials', async () => {
+      const ImapFlow = await connectWith({ TEAM_B_PASS: 'b-secret' }, () => {
+        require('../../IMAP/imapAccounts').imapAccounts.setAccounts([
+          { id: 'default', user: 'a@example.com', pass: 'a-secret', mailboxes: ['INBOX', 'Orders'] },
+          { id: 'team-b', host: 'outlook.office365.com', user: 'b@example.com', pass: 'env:TEAM_B_PASS', mailboxes: ['INBOX'] },
+        ]);
+      });
+
+      expect(ImapFlow).toHaveBeenCalledTimes(3);
+      expect(ImapFlow).toHaveBeenCalledWith(expect.objectContaining({
+        host: 'outlook.office365.com',
+        auth: { user: 'b@example.com', pass: 'b-secret' },
+      }));
+      expect(mockMailboxOpen).toHaveBeenCalledWith('INBOX');
+      expect(mockInitLastSeenUid).toHaveBeenCalledWith(expect.anything(), 'INBOX', 'team-b');
+      expect(imapClient.getConnectionStats().mailboxes).toEqual(['INBOX', 'Orders', 'team-b:INBOX']);
+    });
+
+    it('should report rejected logins to the health monitor', async () => {
+      mockConnect.mockRejectedValueOnce(Object.assign(new Error('Invalid credentials'), { authenticationFailed: true }));
+      await connectWith({});
+
+      const monitor = imapClient.getIMAPHealthMonitor();
+      expect(monitor.recordAuthFailure).toHaveBeenCalledWith('Symfonie/Order', expect.any(Error));
+      expect(monitor.recordAuthSuccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconciliation sweep', () => {
+    const { IMAP_SWEEP } = require('../../Config/constants');
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    it('should sweep each connected mailbox on a timer and report recovered emails', async () => {
+      mockSweepMailbox.mockResolvedValue(2);
+      await connectWith({});
+
+      expect(mockSweepMailbox).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(IMAP_SWEEP.INTERVAL);
+
+      expect(mockSweepMailbox).toHaveBeenCalledWith(expect.anything(), 'Symfonie/Order', expect.any(Function), 'default');
+      expect(imapClient.getIMAPHealthMonitor().recordSweep).toHaveBeenCalledWith('Symfonie/Order', 2, 'scheduled');
+      expect(imapClient.getConnectionStats().totalRecovered).toBe(2);
+    });
+
+    it('should not sweep while paused, and sweep once on resume', async () => {
+      mockSweepMailbox.mockResolvedValue(1);
+      await connectWith({});
+
+      imapClient.pauseImap();
+      await jest.advanceTimersByTimeAsync(IMAP_SWEEP.INTERVAL);
+      expect(mockSweepMailbox).not.toHaveBeenCalled();
+
+      await expect(imapClient.resumeImap()).resolves.toBe(1);
+      expect(imapClient.getIMAPHealthMonitor().recordSweep).toHaveBeenCalledWith('Symfonie/Order', 1, 'resume');
+    });
+
+    it('should stop sweeping a mailbox whose connection closed', async () => {
+      await connectWith({});
+      const onClose = mockOn.mock.calls.find(([event]) => event === 'close')[1];
+
+      onClose();
+      await jest.advanceTimersByTimeAsync(IMAP_SWEEP.INTERVAL);
+
+      expect(mockSweepMailbox).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,142 @@
+/**
+ * Tests for IMAP/mailboxActions.js
+ * Covers: waiting for every task of an email, labels vs. IMAP keywords,
+ * per-outcome names and folders, dry run, disconnected mailboxes and
+ * the 'task:outcome' event wiring.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { SystemEventBus } = require('../../Core/eventBus');
+const { MailboxActions } = require('../../IMAP/mailboxActions');
+const { logFail } = require('../../Logs/logger');
+
+const ref = { account: 'default', mailbox: 'Symfonie/Order', uid: 42 };
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('IMAP/mailboxActions.js', () => {
+  let client;
+  let lock;
+  let settings;
+
+  const create = (options = {}) => {
+    const actions = new MailboxActions({ getAccount: () => ({ mailboxActions: settings }), dryRun: false, ...options });
+    actions.setClientResolver(() => client);
+    return actions;
+  };
+
+  beforeEach(() => {
+    lock = { release: jest.fn() };
+    client = {
+      getMailboxLock: jest.fn().mockResolvedValue(lock),
+      messageFlagsAdd: jest.fn().mockResolvedValue(true),
+      messageMove: jest.fn().mockResolvedValue({}),
+    };
+    settings = { mode: 'label', names: {}, moveTo: null };
+  });
+
+  it('should label the email once every expected task has reported', async () => {
+    const actions = create();
+    actions.expect(ref, 2);
+
+    actions.record(ref, 'accepted');
+    await flush();
+    expect(client.messageFlagsAdd).not.toHaveBeenCalled();
+
+    actions.record({ ...ref }, 'missed');
+    await flush();
+
+    expect(client.getMailboxLock).toHaveBeenCalledWith('Symfonie/Order');
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith('42', ['RWS/Accepted', 'RWS/Missed'], { uid: true, useLabels: true });
+    expect(lock.release).toHaveBeenCalled();
+    expect(actions.getStatus()).toMatchObject({ applied: 1, pending: 0 });
+  });
+
+  it('should act on an outcome for an email it was never told about', async () => {
+    const actions = create();
+
+    actions.record(ref, 'declined');
+    await flush();
+
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith('42', ['RWS/Declined'], expect.anything());
+  });
+
+  it('should set IMAP keywords in flag mode and move to the outcome folder', async () => {
+    settings = { mode: 'flag', names: { accepted: 'Accepted' }, moveTo: { accepted: 'Archive/Accepted' } };
+    const actions = create();
+
+    const entry = await actions.apply(ref, ['accepted']);
+
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith('42', ['Accepted'], { uid: true, useLabels: false });
+    expect(client.messageMove).toHaveBeenCalledWith('42', 'Archive/Accepted', { uid: true });
+    expect(entry).toMatchObject({ uid: 42, outcomes: ['accepted'], names: ['Accepted'], moveTo: 'Archive/Accepted', error: null });
+  });
+
+  it('should only move in mode none, and do nothing without a folder', async () => {
+    settings = { mode: 'none', names: {}, moveTo: 'Processed' };
+    const actions = create();
+
+    await actions.apply(ref, ['parse_error']);
+    expect(client.messageFlagsAdd).not.toHaveBeenCalled();
+    expect(client.messageMove).toHaveBeenCalledWith('42', 'Processed', { uid: true });
+
+    settings = { mode: 'none', names: {}, moveTo: { accepted: 'Archive' } };
+    expect(await actions.apply(ref, ['declined'])).toBeNull();
+  });
+
+  it('should only log in dry run', async () => {
+    const actions = create({ dryRun: true });
+
+    const entry = await actions.apply(ref, ['accepted']);
+
+    expect(entry).toMatchObject({ dryRun: true, names: ['RWS/Accepted'] });
+    expect(client.getMailboxLock).not.toHaveBeenCalled();
+    expect(actions.getStatus()).toMatchObject({ skipped: 1, applied: 0 });
+  });
+
+  it('should record failures without throwing', async () => {
+    const actions = create();
+    client.messageMove.mockRejectedValue(new Error('NO [TRYCREATE] Mailbox does not exist'));
+    settings.moveTo = 'Missing';
+
+    const entry = await actions.apply(ref, ['accepted']);
+    expect(entry.error).toContain('TRYCREATE');
+    expect(lock.release).toHaveBeenCalled();
+
+    client = null;
+    expect((await actions.apply(ref, ['accepted'])).error).toBe('mailbox not connected');
+    expect(actions.getStatus().failed).toBe(2);
+    expect(logFail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should follow task:outcome events that carry an email', async () => {
+    const bus = new SystemEventBus();
+    const actions = create();
+    actions.attach(bus);
+    actions.attach(bus);
+
+    bus.emitTaskOutcome({ orderId: '1', email: null }, 'accepted');
+    bus.emitTaskOutcome({ orderId: '2', email: ref }, 'on_hold');
+    await flush();
+
+    expect(client.messageFlagsAdd).toHaveBeenCalledTimes(1);
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith('42', ['RWS/OnHold'], expect.anything());
+  });
+
+  it('should forget emails whose tasks never report back', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-26T09:00:00') });
+    try {
+      const actions = create();
+      actions.expect(ref, 2);
+      jest.setSystemTime(new Date('2026-01-27T10:00:00'));
+      actions.expect({ ...ref, uid: 43 }, 1);
+
+      expect(actions.getStatus().pending).toBe(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
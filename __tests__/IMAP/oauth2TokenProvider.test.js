@@ -0,0 +1,124 @@
+/**
+ * Tests for IMAP/oauth2TokenProvider.js
+ * Covers: token caching, shared in-flight refresh, refresh-token rotation,
+ * provider endpoints, failure wrapping, and background refresh before expiry.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+}));
+
+const { OAuth2TokenProvider } = require('../../IMAP/oauth2TokenProvider');
+const { IMAPError } = require('../../Errors/customErrors');
+
+const SETTINGS = { provider: 'google', clientId: 'client', clientSecret: 'secret', refreshToken: 'refresh-1' };
+
+function tokenResponse(accessToken, extra = {}) {
+  return { data: { access_token: accessToken, expires_in: 3600, ...extra } };
+}
+
+describe('IMAP/oauth2TokenProvider.js', () => {
+  let httpPost, provider;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-26T09:00:00Z'));
+    httpPost = jest.fn().mockResolvedValue(tokenResponse('access-1'));
+    provider = new OAuth2TokenProvider(SETTINGS, { httpPost });
+  });
+
+  afterEach(() => {
+    provider.stop();
+    jest.useRealTimers();
+  });
+
+  it('should require a client id and refresh token', () => {
+    expect(() => new OAuth2TokenProvider({ clientId: 'x' })).toThrow(IMAPError);
+  });
+
+  it('should post a refresh_token grant to the provider endpoint', async () => {
+    await expect(provider.getAccessToken()).resolves.toBe('access-1');
+
+    const [url, body, options] = httpPost.mock.calls[0];
+    expect(url).toBe('https://oauth2.googleapis.com/token');
+    expect(Object.fromEntries(new URLSearchParams(body))).toEqual({
+      grant_type: 'refresh_token', client_id: 'client', client_secret: 'secret', refresh_token: 'refresh-1',
+    });
+    expect(options.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+  });
+
+  it('should use the tenant endpoint and IMAP scope for Microsoft', async () => {
+    const ms = new OAuth2TokenProvider({ provider: 'microsoft', clientId: 'c', refreshToken: 'r', tenantId: 'contoso' }, { httpPost });
+    await ms.getAccessToken();
+    ms.stop();
+
+    const [url, body] = httpPost.mock.calls[0];
+    expect(url).toBe('https://login.microsoftonline.com/contoso/oauth2/v2.0/token');
+    expect(new URLSearchParams(body).get('scope')).toContain('IMAP.AccessAsUser.All');
+  });
+
+  it('should cache the token until shortly before it expires', async () => {
+    await provider.getAccessToken();
+    await provider.getAccessToken();
+    expect(httpPost).toHaveBeenCalledTimes(1);
+
+    provider.stop(); // keep the background timer out of this test
+    jest.setSystemTime(new Date('2026-01-26T09:56:00Z')); // 4 min left < 5 min margin
+    httpPost.mockResolvedValueOnce(tokenResponse('access-2'));
+    await expect(provider.getAccessToken()).resolves.toBe('access-2');
+  });
+
+  it('should share one request between concurrent callers', async () => {
+    const [a, b] = await Promise.all([provider.getAccessToken(), provider.getAccessToken()]);
+    expect(a).toBe(b);
+    expect(httpPost).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep a rotated refresh token', async () => {
+    httpPost.mockResolvedValueOnce(tokenResponse('access-1', { refresh_token: 'refresh-2' }));
+    await provider.refresh();
+    await provider.refresh();
+
+    expect(new URLSearchParams(httpPost.mock.calls[1][1]).get('refresh_token')).toBe('refresh-2');
+  });
+
+  it('should wrap endpoint errors as AUTH_FAILED', async () => {
+    httpPost.mockRejectedValueOnce(Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { error: 'invalid_grant', error_description: 'Token has been revoked' } },
+    }));
+
+    const err = await provider.getAccessToken().catch(e => e);
+    expect(err).toBeInstanceOf(IMAPError);
+    expect(err.code).toBe('AUTH_FAILED');
+    expect(err.details).toEqual({ provider: 'google', status: 400 });
+    expect(provider.getStatus()).toMatchObject({ hasToken: false, lastError: 'Token has been revoked' });
+  });
+
+  it('should refresh in the background before expiry and report failures', async () => {
+    const onError = jest.fn();
+    provider = new OAuth2TokenProvider(SETTINGS, { httpPost, onError });
+    await provider.getAccessToken();
+
+    httpPost.mockResolvedValueOnce(tokenResponse('access-2'));
+    await jest.advanceTimersByTimeAsync(55 * 60 * 1000);
+    expect(provider.accessToken).toBe('access-2');
+
+    httpPost.mockRejectedValueOnce(new Error('network down'));
+    await jest.advanceTimersByTimeAsync(55 * 60 * 1000);
+    expect(onError).toHaveBeenCalledWith(expect.any(IMAPError));
+
+    // Retries after TOKEN_RETRY_DELAY
+    httpPost.mockResolvedValueOnce(tokenResponse('access-3'));
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(provider.accessToken).toBe('access-3');
+  });
+
+  it('should force a refresh after invalidate()', async () => {
+    await provider.getAccessToken();
+    provider.invalidate();
+    httpPost.mockResolvedValueOnce(tokenResponse('access-2'));
+
+    await expect(provider.getAccessToken()).resolves.toBe('access-2');
+  });
+});
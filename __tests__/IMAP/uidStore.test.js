@@ -46,6 +46,11 @@ describe('IMAP/uidStore', () => {
       const result = getUidStorePath('');
       expect(result).toBe(path.join(__dirname, '../../IMAP', 'uidStore_.json'));
     });
+
+    it('should namespace files by account, except the default account', () => {
+      expect(getUidStorePath('INBOX', 'team-b')).toBe(path.join(__dirname, '../../IMAP', 'uidStore_team-b__INBOX.json'));
+      expect(getUidStorePath('INBOX', 'default')).toBe(path.join(__dirname, '../../IMAP', 'uidStore_INBOX.json'));
+    });
   });
 
   describe('loadLastSeenUidFromFile', () => {
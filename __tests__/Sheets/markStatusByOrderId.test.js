@@ -19,6 +19,19 @@ jest.mock('../../Google/auth', () => ({
   auth: 'mock-auth'
 }));
 
+// The circuit breakers stay out of these tests: the safe* wrappers forward
+// straight to the mocked Sheets API in the shape the raw calls use
+jest.mock('../../Sheets/sheetCircuitBreaker', () => {
+  const { google } = require('googleapis');
+  const values = () => google.sheets({ version: 'v4', auth: 'mock-auth' }).spreadsheets.values;
+  return {
+    safeGetSheet: ({ spreadsheetId, range, majorDimension }) =>
+      values().get({ spreadsheetId, range, majorDimension: majorDimension || 'ROWS' }),
+    safeUpdateSheet: ({ spreadsheetId, range, values: rows, valueInputOption }) =>
+      values().update({ spreadsheetId, range, valueInputOption: valueInputOption || 'USER_ENTERED', requestBody: { values: rows } })
+  };
+});
+
 jest.mock('../../Logs/logger', () => ({
   logInfo: jest.fn(),
   logFail: jest.fn(),
@@ -40,7 +53,7 @@ jest.mock('../../Config/configs', () => ({
 
 const { google } = require('googleapis');
 const { logInfo, logFail, logProgress } = require('../../Logs/logger');
-const { markStatusByOrderId, markStatusWithRetry, columnToIndex, MAX_ROWS } = require('../../Sheets/markStatusByOrderId');
+const { markStatusByOrderId, markStatusWithRetry, updateTaskRowByOrderId, columnToIndex, MAX_ROWS } = require('../../Sheets/markStatusByOrderId');
 
 describe('Sheets/markStatusByOrderId.js', () => {
   let mockGet;
@@ -98,6 +111,22 @@ describe('Sheets/markStatusByOrderId.js', () => {
         );
       });
 
+      it('should write to a per-account Tracking sheet', async () => {
+        mockGet.mockResolvedValue({
+          data: {
+            values: [['ORDER001']]
+          }
+        });
+
+        const result = await markStatusByOrderId('ORDER001', 'Done', 'DTP', null, { sheetId: 'team-b-sheet' });
+
+        expect(result).toBe(true);
+        expect(mockGet).toHaveBeenCalledWith(expect.objectContaining({ spreadsheetId: 'team-b-sheet' }));
+        expect(mockUpdate).toHaveBeenCalledWith(
+          expect.objectContaining({ spreadsheetId: 'team-b-sheet', range: 'Tracking!B5' })
+        );
+      });
+
       it('should use default PM name (DTP) when not specified', async () => {
         mockGet.mockResolvedValue({
           data: {
@@ -263,6 +292,49 @@ describe('Sheets/markStatusByOrderId.js', () => {
     });
   });
 
+  describe('updateTaskRowByOrderId', () => {
+    const sheet = { amountWordsColumn: 'G', plannedEndColumn: 'H' };
+
+    it('should write words and deadline to the configured columns of the matching row', async () => {
+      mockGet.mockResolvedValue({
+        data: {
+          values: [
+            ['ORDER001', '', '', '2026-01-24 10:00 AM'],
+            ['ORDER001', '', '', '2026-01-24 11:35 PM']
+          ]
+        }
+      });
+
+      const result = await updateTaskRowByOrderId('ORDER001', '2026-01-24 11:35 PM', { amountWords: 1200, plannedEndDate: '2026-01-28 18:00' }, sheet);
+
+      expect(result).toBe(true);
+      expect(mockUpdate).toHaveBeenCalledTimes(2);
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ range: 'Tracking!G6', requestBody: { values: [[1200]] } }));
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ range: 'Tracking!H6', requestBody: { values: [['2026-01-28 18:00']] } }));
+    });
+
+    it('should skip values whose column is not configured, without reading the sheet when nothing is left', async () => {
+      expect(await updateTaskRowByOrderId('ORDER001', null, { amountWords: 1200, plannedEndDate: '2026-01-28 18:00' })).toBe(true);
+      expect(mockGet).not.toHaveBeenCalled();
+
+      mockGet.mockResolvedValue({ data: { values: [['ORDER001']] } });
+      expect(await updateTaskRowByOrderId('ORDER001', null, { amountWords: 1200, pmName: 'ploy' }, { plannedEndColumn: 'H' })).toBe(true);
+      expect(mockUpdate).toHaveBeenCalledTimes(1);
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ range: 'Tracking!C5', requestBody: { values: [['ploy']] } }));
+    });
+
+    it('should return false when the row is missing or the API fails', async () => {
+      mockGet.mockResolvedValue({ data: { values: [['ORDER002']] } });
+      expect(await updateTaskRowByOrderId('ORDER001', null, { amountWords: 1200 }, sheet)).toBe(false);
+      expect(logProgress).toHaveBeenCalledWith(expect.stringContaining('not found'));
+
+      mockGet.mockRejectedValue(new Error('Quota exceeded'));
+      expect(await updateTaskRowByOrderId('ORDER001', null, { amountWords: 1200 }, sheet)).toBe(false);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Quota exceeded'));
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+  });
+
   describe('markStatusWithRetry', () => {
     it('should return true immediately when first attempt succeeds', async () => {
       mockGet.mockResolvedValue({
@@ -8,12 +8,22 @@
  * 4. Test daily override functionality
  * 5. Test file I/O operations (save/load)
  * 6. Test capacity adjustment and cleanup
+ * 7. Test per-order ledger events (ledger itself is covered in capacityLedger.test.js)
+ * 8. Test two-phase reservations (reserve -> commit / release / timeout)
+ * 9. Test team roster allocation (per-member limits and assignees)
  */
 
 const fs = require('fs');
 const path = require('path');
 const dayjs = require('dayjs');
 
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+  logSuccess: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
 // Mock fs module
 jest.mock('fs');
 
@@ -54,6 +64,51 @@ jest.mock('../../Utils/fileUtils', () => {
   return { loadJSON, saveJSON, saveJSONAtomic, withFileLock, loadJSONWithLock };
 });
 
+// Mock capacity ledger — SQLite cannot load under the mocked fs, so keep events in memory
+jest.mock('../../Task/capacityLedger', () => {
+  const rows = [];
+  const ledger = {
+    rows,
+    reconciled: [],
+    isEmpty: () => rows.length === 0,
+    record: (event, orderId, plan, note = null) => {
+      for (const { date, amount, assignee = null } of plan) {
+        if (!amount) continue;
+        rows.push({ event, orderId, date, amount: event === 'release' ? -Math.abs(amount) : amount, note, assignee });
+      }
+    },
+    getOrderAmount: (orderId, date) => rows
+      .filter(r => r.orderId === orderId && r.date === date)
+      .reduce((sum, r) => sum + r.amount, 0),
+    takeFromOrder: (event, orderId, date, amount, { note = null } = {}) => {
+      const take = Math.min(amount, Math.max(0, ledger.getOrderAmount(orderId, date)));
+      if (take > 0) rows.push({ event, orderId, date, amount: -take, note, assignee: null });
+      return take;
+    },
+    getAssigneeTotals: () => {
+      const totals = {};
+      for (const r of rows.filter(row => row.assignee)) {
+        const day = totals[r.date] = totals[r.date] || {};
+        day[r.assignee] = (day[r.assignee] || 0) + r.amount;
+      }
+      return totals;
+    },
+    getDateBreakdown: (date) => rows.filter(r => r.date === date),
+    reconcile: (targets, note) => { ledger.reconciled.push({ targets, note }); },
+    releaseOpenReservations: () => 0,
+  };
+  return {
+    getCapacityLedger: () => ledger,
+    LEDGER_EVENTS: { RESERVE: 'reserve', COMMIT: 'commit', RELEASE: 'release', ADJUST: 'adjust' },
+  };
+});
+
+// Mock task store — same reason as the ledger; tests set the active tasks directly
+let mockActiveTasks = [];
+jest.mock('../../Task/taskStore', () => ({
+  getTaskStore: () => ({ getActive: () => mockActiveTasks }),
+}));
+
 // Mock isBusinessDay
 jest.mock('../../Task/isBusinessDay', () => (date) => {
   const dayOfWeek = date.day();
@@ -63,18 +118,33 @@ jest.mock('../../Task/isBusinessDay', () => (date) => {
 
 const {
   getAvailableDates,
+  planAllocation,
   applyCapacity,
   releaseCapacity,
   adjustCapacity,
   getReport,
   getRemainingCapacity,
+  getCapacityModel,
+  getDateAllocations,
+  reserveCapacity,
+  refreshReservation,
+  releaseReservation,
+  getReservations,
   resetCapacityMap,
+  syncCapacityWithTasks,
   loadDailyOverride,
   saveDailyOverride,
   loadCapacityMap,
   getCapacityMap,
-  getOverrideMap
+  getOverrideMap,
+  useCapacitySnapshot,
+  clearCapacitySnapshot
 } = require('../../Task/CapacityTracker');
+const { getCapacityLedger } = require('../../Task/capacityLedger');
+const configs = require('../../Config/configs');
+const { logFail, logInfo } = require('../../Logs/logger');
+const { workingHoursManager } = require('../../Task/workingHoursManager');
+const { teamRoster } = require('../../Task/teamRoster');
 
 describe('Task/CapacityTracker.js', () => {
   let mockCapacityData = {};
@@ -685,6 +755,197 @@ describe('Task/CapacityTracker.js', () => {
     });
   });
 
+  describe('planAllocation() - strategies', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T09:00:00') }); // Monday
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should report the strategy auto resolved to', () => {
+      expect(planAllocation(1000, '2026-01-27 18:00').strategy).toBe('frontLoad');
+      expect(planAllocation(1000, '2026-01-30 18:00').strategy).toBe('balanced');
+    });
+
+    it('should use the requested strategy', () => {
+      const result = planAllocation(15000, '2026-01-28 18:00', false, { strategy: 'backLoad' });
+
+      expect(result).toEqual({
+        strategy: 'backLoad',
+        assignee: null,
+        allocationPlan: [
+          { date: '2026-01-27', amount: 3000 },
+          { date: '2026-01-28', amount: 12000 },
+        ],
+      });
+    });
+
+    it('should pass strategy options through', () => {
+      const { allocationPlan } = planAllocation(30000, '2026-01-27 18:00', false, { strategy: 'buffer', bufferPercent: 50 });
+
+      expect(allocationPlan).toEqual([
+        { date: '2026-01-26', amount: 6000 },
+        { date: '2026-01-27', amount: 6000 },
+      ]);
+    });
+
+    it('should fall back to auto for unknown strategies', () => {
+      expect(planAllocation(1000, '2026-01-30 18:00', false, { strategy: 'sideways' }).strategy).toBe('balanced');
+    });
+  });
+
+  it('should default to the flat daily capacity model', () => {
+    expect(getCapacityModel()).toEqual({ model: 'daily', wordsPerHour: null, maxDailyCapacity: 12000, teamSize: 0 });
+  });
+
+  describe('hourly capacity model', () => {
+    beforeEach(() => {
+      configs.capacityModel = 'hourly';
+    });
+
+    afterEach(() => {
+      configs.capacityModel = 'daily';
+      jest.useRealTimers();
+    });
+
+    it('should use words per working hour when opted in', () => {
+      expect(getCapacityModel()).toEqual({ model: 'hourly', wordsPerHour: 1333, maxDailyCapacity: 12000, teamSize: 0 });
+    });
+
+    it('should only count the hours left today', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T15:00:00') }); // Monday, 4h left
+
+      expect(getAvailableDates(8000, '2026-01-26 19:00')).toEqual([{ date: '2026-01-26', amount: 5333 }]);
+      expect(getRemainingCapacity('2026-01-26')).toBe(5333);
+    });
+
+    it('should not exceed what is left of the day total', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T15:00:00') });
+      mockCapacityData = { '2026-01-26': 9000 };
+
+      expect(getRemainingCapacity('2026-01-26')).toBe(3000);
+    });
+
+    it('should only count the hours before the deadline on the deadline day', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T09:00:00') });
+
+      const plan = getAvailableDates(30000, '2026-01-27 12:00', false, { strategy: 'frontLoad' });
+
+      expect(plan).toEqual([
+        { date: '2026-01-26', amount: 12000 },
+        { date: '2026-01-27', amount: 2667 },
+      ]);
+    });
+
+    it('should plan a same-day job only within the hours left before its deadline', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T14:00:00') });
+
+      // 14:00 -> 16:00 is 2 working hours
+      expect(getAvailableDates(3000, '2026-01-26 16:00')).toEqual([{ date: '2026-01-26', amount: 2667 }]);
+    });
+
+    it('should give OT days their share of the hourly capacity', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-30T20:00:00') }); // Friday evening
+      const realHours = workingHoursManager.getWorkingHours.bind(workingHoursManager);
+      jest.spyOn(workingHoursManager, 'getWorkingHours').mockImplementation(date =>
+        date === '2026-01-31' ? { start: 9, end: 13 } : realHours(date));
+
+      const plan = getAvailableDates(20000, '2026-02-02 19:00', true, { strategy: 'frontLoad' });
+
+      expect(plan).toEqual([
+        { date: '2026-01-31', amount: 5333 },
+        { date: '2026-02-02', amount: 12000 },
+      ]);
+    });
+
+    it('should scale a daily override to the hours left', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T14:30:00') }); // half the day left
+      mockOverrideData = { '2026-01-26': 9000 };
+
+      expect(getRemainingCapacity('2026-01-26')).toBe(4500);
+    });
+  });
+
+  describe('team roster', () => {
+    const PLOY = { id: 'ploy', wordsPerHour: 1000 };
+    const NOK = { id: 'nok', wordsPerHour: 500 };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T09:00:00') }); // Monday
+    });
+
+    afterEach(() => {
+      releaseReservation('100');
+      teamRoster.setMembers([]);
+      jest.useRealTimers();
+    });
+
+    it('should size days by the members and keep the task with one member', () => {
+      teamRoster.setMembers([PLOY, NOK]);
+
+      const result = planAllocation(12000, '2026-01-27 19:00', false, { strategy: 'frontLoad' });
+
+      expect(result.assignee).toBe('ploy');
+      expect(result.allocationPlan).toEqual([
+        { date: '2026-01-26', amount: 9000, assignee: 'ploy' },
+        { date: '2026-01-26', amount: 3000, assignee: 'nok' },
+      ]);
+    });
+
+    it('should skip members on leave', () => {
+      teamRoster.setMembers([{ ...PLOY, holidays: { extraHolidays: ['2026-01-26'] } }, NOK]);
+
+      expect(getRemainingCapacity('2026-01-26')).toBe(4500);
+      const result = planAllocation(4000, '2026-01-26 19:00');
+      expect(result).toMatchObject({ assignee: 'nok', allocationPlan: [{ date: '2026-01-26', amount: 4000, assignee: 'nok' }] });
+    });
+
+    it('should plan around words already held by a member', () => {
+      teamRoster.setMembers([PLOY, NOK]);
+      reserveCapacity([{ date: '2026-01-26', amount: 8000, assignee: 'ploy' }], '100');
+
+      const result = planAllocation(2000, '2026-01-26 19:00');
+
+      expect(result.assignee).toBe('nok');
+      expect(result.allocationPlan).toEqual([
+        { date: '2026-01-26', amount: 2000, assignee: 'nok' },
+      ]);
+    });
+
+    it('should plan a capacity pool on its own members and bookings only', () => {
+      teamRoster.setMembers([PLOY, NOK]);
+      reserveCapacity([{ date: '2026-01-26', amount: 8000, assignee: 'ploy' }], '100');
+
+      const result = planAllocation(6000, '2026-01-26 19:00', false, { members: ['nok'] });
+
+      expect(result.assignee).toBe('nok');
+      expect(result.allocationPlan).toEqual([{ date: '2026-01-26', amount: 4500, assignee: 'nok' }]);
+    });
+
+    it('should plan nothing for a pool without roster members', () => {
+      teamRoster.setMembers([PLOY]);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(planAllocation(1000, '2026-01-26 19:00', false, { members: ['ghost'] }).allocationPlan).toEqual([]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('has no roster members'));
+    });
+
+    it('should keep assignees on reservations and release them per member', async () => {
+      teamRoster.setMembers([PLOY]);
+      const ledger = getCapacityLedger();
+      const plan = [{ date: '2026-01-26', amount: 1000, assignee: 'ploy' }];
+
+      expect(reserveCapacity(plan, '100').plan).toEqual(plan);
+      await applyCapacity(plan, '100');
+      expect(ledger.getAssigneeTotals()['2026-01-26'].ploy).toBeGreaterThan(0);
+
+      await releaseCapacity(plan, '100');
+      expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(0);
+    });
+  });
+
   describe('applyCapacity()', () => {
     it('should apply allocation plan to capacity map', async () => {
       loadCapacityMap(); // Load empty capacityMap first
@@ -900,6 +1161,342 @@ describe('Task/CapacityTracker.js', () => {
     });
   });
 
+  describe('capacity ledger', () => {
+    const ledger = getCapacityLedger();
+
+    beforeEach(() => {
+      ledger.rows.length = 0;
+      ledger.reconciled.length = 0;
+      // Non-empty ledger: skip the one-time capacity.json import
+      ledger.record('adjust', null, [{ date: '2000-01-01', amount: 1 }], 'seed');
+    });
+
+    const eventsFor = (date) => ledger.rows
+      .filter(r => r.date === date)
+      .map(({ event, orderId, amount }) => ({ event, orderId, amount }));
+
+    it('should record a commit per date for the order on applyCapacity', async () => {
+      await applyCapacity([{ date: '2026-01-26', amount: 5000 }], '100');
+
+      expect(eventsFor('2026-01-26')).toEqual([{ event: 'commit', orderId: '100', amount: 5000 }]);
+      expect(mockCapacityData['2026-01-26']).toBe(5000);
+    });
+
+    it('should release from the order first and the rest from unattributed words', async () => {
+      mockCapacityData = { '2026-01-26': 5000 };
+      ledger.record('adjust', null, [{ date: '2026-01-26', amount: 4000 }]);
+      ledger.record('commit', '100', [{ date: '2026-01-26', amount: 1000 }]);
+
+      await releaseCapacity([{ date: '2026-01-26', amount: 3000 }], '100');
+
+      expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(0);
+      expect(ledger.getOrderAmount(null, '2026-01-26')).toBe(2000);
+      expect(mockCapacityData['2026-01-26']).toBe(2000);
+    });
+
+    it('should limit an order-targeted decrease to what the order holds', async () => {
+      mockCapacityData = { '2026-01-26': 6000 };
+      ledger.record('adjust', null, [{ date: '2026-01-26', amount: 5000 }]);
+      ledger.record('commit', '100', [{ date: '2026-01-26', amount: 1000 }]);
+
+      await adjustCapacity({ date: '2026-01-26', amount: -3000, orderId: '100' });
+
+      expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(0);
+      expect(mockCapacityData['2026-01-26']).toBe(5000);
+    });
+
+    it('should record the clamped delta for unattributed adjustments', async () => {
+      mockCapacityData = { '2026-01-26': 500 };
+
+      await adjustCapacity({ date: '2026-01-26', amount: -2000 });
+
+      expect(eventsFor('2026-01-26')).toEqual([{ event: 'adjust', orderId: null, amount: -500 }]);
+    });
+
+    it('should reconcile the ledger with the active tasks on sync', async () => {
+      mockActiveTasks = [{ orderId: '100', allocationPlan: [{ date: '2026-01-26', amount: 700 }] }];
+
+      try {
+        await syncCapacityWithTasks();
+      } finally {
+        mockActiveTasks = [];
+      }
+
+      expect(ledger.reconciled).toEqual([
+        { targets: [{ orderId: '100', date: '2026-01-26', amount: 700 }], note: 'sync' },
+      ]);
+    });
+
+    it('should clear ledger allocations on reset', async () => {
+      await resetCapacityMap();
+      expect(ledger.reconciled).toEqual([{ targets: [], note: 'reset' }]);
+    });
+
+    it('should not touch the ledger in snapshot mode', async () => {
+      useCapacitySnapshot({});
+      try {
+        expect(getDateAllocations('2000-01-01')).toEqual([]);
+      } finally {
+        clearCapacitySnapshot();
+      }
+      expect(getDateAllocations('2000-01-01')).toHaveLength(1);
+    });
+
+    it('should report ledger write failures, notifying once per failure streak', async () => {
+      const record = jest.spyOn(ledger, 'record').mockImplementation(() => { throw new Error('disk I/O error'); });
+
+      await applyCapacity([{ date: '2026-01-26', amount: 500 }], '100');
+      await applyCapacity([{ date: '2026-01-27', amount: 500 }], '101');
+
+      expect(mockCapacityData).toEqual({ '2026-01-26': 500, '2026-01-27': 500 });
+      expect(logFail).toHaveBeenCalledTimes(2);
+      expect(logFail).toHaveBeenNthCalledWith(1, expect.stringContaining('disk I/O error'), true);
+      expect(logFail).toHaveBeenNthCalledWith(2, expect.stringContaining('disk I/O error'), false);
+
+      record.mockRestore();
+      await applyCapacity([{ date: '2026-01-28', amount: 500 }], '102');
+      expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('writable again'));
+      expect(eventsFor('2026-01-28')).toEqual([{ event: 'commit', orderId: '102', amount: 500 }]);
+    });
+
+    it('should never open the production ledger in shadow mode', async () => {
+      process.env.SHADOW_MODE = 'true';
+      try {
+        let shadow, openLedger;
+        jest.isolateModules(() => {
+          openLedger = jest.spyOn(require('../../Task/capacityLedger'), 'getCapacityLedger');
+          shadow = require('../../Task/CapacityTracker');
+        });
+
+        shadow.reserveCapacity([{ date: '2026-01-26', amount: 1000 }], 'S1');
+        shadow.releaseReservation('S1', 'failed');
+        await shadow.applyCapacity([{ date: '2026-01-26', amount: 1000 }], 'S2');
+
+        expect(shadow.getDateAllocations('2026-01-26')).toEqual([]);
+        expect(shadow.getAssigneeUsage()).toEqual({});
+        expect(openLedger).not.toHaveBeenCalled();
+      } finally {
+        delete process.env.SHADOW_MODE;
+      }
+    });
+  });
+
+  describe('reservations', () => {
+    const ledger = getCapacityLedger();
+    const plan = [{ date: '2026-01-26', amount: 4000 }];
+
+    beforeEach(() => {
+      ledger.rows.length = 0;
+      ledger.record('adjust', null, [{ date: '2000-01-01', amount: 1 }], 'seed');
+    });
+
+    afterEach(() => {
+      getReservations().forEach(r => releaseReservation(r.orderId));
+    });
+
+    it('should count reserved words as used without writing capacity.json', () => {
+      mockCapacityData = { '2026-01-26': 2000 };
+
+      reserveCapacity(plan, '100');
+
+      expect(getRemainingCapacity('2026-01-26')).toBe(6000); // 12000 - 2000 - 4000
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(4000);
+    });
+
+    it('should plan around reservations in getAvailableDates', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-26 09:00:00')); // Monday
+      try {
+        reserveCapacity([{ date: '2026-01-26', amount: 10000 }], '100');
+        expect(getAvailableDates(5000, '2026-01-26 18:00')).toEqual([{ date: '2026-01-26', amount: 2000 }]);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should convert the reservation on applyCapacity so words count once', async () => {
+      reserveCapacity(plan, '100');
+
+      await applyCapacity(plan, '100');
+
+      expect(getReservations()).toEqual([]);
+      expect(mockCapacityData['2026-01-26']).toBe(4000);
+      expect(getRemainingCapacity('2026-01-26')).toBe(8000);
+      expect(ledger.rows.filter(r => r.orderId === '100').map(r => [r.event, r.amount, r.note]))
+        .toEqual([['reserve', 4000, null], ['release', -4000, 'commit'], ['commit', 4000, null]]);
+    });
+
+    it('should release the hold on releaseReservation', () => {
+      reserveCapacity(plan, '100');
+
+      expect(releaseReservation('100', 'failed')).toBe(true);
+      expect(releaseReservation('100', 'failed')).toBe(false);
+      expect(getRemainingCapacity('2026-01-26')).toBe(12000);
+      expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(0);
+    });
+
+    it('should replace an existing hold for the same order', () => {
+      reserveCapacity(plan, '100');
+      reserveCapacity([{ date: '2026-01-26', amount: 1000 }], 100);
+
+      expect(getReservations()).toHaveLength(1);
+      expect(getRemainingCapacity('2026-01-26')).toBe(11000);
+    });
+
+    it('should release automatically after the TTL', () => {
+      jest.useFakeTimers();
+      try {
+        const { expiresAt } = reserveCapacity(plan, '100', { ttlMs: 1000 });
+        expect(expiresAt).toBe(Date.now() + 1000);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(getReservations()).toEqual([]);
+        expect(ledger.rows.at(-1)).toMatchObject({ event: 'release', orderId: '100', note: 'timeout' });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should hold without a TTL until processing starts the TTL', () => {
+      jest.useFakeTimers();
+      try {
+        expect(reserveCapacity(plan, '100', { ttlMs: null }).expiresAt).toBeNull();
+        jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+        expect(getReservations()).toHaveLength(1);
+
+        expect(refreshReservation(plan, '100', { ttlMs: 1000 })).toBe(true);
+        expect(getReservations()[0].expiresAt).toBe(Date.now() + 1000);
+        jest.advanceTimersByTime(1000);
+        expect(getReservations()).toEqual([]);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should restart a running TTL on refresh', () => {
+      jest.useFakeTimers();
+      try {
+        reserveCapacity(plan, '100', { ttlMs: 1000 });
+        jest.advanceTimersByTime(900);
+        refreshReservation(plan, '100', { ttlMs: 1000 });
+        jest.advanceTimersByTime(900);
+
+        expect(getReservations()).toHaveLength(1);
+        expect(ledger.rows.filter(r => r.orderId === '100').map(r => r.event)).toEqual(['reserve']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should take a lost hold again only if the plan still fits', () => {
+      mockCapacityData = { '2026-01-26': 8000 };
+
+      expect(refreshReservation(plan, '100')).toBe(true);
+      expect(getReservations().map(r => r.orderId)).toEqual(['100']);
+
+      expect(refreshReservation(plan, '101')).toBe(false);
+      expect(getReservations().map(r => r.orderId)).toEqual(['100']);
+    });
+
+    it('should report an overbooking when an order is booked without its hold', async () => {
+      mockCapacityData = { '2026-01-26': 10000 };
+
+      const result = await applyCapacity(plan, '100');
+
+      expect(result.overbooked).toEqual([{ date: '2026-01-26', amount: 4000, remaining: 2000 }]);
+      expect(mockCapacityData['2026-01-26']).toBe(14000);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Order 100 was booked without a reservation'), true);
+
+      reserveCapacity(plan, '101');
+      expect((await applyCapacity(plan, '101')).overbooked).toEqual([]);
+    });
+
+    it('should only drop the hold when rolling back an uncommitted order', async () => {
+      mockCapacityData = { '2026-01-26': 4000 };
+      reserveCapacity(plan, '100');
+
+      await releaseCapacity(plan, '100');
+
+      expect(getReservations()).toEqual([]);
+      expect(mockCapacityData['2026-01-26']).toBe(4000);
+    });
+
+    it('should re-plan an order onto its own days, holding the new plan before the old one is released', async () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T09:00:00') }); // Monday
+      try {
+        mockCapacityData = { '2026-01-26': 8000 };
+        reserveCapacity(plan, '100');
+        await applyCapacity(plan, '100'); // day is full: 8000 others + 4000 ours
+
+        expect(planAllocation(4000, '2026-01-26 18:00').allocationPlan).toEqual([]);
+        const { allocationPlan } = planAllocation(4000, '2026-01-26 18:00', false, { replacing: plan });
+        expect(allocationPlan).toEqual(plan);
+
+        reserveCapacity(allocationPlan, '100');
+        await releaseCapacity(plan, '100', { keepReservation: true });
+        expect(getReservations().map(r => r.orderId)).toEqual(['100']);
+        expect(mockCapacityData['2026-01-26']).toBe(8000);
+
+        await applyCapacity(allocationPlan, '100');
+        expect(mockCapacityData['2026-01-26']).toBe(12000);
+        expect(ledger.getOrderAmount('100', '2026-01-26')).toBe(4000);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should keep pending holds when the ledger is reset', async () => {
+      reserveCapacity(plan, '100');
+
+      await resetCapacityMap();
+
+      expect(getRemainingCapacity('2026-01-26')).toBe(8000);
+    });
+  });
+
+  describe('useCapacitySnapshot()', () => {
+    afterEach(() => {
+      clearCapacitySnapshot();
+    });
+
+    it('should read capacity and overrides from the snapshot instead of disk', () => {
+      mockCapacityData = { '2026-01-26': 12000 };
+      const capacity = { '2026-01-26': 1000 };
+      const overrides = { '2026-01-26': 5000 };
+
+      useCapacitySnapshot(capacity, overrides);
+
+      expect(getCapacityMap()).toBe(capacity);
+      expect(getOverrideMap()).toBe(overrides);
+      expect(fs.readFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should see changes made to the snapshot between evaluations', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-26 09:00:00')); // Monday
+
+      const capacity = {};
+      useCapacitySnapshot(capacity);
+      const first = getAvailableDates(12000, '2026-01-26 18:00');
+      expect(first).toEqual([{ date: '2026-01-26', amount: 12000 }]);
+
+      capacity['2026-01-26'] = 12000;
+      expect(getAvailableDates(100, '2026-01-26 18:00')).toEqual([]);
+
+      jest.useRealTimers();
+    });
+
+    it('should go back to disk after clearCapacitySnapshot()', () => {
+      mockCapacityData = { '2026-01-26': 3000 };
+      useCapacitySnapshot({});
+      clearCapacitySnapshot();
+
+      expect(getCapacityMap()).toEqual({ '2026-01-26': 3000 });
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle deadline in the past', () => {
       const requiredWords = 5000;
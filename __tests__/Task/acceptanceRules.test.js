@@ -0,0 +1,299 @@
+/**
+ * Tests for Task/acceptanceRules.js
+ * Covers: rule compilation/validation, each rule type, "when" scopes,
+ * urgent daily cap counting, and hot reload from the rules file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+  logSuccess: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { AcceptanceRuleEngine, RULE_REASONS } = require('../../Task/acceptanceRules');
+const { logFail } = require('../../Logs/logger');
+
+function tempRulesPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+  return path.join(dir, 'acceptanceRules.json');
+}
+
+describe('Task/acceptanceRules.js', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new AcceptanceRuleEngine('/nonexistent/acceptanceRules.json');
+  });
+
+  describe('loading', () => {
+    it('should have no rules when the file is missing', () => {
+      expect(engine.rules).toEqual([]);
+      expect(engine.evaluate({ orderId: '1', amountWords: 10 })).toBeNull();
+    });
+
+    it('should skip unknown rule types and invalid definitions', () => {
+      const count = engine.setRules([
+        { id: 'a', type: 'doesNotExist' },
+        { id: 'b', type: 'wordRange' },
+        { id: 'c', type: 'pmBlacklist', names: [] },
+        { id: 'd', type: 'wordRange', min: 10 },
+      ]);
+
+      expect(count).toBe(1);
+      expect(engine.getRules().map(r => r.id)).toEqual(['d']);
+      expect(logFail).toHaveBeenCalledTimes(3);
+    });
+
+    it('should ignore disabled rules', () => {
+      expect(engine.setRules([{ type: 'wordRange', min: 10, enabled: false }])).toBe(0);
+    });
+
+    it('should generate ids for rules without one', () => {
+      engine.setRules([{ type: 'wordRange', max: 10 }]);
+      expect(engine.getRules()[0].id).toBe('wordRange#0');
+    });
+
+    it('should reload when the rules file changes', () => {
+      const rulesPath = tempRulesPath();
+      fs.writeFileSync(rulesPath, JSON.stringify({ rules: [] }));
+      const fileEngine = new AcceptanceRuleEngine(rulesPath);
+      expect(fileEngine.evaluate({ amountWords: 5 })).toBeNull();
+
+      fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ id: 'min', type: 'wordRange', min: 100 }] }));
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(rulesPath, future, future);
+
+      expect(fileEngine.evaluate({ amountWords: 5 })).toMatchObject({ ruleId: 'min' });
+
+      fs.rmSync(path.dirname(rulesPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('workflowPattern', () => {
+    it('should reject matching workflow names', () => {
+      engine.setRules([{ id: 'no-mtpe', type: 'workflowPattern', pattern: '^TH_MTPE', flags: 'i' }]);
+
+      expect(engine.evaluate({ workflowName: 'th_mtpe_review' })).toEqual({
+        ruleId: 'no-mtpe',
+        code: RULE_REASONS.REJECT_WORKFLOW_PATTERN,
+        message: expect.stringContaining('th_mtpe_review'),
+      });
+      expect(engine.evaluate({ workflowName: 'TH_Translation' })).toBeNull();
+      expect(engine.evaluate({})).toBeNull();
+    });
+  });
+
+  describe('wordRange', () => {
+    beforeEach(() => {
+      engine.setRules([{ id: 'range', type: 'wordRange', min: 50, max: 1000 }]);
+    });
+
+    it('should reject below minimum', () => {
+      expect(engine.evaluate({ amountWords: 49 }).code).toBe(RULE_REASONS.REJECT_WORDS_BELOW_MIN);
+    });
+
+    it('should reject above maximum', () => {
+      expect(engine.evaluate({ amountWords: 1001 }).code).toBe(RULE_REASONS.REJECT_WORDS_ABOVE_MAX);
+    });
+
+    it('should accept inclusive bounds', () => {
+      expect(engine.evaluate({ amountWords: 50 })).toBeNull();
+      expect(engine.evaluate({ amountWords: 1000 })).toBeNull();
+    });
+  });
+
+  describe('pmBlacklist', () => {
+    it('should match PM names case-insensitively', () => {
+      engine.setRules([{ id: 'pm', type: 'pmBlacklist', names: ['Jane Doe'] }]);
+
+      expect(engine.evaluate({ projectManager: ' jane doe ' }).code).toBe(RULE_REASONS.REJECT_PM_BLACKLISTED);
+      expect(engine.evaluate({ projectManager: 'John Roe' })).toBeNull();
+      expect(engine.evaluate({})).toBeNull();
+    });
+  });
+
+  describe('urgentDailyCap', () => {
+    beforeEach(() => {
+      engine.setRules([{ id: 'cap', type: 'urgentDailyCap', max: 2 }]);
+    });
+
+    it('should only count and limit urgent tasks', () => {
+      engine.recordAccepted({ urgent: false });
+      expect(engine.getUrgentCount('cap')).toBe(0);
+
+      engine.recordAccepted({ urgent: true });
+      engine.recordAccepted({ urgent: true });
+      expect(engine.getUrgentCount('cap')).toBe(2);
+
+      expect(engine.evaluate({ urgent: true }).code).toBe(RULE_REASONS.REJECT_URGENT_DAILY_CAP);
+      expect(engine.evaluate({ urgent: false })).toBeNull();
+    });
+
+    it('should reset the count on a new day', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-26 12:00:00'));
+      engine.recordAccepted({ urgent: true });
+      engine.recordAccepted({ urgent: true });
+      expect(engine.evaluate({ urgent: true })).not.toBeNull();
+
+      jest.setSystemTime(new Date('2026-01-27 09:00:00'));
+      expect(engine.evaluate({ urgent: true })).toBeNull();
+      jest.useRealTimers();
+    });
+
+    it('should reject invalid max values', () => {
+      expect(engine.setRules([{ type: 'urgentDailyCap', max: -1 }])).toBe(0);
+    });
+
+    it('should start from the urgent accepts already persisted today', () => {
+      const history = jest.fn(() => [
+        { orderId: '1', receivedDate: 'r1', urgent: true },
+        { orderId: '2', receivedDate: 'r2', urgent: false },
+      ]);
+      engine.setUrgentHistory(history);
+
+      expect(engine.getUrgentCount('cap')).toBe(1);
+      expect(history).toHaveBeenCalledWith(expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/));
+
+      // Already in the history: not counted twice
+      engine.recordAccepted({ orderId: '1', receivedDate: 'r1', urgent: true });
+      expect(engine.getUrgentCount('cap')).toBe(1);
+
+      engine.recordAccepted({ orderId: '3', receivedDate: 'r3', urgent: true });
+      expect(engine.evaluate({ urgent: true }).code).toBe(RULE_REASONS.REJECT_URGENT_DAILY_CAP);
+      expect(history).toHaveBeenCalledTimes(1);
+    });
+
+    it('should recount from the history when the caps change', () => {
+      engine.setUrgentHistory(() => [{ orderId: '1', client: 'ACME', urgent: true }]);
+      expect(engine.getUrgentCount('cap')).toBe(1);
+
+      engine.setRules([{ id: 'other-cap', type: 'urgentDailyCap', max: 2, when: { client: 'Other' } }]);
+      expect(engine.getUrgentCount('other-cap')).toBe(0);
+    });
+
+    it('should count urgent accepts still queued until they finish, fail or are cancelled', () => {
+      engine.recordPending({ orderId: '1', receivedDate: 'r1', urgent: true });
+      engine.recordPending({ orderId: '2', receivedDate: 'r2', urgent: true });
+      engine.recordPending({ orderId: '3', receivedDate: 'r3', urgent: false });
+      expect(engine.getUrgentCount('cap')).toBe(2);
+      expect(engine.evaluate({ urgent: true }).code).toBe(RULE_REASONS.REJECT_URGENT_DAILY_CAP);
+
+      // Accepted: the pending slot becomes a counted accept, not a second one
+      engine.recordAccepted({ orderId: '1', receivedDate: 'r1', urgent: true });
+      expect(engine.getUrgentCount('cap')).toBe(2);
+
+      // Failed or cancelled: the slot is free again
+      engine.releasePending({ orderId: '2', receivedDate: 'r2' });
+      expect(engine.getUrgentCount('cap')).toBe(1);
+      expect(engine.evaluate({ urgent: true })).toBeNull();
+    });
+
+    it('should only hold pending slots on the caps that apply', () => {
+      engine.setRules([{ id: 'acme-cap', type: 'urgentDailyCap', max: 1, when: { client: 'ACME' } }]);
+
+      engine.recordPending({ orderId: '1', client: 'Other', urgent: true });
+      expect(engine.evaluate({ client: 'ACME', urgent: true })).toBeNull();
+
+      engine.recordPending({ orderId: '2', client: 'ACME', urgent: true });
+      expect(engine.evaluate({ client: 'ACME', urgent: true })).not.toBeNull();
+    });
+
+    it('should report a failing history and try it again on the next call', () => {
+      const history = jest.fn()
+        .mockImplementationOnce(() => { throw new Error('database is locked'); })
+        .mockReturnValue([{ orderId: '1', urgent: true }]);
+      engine.setUrgentHistory(history);
+
+      expect(engine.getUrgentCount('cap')).toBe(0);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('database is locked'), true);
+      expect(engine.getUrgentCount('cap')).toBe(1);
+    });
+  });
+
+  describe('when scope', () => {
+    it('should only apply rules to matching clients and workflows', () => {
+      engine.setRules([
+        { id: 'acme-min', type: 'wordRange', min: 500, when: { client: '^ACME', workflow: 'DTP' } },
+      ]);
+
+      expect(engine.evaluate({ client: 'ACME Corp', workflowName: 'TH_DTP', amountWords: 100 }))
+        .toMatchObject({ ruleId: 'acme-min' });
+      expect(engine.evaluate({ client: 'Other', workflowName: 'TH_DTP', amountWords: 100 })).toBeNull();
+      expect(engine.evaluate({ client: 'ACME Corp', workflowName: 'TH_TR', amountWords: 100 })).toBeNull();
+      expect(engine.evaluate({ workflowName: 'TH_DTP', amountWords: 100 })).toBeNull();
+    });
+
+    it('should scope rules to the IMAP account a task came from', () => {
+      engine.setRules([{ id: 'm365-min', type: 'wordRange', min: 1000, when: { account: '^m365$' } }]);
+
+      expect(engine.evaluate({ account: 'm365', amountWords: 500 })).toMatchObject({ ruleId: 'm365-min' });
+      expect(engine.evaluate({ account: 'default', amountWords: 500 })).toBeNull();
+      expect(engine.evaluate({ amountWords: 500 })).toBeNull();
+    });
+
+    it('should scope rules on the task metadata from the email', () => {
+      engine.setRules([{ id: 'th-review', type: 'wordRange', max: 2000, when: { targetLanguage: '^th', taskType: 'review' } }]);
+
+      expect(engine.evaluate({ targetLanguage: 'Thai', taskType: 'Review', amountWords: 5000 })).toMatchObject({ ruleId: 'th-review' });
+      expect(engine.evaluate({ targetLanguage: 'Thai', taskType: 'Translation', amountWords: 5000 })).toBeNull();
+      expect(engine.evaluate({ taskType: 'Review', amountWords: 5000 })).toBeNull();
+    });
+
+    it('should count urgent accepts per scoped cap', () => {
+      engine.setRules([{ id: 'acme-cap', type: 'urgentDailyCap', max: 1, when: { client: 'ACME' } }]);
+
+      engine.recordAccepted({ client: 'Other', urgent: true });
+      expect(engine.getUrgentCount('acme-cap')).toBe(0);
+
+      engine.recordAccepted({ client: 'ACME', urgent: true });
+      expect(engine.evaluate({ client: 'ACME', urgent: true })).not.toBeNull();
+      expect(engine.evaluate({ client: 'Other', urgent: true })).toBeNull();
+    });
+  });
+
+  describe('strategies', () => {
+    it('should select the first matching strategy selector', () => {
+      engine.setStrategies([
+        { id: 'big', strategy: 'buffer', bufferPercent: 30, when: { client: 'Big' } },
+        { id: 'rest', strategy: 'backLoad' },
+      ]);
+
+      expect(engine.selectStrategy({ client: 'BigCo' })).toEqual({ strategy: 'buffer', bufferPercent: 30, selector: 'big' });
+      expect(engine.selectStrategy({ client: 'Other' })).toEqual({ strategy: 'backLoad', bufferPercent: undefined, selector: 'rest' });
+    });
+
+    it('should skip unknown strategies and return null without selectors', () => {
+      expect(engine.setStrategies([{ id: 'x', strategy: 'sideways' }])).toBe(0);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('unknown strategy "sideways"'));
+      expect(engine.selectStrategy({ client: 'Any' })).toBeNull();
+    });
+  });
+
+  it('should return the first matching rule', () => {
+    engine.setRules([
+      { id: 'first', type: 'wordRange', max: 10 },
+      { id: 'second', type: 'workflowPattern', pattern: '.*' },
+    ]);
+    expect(engine.evaluate({ amountWords: 20, workflowName: 'X' }).ruleId).toBe('first');
+  });
+
+  it('should report urgent cap usage in getStatus()', () => {
+    engine.setRules([
+      { id: 'cap', type: 'urgentDailyCap', max: 3 },
+      { id: 'pm', type: 'pmBlacklist', names: ['X'] },
+    ]);
+    engine.recordAccepted({ urgent: true });
+
+    const status = engine.getStatus();
+    expect(status.source).toBe('runtime');
+    expect(status.rules).toHaveLength(2);
+    expect(status.rules[1].nameSet).toBeUndefined();
+    expect(status.urgentCaps).toEqual([{ id: 'cap', max: 3, used: 1 }]);
+  });
+});
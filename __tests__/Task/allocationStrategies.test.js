@@ -0,0 +1,98 @@
+/**
+ * Tests for Task/allocationStrategies.js
+ * Covers: each strategy's distribution, buffer percent, OT-hours scaling, auto resolution
+ */
+
+jest.mock('../../Task/workingHoursManager', () => {
+  const hours = {
+    '2026-01-26': { start: 10, end: 19 },   // Mon: full day
+    '2026-01-27': { start: 10, end: 19 },   // Tue: full day
+    '2026-01-31': { start: 9, end: 13 },    // Sat: 4h OT
+  };
+  return {
+    workingHoursManager: {
+      getWorkingHours: (date) => hours[date] || null,
+      isWorkingDay: (date) => !!hours[date],
+    },
+  };
+});
+
+const {
+  STRATEGIES,
+  resolveStrategyName,
+  listStrategies,
+} = require('../../Task/allocationStrategies');
+
+const DATES = ['2026-01-26', '2026-01-27', '2026-01-28'];
+
+function run(name, { requiredWords, dates = DATES, used = {}, max = 10000, options = {} }) {
+  return STRATEGIES[name].allocate({
+    requiredWords,
+    dates,
+    usedOf: (d) => used[d] || 0,
+    maxOf: () => max,
+    options,
+  });
+}
+
+describe('Task/allocationStrategies.js', () => {
+  it('frontLoad should fill the earliest days first', () => {
+    expect(run('frontLoad', { requiredWords: 15000, used: { '2026-01-26': 2000 } })).toEqual([
+      { date: '2026-01-26', amount: 8000 },
+      { date: '2026-01-27', amount: 7000 },
+    ]);
+  });
+
+  it('balanced should split evenly and top up the emptiest day', () => {
+    expect(run('balanced', { requiredWords: 9000, used: { '2026-01-26': 8000 } })).toEqual([
+      { date: '2026-01-26', amount: 2000 },
+      { date: '2026-01-27', amount: 4000 },
+      { date: '2026-01-28', amount: 3000 },
+    ]);
+  });
+
+  it('backLoad should fill from the deadline backwards', () => {
+    expect(run('backLoad', { requiredWords: 12000 })).toEqual([
+      { date: '2026-01-28', amount: 10000 },
+      { date: '2026-01-27', amount: 2000 },
+    ]);
+  });
+
+  it('buffer should keep a percentage of every day free', () => {
+    const plan = run('buffer', { requiredWords: 30000, options: { bufferPercent: 25 } });
+    expect(plan.map(p => p.amount)).toEqual([7500, 7500, 7500]);
+  });
+
+  it('buffer should clamp out-of-range percentages', () => {
+    const plan = run('buffer', { requiredWords: 30000, options: { bufferPercent: 150 } });
+    expect(plan).toEqual([]);
+  });
+
+  it('otHours should scale each day by its working hours', () => {
+    const plan = run('otHours', { requiredWords: 30000, dates: ['2026-01-26', '2026-01-31'], max: 9000 });
+    // 9h weekday -> 9000, 4h Saturday -> 4/9 of 9000
+    expect(plan).toEqual([
+      { date: '2026-01-26', amount: 9000 },
+      { date: '2026-01-31', amount: 4000 },
+    ]);
+    expect(STRATEGIES.otHours.isWorkingDay('2026-01-31')).toBe(true);
+    expect(STRATEGIES.otHours.isWorkingDay('2026-02-01')).toBe(false);
+  });
+
+  describe('resolveStrategyName()', () => {
+    it('should keep known strategies', () => {
+      expect(resolveStrategyName('backLoad', 1)).toBe('backLoad');
+    });
+
+    it('should resolve auto / unknown by the number of days', () => {
+      expect(resolveStrategyName('auto', 2)).toBe('frontLoad');
+      expect(resolveStrategyName('auto', 3)).toBe('balanced');
+      expect(resolveStrategyName('nope', 5)).toBe('balanced');
+      expect(resolveStrategyName(undefined, 1)).toBe('frontLoad');
+    });
+  });
+
+  it('listStrategies() should describe auto plus every strategy', () => {
+    expect(listStrategies().map(s => s.name)).toEqual(['auto', 'frontLoad', 'balanced', 'backLoad', 'buffer', 'otHours']);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for Task/capacityLedger.js
+ * Covers: event recording, derived daily totals, per-order breakdown, release, stale reservations, reconcile
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Mock logger to avoid console noise
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { CapacityLedger, LEDGER_EVENTS } = require('../../Task/capacityLedger');
+
+describe('CapacityLedger', () => {
+  let ledger;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capacity-ledger-'));
+    ledger = new CapacityLedger({ dbPath: path.join(tempDir, 'nested', 'ledger.db') });
+  });
+
+  afterEach(() => {
+    ledger.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('record()', () => {
+    it('should append one row per plan entry and derive daily totals', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [
+        { date: '2026-01-27', amount: 3000 },
+        { date: '2026-01-28', amount: 2000 },
+      ]);
+      ledger.record(LEDGER_EVENTS.COMMIT, '200', [{ date: '2026-01-27', amount: 1000 }]);
+
+      expect(ledger.getDailyTotals()).toEqual({ '2026-01-27': 4000, '2026-01-28': 2000 });
+      expect(ledger.getHistory()).toHaveLength(3);
+    });
+
+    it('should store releases as negative amounts and skip zero entries', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 3000 }]);
+      const written = ledger.record(LEDGER_EVENTS.RELEASE, '100', [
+        { date: '2026-01-27', amount: 1000 },
+        { date: '2026-01-28', amount: 0 },
+      ]);
+
+      expect(written).toBe(1);
+      expect(ledger.getHistory({ limit: 1 })[0]).toMatchObject({ event: 'release', amount: -1000 });
+      expect(ledger.getOrderAmount('100', '2026-01-27')).toBe(2000);
+    });
+
+    it('should keep the sign of adjust amounts', () => {
+      ledger.record(LEDGER_EVENTS.ADJUST, null, [{ date: '2026-01-27', amount: 500 }]);
+      ledger.record(LEDGER_EVENTS.ADJUST, null, [{ date: '2026-01-27', amount: -200 }]);
+
+      expect(ledger.getOrderAmount(null, '2026-01-27')).toBe(300);
+    });
+
+    it('should reject unknown events', () => {
+      expect(() => ledger.record('borrow', '1', [{ date: '2026-01-27', amount: 1 }]))
+        .toThrow('Unknown ledger event');
+    });
+  });
+
+  describe('getDateBreakdown()', () => {
+    it('should list orders on a date, largest first, with status', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000 }]);
+      ledger.record(LEDGER_EVENTS.RESERVE, '200', [{ date: '2026-01-27', amount: 2500 }]);
+      ledger.record(LEDGER_EVENTS.ADJUST, null, [{ date: '2026-01-27', amount: 400 }]);
+      ledger.record(LEDGER_EVENTS.COMMIT, '300', [{ date: '2026-01-27', amount: 800 }]);
+      ledger.record(LEDGER_EVENTS.RELEASE, '300', [{ date: '2026-01-27', amount: 800 }]);
+
+      const breakdown = ledger.getDateBreakdown('2026-01-27');
+
+      expect(breakdown.map(({ orderId, amount, status }) => ({ orderId, amount, status }))).toEqual([
+        { orderId: '200', amount: 2500, status: 'reserved' },
+        { orderId: '100', amount: 1000, status: 'committed' },
+        { orderId: null, amount: 400, status: 'manual' },
+      ]);
+    });
+  });
+
+  describe('strategy', () => {
+    it('should keep the strategy of the latest allocation per order and date', () => {
+      ledger.record(LEDGER_EVENTS.RESERVE, '100', [{ date: '2026-01-27', amount: 1000 }], null, 'backLoad');
+      ledger.record(LEDGER_EVENTS.RELEASE, '100', [{ date: '2026-01-27', amount: 1000 }], 'commit');
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000 }], null, 'buffer');
+
+      expect(ledger.getDateBreakdown('2026-01-27')[0]).toMatchObject({ orderId: '100', strategy: 'buffer' });
+      expect(ledger.getHistory({ limit: 2 }).map(row => row.strategy)).toEqual(['buffer', null]);
+    });
+
+    it('should add the column to ledgers created before strategies existed', () => {
+      const Database = require('better-sqlite3');
+      const dbPath = path.join(tempDir, 'old.db');
+      const old = new Database(dbPath);
+      old.exec(`CREATE TABLE allocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, order_id TEXT, date TEXT NOT NULL,
+        event TEXT NOT NULL, amount INTEGER NOT NULL, note TEXT, created_at TEXT NOT NULL)`);
+      old.prepare(`INSERT INTO allocations (order_id, date, event, amount, created_at)
+        VALUES ('100', '2026-01-27', 'commit', 700, datetime('now'))`).run();
+      old.close();
+
+      const migrated = new CapacityLedger({ dbPath });
+      try {
+        expect(migrated.getDateBreakdown('2026-01-27')[0]).toMatchObject({ amount: 700, strategy: null });
+      } finally {
+        migrated.close();
+      }
+    });
+  });
+
+  describe('assignee', () => {
+    it('should keep allocations per assignee and total them per member', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [
+        { date: '2026-01-27', amount: 3000, assignee: 'ploy' },
+        { date: '2026-01-27', amount: 1000, assignee: 'nok' },
+      ]);
+      ledger.record(LEDGER_EVENTS.COMMIT, '200', [{ date: '2026-01-27', amount: 500, assignee: 'ploy' }]);
+      ledger.record(LEDGER_EVENTS.ADJUST, null, [{ date: '2026-01-27', amount: 200 }]);
+
+      expect(ledger.getAssigneeTotals()).toEqual({ '2026-01-27': { ploy: 3500, nok: 1000 } });
+      expect(ledger.getOrderAllocations('100').map(a => a.assignee).sort()).toEqual(['nok', 'ploy']);
+      expect(ledger.getOrderAmount('100', '2026-01-27')).toBe(4000);
+    });
+
+    it('should take words from an order, preferred assignee first', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [
+        { date: '2026-01-27', amount: 1000, assignee: 'ploy' },
+        { date: '2026-01-27', amount: 1000, assignee: 'nok' },
+      ]);
+
+      expect(ledger.takeFromOrder(LEDGER_EVENTS.RELEASE, '100', '2026-01-27', 1500, { assignee: 'nok' })).toBe(1500);
+      expect(ledger.getAssigneeTotals()).toEqual({ '2026-01-27': { ploy: 500 } });
+      expect(ledger.takeFromOrder(LEDGER_EVENTS.ADJUST, '100', '2026-01-27', 900, { note: 'manual' })).toBe(500);
+      expect(ledger.getOrderAmount('100', '2026-01-27')).toBe(0);
+    });
+
+    it('should reconcile per assignee', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000, assignee: 'ploy' }]);
+
+      ledger.reconcile([{ orderId: '100', date: '2026-01-27', amount: 1000, assignee: 'nok' }], 'sync');
+
+      expect(ledger.getAssigneeTotals()).toEqual({ '2026-01-27': { nok: 1000 } });
+      expect(ledger.getDailyTotals()).toEqual({ '2026-01-27': 1000 });
+    });
+  });
+
+  describe('releaseOrder()', () => {
+    it('should release everything an order holds across dates', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [
+        { date: '2026-01-27', amount: 1000 },
+        { date: '2026-01-28', amount: 500 },
+      ]);
+      ledger.record(LEDGER_EVENTS.COMMIT, '200', [{ date: '2026-01-27', amount: 700 }]);
+
+      const released = ledger.releaseOrder('100', 'rollback');
+
+      expect(released).toEqual([
+        { date: '2026-01-27', amount: 1000, assignee: null },
+        { date: '2026-01-28', amount: 500, assignee: null },
+      ]);
+      expect(ledger.getOrderAllocations('100')).toEqual([]);
+      expect(ledger.getDailyTotals()).toEqual({ '2026-01-27': 700 });
+    });
+  });
+
+  describe('releaseOpenReservations()', () => {
+    it('should release holds that were never committed', () => {
+      ledger.record(LEDGER_EVENTS.RESERVE, '100', [{ date: '2026-01-27', amount: 1000 }]);
+      ledger.record(LEDGER_EVENTS.RESERVE, '200', [{ date: '2026-01-27', amount: 500 }]);
+      ledger.record(LEDGER_EVENTS.RELEASE, '200', [{ date: '2026-01-27', amount: 500 }], 'commit');
+      ledger.record(LEDGER_EVENTS.COMMIT, '200', [{ date: '2026-01-27', amount: 500 }]);
+
+      expect(ledger.releaseOpenReservations('expired on restart')).toBe(1);
+      expect(ledger.getDateBreakdown('2026-01-27')).toEqual([
+        expect.objectContaining({ orderId: '200', amount: 500, status: 'committed' }),
+      ]);
+    });
+  });
+
+  describe('reconcile()', () => {
+    it('should append adjust rows that reach the target allocations', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000 }]);
+      ledger.record(LEDGER_EVENTS.ADJUST, null, [{ date: '2026-01-27', amount: 300 }]);
+      ledger.record(LEDGER_EVENTS.COMMIT, '200', [{ date: '2026-01-28', amount: 600 }]);
+
+      const written = ledger.reconcile([
+        { orderId: '100', date: '2026-01-27', amount: 800 },
+        { orderId: 200, date: '2026-01-28', amount: 600 },
+        { orderId: '300', date: '2026-01-29', amount: 250 },
+      ], 'sync');
+
+      // 100 reduced, unattributed cleared, 300 added; 200 untouched
+      expect(written).toBe(3);
+      expect(ledger.getDailyTotals()).toEqual({ '2026-01-27': 800, '2026-01-28': 600, '2026-01-29': 250 });
+      expect(ledger.getHistory({ limit: 3 }).every(row => row.event === 'adjust' && row.note === 'sync')).toBe(true);
+    });
+
+    it('should clear every allocation when given no targets', () => {
+      ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000 }]);
+
+      ledger.reconcile([], 'reset');
+
+      expect(ledger.getDailyTotals()).toEqual({});
+      expect(ledger.isEmpty()).toBe(false); // history is kept
+    });
+  });
+
+  it('should persist events across instances', () => {
+    const dbPath = ledger.config.dbPath;
+    ledger.record(LEDGER_EVENTS.COMMIT, '100', [{ date: '2026-01-27', amount: 1000 }]);
+    ledger.close();
+
+    ledger = new CapacityLedger({ dbPath });
+    expect(ledger.getDailyTotals()).toEqual({ '2026-01-27': 1000 });
+  });
+});
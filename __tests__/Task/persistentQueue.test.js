@@ -316,6 +316,23 @@ describe('PersistentTaskQueue', () => {
     });
   });
 
+  describe('recoverAllProcessing', () => {
+    test('should requeue every processing task, however recent', () => {
+      queue.enqueue({ orderId: 'FRESH-1' });
+      queue.enqueue({ orderId: 'DONE-1' });
+      queue.enqueue({ orderId: 'WAITING-1' });
+      const fresh = queue.dequeue();
+      const done = queue.dequeue();
+      queue.markCompleted(done.id);
+
+      expect(queue.recoverAllProcessing()).toBe(1);
+
+      expect(queue.getById(fresh.id).status).toBe('pending');
+      expect(queue.getById(done.id).status).toBe('completed');
+      expect(queue.getByStatus('pending')).toHaveLength(2);
+    });
+  });
+
   describe('cleanup', () => {
     test('should delete old completed/failed tasks', () => {
       const { id: id1 } = queue.enqueue({ orderId: 'OLD-1' });
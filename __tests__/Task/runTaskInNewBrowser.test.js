@@ -5,8 +5,13 @@
 
 // Mock dependencies
 jest.mock('../../BrowserPool/browserPool');
+jest.mock('../../BrowserPool/healthMonitor');
 jest.mock('../../Exec/execAccept');
 jest.mock('../../Utils/taskTimeout', () => jest.fn((fn) => fn()));
+jest.mock('../../Features/failureForensics', () => ({
+  ForensicsRecorder: jest.fn(),
+  getFailureForensics: jest.fn(),
+}));
 
 describe('Task/runTaskInNewBrowser.js', () => {
   let runTaskModule;
@@ -84,6 +89,149 @@ describe('Task/runTaskInNewBrowser.js', () => {
     });
   });
 
+  describe('failure forensics', () => {
+    let pool;
+    let recorder;
+    let forensics;
+    let execAccept;
+    let order;
+
+    beforeEach(async () => {
+      order = [];
+      pool = {
+        initialize: jest.fn().mockResolvedValue(),
+        getBrowser: jest.fn().mockResolvedValue({ id: 'browser' }),
+        getPage: jest.fn().mockResolvedValue({ setDefaultTimeout: jest.fn(), setDefaultNavigationTimeout: jest.fn() }),
+        releasePage: jest.fn(async () => { order.push('releasePage'); }),
+        releaseBrowser: jest.fn().mockResolvedValue(),
+        closeAll: jest.fn().mockResolvedValue(),
+      };
+      require('../../BrowserPool/browserPool').mockImplementation(() => pool);
+
+      recorder = { finish: jest.fn(), snapshot: jest.fn().mockResolvedValue({}), detach: jest.fn() };
+      forensics = { save: jest.fn(async () => { order.push('save'); }) };
+      const { ForensicsRecorder, getFailureForensics } = require('../../Features/failureForensics');
+      ForensicsRecorder.mockImplementation(() => recorder);
+      getFailureForensics.mockReturnValue(forensics);
+
+      execAccept = require('../../Exec/execAccept');
+      await runTaskModule.initializeBrowserPool(1);
+    });
+
+    afterEach(async () => {
+      await runTaskModule.closeBrowserPool();
+    });
+
+    it('should save a bundle with the automation error before releasing the page', async () => {
+      const error = { step: 'STEP_3', details: { context: 'Source chevron expand' } };
+      execAccept.mockResolvedValue({ success: false, reason: 'STEP 3 failed: not found', error });
+
+      const result = await runTaskModule({ task: { url: 'https://projects.moravia.com/task/123', orderId: '123' } });
+
+      expect(result).toEqual({ success: false, reason: 'STEP 3 failed: not found', url: 'https://projects.moravia.com/task/123' });
+      expect(execAccept).toHaveBeenCalledWith(expect.objectContaining({ trace: recorder }));
+      expect(forensics.save).toHaveBeenCalledWith({
+        orderId: '123', url: 'https://projects.moravia.com/task/123', reason: 'STEP 3 failed: not found', error, recorder
+      });
+      expect(recorder.snapshot).toHaveBeenCalled();
+      expect(order).toEqual(['save', 'releasePage']);
+      expect(recorder.detach).toHaveBeenCalled();
+    });
+
+    it('should capture a timed-out or crashed attempt too', async () => {
+      execAccept.mockRejectedValue(new Error('⏰ Task timeout after 60000 ms'));
+
+      const result = await runTaskModule({ task: { url: 'https://projects.moravia.com/task/123', orderId: '123' } });
+
+      expect(result.reason).toContain('Task timeout');
+      expect(forensics.save).toHaveBeenCalledWith(expect.objectContaining({ reason: result.reason, error: null }));
+    });
+
+    it('should not save anything for a successful attempt, nor fail the task when saving fails', async () => {
+      execAccept.mockResolvedValue({ success: true, reason: 'Licence set successfully.' });
+      expect((await runTaskModule({ task: { url: 'https://x/task/1', orderId: '1' } })).success).toBe(true);
+      expect(forensics.save).not.toHaveBeenCalled();
+
+      execAccept.mockResolvedValue({ success: false, reason: 'LOGIN_EXPIRED' });
+      forensics.save.mockRejectedValue(new Error('ENOSPC'));
+      expect((await runTaskModule({ task: { url: 'https://x/task/1', orderId: '1' } })).reason).toBe('LOGIN_EXPIRED');
+      expect(pool.releasePage).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('shared login session', () => {
+    let pool;
+    let session;
+    let execAccept;
+
+    beforeEach(async () => {
+      pool = {
+        initialize: jest.fn().mockResolvedValue(),
+        getBrowser: jest.fn().mockResolvedValue({ id: 'browser' }),
+        getPage: jest.fn().mockResolvedValue({ setDefaultTimeout: jest.fn(), setDefaultNavigationTimeout: jest.fn() }),
+        releasePage: jest.fn().mockResolvedValue(),
+        releaseBrowser: jest.fn().mockResolvedValue(),
+        closeAll: jest.fn().mockResolvedValue(),
+      };
+      require('../../BrowserPool/browserPool').mockImplementation(() => pool);
+
+      const recorder = { finish: jest.fn(), snapshot: jest.fn().mockResolvedValue({}), detach: jest.fn() };
+      const { ForensicsRecorder, getFailureForensics } = require('../../Features/failureForensics');
+      ForensicsRecorder.mockImplementation(() => recorder);
+      getFailureForensics.mockReturnValue({ save: jest.fn().mockResolvedValue() });
+
+      session = { applyTo: jest.fn(), attachPool: jest.fn(), recover: jest.fn() };
+      execAccept = require('../../Exec/execAccept');
+      await runTaskModule.initializeBrowserPool(2, { session });
+    });
+
+    afterEach(async () => {
+      await runTaskModule.closeBrowserPool();
+    });
+
+    it('should load the session into every browser the pool launches', async () => {
+      const BrowserPool = require('../../BrowserPool/browserPool');
+      const { onBrowserCreated } = BrowserPool.mock.calls[0][0];
+
+      await onBrowserCreated({ id: 'new' });
+
+      expect(session.applyTo).toHaveBeenCalledWith({ id: 'new' });
+      expect(session.attachPool).toHaveBeenCalledWith(pool);
+    });
+
+    it('should retry once with the refreshed session after LOGIN_EXPIRED', async () => {
+      execAccept
+        .mockResolvedValueOnce({ success: false, reason: 'LOGIN_EXPIRED' })
+        .mockResolvedValueOnce({ success: true, reason: 'Licence set successfully.' });
+      session.recover.mockResolvedValue(true);
+
+      const result = await runTaskModule({ task: { url: 'https://x/task/1', orderId: '1' } });
+
+      expect(result.success).toBe(true);
+      expect(session.recover).toHaveBeenCalledWith(expect.any(Number));
+      expect(execAccept).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report LOGIN_EXPIRED when the refresh fails or does not help', async () => {
+      execAccept.mockResolvedValue({ success: false, reason: 'LOGIN_EXPIRED' });
+
+      session.recover.mockResolvedValue(false);
+      expect((await runTaskModule({ task: { url: 'https://x/task/1', orderId: '1' } })).reason).toBe('LOGIN_EXPIRED');
+      expect(execAccept).toHaveBeenCalledTimes(1);
+
+      session.recover.mockResolvedValue(true);
+      expect((await runTaskModule({ task: { url: 'https://x/task/1', orderId: '1' } })).reason).toBe('LOGIN_EXPIRED');
+      expect(execAccept).toHaveBeenCalledTimes(3);
+      expect(session.recover).toHaveBeenCalledTimes(2);
+    });
+
+    it('should detach the session when the pool closes', async () => {
+      await runTaskModule.closeBrowserPool();
+
+      expect(session.attachPool).toHaveBeenLastCalledWith(null);
+    });
+  });
+
   describe('closeBrowserPool()', () => {
     it('should be callable when pool is not initialized', async () => {
       // Should not throw even when pool is null
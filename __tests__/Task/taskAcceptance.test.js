@@ -7,6 +7,8 @@
  * 3. Test evaluateTaskAcceptance for all rejection scenarios
  * 4. Test edge cases (boundary conditions, invalid inputs)
  * 5. Test policy overrides
+ * 6. Test declarative rule engine integration
+ * 7. Run all of the above under several host timezones
  */
 
 const dayjs = require('dayjs');
@@ -16,10 +18,15 @@ const isSameOrBefore = require('dayjs/plugin/isSameOrBefore');
 dayjs.extend(customParseFormat);
 dayjs.extend(isSameOrBefore);
 
-// Mock CapacityTracker before requiring taskAcceptance
-jest.mock('../../Task/CapacityTracker', () => ({
-  getAvailableDates: jest.fn()
-}));
+// Mock CapacityTracker before requiring taskAcceptance.
+// planAllocation delegates to the getAvailableDates mock so tests only stub one function.
+jest.mock('../../Task/CapacityTracker', () => {
+  const getAvailableDates = jest.fn();
+  return {
+    getAvailableDates,
+    planAllocation: (...args) => ({ allocationPlan: getAvailableDates(...args), strategy: 'balanced' })
+  };
+});
 
 const {
   evaluateTaskAcceptance,
@@ -33,10 +40,25 @@ const {
   shouldExcludeToday,
   planCapacity
 } = require('../../Task/taskAcceptance');
+const { AcceptanceRuleEngine } = require('../../Task/acceptanceRules');
 
 const { getAvailableDates } = require('../../Task/CapacityTracker');
 
-describe('Task/taskAcceptance.js', () => {
+// jest.config.js runs the host clock in the business timezone; the suite also runs
+// on a UTC host (cloud VMs) and a negative-offset one. Clocks are set as business
+// instants (+07:00) so every host sees the same business time.
+const HOST_ZONES = ['Asia/Bangkok', 'UTC', 'America/New_York'];
+
+describe.each(HOST_ZONES)('Task/taskAcceptance.js (host TZ %s)', (hostZone) => {
+  const previousZone = process.env.TZ;
+
+  beforeAll(() => {
+    process.env.TZ = hostZone;
+  });
+
+  afterAll(() => {
+    process.env.TZ = previousZone;
+  });
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -280,10 +302,12 @@ describe('Task/taskAcceptance.js', () => {
       expect(getAvailableDates).toHaveBeenCalledWith(
         8000,
         expect.anything(),
-        false
+        false,
+        {}
       );
       expect(result.allocationPlan).toEqual(mockPlan);
       expect(result.totalPlanned).toBe(8000);
+      expect(result.strategy).toBe('balanced');
     });
 
     it('should calculate totalPlanned correctly', () => {
@@ -335,7 +359,7 @@ describe('Task/taskAcceptance.js', () => {
     beforeEach(() => {
       // Mock current time to 2026-01-26 14:00 (Monday)
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 14:00:00'));
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00'));
     });
 
     afterEach(() => {
@@ -387,12 +411,27 @@ describe('Task/taskAcceptance.js', () => {
       expect(result.urgent).toBe(true);
       expect(result.inWorkingHours).toBe(true);
     });
+
+    it('should reject urgent task when the hours left before the deadline cannot cover it', () => {
+      // 14:00 -> 16:00 leaves 2 working hours; the planner fits only part of the job
+      getAvailableDates.mockReturnValue([{ date: '2026-01-26', amount: 2667 }]);
+
+      const result = evaluateTaskAcceptance({
+        orderId: 'URGENT004',
+        amountWords: 4000,
+        plannedEndDate: '2026-01-26 16:00'
+      });
+
+      expect(result.accepted).toBe(false);
+      expect(result.code).toBe(REASONS.REJECT_CAPACITY);
+      expect(result.message).toContain('2.0 working hours left before deadline');
+    });
   });
 
   describe('evaluateTaskAcceptance() - Capacity Checks', () => {
     beforeEach(() => {
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 14:00:00')); // Monday
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00')); // Monday
     });
 
     afterEach(() => {
@@ -471,7 +510,7 @@ describe('Task/taskAcceptance.js', () => {
   describe('evaluateTaskAcceptance() - Normal Acceptance', () => {
     beforeEach(() => {
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 14:00:00')); // Monday
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00')); // Monday
     });
 
     afterEach(() => {
@@ -499,10 +538,59 @@ describe('Task/taskAcceptance.js', () => {
     });
   });
 
+  describe('evaluateTaskAcceptance() - Real planAllocation', () => {
+    let real;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00')); // Monday
+      jest.isolateModules(() => {
+        // The suite mocks planAllocation; this block plans for real
+        jest.unmock('../../Task/CapacityTracker');
+        real = {
+          tracker: require('../../Task/CapacityTracker'),
+          evaluateTaskAcceptance: require('../../Task/taskAcceptance').evaluateTaskAcceptance
+        };
+      });
+      // Plan from an in-memory snapshot: no capacity.json, no ledger
+      real.tracker.useCapacitySnapshot({ '2026-01-27': 10000 }, {});
+    });
+
+    afterEach(() => {
+      real.tracker.clearCapacitySnapshot();
+      jest.useRealTimers();
+    });
+
+    it('should plan the effective deadline it hands over and accept a task that fits', () => {
+      const result = real.evaluateTaskAcceptance({
+        orderId: 'REAL001',
+        amountWords: 8000,
+        plannedEndDate: '2026-01-28 18:00',
+        allocationStrategy: 'balanced'
+      });
+
+      expect(result.accepted).toBe(true);
+      expect(result.code).toBe(REASONS.ACCEPTED_NORMAL);
+      expect(result.totalPlanned).toBe(8000);
+      expect(result.allocationPlan.every(d => d.date >= '2026-01-26' && d.date <= '2026-01-28')).toBe(true);
+    });
+
+    it('should still reject a task the days cannot hold', () => {
+      const result = real.evaluateTaskAcceptance({
+        orderId: 'REAL002',
+        amountWords: 30000,
+        plannedEndDate: '2026-01-27 18:00'
+      });
+
+      expect(result.accepted).toBe(false);
+      expect(result.code).toBe(REASONS.REJECT_CAPACITY);
+    });
+  });
+
   describe('evaluateTaskAcceptance() - Policy Overrides', () => {
     beforeEach(() => {
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 14:00:00')); // Monday
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00')); // Monday
     });
 
     afterEach(() => {
@@ -554,7 +642,7 @@ describe('Task/taskAcceptance.js', () => {
   describe('evaluateTaskAcceptance() - Edge Cases', () => {
     beforeEach(() => {
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 14:00:00')); // Monday
+      jest.setSystemTime(new Date('2026-01-26T14:00:00+07:00')); // Monday
     });
 
     afterEach(() => {
@@ -629,7 +717,7 @@ describe('Task/taskAcceptance.js', () => {
   describe('evaluateTaskAcceptance() - Boundary Hours (exactly 6 hours)', () => {
     beforeEach(() => {
       jest.useFakeTimers();
-      jest.setSystemTime(new Date('2026-01-26 12:00:00')); // Monday
+      jest.setSystemTime(new Date('2026-01-26T12:00:00+07:00')); // Monday
     });
 
     afterEach(() => {
@@ -665,4 +753,126 @@ describe('Task/taskAcceptance.js', () => {
       expect(result.code).toBe(REASONS.ACCEPTED_NORMAL);
     });
   });
+
+  describe('evaluateTaskAcceptance() - Declarative Rules', () => {
+    let ruleEngine;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-26T12:00:00+07:00')); // Monday
+      ruleEngine = new AcceptanceRuleEngine('/nonexistent/acceptanceRules.json');
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should expose rule reason codes in REASONS', () => {
+      expect(REASONS.REJECT_WORKFLOW_PATTERN).toBe('REJECT_WORKFLOW_PATTERN');
+      expect(REASONS.REJECT_WORDS_BELOW_MIN).toBe('REJECT_WORDS_BELOW_MIN');
+      expect(REASONS.REJECT_WORDS_ABOVE_MAX).toBe('REJECT_WORDS_ABOVE_MAX');
+      expect(REASONS.REJECT_URGENT_DAILY_CAP).toBe('REJECT_URGENT_DAILY_CAP');
+      expect(REASONS.REJECT_PM_BLACKLISTED).toBe('REJECT_PM_BLACKLISTED');
+    });
+
+    it('should reject with the rule reason code before planning capacity', () => {
+      ruleEngine.setRules([{ id: 'no-mtpe', type: 'workflowPattern', pattern: 'MTPE', flags: 'i' }]);
+
+      const result = evaluateTaskAcceptance({
+        orderId: 'RULE001',
+        workflowName: 'TH_MTPE_Review',
+        amountWords: 1000,
+        plannedEndDate: '2026-01-28 17:00'
+      }, { ruleEngine });
+
+      expect(result.accepted).toBe(false);
+      expect(result.code).toBe(REASONS.REJECT_WORKFLOW_PATTERN);
+      expect(result.rule).toBe('no-mtpe');
+      expect(result.message).toContain('RULE001');
+      expect(getAvailableDates).not.toHaveBeenCalled();
+    });
+
+    it('should still reject invalid deadlines before rules run', () => {
+      ruleEngine.setRules([{ id: 'min', type: 'wordRange', min: 5000 }]);
+
+      const result = evaluateTaskAcceptance({
+        orderId: 'RULE002',
+        amountWords: 100,
+        plannedEndDate: 'not-a-date'
+      }, { ruleEngine });
+
+      expect(result.code).toBe(REASONS.REJECT_INVALID_DEADLINE);
+    });
+
+    it('should pass the urgent flag to rules', () => {
+      ruleEngine.setRules([{ id: 'cap', type: 'urgentDailyCap', max: 0 }]);
+
+      const result = evaluateTaskAcceptance({
+        orderId: 'RULE003',
+        amountWords: 500,
+        plannedEndDate: '2026-01-26 17:00' // 5 hours away, in working hours
+      }, { ruleEngine });
+
+      expect(result.urgent).toBe(true);
+      expect(result.code).toBe(REASONS.REJECT_URGENT_DAILY_CAP);
+    });
+
+    it('should accept normally when no rule matches', () => {
+      ruleEngine.setRules([{ id: 'no-mtpe', type: 'workflowPattern', pattern: 'MTPE' }]);
+      getAvailableDates.mockReturnValue([{ date: '2026-01-27', amount: 1000 }]);
+
+      const result = evaluateTaskAcceptance({
+        orderId: 'RULE004',
+        workflowName: 'TH_Translation',
+        amountWords: 1000,
+        plannedEndDate: '2026-01-28 17:00'
+      }, { ruleEngine });
+
+      expect(result.accepted).toBe(true);
+      expect(result.code).toBe(REASONS.ACCEPTED_NORMAL);
+    });
+
+    it('should plan with the strategy selected by the rules file', () => {
+      ruleEngine.setStrategies([{ id: 'big', strategy: 'buffer', bufferPercent: 30, when: { client: 'Big' } }]);
+      getAvailableDates.mockReturnValue([{ date: '2026-01-27', amount: 1000 }]);
+
+      evaluateTaskAcceptance({
+        orderId: 'RULE005',
+        client: 'BigCo',
+        amountWords: 1000,
+        plannedEndDate: '2026-01-28 17:00'
+      }, { ruleEngine });
+
+      expect(getAvailableDates).toHaveBeenCalledWith(1000, expect.anything(), expect.any(Boolean),
+        { strategy: 'buffer', bufferPercent: 30, selector: 'big' });
+    });
+
+    it('should prefer an explicit allocationStrategy over the rules file', () => {
+      ruleEngine.setStrategies([{ id: 'all', strategy: 'buffer' }]);
+      getAvailableDates.mockReturnValue([{ date: '2026-01-27', amount: 1000 }]);
+
+      evaluateTaskAcceptance({
+        orderId: 'RULE006',
+        amountWords: 1000,
+        plannedEndDate: '2026-01-28 17:00',
+        allocationStrategy: 'backLoad'
+      }, { ruleEngine });
+
+      expect(getAvailableDates.mock.calls[0][3]).toMatchObject({ strategy: 'backLoad' });
+    });
+
+    it('should plan on the account capacity pool', () => {
+      ruleEngine.setStrategies([{ id: 'm365', strategy: 'backLoad', when: { account: 'm365' } }]);
+      getAvailableDates.mockReturnValue([{ date: '2026-01-27', amount: 1000 }]);
+
+      evaluateTaskAcceptance({
+        orderId: 'RULE007',
+        account: 'm365',
+        amountWords: 1000,
+        plannedEndDate: '2026-01-28 17:00'
+      }, { ruleEngine, capacityPool: ['ploy'] });
+
+      expect(getAvailableDates.mock.calls[0][3]).toEqual({ strategy: 'backLoad', bufferPercent: undefined, selector: 'm365', members: ['ploy'] });
+    });
+  });
 });
@@ -669,6 +669,150 @@ describe('Task/taskQueue.js', () => {
       });
     });
 
+    describe('Crash replay', () => {
+      it('should return 0 when persistence is not enabled', () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        expect(queue.replayPersistedTasks()).toBe(0);
+      });
+
+      it('should reject invalid job handler registration', () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        expect(() => queue.registerJobHandler('', () => {})).toThrow(TypeError);
+        expect(() => queue.registerJobHandler('accept', null)).toThrow(TypeError);
+      });
+
+      it('should rebuild pending tasks from a previous run via their job handler', async () => {
+        const dbPath = tempDbPath();
+
+        // Simulate a previous process that persisted a job and then died
+        const crashed = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+        });
+        const { id } = crashed.persistent.enqueue({ type: 'accept', orderId: 'R-1', url: 'http://test.com' });
+        crashed.closePersistence();
+
+        const results = [];
+        const queue = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+          onSuccess: (r) => results.push(r),
+        });
+        const factory = jest.fn((job) => async () => ({ orderId: job.orderId, replayed: true }));
+        queue.registerJobHandler('accept', factory);
+
+        expect(queue.replayPersistedTasks()).toBe(1);
+
+        await new Promise(r => setTimeout(r, 200));
+
+        expect(factory).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'R-1', url: 'http://test.com' }));
+        expect(results).toEqual([{ orderId: 'R-1', replayed: true }]);
+        expect(queue.persistent.getById(id).status).toBe('completed');
+        expect(queue.getPersistentStatus().total).toBe(1); // no duplicate row
+
+        queue.closePersistence();
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      });
+
+      it('should replay jobs a quick restart left in processing (younger than STALE_TIMEOUT)', async () => {
+        const dbPath = tempDbPath();
+
+        // Previous process picked the job up, then exited seconds later (e.g. LOGIN_EXPIRED restart)
+        const crashed = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+        });
+        const { id } = crashed.persistent.enqueue({ type: 'accept', orderId: 'R-4', url: 'http://test.com' });
+        crashed.persistent.dequeue();
+        crashed.closePersistence();
+
+        const results = [];
+        const queue = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, staleTimeout: 10 * 60 * 1000 },
+          onSuccess: (r) => results.push(r),
+        });
+        queue.registerJobHandler('accept', (job) => async () => ({ orderId: job.orderId }));
+
+        expect(queue.replayPersistedTasks()).toBe(1);
+
+        await new Promise(r => setTimeout(r, 200));
+
+        expect(results).toEqual([{ orderId: 'R-4' }]);
+        expect(queue.persistent.getById(id).status).toBe('completed');
+
+        queue.closePersistence();
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      });
+
+      it('should mark rows without a registered handler as failed', () => {
+        const dbPath = tempDbPath();
+        const queue = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+        });
+        const { id } = queue.persistent.enqueue({ type: 'unknown-type', orderId: 'R-2' });
+
+        expect(queue.replayPersistedTasks()).toBe(0);
+
+        const row = queue.persistent.getById(id);
+        expect(row.status).toBe('failed');
+        expect(row.error).toContain('unknown-type');
+
+        queue.closePersistence();
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      });
+
+      it('should mark rows as failed when the job handler throws', () => {
+        const dbPath = tempDbPath();
+        const queue = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+        });
+        queue.registerJobHandler('accept', () => { throw new Error('missing url'); });
+        const { id } = queue.persistent.enqueue({ type: 'accept', orderId: 'R-3' });
+
+        expect(queue.replayPersistedTasks()).toBe(0);
+        expect(queue.persistent.getById(id).error).toContain('missing url');
+
+        queue.closePersistence();
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      });
+
+      it('should re-execute a requeued task when a job handler is registered', async () => {
+        const dbPath = tempDbPath();
+        const results = [];
+        const queue = new TaskQueue({
+          concurrency: 1,
+          enablePersistence: true,
+          persistConfig: { dbPath, recoveryOnBoot: false },
+          onSuccess: (r) => results.push(r),
+        });
+        queue.registerJobHandler('accept', (job) => async () => job.orderId);
+
+        const { id } = queue.persistent.enqueue({ type: 'accept', orderId: 'RQ-3' });
+        queue.persistent.dequeue();
+        queue.persistent.markFailed(id, 'test error');
+
+        const result = queue.requeueTask(id);
+        expect(result).toEqual({ success: true, replayed: true });
+
+        await new Promise(r => setTimeout(r, 200));
+
+        expect(results).toEqual(['RQ-3']);
+        expect(queue.persistent.getById(id).status).toBe('completed');
+
+        queue.closePersistence();
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      });
+    });
+
     describe('closePersistence()', () => {
       it('should close and nullify persistent reference', () => {
         const dbPath = tempDbPath();
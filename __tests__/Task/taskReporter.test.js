@@ -2,7 +2,6 @@
  * Tests for Task/taskReporter.js
  */
 
-jest.mock('fs');
 jest.mock('axios');
 jest.mock('google-spreadsheet');
 jest.mock('../../Logs/logger', () => ({
@@ -12,6 +11,13 @@ jest.mock('../../Logs/logger', () => ({
   logProgress: jest.fn()
 }));
 
+// Real task store, in memory
+let mockStore;
+jest.mock('../../Task/taskStore', () => ({
+  ...jest.requireActual('../../Task/taskStore'),
+  getTaskStore: () => mockStore
+}));
+
 // Mock credentials
 jest.mock('../../credentials.json', () => ({
   client_email: 'test@test.iam.gserviceaccount.com',
@@ -22,10 +28,10 @@ jest.mock('../../credentials.json', () => ({
 process.env.GOOGLE_CHAT_Moravia = 'https://chat.googleapis.com/v1/spaces/test/messages';
 process.env.SHEET_ID_Tracking = 'test-sheet-id';
 
-const fs = require('fs');
 const axios = require('axios');
 const dayjs = require('dayjs');
 const { logSuccess, logFail, logInfo } = require('../../Logs/logger');
+const { TaskStore } = require('../../Task/taskStore');
 
 // Need to require after mocks
 const {
@@ -35,101 +41,56 @@ const {
   sendToGoogleChat,
   removeTaskCapacity,
   loadAndFilterTasks,
-  readStatusMapFromSheet,
-  acceptedTasksPath
+  readStatusMapFromSheet
 } = require('../../Task/taskReporter');
 
 describe('Task/taskReporter.js', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    fs.existsSync.mockReturnValue(false);
-    fs.readFileSync.mockReturnValue('[]');
-    fs.writeFileSync.mockImplementation(() => {});
+    mockStore = new TaskStore({ dbPath: ':memory:' });
   });
 
-  describe('appendAcceptedTask', () => {
-    it('should create new file when none exists', () => {
-      fs.existsSync.mockReturnValue(false);
-
-      const task = { orderId: '12345', workflowName: 'Test Task' };
-      appendAcceptedTask(task);
-
-      expect(fs.writeFileSync).toHaveBeenCalledWith(
-        acceptedTasksPath,
-        expect.stringContaining('12345')
-      );
-    });
-
-    it('should append to existing tasks', () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([{ orderId: '11111' }]));
+  afterEach(() => {
+    mockStore.close();
+  });
 
-      const task = { orderId: '22222', workflowName: 'New Task' };
-      appendAcceptedTask(task);
+  describe('appendAcceptedTask', () => {
+    it('should record the task in the store', () => {
+      const task = { orderId: '12345', workflowName: 'Test Task', receivedDate: '2026-01-26 10:00 AM' };
 
-      const writtenData = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
-      expect(writtenData).toHaveLength(2);
-      expect(writtenData[1].orderId).toBe('22222');
+      expect(appendAcceptedTask(task)).toBe(true);
+      expect(mockStore.getActive()).toEqual([expect.objectContaining(task)]);
     });
 
-    it('should handle corrupted JSON file', () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue('invalid json{{{');
-
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
-
-      const task = { orderId: '33333' };
+    it('should not record the same orderId and receivedDate twice', () => {
+      const task = { orderId: '22222', workflowName: 'New Task', receivedDate: '2026-01-26 10:00 AM' };
       appendAcceptedTask(task);
 
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to parse'),
-        expect.any(Error)
-      );
-
-      // Should still write the new task
-      const writtenData = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
-      expect(writtenData).toHaveLength(1);
-
-      consoleSpy.mockRestore();
+      expect(appendAcceptedTask({ ...task })).toBe(false);
+      expect(mockStore.getActive()).toHaveLength(1);
+      expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('already recorded'));
     });
 
-    it('should handle write errors', () => {
-      fs.existsSync.mockReturnValue(false);
-      fs.writeFileSync.mockImplementation(() => {
-        throw new Error('Write failed');
-      });
-
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
-
-      appendAcceptedTask({ orderId: '44444' });
+    it('should handle store errors', () => {
+      mockStore.close();
 
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to write'),
-        expect.any(Error)
-      );
-
-      consoleSpy.mockRestore();
+      expect(appendAcceptedTask({ orderId: '44444' })).toBe(false);
+      expect(logFail).toHaveBeenCalledWith(expect.stringContaining('Failed to record Order ID 44444'));
     });
   });
 
   describe('removeTaskCapacity', () => {
-    it('should return early when file does not exist', async () => {
-      fs.existsSync.mockReturnValue(false);
-
+    it('should report nothing removed when there are no tasks', async () => {
       const result = await removeTaskCapacity('12345');
 
-      expect(result.ok).toBe(true);
-      expect(result.removed).toBe(false);
-      expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('No acceptedTasks.json'));
+      expect(result).toEqual({ ok: true, removed: false, remaining: 0, totalWords: 0 });
+      expect(logInfo).toHaveBeenCalledWith(expect.stringContaining('not found'));
     });
 
-    it('should remove task and update file', async () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([
-        { orderId: '11111', amountWords: 1000 },
-        { orderId: '22222', amountWords: 2000 },
-        { orderId: '33333', amountWords: 3000 }
-      ]));
+    it('should remove task and report what is left', async () => {
+      appendAcceptedTask({ orderId: '11111', amountWords: 1000 });
+      appendAcceptedTask({ orderId: '22222', amountWords: 2000 });
+      appendAcceptedTask({ orderId: '33333', amountWords: 3000 });
 
       const result = await removeTaskCapacity('22222');
 
@@ -137,15 +98,12 @@ describe('Task/taskReporter.js', () => {
       expect(result.removed).toBe(true);
       expect(result.remaining).toBe(2);
       expect(result.totalWords).toBe(4000); // 1000 + 3000
-      expect(fs.writeFileSync).toHaveBeenCalled();
+      expect(mockStore.getTask('22222').status).toBe('removed');
       expect(logSuccess).toHaveBeenCalledWith(expect.stringContaining('removed'));
     });
 
     it('should handle order not found', async () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([
-        { orderId: '11111', amountWords: 1000 }
-      ]));
+      appendAcceptedTask({ orderId: '11111', amountWords: 1000 });
 
       const result = await removeTaskCapacity('99999');
 
@@ -156,10 +114,7 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should handle string vs number orderId comparison', async () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([
-        { orderId: 12345, amountWords: 1000 }
-      ]));
+      appendAcceptedTask({ orderId: 12345, amountWords: 1000 });
 
       const result = await removeTaskCapacity('12345');
 
@@ -167,16 +122,23 @@ describe('Task/taskReporter.js', () => {
       expect(result.removed).toBe(true);
     });
 
+    it('should only remove the task with the matching receivedDate', async () => {
+      appendAcceptedTask({ orderId: '12345', receivedDate: '2026-01-26 09:00 AM', amountWords: 1000 });
+      appendAcceptedTask({ orderId: '12345', receivedDate: '2026-01-27 09:00 AM', amountWords: 2000 });
+
+      expect((await removeTaskCapacity('12345')).removed).toBe(false);
+      const result = await removeTaskCapacity('12345', '2026-01-27 9:00 AM');
+
+      expect(result).toEqual({ ok: true, removed: true, remaining: 1, totalWords: 1000 });
+    });
+
     it('should handle errors gracefully', async () => {
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockImplementation(() => {
-        throw new Error('Read error');
-      });
+      mockStore.close();
 
       const result = await removeTaskCapacity('12345');
 
       expect(result.ok).toBe(false);
-      expect(result.error).toBe('Read error');
+      expect(result.error).toEqual(expect.any(String));
       expect(logFail).toHaveBeenCalled();
     });
   });
@@ -352,7 +314,6 @@ describe('Task/taskReporter.js', () => {
       jest.resetModules();
 
       // Re-setup mocks after resetModules
-      jest.mock('fs');
       jest.mock('axios');
       jest.mock('google-spreadsheet');
       jest.mock('../../Logs/logger', () => ({
@@ -386,14 +347,15 @@ describe('Task/taskReporter.js', () => {
 
   describe('loadAndFilterTasks', () => {
     let mockDoc, mockSheet, mockGetRows;
-    let loadAndFilterTasksFn, fsMock, acceptedTasksPathVal;
+    let loadAndFilterTasksFn;
+
+    const seed = (tasks) => tasks.forEach(t => mockStore.add(t));
 
     beforeEach(() => {
       // Reset modules to get fresh state (important after sendToGoogleChat tests)
       jest.resetModules();
 
       // Re-setup all mocks
-      jest.mock('fs');
       jest.mock('axios');
       jest.mock('google-spreadsheet');
       jest.mock('../../Logs/logger', () => ({
@@ -429,35 +391,24 @@ describe('Task/taskReporter.js', () => {
       GoogleSpreadsheet.mockImplementation(() => mockDoc);
 
       // Re-require modules after mocks are set up
-      fsMock = require('fs');
-      fsMock.existsSync.mockReturnValue(false);
-      fsMock.readFileSync.mockReturnValue('[]');
-      fsMock.writeFileSync.mockImplementation(() => {});
-
       const taskReporter = require('../../Task/taskReporter');
       loadAndFilterTasksFn = taskReporter.loadAndFilterTasks;
-      acceptedTasksPathVal = taskReporter.acceptedTasksPath;
     });
 
-    it('should return empty result when acceptedTasks.json does not exist', async () => {
-      fsMock.existsSync.mockReturnValue(false);
-
+    it('should return empty result without reading the sheet when there are no active tasks', async () => {
       const result = await loadAndFilterTasksFn();
 
       expect(result.activeTasks).toEqual([]);
       expect(result.completedCount).toBe(0);
-      // Check that readFileSync was NOT called with acceptedTasksPath (dotenv may call it for .env)
-      expect(fsMock.readFileSync).not.toHaveBeenCalledWith(acceptedTasksPathVal);
-      expect(fsMock.readFileSync).not.toHaveBeenCalledWith(acceptedTasksPathVal, 'utf-8');
+      expect(mockGetRows).not.toHaveBeenCalled();
     });
 
-    it('should filter out completed tasks and update file', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([
+    it('should filter out completed tasks and mark them in the store', async () => {
+      seed([
         { orderId: '11111', workflowName: 'WF-001', amountWords: 1000 },
         { orderId: '22222', workflowName: 'WF-002', amountWords: 2000 },
         { orderId: '33333', workflowName: 'WF-003', amountWords: 3000 }
-      ]));
+      ]);
 
       // Mock sheet rows
       mockGetRows.mockResolvedValue([
@@ -474,16 +425,13 @@ describe('Task/taskReporter.js', () => {
       expect(result.activeTasks.find(t => t.orderId === '33333')).toBeDefined();
       expect(result.activeTasks.find(t => t.orderId === '22222')).toBeUndefined();
 
-      // Should update file with only active tasks
-      expect(fsMock.writeFileSync).toHaveBeenCalledWith(
-        acceptedTasksPathVal,
-        expect.stringContaining('11111')
-      );
+      // Should mark the completed task in the store
+      expect(mockStore.getActive().map(t => t.orderId)).toEqual(['11111', '33333']);
+      expect(mockStore.getTask('22222').status).toBe('completed');
     });
 
     it('should authenticate with Google Sheets correctly', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([]));
+      seed([{ orderId: '11111', workflowName: 'WF-001', amountWords: 1000 }]);
       mockGetRows.mockResolvedValue([]);
 
       await loadAndFilterTasksFn();
@@ -496,10 +444,9 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should handle tasks not found in sheet (no matching row)', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([
+      seed([
         { orderId: '11111', workflowName: 'WF-NOTFOUND', amountWords: 1000 }
-      ]));
+      ]);
 
       mockGetRows.mockResolvedValue([
         { _rawData: [null, null, null, null, null, 'WF-OTHER', null, null, null, null, null, 'In Progress'] }
@@ -513,12 +460,11 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should handle case-insensitive status matching', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([
+      seed([
         { orderId: '11111', workflowName: 'WF-001', amountWords: 1000 },
         { orderId: '22222', workflowName: 'WF-002', amountWords: 2000 },
         { orderId: '33333', workflowName: 'WF-003', amountWords: 3000 }
-      ]));
+      ]);
 
       mockGetRows.mockResolvedValue([
         { _rawData: [null, null, null, null, null, 'WF-001', null, null, null, null, null, 'COMPLETED'] },
@@ -533,10 +479,9 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should handle empty status values', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([
+      seed([
         { orderId: '11111', workflowName: 'WF-001', amountWords: 1000 }
-      ]));
+      ]);
 
       mockGetRows.mockResolvedValue([
         { _rawData: [null, null, null, null, null, 'WF-001', null, null, null, null, null, ''] }
@@ -550,10 +495,9 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should handle undefined status values', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([
+      seed([
         { orderId: '11111', workflowName: 'WF-001', amountWords: 1000 }
-      ]));
+      ]);
 
       mockGetRows.mockResolvedValue([
         { _rawData: [null, null, null, null, null, 'WF-001'] } // No status column
@@ -566,8 +510,7 @@ describe('Task/taskReporter.js', () => {
     });
 
     it('should call getRows with correct parameters', async () => {
-      fsMock.existsSync.mockReturnValue(true);
-      fsMock.readFileSync.mockReturnValue(JSON.stringify([]));
+      seed([{ orderId: '11111', workflowName: 'WF-001', amountWords: 1000 }]);
       mockGetRows.mockResolvedValue([]);
 
       await loadAndFilterTasksFn();
@@ -585,7 +528,6 @@ describe('Task/taskReporter.js', () => {
       jest.resetModules();
 
       // Re-setup all mocks
-      jest.mock('fs');
       jest.mock('axios');
       jest.mock('google-spreadsheet');
       jest.mock('../../Logs/logger', () => ({
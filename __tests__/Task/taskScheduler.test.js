@@ -15,7 +15,6 @@ jest.mock('../../Task/taskReporter', () => ({
   summarizeTasks: jest.fn(),
   formatReport: jest.fn(),
   sendToGoogleChat: jest.fn(),
-  acceptedTasksPath: '/mock/path/acceptedTasks.json',
   readStatusMapFromSheet: jest.fn()
 }));
 jest.mock('../../Logs/logger', () => ({
@@ -23,7 +22,10 @@ jest.mock('../../Logs/logger', () => ({
   logFail: jest.fn(),
   logInfo: jest.fn()
 }));
-jest.mock('fs');
+const mockTaskStore = { getActive: jest.fn() };
+jest.mock('../../Task/taskStore', () => ({
+  getTaskStore: () => mockTaskStore
+}));
 
 const isBusinessDay = require('../../Task/isBusinessDay');
 const {
@@ -31,11 +33,9 @@ const {
   summarizeTasks,
   formatReport,
   sendToGoogleChat,
-  readStatusMapFromSheet,
-  acceptedTasksPath
+  readStatusMapFromSheet
 } = require('../../Task/taskReporter');
 const { logSuccess, logFail, logInfo } = require('../../Logs/logger');
-const fs = require('fs');
 const dayjs = require('dayjs');
 
 describe('Task/taskScheduler.js', () => {
@@ -59,7 +59,7 @@ describe('Task/taskScheduler.js', () => {
     formatReport.mockReturnValue('Mock report message');
     sendToGoogleChat.mockResolvedValue();
     readStatusMapFromSheet.mockResolvedValue({});
-    fs.existsSync.mockReturnValue(false);
+    mockTaskStore.getActive.mockReturnValue([]);
 
     // Import fresh module for each test
     startTaskSchedule = require('../../Task/taskScheduler').startTaskSchedule;
@@ -273,16 +273,15 @@ describe('Task/taskScheduler.js', () => {
       jest.advanceTimersByTime(15 * 60 * 1000);
       await Promise.resolve();
 
-      // Should not read file on non-business day
-      expect(fs.existsSync).not.toHaveBeenCalled();
+      // Should not read tasks on non-business day
+      expect(mockTaskStore.getActive).not.toHaveBeenCalled();
     });
 
     it('should run alert check on business days', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([
+      mockTaskStore.getActive.mockReturnValue([
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' }
-      ]));
+      ]);
       readStatusMapFromSheet.mockResolvedValue({ Task1: 'In Progress' });
       summarizeTasks.mockReturnValue({ alerts: [] });
 
@@ -292,32 +291,30 @@ describe('Task/taskScheduler.js', () => {
       jest.advanceTimersByTime(15 * 60 * 1000);
       await Promise.resolve();
 
-      expect(fs.existsSync).toHaveBeenCalledWith(acceptedTasksPath);
+      expect(mockTaskStore.getActive).toHaveBeenCalled();
     });
   });
 
-  describe('Alert Checker Interval - File Operations', () => {
-    it('should return early if acceptedTasks file does not exist', async () => {
+  describe('Alert Checker Interval - Task Store', () => {
+    it('should return early when there are no active tasks', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(false);
 
       startTaskSchedule();
 
       jest.advanceTimersByTime(15 * 60 * 1000);
       await Promise.resolve();
 
-      expect(fs.existsSync).toHaveBeenCalledWith(acceptedTasksPath);
-      expect(fs.readFileSync).not.toHaveBeenCalled();
+      expect(mockTaskStore.getActive).toHaveBeenCalled();
+      expect(readStatusMapFromSheet).not.toHaveBeenCalled();
     });
 
-    it('should read and parse acceptedTasks file when it exists', async () => {
+    it('should read active tasks from the store and check their status', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' },
         { workflowName: 'Task2', deadline: '2026-01-23T11:00:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({
         Task1: 'In Progress',
         Task2: 'Completed'
@@ -329,7 +326,7 @@ describe('Task/taskScheduler.js', () => {
       jest.advanceTimersByTime(15 * 60 * 1000);
       await Promise.resolve();
 
-      expect(fs.readFileSync).toHaveBeenCalledWith(acceptedTasksPath, 'utf-8');
+      expect(mockTaskStore.getActive).toHaveBeenCalled();
       expect(readStatusMapFromSheet).toHaveBeenCalled();
     });
   });
@@ -337,13 +334,12 @@ describe('Task/taskScheduler.js', () => {
   describe('Alert Checker Interval - Task Filtering', () => {
     it('should filter out completed tasks', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' },
         { workflowName: 'Task2', deadline: '2026-01-23T11:00:00' },
         { workflowName: 'Task3', deadline: '2026-01-23T12:00:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({
         Task1: 'In Progress',
         Task2: 'Completed',
@@ -370,12 +366,11 @@ describe('Task/taskScheduler.js', () => {
 
     it('should handle tasks with no status mapping', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' },
         { workflowName: 'Task2', deadline: '2026-01-23T11:00:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({
         Task1: 'In Progress'
         // Task2 has no status mapping
@@ -402,11 +397,10 @@ describe('Task/taskScheduler.js', () => {
       jest.useRealTimers(); // Use real timers for this specific test
 
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'UrgentTask', deadline: '2026-01-23T10:00:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({ UrgentTask: 'In Progress' });
 
       const mockDue = dayjs('2026-01-23T10:00:00');
@@ -445,11 +439,10 @@ describe('Task/taskScheduler.js', () => {
 
     it('should not send alert when no tasks are urgent', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'NormalTask', deadline: '2026-01-23T18:00:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({ NormalTask: 'In Progress' });
       summarizeTasks.mockReturnValue({ alerts: [] });
 
@@ -469,12 +462,11 @@ describe('Task/taskScheduler.js', () => {
       jest.useRealTimers(); // Use real timers for this specific test
 
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
       const mockTasks = [
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' },
         { workflowName: 'Task2', deadline: '2026-01-23T10:05:00' }
       ];
-      fs.readFileSync.mockReturnValue(JSON.stringify(mockTasks));
+      mockTaskStore.getActive.mockReturnValue(mockTasks);
       readStatusMapFromSheet.mockResolvedValue({
         Task1: 'In Progress',
         Task2: 'In Progress'
@@ -516,11 +508,10 @@ describe('Task/taskScheduler.js', () => {
   });
 
   describe('Alert Checker Interval - Error Handling', () => {
-    it('should catch and log errors from file read', async () => {
+    it('should catch and log errors from the task store', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockImplementation(() => {
-        throw new Error('File read error');
+      mockTaskStore.getActive.mockImplementation(() => {
+        throw new Error('Store read error');
       });
 
       startTaskSchedule();
@@ -534,26 +525,9 @@ describe('Task/taskScheduler.js', () => {
       );
     });
 
-    it('should catch and log errors from JSON parse', async () => {
-      isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue('invalid json{{{');
-
-      startTaskSchedule();
-
-      jest.advanceTimersByTime(15 * 60 * 1000);
-      await Promise.resolve();
-
-      expect(logFail).toHaveBeenCalledWith(
-        expect.stringContaining('❌ Alert checker failed'),
-        true
-      );
-    });
-
     it('should catch and log errors from readStatusMapFromSheet', async () => {
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([{ workflowName: 'Task1' }]));
+      mockTaskStore.getActive.mockReturnValue([{ workflowName: 'Task1' }]);
       readStatusMapFromSheet.mockRejectedValue(new Error('Sheet API error'));
 
       startTaskSchedule();
@@ -571,10 +545,9 @@ describe('Task/taskScheduler.js', () => {
       jest.useRealTimers(); // Use real timers for this specific test
 
       isBusinessDay.mockReturnValue(true);
-      fs.existsSync.mockReturnValue(true);
-      fs.readFileSync.mockReturnValue(JSON.stringify([
+      mockTaskStore.getActive.mockReturnValue([
         { workflowName: 'Task1', deadline: '2026-01-23T10:00:00' }
-      ]));
+      ]);
       readStatusMapFromSheet.mockResolvedValue({ Task1: 'In Progress' });
       summarizeTasks.mockReturnValue({
         alerts: [
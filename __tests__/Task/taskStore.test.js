@@ -0,0 +1,180 @@
+/**
+ * Tests for Task/taskStore.js
+ * Covers: unique (orderId, receivedDate) key, status transitions with history,
+ * deadline ordering, allocation pruning, and the one-shot JSON migration.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+  logSuccess: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+const { TaskStore, TASK_STATUS, normalizeDate } = require('../../Task/taskStore');
+
+function task(orderId, extra = {}) {
+  return {
+    orderId,
+    workflowName: `WF-${orderId}`,
+    amountWords: 1000,
+    plannedEndDate: '2026-01-27 18:00',
+    receivedDate: '2026-01-26 09:15 AM',
+    allocationPlan: [{ date: '2026-01-26', amount: 1000 }],
+    ...extra,
+  };
+}
+
+describe('Task/taskStore.js', () => {
+  let dir, store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-'));
+    store = new TaskStore({ dbPath: path.join(dir, 'tasks.db') });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('add()', () => {
+    it('should ignore a second task with the same orderId and receivedDate', () => {
+      expect(store.add(task('1'))).toBe(true);
+      expect(store.add(task('1', { receivedDate: '2026-01-26 9:15 AM' }))).toBe(false);
+      expect(store.add(task('1', { receivedDate: '2026-01-27 10:00 AM' }))).toBe(true);
+
+      expect(store.getActive()).toHaveLength(2);
+    });
+
+    it('should key tasks without a receivedDate too', () => {
+      expect(store.add(task('2', { receivedDate: null }))).toBe(true);
+      expect(store.add(task('2', { receivedDate: undefined }))).toBe(false);
+    });
+
+    it('should return the task as recorded plus its store id', () => {
+      store.add(task('3', { assignee: 'ploy' }));
+      const [active] = store.getActive();
+      expect(active).toMatchObject({ ...task('3'), assignee: 'ploy' });
+      expect(typeof active.id).toBe('number');
+    });
+  });
+
+  it('should list active tasks by deadline with undated tasks last', () => {
+    store.add(task('late', { plannedEndDate: '2026-01-30 12:00' }));
+    store.add(task('none', { plannedEndDate: null }));
+    store.add(task('early', { plannedEndDate: '2026-01-27T10:00:00.000Z' }));
+
+    expect(store.getActive().map(t => t.orderId)).toEqual(['early', 'late', 'none']);
+  });
+
+  it('should list the tasks accepted on a business date, whatever their status', () => {
+    store.add(task('1', { timestamp: '2026-01-26 08:00:00' }));
+    store.add(task('2', { timestamp: '2026-01-26 23:59:00' }));
+    store.add(task('3', { timestamp: '2026-01-27 00:01:00' }));
+    store.setStatus('2', '2026-01-26 09:15 AM', TASK_STATUS.COMPLETED);
+
+    expect(store.getAcceptedOn('2026-01-26').map(t => t.orderId)).toEqual(['1', '2']);
+    expect(store.getAcceptedOn('2026-01-28')).toEqual([]);
+  });
+
+  describe('status', () => {
+    it('should move tasks out of the active list and keep their history', () => {
+      store.add(task('1'));
+
+      expect(store.setStatus('1', '2026-01-26 09:15 AM', TASK_STATUS.COMPLETED, 'sheet')).toBe(true);
+      expect(store.setStatus('1', '2026-01-26 09:15 AM', TASK_STATUS.COMPLETED)).toBe(false);
+
+      expect(store.getActive()).toEqual([]);
+      const stored = store.getTask('1', '2026-01-26 9:15 AM');
+      expect(stored.status).toBe('completed');
+      expect(stored.history.map(h => [h.status, h.note])).toEqual([['active', 'accepted'], ['completed', 'sheet']]);
+    });
+
+    it('should not match a task recorded with a receivedDate when called without one', () => {
+      store.add(task('1'));
+      expect(store.setStatus('1', null, TASK_STATUS.REMOVED)).toBe(false);
+      expect(store.setStatus(1, '2026-01-26 09:15 AM', TASK_STATUS.REMOVED)).toBe(true);
+    });
+
+    it('should apply several changes in one transaction and reject unknown statuses', () => {
+      store.add(task('1'));
+      store.add(task('2'));
+      const [a, b] = store.getActive();
+
+      expect(() => store.setStatuses([{ id: a.id, status: 'done' }])).toThrow('Unknown task status: done');
+      expect(store.setStatuses([
+        { id: a.id, status: TASK_STATUS.COMPLETED },
+        { id: b.id, status: TASK_STATUS.ON_HOLD },
+      ])).toBe(2);
+      expect(store.getCounts()).toMatchObject({
+        active: { count: 0, words: 0 },
+        completed: { count: 1, words: 1000 },
+        on_hold: { count: 1, words: 1000 },
+      });
+    });
+  });
+
+  it('should find the active task of an order and apply a change to it', () => {
+    store.add(task('1'));
+    store.add(task('1', { receivedDate: '2026-01-27 08:00 AM' }));
+    const latest = store.findActiveByOrder('1');
+    expect(latest.receivedDate).toBe('2026-01-27 08:00 AM');
+    expect(store.findActiveByOrder('2')).toBeNull();
+
+    const updated = store.updateTask(latest.id, {
+      amountWords: 1500,
+      plannedEndDate: '2026-01-29 18:00',
+      allocationPlan: [{ date: '2026-01-28', amount: 1500 }],
+    }, 'words_changed');
+
+    expect(updated).toMatchObject({ orderId: '1', amountWords: 1500, plannedEndDate: '2026-01-29 18:00' });
+    expect(store.getCounts().active).toEqual({ count: 2, words: 2500 });
+    expect(store.getTask('1', '2026-01-27 08:00 AM').history.map(h => [h.status, h.note]))
+      .toEqual([['active', 'accepted'], ['active', 'words_changed']]);
+    expect(store.updateTask(9999, { amountWords: 1 })).toBeNull();
+  });
+
+  it('should prune allocations and remove tasks left without any', () => {
+    store.add(task('1', { allocationPlan: [{ date: '2026-01-25', amount: 500 }, { date: '2026-01-26', amount: 500 }] }));
+    store.add(task('2', { allocationPlan: [{ date: '2026-01-25', amount: 800 }] }));
+
+    const result = store.pruneAllocations(date => date < '2026-01-26');
+
+    expect(result).toEqual({ allocationsRemoved: 2, tasksRemoved: 1 });
+    expect(store.getActive()).toEqual([
+      expect.objectContaining({ orderId: '1', allocationPlan: [{ date: '2026-01-26', amount: 500 }] }),
+    ]);
+    expect(store.getTask('2', '2026-01-26 09:15 AM').status).toBe('removed');
+  });
+
+  describe('migrateFromJson()', () => {
+    it('should import once, skip duplicates and rename the file', () => {
+      const jsonPath = path.join(dir, 'acceptedTasks.json');
+      fs.writeFileSync(jsonPath, JSON.stringify([task('1'), task('1'), task('2'), { workflowName: 'no id' }]));
+
+      expect(store.migrateFromJson(jsonPath)).toEqual({ imported: 2, skipped: 2 });
+      expect(fs.existsSync(jsonPath)).toBe(false);
+      expect(fs.existsSync(`${jsonPath}.migrated`)).toBe(true);
+      expect(store.migrateFromJson(jsonPath)).toBeNull();
+      expect(store.getActive().map(t => t.orderId)).toEqual(['1', '2']);
+    });
+
+    it('should refuse a file that is not an array', () => {
+      const jsonPath = path.join(dir, 'acceptedTasks.json');
+      fs.writeFileSync(jsonPath, '{}');
+
+      expect(() => store.migrateFromJson(jsonPath)).toThrow('not an array');
+      expect(fs.existsSync(jsonPath)).toBe(true);
+    });
+  });
+
+  it('normalizeDate() should drop the leading zero from the hour', () => {
+    expect(normalizeDate(' 2026-01-27 02:52 PM ')).toBe('2026-01-27 2:52 PM');
+    expect(normalizeDate(null)).toBe('');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for Task/teamRoster.js
+ * Covers: roster validation, per-member calendar priority (OT, leave, team holidays,
+ * working holidays, team OT), trimmed hours, and hot reload from the roster file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../Logs/logger', () => ({
+  logInfo: jest.fn(),
+  logFail: jest.fn(),
+  logSuccess: jest.fn(),
+  logProgress: jest.fn(),
+}));
+
+// Team calendar: weekdays 10-19, 2026-01-02 is a public holiday, 2026-01-10 (Sat) is team OT
+jest.mock('../../Task/workingHoursManager', () => {
+  const dayjs = require('dayjs');
+  const { hoursInWindow } = jest.requireActual('../../Task/workingHoursManager');
+  const teamOT = { '2026-01-10': { start: 9, end: 12 } };
+  return {
+    hoursInWindow,
+    workingHoursManager: {
+      defaultHours: { start: 10, end: 19 },
+      getOvertimeSchedule: () => ({ ...teamOT }),
+      getWorkingHours: (date) => {
+        if (teamOT[date]) return teamOT[date];
+        const day = dayjs(date).day();
+        if (day === 0 || day === 6 || date === '2026-01-02') return null;
+        return { start: 10, end: 19 };
+      },
+    },
+  };
+});
+
+const { TeamRoster } = require('../../Task/teamRoster');
+const { logFail } = require('../../Logs/logger');
+
+const PLOY = {
+  id: 'ploy',
+  wordsPerHour: 1000,
+  hours: { start: 9, end: 18 },
+  holidays: { extraHolidays: ['2026-01-06'], workingHolidays: ['2026-01-02'] },
+  overtime: { '2026-01-03': { start: 9, end: 13 } },
+};
+
+describe('Task/teamRoster.js', () => {
+  let roster;
+
+  beforeEach(() => {
+    roster = new TeamRoster('/nonexistent/team.json');
+  });
+
+  describe('loading', () => {
+    it('should be empty when the file is missing', () => {
+      expect(roster.isEmpty()).toBe(true);
+      expect(roster.isAnyoneWorking('2026-01-05')).toBe(false);
+    });
+
+    it('should skip members without an id, duplicates and bad rates', () => {
+      const count = roster.setMembers([
+        { id: 'a' },
+        { name: 'no id' },
+        { id: 'a' },
+        { id: 'b', wordsPerHour: 0 },
+        { id: 'c', enabled: false },
+      ]);
+
+      expect(count).toBe(1);
+      expect(roster.getMember('a')).toMatchObject({ id: 'a', name: 'a', wordsPerHour: null, hours: null });
+      expect(logFail).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reload when the roster file changes', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-roster-'));
+      const file = path.join(dir, 'team.json');
+      try {
+        fs.writeFileSync(file, JSON.stringify({ members: [{ id: 'a' }] }));
+        const fromFile = new TeamRoster(file);
+        expect(fromFile.getMembers().map(m => m.id)).toEqual(['a']);
+
+        fs.writeFileSync(file, JSON.stringify({ members: [{ id: 'a' }, { id: 'b' }] }));
+        const future = new Date(Date.now() + 5000);
+        fs.utimesSync(file, future, future);
+        expect(fromFile.getMembers().map(m => m.id)).toEqual(['a', 'b']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('getWorkingHours()', () => {
+    beforeEach(() => {
+      roster.setMembers([PLOY, { id: 'nok' }]);
+    });
+
+    it('should use the member hours on a normal day', () => {
+      expect(roster.getWorkingHours('ploy', '2026-01-05')).toEqual({ start: 9, end: 18 });
+      expect(roster.getWorkingHours('nok', '2026-01-05')).toEqual({ start: 10, end: 19 });
+    });
+
+    it('should give member OT priority over everything', () => {
+      expect(roster.getWorkingHours('ploy', '2026-01-03')).toEqual({ start: 9, end: 13 });
+      expect(roster.getWorkingHours('nok', '2026-01-03')).toBeNull();
+    });
+
+    it('should treat member extra holidays as leave', () => {
+      expect(roster.getWorkingHours('ploy', '2026-01-06')).toBeNull();
+      expect(roster.getWorkingHours('nok', '2026-01-06')).not.toBeNull();
+    });
+
+    it('should follow team holidays unless the member works them', () => {
+      expect(roster.getWorkingHours('ploy', '2026-01-02')).toEqual({ start: 9, end: 18 });
+      expect(roster.getWorkingHours('nok', '2026-01-02')).toBeNull();
+    });
+
+    it('should use team OT hours for everyone', () => {
+      expect(roster.getWorkingHours('ploy', '2026-01-10')).toEqual({ start: 9, end: 12 });
+      expect(roster.getWorkingHours('nok', '2026-01-10')).toEqual({ start: 9, end: 12 });
+    });
+
+    it('should return null for unknown members', () => {
+      expect(roster.getWorkingHours('ghost', '2026-01-05')).toBeNull();
+    });
+  });
+
+  it('should trim available hours to a window', () => {
+    roster.setMembers([PLOY]);
+    expect(roster.getAvailableHours('ploy', '2026-01-05', { from: '2026-01-05 15:00' })).toBe(3);
+    expect(roster.getAvailableHours('ploy', '2026-01-06')).toBe(0);
+  });
+
+  it('should know whether anyone works on a date', () => {
+    roster.setMembers([PLOY, { id: 'nok' }]);
+    expect(roster.isAnyoneWorking('2026-01-03')).toBe(true);  // ploy's OT
+    expect(roster.isAnyoneWorking('2026-01-04')).toBe(false); // Sunday
+  });
+
+  it('should report members with their hours in getStatus()', () => {
+    roster.setMembers([PLOY]);
+    const status = roster.getStatus('2026-01-06');
+    expect(status.source).toBe('runtime');
+    expect(status.members[0]).toMatchObject({ id: 'ploy', hoursOnDate: null });
+  });
+});
@@ -273,6 +273,34 @@ describe('isWithinWorkingHours', () => {
   });
 });
 
+/* ========================= getAvailableHours ========================= */
+describe('getAvailableHours', () => {
+  test('should return the full working day without a window', () => {
+    const mgr = getManager();
+    expect(mgr.getAvailableHours('2026-01-05')).toBe(9);
+    expect(mgr.getAvailableHours('2026-01-03')).toBe(0); // Saturday
+  });
+
+  test('should count only hours after "from" on that day', () => {
+    const mgr = getManager();
+    expect(mgr.getAvailableHours('2026-01-05', { from: '2026-01-05 15:30' })).toBe(3.5);
+    expect(mgr.getAvailableHours('2026-01-05', { from: '2026-01-05 08:00' })).toBe(9);
+    expect(mgr.getAvailableHours('2026-01-05', { from: '2026-01-05 20:00' })).toBe(0);
+  });
+
+  test('should count only hours before "until" on that day', () => {
+    const mgr = getManager();
+    expect(mgr.getAvailableHours('2026-01-05', { from: '2026-01-05 11:00', until: '2026-01-05 14:00' })).toBe(3);
+    expect(mgr.getAvailableHours('2026-01-06', { from: '2026-01-05 11:00', until: '2026-01-06 12:00' })).toBe(2);
+  });
+
+  test('should use OT hours', () => {
+    const mgr = getManager();
+    mgr.setOvertimeSchedule('2026-01-03', { start: 9, end: 13 });
+    expect(mgr.getAvailableHours('2026-01-03')).toBe(4);
+  });
+});
+
 /* ========================= Holiday CRUD ========================= */
 describe('Holiday CRUD', () => {
   test('addHoliday should add a new holiday', () => {
@@ -0,0 +1,124 @@
+/**
+ * End-to-end tests for Exec/execAccept.js
+ *
+ * Runs the real accept workflow (Config/acceptWorkflow.json) in headless
+ * Chromium against tools/moraviaSimulator.js - no network, no Moravia account.
+ *
+ * Opt-in: needs a Chromium that can launch, so the default `npm test` skips it.
+ *   npm run test:e2e        (jest.e2e.config.js sets E2E=1, PUPPETEER_EXECUTABLE_PATH is honoured)
+ * Manual: no CI runs this suite - run it after changing Exec/ or the accept workflow.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logSuccess: jest.fn(),
+  logFail: jest.fn(),
+  logInfo: jest.fn(),
+  logProgress: jest.fn()
+}));
+jest.mock('../../Features/selectorHealth', () => ({
+  selectorHealth: { recordMatch: jest.fn(), recordMiss: jest.fn() }
+}));
+
+const puppeteer = require('puppeteer');
+const execAccept = require('../../Exec/execAccept');
+const { acceptWorkflow } = require('../../Exec/acceptWorkflow');
+const { MoraviaSimulator } = require('../../tools/moraviaSimulator');
+const shippedWorkflow = require('../../Config/acceptWorkflow.json');
+
+const TASK_ID = 1001;
+
+(process.env.E2E === '1' ? describe : describe.skip)('execAccept against the Moravia simulator', () => {
+  jest.setTimeout(120000);
+
+  let simulator;
+  let browser;
+  let context;
+
+  const accept = async (scenario) => {
+    simulator.setScenario(scenario);
+    const page = await context.newPage();
+    try {
+      return await execAccept({ page, url: simulator.taskUrl(TASK_ID) });
+    } finally {
+      await page.close();
+    }
+  };
+
+  beforeAll(async () => {
+    simulator = new MoraviaSimulator();
+    await simulator.start();
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-dev-shm-usage', ...simulator.launchArgs()]
+    });
+  });
+
+  afterAll(async () => {
+    await browser?.close();
+    await simulator?.stop();
+  });
+
+  // Fresh cookies per test: the SSO scenarios depend on an unsigned first visit
+  beforeEach(async () => {
+    context = await browser.createIncognitoBrowserContext();
+  });
+
+  afterEach(async () => {
+    await context?.close();
+  });
+
+  describe('accepts the task', () => {
+    it.each([
+      ['happy'],
+      ['about-build'],
+      ['slow-status'],
+      ['slow-modal']
+    ])('%s: changes the status and sets the licence', async (scenario) => {
+      const result = await accept(scenario);
+
+      expect(result).toEqual({ success: true, reason: 'Licence set successfully.' });
+      expect(simulator.getTask(TASK_ID)).toMatchObject({ status: 'In progress', licence: 'EQHOmoraviateam' });
+    });
+
+    it('sso-redirect: signs in through Microsoft and comes back to the task', async () => {
+      const result = await accept('sso-redirect');
+
+      expect(result.success).toBe(true);
+      expect(simulator.getTask(TASK_ID).events.map(e => e.type)).toEqual(['sso', 'status', 'licence']);
+    });
+  });
+
+  describe('stops before touching the task', () => {
+    it.each([
+      ['not-found', 'Task page returned 404 Not Found'],
+      ['on-hold', 'Status is not eligible: On hold'],
+      ['sso-expired', 'LOGIN_EXPIRED']
+    ])('%s', async (scenario, reason) => {
+      const result = await accept(scenario);
+
+      expect(result).toEqual({ success: false, reason });
+      expect(simulator.getTask(TASK_ID).events.filter(e => e.type !== 'sso')).toEqual([]);
+    });
+  });
+
+  // Last: setDefinition() pins the singleton for the rest of the file
+  describe('selector drift', () => {
+    it('missing-chevron: fails at STEP_3 with the selector that missed', async () => {
+      const fast = JSON.parse(JSON.stringify(shippedWorkflow));
+      for (const stage of fast.stages) {
+        stage.retries = 0;
+        for (const step of stage.steps) {
+          step.retries = 0;
+          if (step.id === 'STEP_3') step.timeout = 2000;
+        }
+      }
+      expect(acceptWorkflow.setDefinition(fast)).toBe(true);
+
+      const result = await accept('missing-chevron');
+
+      expect(result.success).toBe(false);
+      expect(result.error.step).toBe('STEP_3');
+      expect(simulator.getTask(TASK_ID)).toMatchObject({ status: 'In progress', licence: null });
+    });
+  });
+});
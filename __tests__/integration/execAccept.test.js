@@ -24,6 +24,9 @@ jest.mock('../../Logs/logger', () => ({
   logInfo: jest.fn(),
   logProgress: jest.fn()
 }));
+jest.mock('../../Features/selectorHealth', () => ({
+  selectorHealth: { recordMatch: jest.fn(), recordMiss: jest.fn() }
+}));
 
 const execAccept = require('../../Exec/execAccept');
 const { BrowserAutomationError } = require('../../Errors/customErrors');
@@ -53,8 +56,8 @@ function setupDefaultMocks() {
  * The evaluate mock intelligently handles the different contexts it is called in:
  * 1. Scroll/click actions (selector string arg) -> null
  * 2. Chevron className check (element with .click) -> 'fa-angle-down' (expanded)
- * 3. Modal title check (fn references 'modal-content') -> '' (no interfering modal)
- * 4. Dropdown ID lookup (fn references 'select2-chosen' + 'allChosen') -> 'select2-chosen-1'
+ * 3. Modal title check (fn or args reference 'modal-content') -> '' (no interfering modal)
+ * 4. Dropdown lookup (fn or args reference 'select2-chosen') -> 'select2-chosen-1'
  * 5. Login form check (fn receives SELECTORS object) -> false (not stuck on login)
  */
 function createFullSuccessPage() {
@@ -94,7 +97,7 @@ function createFullSuccessPage() {
 
     // General evaluate - handles multiple contexts
     evaluate: jest.fn().mockImplementation((fn, ...args) => {
-      const fnStr = typeof fn === 'function' ? fn.toString() : '';
+      const fnStr = (typeof fn === 'function' ? fn.toString() : '') + JSON.stringify(args);
 
       // Chevron className check: arg is an element-like object
       if (args.length > 0 && args[0] && typeof args[0] === 'object' && args[0].click) {
@@ -107,7 +110,7 @@ function createFullSuccessPage() {
       }
 
       // Dropdown ID lookup
-      if (fnStr.includes('select2-chosen') && fnStr.includes('allChosen')) {
+      if (fnStr.includes('select2-chosen')) {
         return Promise.resolve('select2-chosen-1');
       }
 
@@ -480,7 +483,7 @@ describe('Exec/execAccept', () => {
 
       // Override evaluate to return null for dropdown ID lookup
       page.evaluate = jest.fn().mockImplementation((fn, ...args) => {
-        const fnStr = typeof fn === 'function' ? fn.toString() : '';
+        const fnStr = (typeof fn === 'function' ? fn.toString() : '') + JSON.stringify(args);
 
         // Chevron className
         if (args.length > 0 && args[0] && typeof args[0] === 'object' && args[0].click) {
@@ -491,7 +494,7 @@ describe('Exec/execAccept', () => {
           return Promise.resolve('');
         }
         // Dropdown ID -> return null to trigger failure
-        if (fnStr.includes('select2-chosen') && fnStr.includes('allChosen')) {
+        if (fnStr.includes('select2-chosen')) {
           return Promise.resolve(null);
         }
         return Promise.resolve(null);
@@ -712,7 +715,7 @@ describe('Exec/execAccept', () => {
 
       // Make evaluate return 'fa-angle-right' for chevron className check
       page.evaluate = jest.fn().mockImplementation((fn, ...args) => {
-        const fnStr = typeof fn === 'function' ? fn.toString() : '';
+        const fnStr = (typeof fn === 'function' ? fn.toString() : '') + JSON.stringify(args);
 
         // Chevron className check -> collapsed
         if (args.length > 0 && args[0] && typeof args[0] === 'object' && args[0].click) {
@@ -723,7 +726,7 @@ describe('Exec/execAccept', () => {
           return Promise.resolve('');
         }
         // Dropdown ID
-        if (fnStr.includes('select2-chosen') && fnStr.includes('allChosen')) {
+        if (fnStr.includes('select2-chosen')) {
           return Promise.resolve('select2-chosen-1');
         }
         return Promise.resolve(null);
@@ -742,7 +745,7 @@ describe('Exec/execAccept', () => {
       const page = createFullSuccessPage();
 
       page.evaluate = jest.fn().mockImplementation((fn, ...args) => {
-        const fnStr = typeof fn === 'function' ? fn.toString() : '';
+        const fnStr = (typeof fn === 'function' ? fn.toString() : '') + JSON.stringify(args);
 
         // Chevron className
         if (args.length > 0 && args[0] && typeof args[0] === 'object' && args[0].click) {
@@ -757,7 +760,7 @@ describe('Exec/execAccept', () => {
           return Promise.resolve(null);
         }
         // Dropdown ID
-        if (fnStr.includes('select2-chosen') && fnStr.includes('allChosen')) {
+        if (fnStr.includes('select2-chosen')) {
           return Promise.resolve('select2-chosen-1');
         }
         return Promise.resolve(null);
@@ -864,4 +867,66 @@ describe('Exec/execAccept', () => {
       expect(retryCalls[1]).toEqual({ retries: 2, delay: 1000 });
     });
   });
+
+  // =========================================================================
+  // 15. Forensics Trace
+  // =========================================================================
+  describe('Forensics Trace', () => {
+    const createTrace = (order = []) => ({
+      step: jest.fn(),
+      watch: jest.fn(),
+      snapshot: jest.fn(async () => { order.push('snapshot'); })
+    });
+
+    it('should mark each step it runs', async () => {
+      const trace = createTrace();
+
+      await execAccept({ page: createFullSuccessPage(), url: 'https://projects.moravia.com/Task/123/detail', trace });
+
+      expect(trace.step.mock.calls.map(([name]) => name)).toEqual([
+        'NAVIGATE', 'LOGIN_CHECK', 'NOT_FOUND_CHECK', 'STATUS_CHECK', 'STEP_1',
+        'PAGE_READY', 'STEP_2', 'STEP_3', 'STEP_4', 'STEP_5', 'STEP_6'
+      ]);
+      expect(trace.snapshot).not.toHaveBeenCalled();
+    });
+
+    it('should snapshot the fallback tab before closing it', async () => {
+      const order = [];
+      const trace = createTrace(order);
+      const fallbackPage = createBasicPage({
+        $eval: jest.fn().mockResolvedValue('on hold'),
+        close: jest.fn(async () => { order.push('close'); })
+      });
+      const page = createBasicPage({
+        goto: jest.fn().mockRejectedValue(new Error('Navigation timeout')),
+        browser: jest.fn().mockReturnValue({ newPage: jest.fn().mockResolvedValue(fallbackPage) })
+      });
+
+      const result = await execAccept({ page, url: 'https://projects.moravia.com/Task/123/detail', trace });
+
+      expect(result.success).toBe(false);
+      expect(trace.watch).toHaveBeenCalledWith(fallbackPage);
+      expect(trace.snapshot).toHaveBeenCalledWith(fallbackPage);
+      expect(order).toEqual(['snapshot', 'close']);
+    });
+  });
+
+  // =========================================================================
+  // 16. Selector Health
+  // =========================================================================
+  describe('Selector Health', () => {
+    it('should record the locator that found each step', async () => {
+      const { selectorHealth } = require('../../Features/selectorHealth');
+
+      await execAccept({ page: createFullSuccessPage(), url: 'https://projects.moravia.com/Task/123/detail' });
+
+      expect(selectorHealth.recordMatch.mock.calls.map(([step]) => step.id)).toEqual(['STEP_1', 'STEP_2', 'STEP_3', 'STEP_4', 'STEP_5', 'STEP_6']);
+      expect(selectorHealth.recordMatch).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'STEP_1' }),
+        expect.objectContaining({ rank: 0, strategy: 'css', selector: '#taskActionConfirm' }),
+        { version: expect.any(String) }
+      );
+      expect(selectorHealth.recordMiss).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,118 @@
+/**
+ * Tests for tools/moraviaSimulator.js
+ * Covers: the recorded pages, scenario switching (404, on hold, SSO, missing
+ * chevron), the page actions that record task state, and the Chromium wiring.
+ * The browser run itself lives in __tests__/e2e (E2E=1).
+ */
+
+const { MoraviaSimulator, SCENARIOS } = require('../../tools/moraviaSimulator');
+
+describe('tools/moraviaSimulator.js', () => {
+  let simulator;
+  let base;
+
+  const get = (urlPath, headers = {}) => fetch(`${base}${urlPath}`, { redirect: 'manual', headers });
+  const post = (urlPath, body) => fetch(`${base}${urlPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  beforeEach(async () => {
+    simulator = new MoraviaSimulator();
+    base = `http://127.0.0.1:${await simulator.start()}`;
+  });
+
+  afterEach(async () => {
+    await simulator.stop();
+  });
+
+  it('should serve the task detail page with the elements the workflow uses', async () => {
+    const res = await get('/Task/1001/detail');
+    const html = await res.text();
+
+    expect(res.status).toBe(200);
+    expect(html).toContain('<span id="entityStatus">New</span>');
+    expect(html).toContain('id="taskActionConfirm"');
+    expect(html).toContain('href="/Task/1001/attachments"');
+    expect(html).toContain('class="modal-message"');
+    expect(html).toMatch(/window\.SIM = \{"taskId":"1001","statusDelay":1500,/);
+  });
+
+  it('should serve the attachments grid with the Source chevron and TMS.startTranslation link', async () => {
+    const html = await (await get('/Task/1001/attachments')).text();
+
+    expect(html).toContain('<span class="grid-cell">Source</span>');
+    expect(html).toContain('onclick="TMS.startTranslation(1001, 1)"');
+    expect(html).toContain('select2-chosen-');
+    expect(html).toContain('btn btn-primary js_loader');
+  });
+
+  it('should switch scenarios: 404, on hold and missing chevron', async () => {
+    simulator.setScenario('not-found');
+    const notFound = await get('/Task/1001/detail');
+    expect(notFound.status).toBe(404);
+    expect(await notFound.text()).toContain('<title>404 Not Found');
+
+    simulator.setScenario('on-hold');
+    expect(await (await get('/Task/1001/detail')).text()).toContain('<span id="entityStatus">On hold</span>');
+
+    await post('/__sim/scenario/missing-chevron');
+    expect(simulator.scenarioName).toBe('missing-chevron');
+    expect(await (await get('/Task/1001/attachments')).text()).not.toContain('<span class="grid-cell">Source</span>');
+  });
+
+  it('should send the first visit through Microsoft sign-in and back', async () => {
+    simulator.setScenario('sso-redirect');
+
+    const first = await get('/Task/1001/detail');
+    expect(first.status).toBe(302);
+    const login = new URL(first.headers.get('location'));
+    expect(login.host).toBe(`login.microsoftonline.com:${simulator.port}`);
+    expect(login.searchParams.get('returnUrl')).toBe(`${base}/Task/1001/detail`);
+
+    const loginHtml = await (await get(`${login.pathname}${login.search}`)).text();
+    expect(loginHtml).toContain('id="i0116"');
+    expect(loginHtml).toContain(`"ssoReturnUrl":"http://projects.moravia.com:${simulator.port}/__sim/sso/callback?returnUrl=`);
+
+    const callback = await get(`/__sim/sso/callback?returnUrl=${encodeURIComponent(`${base}/Task/1001/detail`)}`);
+    expect(callback.headers.get('set-cookie')).toMatch(/^sim_session=1;/);
+    expect((await get('/Task/1001/detail', { cookie: 'sim_session=1' })).status).toBe(200);
+  });
+
+  it('should keep an expired session on the sign-in page', async () => {
+    simulator.setScenario('sso-expired');
+
+    const login = new URL((await get('/Task/1001/detail')).headers.get('location'));
+
+    expect(login.searchParams.has('returnUrl')).toBe(false);
+    expect(await (await get(login.pathname)).text()).toContain('window.SIM = {"ssoReturnUrl":null');
+  });
+
+  it('should record the status change and the licence the pages submit', async () => {
+    expect(await (await post('/__sim/tasks/1001/status')).json()).toMatchObject({ status: 'In progress' });
+    expect((await post('/__sim/tasks/1001/licence', { licence: 'Unknown' })).status).toBe(400);
+    await post('/__sim/tasks/1001/licence', { licence: 'EQHOmoraviateam' });
+
+    expect(simulator.getTask(1001)).toMatchObject({
+      status: 'In progress',
+      licence: 'EQHOmoraviateam',
+      events: [expect.objectContaining({ type: 'status', from: 'New' }), expect.objectContaining({ type: 'licence' })],
+    });
+    expect(await (await get('/Task/1001/attachments')).text()).toContain('<span id="entityStatus">In progress</span>');
+
+    simulator.setScenario('happy');
+    expect(simulator.getTask(1001).licence).toBeNull();
+  });
+
+  it('should list scenarios and reject unknown ones', async () => {
+    expect((await (await get('/__sim/scenarios')).json()).scenarios.map(s => s.name)).toEqual(Object.keys(SCENARIOS));
+    expect((await post('/__sim/scenario/nope')).status).toBe(400);
+    expect(() => simulator.setScenario('nope')).toThrow('Unknown scenario "nope"');
+  });
+
+  it('should route the Moravia and Microsoft hosts to itself', () => {
+    expect(simulator.taskUrl(1001)).toBe(`http://projects.moravia.com:${simulator.port}/Task/1001/detail`);
+    expect(simulator.launchArgs()[0]).toBe('--host-resolver-rules=MAP projects.moravia.com 127.0.0.1, MAP login.microsoftonline.com 127.0.0.1');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for tools/replayEmails.js
+ * Covers: mbox splitting, message loading, frozen clock, table rendering, expected-decision comparison.
+ * The end-to-end replay itself loads the full pipeline and is exercised manually via the CLI.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dayjs = require('dayjs');
+
+const {
+  splitMbox,
+  loadMessages,
+  freezeClock,
+  formatTable,
+  compareExpected,
+} = require('../../tools/replayEmails');
+
+const EML_A = 'Subject: [#111] A\r\n\r\nbody a\r\n';
+const EML_B = 'Subject: [#222] B\r\n\r\nbody b\r\n>From the team\r\n';
+
+describe('tools/replayEmails.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-emails-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('splitMbox()', () => {
+    it('should split on From_ lines and unescape >From', () => {
+      const mbox = Buffer.from(
+        `From a@x Mon Jan 26 10:00:00 2026\n${EML_A}\nFrom b@x Mon Jan 26 11:00:00 2026\n${EML_B}`
+      );
+
+      const messages = splitMbox(mbox, 'inbox.mbox');
+
+      expect(messages.map(m => m.source)).toEqual(['inbox.mbox#1', 'inbox.mbox#2']);
+      expect(messages[0].raw.toString()).toContain('[#111]');
+      expect(messages[1].raw.toString()).toContain('\nFrom the team');
+      expect(messages[1].raw.toString()).not.toContain('>From');
+    });
+
+    it('should preserve non-UTF-8 bytes', () => {
+      const body = Buffer.from([0x53, 0x3a, 0x20, 0xe9, 0x0a]); // "S: \xe9\n"
+      const mbox = Buffer.concat([Buffer.from('From x\n'), body]);
+
+      expect(splitMbox(mbox, 'm')[0].raw).toEqual(body);
+    });
+  });
+
+  describe('loadMessages()', () => {
+    it('should load .eml and .mbox files from a directory in name order', () => {
+      fs.writeFileSync(path.join(tempDir, 'b.eml'), EML_B);
+      fs.writeFileSync(path.join(tempDir, 'a.eml'), EML_A);
+      fs.writeFileSync(path.join(tempDir, 'c.mbox'), `From x\n${EML_A}From y\n${EML_B}`);
+      fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'ignored');
+
+      const sources = loadMessages(tempDir).map(m => m.source);
+
+      expect(sources).toEqual(['a.eml', 'b.eml', 'c.mbox#1', 'c.mbox#2']);
+    });
+
+    it('should load a single .eml file', () => {
+      const file = path.join(tempDir, 'one.eml');
+      fs.writeFileSync(file, EML_A);
+
+      const [message] = loadMessages(file);
+      expect(message.source).toBe('one.eml');
+      expect(message.raw.toString()).toBe(EML_A);
+    });
+
+    it('should detect mbox content without the extension', () => {
+      const file = path.join(tempDir, 'archive');
+      fs.writeFileSync(file, `From x\n${EML_A}`);
+
+      expect(loadMessages(file).map(m => m.source)).toEqual(['archive#1']);
+    });
+  });
+
+  describe('freezeClock()', () => {
+    it('should freeze now() for Date and dayjs, and restore afterwards', () => {
+      const restore = freezeClock('2026-01-26 12:00');
+      try {
+        expect(dayjs().format('YYYY-MM-DD HH:mm')).toBe('2026-01-26 12:00');
+        expect(Date.now()).toBe(new Date('2026-01-26 12:00').getTime());
+        // Explicit dates are untouched
+        expect(new Date('2020-05-01T00:00:00Z').toISOString()).toBe('2020-05-01T00:00:00.000Z');
+      } finally {
+        restore();
+      }
+      expect(dayjs().year()).not.toBe(2020);
+      expect(Math.abs(Date.now() - new Date().getTime())).toBeLessThan(1000);
+    });
+
+    it('should reject invalid times', () => {
+      expect(() => freezeClock('not a time')).toThrow('Invalid --now value');
+    });
+  });
+
+  describe('formatTable()', () => {
+    it('should render aligned columns', () => {
+      const table = formatTable([
+        { source: 'a.eml', orderId: '1', status: 'New', words: 500, deadline: '-', decision: 'accepted', code: 'ACCEPTED_NORMAL', effective: '-', plan: '2026-01-27:500', strategy: 'balanced' },
+      ]);
+      const lines = table.split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^source \| orderId \| status/);
+      expect(lines[2]).toContain('ACCEPTED_NORMAL');
+      expect(lines[0].indexOf('| code')).toBe(lines[2].indexOf('| ACCEPTED_NORMAL'));
+    });
+  });
+
+  describe('compareExpected()', () => {
+    const rows = [
+      { source: 'a.eml', orderId: '1', decision: 'accepted', code: 'ACCEPTED_NORMAL', effective: '2026-01-28 17:00' },
+      { source: 'b.eml', orderId: '1', decision: 'rejected', code: 'REJECT_CAPACITY', effective: '-' },
+    ];
+
+    it('should return no mismatches when decisions match', () => {
+      expect(compareExpected(rows, [
+        { orderId: '1', decision: 'accepted' },
+        { orderId: 1, code: 'REJECT_CAPACITY' },
+      ])).toEqual([]);
+    });
+
+    it('should report differing fields and missing orders', () => {
+      expect(compareExpected(rows, [
+        { orderId: '1', source: 'b.eml', decision: 'accepted' },
+        { orderId: '9', decision: 'accepted' },
+      ])).toEqual([
+        '1: decision expected "accepted", got "rejected"',
+        '9: no decision found',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for utils/businessTime.js
+ * Covers: zone hints in date texts, wall-clock strings read as business time,
+ * instants converted to business time and "today" on hosts running in UTC or
+ * a negative offset.
+ */
+
+jest.mock('../../Logs/logger', () => ({
+  logFail: jest.fn(),
+}));
+
+const load = (zone) => {
+  let mod;
+  const previous = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = zone;
+  jest.isolateModules(() => {
+    mod = require('../../Utils/businessTime');
+  });
+  process.env.BUSINESS_TIMEZONE = previous;
+  return mod;
+};
+
+describe('utils/businessTime.js', () => {
+  const hostZone = process.env.TZ;
+
+  afterEach(() => {
+    process.env.TZ = hostZone;
+    jest.useRealTimers();
+  });
+
+  describe('extractZoneHint()', () => {
+    const { extractZoneHint } = load('Asia/Bangkok');
+
+    it.each([
+      ['27.01.2026 6:00 PM (GMT+01:00)', 60],
+      ['27.01.2026 6:00 PM UTC-5', -300],
+      ['2026-01-27 18:00+05:30', 330],
+      ['27.01.2026 6:00 PM (Europe/Prague)', 'Europe/Prague'],
+      ['27.01.2026 6:00 PM CET', 60],
+      ['27.01.2026 6:00 PM', null],
+    ])('should read the zone of "%s"', (text, zone) => {
+      expect(extractZoneHint(text).zone).toBe(zone);
+    });
+
+    it('should leave texts with an unknown region alone', () => {
+      expect(extractZoneHint('Due Foo/Bar 18:00')).toEqual({ text: 'Due Foo/Bar 18:00', zone: null });
+    });
+  });
+
+  describe('parseBusiness()', () => {
+    const { parseBusiness } = load('Asia/Bangkok');
+
+    it('should read a date without a zone as business wall-clock time', () => {
+      const deadline = parseBusiness('27.01.2026 6:00 PM');
+      expect(deadline.toISOString()).toBe('2026-01-27T11:00:00.000Z');
+      expect(deadline.format('YYYY-MM-DD HH:mm')).toBe('2026-01-27 18:00');
+    });
+
+    it('should honour an offset hint and move the deadline into business time', () => {
+      const deadline = parseBusiness('27.01.2026 6:00 PM (GMT+01:00)');
+      expect(deadline.toISOString()).toBe('2026-01-27T17:00:00.000Z');
+      expect(deadline.format('YYYY-MM-DD HH:mm')).toBe('2026-01-28 00:00');
+    });
+
+    it('should honour IANA zones with their daylight saving rules', () => {
+      expect(parseBusiness('27.07.2026 6:00 PM (Europe/Prague)').toISOString()).toBe('2026-07-27T16:00:00.000Z');
+      expect(parseBusiness('27.01.2026 6:00 PM (Europe/Prague)').toISOString()).toBe('2026-01-27T17:00:00.000Z');
+    });
+
+    it('should ignore bracketed notes and reject unparseable texts', () => {
+      expect(parseBusiness('2026-01-27 18:00 (Server Time)').format('YYYY-MM-DD HH:mm')).toBe('2026-01-27 18:00');
+      expect(parseBusiness('next Tuesday')).toBeNull();
+      expect(parseBusiness('')).toBeNull();
+      expect(parseBusiness(null)).toBeNull();
+    });
+
+    it('should only try the given formats', () => {
+      expect(parseBusiness('2026-01-27', ['DD.MM.YYYY'])).toBeNull();
+    });
+  });
+
+  // Cloud VMs run in UTC; a negative offset moves the host date the other way
+  describe.each(['UTC', 'America/New_York'])('on a %s host', (hostZone) => {
+    beforeEach(() => {
+      process.env.TZ = hostZone;
+    });
+
+    it('should give the business date, not the host date, as today', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T20:00:00Z') });
+      const { today, now } = load('Asia/Bangkok');
+
+      expect(today()).toBe('2026-01-27');
+      expect(now().hour()).toBe(3);
+    });
+
+    it('should read wall-clock strings as business time and keep instants', () => {
+      const { toBusiness } = load('Asia/Bangkok');
+
+      expect(toBusiness('2026-01-27 18:00').toISOString()).toBe('2026-01-27T11:00:00.000Z');
+      expect(toBusiness('2026-01-27 18:00:05').toISOString()).toBe('2026-01-27T11:00:05.000Z');
+      expect(toBusiness('2026-01-27 6:00 PM').toISOString()).toBe('2026-01-27T11:00:00.000Z');
+      expect(toBusiness('27/01/2026').toISOString()).toBe('2026-01-26T17:00:00.000Z');
+      expect(toBusiness('2026-01-27T18:00:00Z').format('YYYY-MM-DD HH:mm')).toBe('2026-01-28 01:00');
+      expect(toBusiness('2026-01-27T18:00:00.000+01:00').format('YYYY-MM-DD HH:mm')).toBe('2026-01-28 00:00');
+      expect(toBusiness(new Date('2026-01-27T18:00:00Z')).format('YYYY-MM-DD HH:mm')).toBe('2026-01-28 01:00');
+      expect(toBusiness('not a date').isValid()).toBe(false);
+    });
+
+    it('should not fall back to the host reading of other date texts', () => {
+      const { toBusiness } = load('Asia/Bangkok');
+
+      expect(toBusiness('Jan 27 2026 18:00').isValid()).toBe(false);
+      expect(toBusiness('2026/01/27 18:00').isValid()).toBe(false);
+      expect(toBusiness('Tue, 27 Jan 2026 18:00:00 +0100').isValid()).toBe(false);
+      expect(toBusiness('2026-01-27 18:00 (GMT+01:00)').format('YYYY-MM-DD HH:mm')).toBe('2026-01-28 00:00');
+    });
+
+    it('should follow BUSINESS_TIMEZONE', () => {
+      const { parseBusiness, toBusiness, BUSINESS_TZ } = load('Europe/Berlin');
+
+      expect(BUSINESS_TZ).toBe('Europe/Berlin');
+      expect(parseBusiness('2026-01-27 18:00').toISOString()).toBe('2026-01-27T17:00:00.000Z');
+      expect(toBusiness('2026-01-27').toISOString()).toBe('2026-01-26T23:00:00.000Z');
+    });
+  });
+
+  it('should fall back to Asia/Bangkok for an unknown BUSINESS_TIMEZONE', () => {
+    const { BUSINESS_TZ } = load('Mars/Olympus');
+    expect(BUSINESS_TZ).toBe('Asia/Bangkok');
+  });
+});
@@ -1,5 +1,10 @@
 // Set NODE_ENV before any module is loaded
 process.env.NODE_ENV = 'test';
+// Tests write times as business wall-clock: run the host clock in the business timezone.
+// The zone-sensitive suites (businessTime, taskAcceptance) switch TZ themselves to also
+// run on UTC and negative-offset hosts.
+process.env.TZ = 'Asia/Bangkok';
+process.env.BUSINESS_TIMEZONE = 'Asia/Bangkok';
 
 module.exports = {
   // Test environment
@@ -0,0 +1,13 @@
+// End-to-end suite (npm run test:e2e): the default config plus E2E=1, set here
+// rather than on the command line so the script also runs from cmd.exe (start.bat hosts).
+// No CI runs it - run it by hand after changing Exec/ or Config/acceptWorkflow.json.
+process.env.E2E = '1';
+
+const base = require('./jest.config');
+
+module.exports = {
+  ...base,
+  testMatch: ['<rootDir>/__tests__/e2e/**/*.test.js'],
+  // Coverage thresholds are set for the unit suite
+  collectCoverage: false
+};
@@ -23,6 +23,9 @@ import SystemHealth from './components/SystemHealth.js';
 import QueueMonitor from './components/QueueMonitor.js';
 import WorkingHoursManager from './components/WorkingHoursManager.js';
 import CapacityInsights from './components/CapacityInsights.js';
+import ShadowPanel from './components/ShadowPanel.js';
+import DeadLetterPanel from './components/DeadLetterPanel.js';
+import ForensicsPanel from './components/ForensicsPanel.js';
 
 class App {
   constructor() {
@@ -138,6 +141,15 @@ class App {
     this.components.capacityInsights = new CapacityInsights('#capacity-insights');
     this.components.capacityInsights?.mount();
 
+    this.components.shadowPanel = new ShadowPanel('#shadow-panel');
+    this.components.shadowPanel?.mount();
+
+    this.components.deadLetterPanel = new DeadLetterPanel('#dead-letter-panel');
+    this.components.deadLetterPanel?.mount();
+
+    this.components.forensicsPanel = new ForensicsPanel('#forensics-panel');
+    this.components.forensicsPanel?.mount();
+
     console.log('[App] Components mounted');
   }
 
@@ -297,7 +309,7 @@ class App {
         console.log(`[App] Removed ${refreshResult.completedCount} completed, ${refreshResult.onHoldCount} on-hold tasks`);
       }
 
-      // Use tasks from refresh response directly (avoids reading acceptedTasks.json twice)
+      // Use tasks from refresh response directly (avoids reading the task store twice)
       const tasksData = refreshResult?.tasks;
 
       // Batch store update
@@ -6,7 +6,7 @@
 import { CONFIG, ICONS } from '../config.js';
 import store from '../state/store.js';
 import api from '../services/api.js';
-import { formatNumber, formatDate } from '../utils/helpers.js';
+import { formatNumber, formatDate, escapeHtml } from '../utils/helpers.js';
 
 class AdjustUsage {
   constructor(containerSelector) {
@@ -17,6 +17,7 @@ class AdjustUsage {
     }
 
     this.isSubmitting = false;
+    this.allocations = [];
   }
 
   /**
@@ -31,7 +32,7 @@ class AdjustUsage {
       <div class="capacity-manager-panel">
         <h3 class="capacity-manager-title">${ICONS.edit} Adjust Usage</h3>
         <p class="text-muted mb-md" style="font-size: var(--font-sm);">
-          Add or subtract words from a date's usage count.
+          Add or subtract words from a date's usage count. Enter an Order ID to adjust only that order's words.
         </p>
         <form class="capacity-manager-form" id="form-adjust">
           <div class="capacity-manager-row">
@@ -55,6 +56,13 @@ class AdjustUsage {
                 required>
             </div>
           </div>
+          <div class="form-group">
+            <label class="form-label">Order ID (optional)</label>
+            <input type="text"
+              class="form-input"
+              id="adjust-order"
+              placeholder="Leave empty for unassigned words">
+          </div>
           <div class="flex gap-sm">
             <button type="button" class="btn btn-secondary flex-1 quick-adjust-btn" data-amount="-500">
               -500
@@ -82,6 +90,15 @@ class AdjustUsage {
             ${this.capacityReferenceTemplate()}
           </div>
         </div>
+
+        <div class="mt-lg">
+          <h4 style="font-size: var(--font-sm); color: var(--text-muted); margin-bottom: var(--spacing-sm);">
+            Orders on Selected Date
+          </h4>
+          <div id="capacity-allocations">
+            ${this.allocationsTemplate()}
+          </div>
+        </div>
       </div>
     `;
 
@@ -121,6 +138,59 @@ class AdjustUsage {
     `;
   }
 
+  /**
+   * Generate per-order breakdown template for the selected date
+   * @returns {string} - HTML template
+   */
+  allocationsTemplate() {
+    if (this.allocations.length === 0) {
+      return '<div class="text-muted" style="font-size: var(--font-xs);">No order allocations recorded</div>';
+    }
+
+    return `
+      <div style="font-size: var(--font-xs); color: var(--text-secondary);">
+        ${this.allocations.map(a => `
+          <div class="flex-between allocation-row" data-order="${escapeHtml(a.orderId || '')}" style="padding: 0.25rem 0; cursor: pointer;">
+            <span>${a.orderId ? escapeHtml(String(a.orderId)) : '<em>Unassigned</em>'} <span class="text-muted">(${escapeHtml([a.status, a.strategy, a.assignee].filter(Boolean).join(', '))})</span></span>
+            <span><strong>${formatNumber(a.amount)}</strong></span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Load the per-order breakdown for a date
+   * @param {string} date - Date string (YYYY-MM-DD)
+   */
+  async loadAllocations(date) {
+    try {
+      const result = await api.getDateAllocations(date);
+      this.allocations = Array.isArray(result?.orders) ? result.orders : [];
+    } catch (error) {
+      console.warn('Failed to load order allocations:', error);
+      this.allocations = [];
+    }
+
+    const listEl = document.getElementById('capacity-allocations');
+    if (listEl) {
+      listEl.innerHTML = this.allocationsTemplate();
+      this.bindAllocationEvents();
+    }
+  }
+
+  /**
+   * Clicking an order row targets the adjustment at that order
+   */
+  bindAllocationEvents() {
+    this.container.querySelectorAll('.allocation-row').forEach(row => {
+      row.addEventListener('click', () => {
+        const orderInput = document.getElementById('adjust-order');
+        if (orderInput) orderInput.value = row.dataset.order;
+      });
+    });
+  }
+
   /**
    * Initialize date picker
    */
@@ -131,7 +201,8 @@ class AdjustUsage {
         dateFormat: 'Y-m-d',
         defaultDate: input.value,
         minDate: 'today',
-        theme: 'dark'
+        theme: 'dark',
+        onChange: (_, dateStr) => this.loadAllocations(dateStr)
       });
     }
   }
@@ -170,10 +241,12 @@ class AdjustUsage {
 
     const dateInput = document.getElementById('adjust-date');
     const amountInput = document.getElementById('adjust-amount');
+    const orderInput = document.getElementById('adjust-order');
     const submitBtn = document.getElementById('btn-apply-adjust');
 
     const date = dateInput?.value;
     const amount = parseInt(amountInput?.value, 10);
+    const orderId = orderInput?.value.trim() || null;
 
     if (!date || isNaN(amount) || amount === 0) {
       document.dispatchEvent(new CustomEvent('toast:show', {
@@ -189,7 +262,7 @@ class AdjustUsage {
     }
 
     try {
-      await api.adjustCapacity(date, amount);
+      await api.adjustCapacity(date, amount, orderId);
 
       // Update local capacity
       const capacity = { ...store.get('capacity') };
@@ -204,7 +277,7 @@ class AdjustUsage {
         detail: {
           type: 'success',
           title: 'Adjustment Applied',
-          message: `${action} ${formatNumber(Math.abs(amount))} words for ${formatDate(date, 'DD/MM/YYYY')}`
+          message: `${action} ${formatNumber(Math.abs(amount))} words for ${formatDate(date, 'DD/MM/YYYY')}${orderId ? ` (Order ${orderId})` : ''}`
         }
       }));
 
@@ -213,6 +286,7 @@ class AdjustUsage {
 
       // Refresh reference
       this.updateReference();
+      this.loadAllocations(date);
     } catch (error) {
       console.error('Failed to adjust capacity:', error);
       document.dispatchEvent(new CustomEvent('toast:show', {
@@ -242,6 +316,7 @@ class AdjustUsage {
    */
   mount() {
     this.render();
+    this.loadAllocations(dayjs().format('YYYY-MM-DD'));
 
     // Re-render reference when capacity/override changes
     store.subscribe('capacity', () => {
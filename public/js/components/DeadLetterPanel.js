@@ -0,0 +1,189 @@
+/**
+ * Auto RWS Dashboard - Dead-Letter Emails Panel
+ * Notification emails that failed to parse or parsed incomplete; re-run one after a parser fix.
+ * Also shows how many duplicate notifications the idempotency index suppressed.
+ */
+
+import { CONFIG, ICONS } from '../config.js';
+import store from '../state/store.js';
+import api from '../services/api.js';
+import { formatNumber, escapeHtml } from '../utils/helpers.js';
+
+class DeadLetterPanel {
+  constructor(containerSelector) {
+    this.container = document.querySelector(containerSelector);
+    if (!this.container) {
+      console.error('DeadLetterPanel: Container not found:', containerSelector);
+      return;
+    }
+
+    this._refreshTimer = null;
+    this._loading = false;
+    this._showResolved = false;
+    this._unsubscribers = [];
+
+    this._unsubscribers.push(store.subscribe('deadLetter', () => this.render()));
+  }
+
+  async loadData() {
+    if (this._loading) return;
+    this._loading = true;
+    try {
+      const params = { limit: 50, ...(this._showResolved ? {} : { status: 'open' }) };
+      const [data, idempotency] = await Promise.all([
+        api.get(CONFIG.API.DEAD_LETTER, params).catch(() => null),
+        api.get(CONFIG.API.EMAIL_IDEMPOTENCY).catch(() => null),
+      ]);
+      store.set('deadLetter', data ? { ...data, idempotency } : null, true);
+      this.render();
+    } catch (err) {
+      console.warn('[DeadLetterPanel] loadData failed:', err);
+    } finally {
+      this._loading = false;
+    }
+  }
+
+  startAutoRefresh() {
+    this.stopAutoRefresh();
+    this._refreshTimer = setInterval(() => this.loadData(), 30000);
+  }
+
+  stopAutoRefresh() {
+    if (this._refreshTimer) {
+      clearInterval(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const data = store.get('deadLetter') || {};
+    const counts = data.counts || {};
+    const emails = Array.isArray(data.emails) ? data.emails : [];
+    const idempotency = data.idempotency || {};
+
+    this.container.innerHTML = `
+      <div class="queue-monitor">
+        <div class="queue-monitor-header">
+          <div class="queue-monitor-title">Dead-Letter Emails</div>
+          <div class="queue-monitor-actions">
+            <button class="btn btn-sm btn-ghost" id="btn-dead-letter-toggle">
+              ${this._showResolved ? 'Open only' : 'Show resolved'}
+            </button>
+            <button class="btn btn-sm btn-secondary" id="btn-dead-letter-refresh">
+              ${ICONS.refresh} Refresh
+            </button>
+          </div>
+        </div>
+
+        <div class="queue-status-cards">
+          ${this._statusCard('Open', counts.open || 0, 'error')}
+          ${this._statusCard('Resolved', counts.resolved || 0, 'success')}
+          ${this._statusCard('Duplicates', idempotency.suppressedTotal || 0, 'info',
+            `Re-sent notifications suppressed (last ${idempotency.retentionDays || '-'} days of keys, ${formatNumber(idempotency.suppressedSinceStart || 0)} since start)`)}
+        </div>
+
+        <div class="queue-table-wrap">
+          <table class="table queue-table">
+            <thead>
+              <tr>
+                <th>UID</th>
+                <th>Mailbox</th>
+                <th>Order</th>
+                <th>Problem</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${emails.length === 0
+                ? '<tr><td colspan="6" class="text-center text-muted">No failed emails</td></tr>'
+                : emails.map(e => this._emailRow(e)).join('')
+              }
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  _statusCard(label, value, type, tooltip = '') {
+    return `
+      <div class="queue-stat queue-stat--${type}"${tooltip ? ` data-tooltip="${escapeHtml(tooltip)}"` : ''}>
+        <span class="queue-stat-value">${formatNumber(value)}</span>
+        <span class="queue-stat-label">${label}</span>
+      </div>
+    `;
+  }
+
+  _emailRow(e) {
+    const problem = e.reason === 'parse_error'
+      ? `Parse error: ${e.error || '-'}`
+      : `Missing ${(e.missingFields || []).join(', ') || '-'}`;
+    const mailbox = e.account && e.account !== 'default' ? `${e.account}:${e.mailbox}` : e.mailbox;
+    const tooltip = escapeHtml([e.subject, e.from, e.attempts ? `${e.attempts} re-run(s)` : ''].filter(Boolean).join(' | '));
+    const safeId = escapeHtml(String(e.id));
+    const isOpen = e.status === 'open';
+
+    return `
+      <tr class="${isOpen ? 'queue-row--failed' : ''}">
+        <td class="tabular-nums" data-tooltip="${tooltip}">${escapeHtml(String(e.uid))}</td>
+        <td class="truncate" style="max-width:140px" data-tooltip="${escapeHtml(mailbox)}">${escapeHtml(mailbox)}</td>
+        <td>${escapeHtml(e.orderId || '-')}</td>
+        <td class="truncate" style="max-width:200px" data-tooltip="${escapeHtml(problem)}">${escapeHtml(problem)}</td>
+        <td><span class="badge ${isOpen ? 'badge-error' : 'badge-success'}">${escapeHtml(e.status)}</span></td>
+        <td>
+          ${isOpen ? `<button class="btn btn-sm btn-ghost dead-letter-reprocess-btn" data-id="${safeId}" data-tooltip="Re-run through the parser">${ICONS.refresh}</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }
+
+  bindEvents() {
+    document.getElementById('btn-dead-letter-refresh')?.addEventListener('click', () => this.loadData());
+
+    document.getElementById('btn-dead-letter-toggle')?.addEventListener('click', () => {
+      this._showResolved = !this._showResolved;
+      this.loadData();
+    });
+
+    this.container.querySelectorAll('.dead-letter-reprocess-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const id = btn.dataset.id;
+        btn.disabled = true;
+        try {
+          const result = await api.post(`${CONFIG.API.DEAD_LETTER}/${id}/reprocess`);
+          const message = result.resolved
+            ? `Email #${id} parsed${result.dispatched ? ' and sent for processing' : ''}`
+            : `Email #${id} still ${result.error ? `fails: ${result.error}` : `missing ${(result.missingFields || []).join(', ')}`}`;
+          document.dispatchEvent(new CustomEvent('toast:show', {
+            detail: { type: result.resolved ? 'success' : 'warning', message }
+          }));
+          await this.loadData();
+        } catch (err) {
+          document.dispatchEvent(new CustomEvent('toast:show', {
+            detail: { type: 'error', message: `Failed to re-run email #${id}` }
+          }));
+          btn.disabled = false;
+        }
+      });
+    });
+  }
+
+  mount() {
+    this.render();
+    this.loadData();
+    this.startAutoRefresh();
+  }
+
+  destroy() {
+    this.stopAutoRefresh();
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+}
+
+export default DeadLetterPanel;
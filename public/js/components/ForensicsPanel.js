@@ -0,0 +1,256 @@
+/**
+ * Auto RWS Dashboard - Failure Forensics Panel
+ * Bundles of failed accept attempts: screenshot, page HTML, console, failed requests
+ * and step timings. Opened from a failed Queue Monitor row ('forensics:open').
+ */
+
+import { CONFIG, ICONS } from '../config.js';
+import store from '../state/store.js';
+import api from '../services/api.js';
+import { formatNumber, escapeHtml } from '../utils/helpers.js';
+
+class ForensicsPanel {
+  constructor(containerSelector) {
+    this.container = document.querySelector(containerSelector);
+    if (!this.container) {
+      console.error('ForensicsPanel: Container not found:', containerSelector);
+      return;
+    }
+
+    this._refreshTimer = null;
+    this._loading = false;
+    this._selected = null;   // bundle.json of the bundle being viewed
+    this._unsubscribers = [];
+
+    this._onOpen = (e) => this.openOrder(e.detail?.orderId);
+    document.addEventListener('forensics:open', this._onOpen);
+
+    this._unsubscribers.push(store.subscribe('forensics', () => this.render()));
+  }
+
+  async loadData() {
+    if (this._loading) return;
+    this._loading = true;
+    try {
+      const data = await api.get(CONFIG.API.FORENSICS, { limit: 50 }).catch(() => null);
+      store.set('forensics', data, true);
+      this.render();
+    } catch (err) {
+      console.warn('[ForensicsPanel] loadData failed:', err);
+    } finally {
+      this._loading = false;
+    }
+  }
+
+  /** View the latest bundle of an order (from the Queue Monitor) */
+  async openOrder(orderId) {
+    if (!orderId) return;
+    try {
+      const { bundles = [] } = await api.get(CONFIG.API.FORENSICS, { orderId, limit: 1 });
+      if (bundles.length === 0) {
+        document.dispatchEvent(new CustomEvent('toast:show', {
+          detail: { type: 'info', message: `No forensics bundle for order ${orderId}` }
+        }));
+        return;
+      }
+      await this.openBundle(bundles[0].orderDir, bundles[0].bundleId);
+      this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (err) {
+      document.dispatchEvent(new CustomEvent('toast:show', {
+        detail: { type: 'error', message: `Failed to load forensics of order ${orderId}` }
+      }));
+    }
+  }
+
+  async openBundle(orderDir, bundleId) {
+    const bundle = await api.get(`${CONFIG.API.FORENSICS}/${encodeURIComponent(orderDir)}/${encodeURIComponent(bundleId)}`);
+    this._selected = { ...bundle, orderDir };
+    this.render();
+  }
+
+  startAutoRefresh() {
+    this.stopAutoRefresh();
+    this._refreshTimer = setInterval(() => this.loadData(), 60000);
+  }
+
+  stopAutoRefresh() {
+    if (this._refreshTimer) {
+      clearInterval(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const data = store.get('forensics') || {};
+    const bundles = Array.isArray(data.bundles) ? data.bundles : [];
+
+    this.container.innerHTML = `
+      <div class="queue-monitor">
+        <div class="queue-monitor-header">
+          <div class="queue-monitor-title">Failure Forensics</div>
+          <div class="queue-monitor-actions">
+            ${this._selected ? `<button class="btn btn-sm btn-ghost" id="btn-forensics-back">${ICONS.chevronLeft} All bundles</button>` : ''}
+            <button class="btn btn-sm btn-secondary" id="btn-forensics-refresh">
+              ${ICONS.refresh} Refresh
+            </button>
+          </div>
+        </div>
+
+        ${this._selected ? this._viewer(this._selected) : `
+          <div class="queue-table-wrap">
+            <table class="table queue-table">
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Step</th>
+                  <th>Reason</th>
+                  <th>Captured</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${bundles.length === 0
+                  ? '<tr><td colspan="5" class="text-center text-muted">No failed attempts captured</td></tr>'
+                  : bundles.map(b => this._bundleRow(b)).join('')
+                }
+              </tbody>
+            </table>
+          </div>
+        `}
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  _bundleRow(b) {
+    const captured = b.capturedAt ? dayjs(b.capturedAt).format('DD/MM HH:mm') : '-';
+    const reason = escapeHtml(b.reason || '-');
+    const tooltip = escapeHtml(`${b.consoleCount} console message(s), ${b.failedRequestCount} failed request(s), ${formatNumber(Math.round((b.bytes || 0) / 1024))} KB`);
+
+    return `
+      <tr>
+        <td class="tabular-nums" data-tooltip="${tooltip}">${escapeHtml(b.orderId)}</td>
+        <td>${escapeHtml(b.step || '-')}</td>
+        <td class="truncate" style="max-width:220px" data-tooltip="${reason}">${reason}</td>
+        <td class="tabular-nums">${captured}</td>
+        <td>
+          <button class="btn btn-sm btn-ghost forensics-view-btn" data-order="${escapeHtml(b.orderDir)}" data-bundle="${escapeHtml(b.bundleId)}" data-tooltip="View bundle">${ICONS.search}</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  _viewer(bundle) {
+    const base = `${CONFIG.API.FORENSICS}/${encodeURIComponent(bundle.orderDir)}/${encodeURIComponent(bundle.bundleId)}`;
+    const files = bundle.files || [];
+    const timings = bundle.timings || [];
+    const consoleEntries = bundle.console || [];
+    const requests = bundle.failedRequests || [];
+
+    return `
+      <div class="forensics-viewer">
+        <p><strong>Order ${escapeHtml(bundle.orderId || '-')}</strong> · ${escapeHtml(bundle.capturedAt ? dayjs(bundle.capturedAt).format('DD/MM/YYYY HH:mm:ss') : '-')}</p>
+        <p class="text-error">${escapeHtml(bundle.reason || '-')}</p>
+        ${bundle.step ? `<p>Step <strong>${escapeHtml(bundle.step)}</strong> ${bundle.details ? `<code>${escapeHtml(JSON.stringify(bundle.details))}</code>` : ''}</p>` : ''}
+        <p class="text-muted truncate" data-tooltip="${escapeHtml(bundle.pageUrl || bundle.url || '')}">${escapeHtml(bundle.pageUrl || bundle.url || '-')}</p>
+        ${(bundle.captureErrors || []).length ? `<p class="text-muted">Capture: ${escapeHtml(bundle.captureErrors.join('; '))}</p>` : ''}
+
+        ${files.includes('page.html') ? `
+          <p>
+            <a class="btn btn-sm btn-ghost" href="${base}/page.html" target="_blank" rel="noopener">${ICONS.link} Page HTML</a>
+            <a class="btn btn-sm btn-ghost" href="${base}/page.html?download=1">${ICONS.download} Download</a>
+          </p>` : ''}
+        ${files.includes('screenshot.png') ? `
+          <a href="${base}/screenshot.png" target="_blank" rel="noopener">
+            <img src="${base}/screenshot.png" alt="Screenshot of the failed page" style="width:100%;max-height:360px;object-fit:contain;object-position:top">
+          </a>` : ''}
+
+        <div class="queue-table-wrap">
+          <table class="table queue-table">
+            <thead><tr><th>Step</th><th>Duration</th></tr></thead>
+            <tbody>
+              ${timings.length === 0
+                ? '<tr><td colspan="2" class="text-center text-muted">No steps recorded</td></tr>'
+                : timings.map(t => `
+                  <tr>
+                    <td>${escapeHtml(t.step)}</td>
+                    <td class="tabular-nums">${t.durationMs == null ? '-' : `${formatNumber(t.durationMs)} ms`}</td>
+                  </tr>`).join('')
+              }
+            </tbody>
+          </table>
+        </div>
+
+        ${this._logTable(`Failed requests (${requests.length})`, requests.map(r => ({
+          label: r.status ? String(r.status) : 'failed',
+          text: `${r.method} ${r.url}${r.error ? ` - ${r.error}` : ''}`,
+          error: true,
+        })))}
+        ${this._logTable(`Console (${consoleEntries.length})`, consoleEntries.map(c => ({
+          label: c.type,
+          text: c.text,
+          error: c.type === 'error' || c.type === 'pageerror',
+        })))}
+      </div>
+    `;
+  }
+
+  _logTable(title, rows) {
+    if (rows.length === 0) return '';
+    return `
+      <div class="queue-table-wrap">
+        <table class="table queue-table">
+          <thead><tr><th colspan="2">${escapeHtml(title)}</th></tr></thead>
+          <tbody>
+            ${rows.map(r => `
+              <tr class="${r.error ? 'queue-row--failed' : ''}">
+                <td>${escapeHtml(r.label)}</td>
+                <td class="truncate" style="max-width:320px" data-tooltip="${escapeHtml(r.text)}">${escapeHtml(r.text)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    document.getElementById('btn-forensics-refresh')?.addEventListener('click', () => this.loadData());
+
+    document.getElementById('btn-forensics-back')?.addEventListener('click', () => {
+      this._selected = null;
+      this.render();
+    });
+
+    this.container.querySelectorAll('.forensics-view-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          await this.openBundle(btn.dataset.order, btn.dataset.bundle);
+        } catch (err) {
+          document.dispatchEvent(new CustomEvent('toast:show', {
+            detail: { type: 'error', message: 'Failed to load forensics bundle' }
+          }));
+          btn.disabled = false;
+        }
+      });
+    });
+  }
+
+  mount() {
+    this.render();
+    this.loadData();
+    this.startAutoRefresh();
+  }
+
+  destroy() {
+    this.stopAutoRefresh();
+    document.removeEventListener('forensics:open', this._onOpen);
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+}
+
+export default ForensicsPanel;
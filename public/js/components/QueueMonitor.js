@@ -155,6 +155,7 @@ class QueueMonitor {
     const created = task.createdAt ? dayjs(task.createdAt).format('DD/MM HH:mm') : '-';
     const error = task.error || '';
     const isFailed = status === 'failed';
+    const orderId = typeof meta === 'object' ? meta.orderId : null;
 
     const safeWorkflow = escapeHtml(workflow);
     const safeError = escapeHtml(error);
@@ -176,6 +177,7 @@ class QueueMonitor {
         <td class="tabular-nums">${created}</td>
         <td>
           ${isFailed ? `<button class="btn btn-sm btn-ghost queue-retry-btn" data-id="${safeId}" data-tooltip="Retry task">${ICONS.refresh}</button>` : ''}
+          ${isFailed && orderId ? `<button class="btn btn-sm btn-ghost queue-forensics-btn" data-order="${escapeHtml(String(orderId))}" data-tooltip="View failure forensics">${ICONS.search}</button>` : ''}
           ${safeError ? `<span class="text-error text-muted" data-tooltip="${safeError}">!</span>` : ''}
         </td>
       </tr>
@@ -221,6 +223,13 @@ class QueueMonitor {
       });
     });
 
+    // Failure forensics (ForensicsPanel)
+    this.container.querySelectorAll('.queue-forensics-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('forensics:open', { detail: { orderId: btn.dataset.order } }));
+      });
+    });
+
     // Retry
     this.container.querySelectorAll('.queue-retry-btn').forEach(btn => {
       btn.addEventListener('click', async () => {
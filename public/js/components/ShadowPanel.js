@@ -0,0 +1,164 @@
+/**
+ * Auto RWS Dashboard - Shadow Mode Panel
+ * Dry-run decisions recorded by a SHADOW_MODE instance (no Moravia / Sheets / capacity writes)
+ */
+
+import { CONFIG, ICONS } from '../config.js';
+import store from '../state/store.js';
+import api from '../services/api.js';
+import { formatNumber, escapeHtml } from '../utils/helpers.js';
+
+class ShadowPanel {
+  constructor(containerSelector) {
+    this.container = document.querySelector(containerSelector);
+    if (!this.container) {
+      console.error('ShadowPanel: Container not found:', containerSelector);
+      return;
+    }
+
+    this._refreshTimer = null;
+    this._loading = false;
+    this._unsubscribers = [];
+
+    this._unsubscribers.push(store.subscribe('shadowStatus', () => this.render()));
+  }
+
+  async loadData() {
+    if (this._loading) return;
+    this._loading = true;
+    try {
+      const status = await api.get(CONFIG.API.SHADOW, { type: 'decision', limit: 50 }).catch(() => null);
+      store.set('shadowStatus', status, true);
+      this.render();
+    } catch (err) {
+      console.warn('[ShadowPanel] loadData failed:', err);
+    } finally {
+      this._loading = false;
+    }
+  }
+
+  startAutoRefresh() {
+    this.stopAutoRefresh();
+    this._refreshTimer = setInterval(() => this.loadData(), 15000);
+  }
+
+  stopAutoRefresh() {
+    if (this._refreshTimer) {
+      clearInterval(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const status = store.get('shadowStatus') || {};
+    const counters = status.counters || {};
+    const decisions = Array.isArray(status.recent) ? status.recent : [];
+    const enabled = status.enabled === true;
+
+    // Hide the panel entirely on production instances with nothing recorded
+    if (!enabled && decisions.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const codes = Object.entries(status.byCode || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => `<span class="badge badge-info" data-tooltip="${escapeHtml(code)}">${escapeHtml(code)}: ${formatNumber(count)}</span>`)
+      .join(' ');
+
+    this.container.innerHTML = `
+      <div class="queue-monitor">
+        <div class="queue-monitor-header">
+          <div class="queue-monitor-title">Shadow Decisions ${enabled ? '<span class="badge badge-warning">Shadow Mode</span>' : ''}</div>
+          <div class="queue-monitor-actions">
+            <button class="btn btn-sm btn-secondary" id="btn-shadow-refresh">
+              ${ICONS.refresh} Refresh
+            </button>
+          </div>
+        </div>
+
+        <div class="queue-status-cards">
+          ${this._statusCard('Decisions', counters.decisions || 0, 'info')}
+          ${this._statusCard('Accepted', counters.accepted || 0, 'success')}
+          ${this._statusCard('Rejected', counters.rejected || 0, 'error')}
+          ${this._statusCard('On Hold', counters.onHold || 0, 'pending')}
+        </div>
+
+        ${codes ? `<div class="mb-sm">${codes}</div>` : ''}
+
+        <div class="queue-table-wrap">
+          <table class="table queue-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Order</th>
+                <th>Words</th>
+                <th>Decision</th>
+                <th>Code</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${decisions.length === 0
+                ? '<tr><td colspan="5" class="text-center text-muted">No shadow decisions yet</td></tr>'
+                : decisions.map(d => this._decisionRow(d)).join('')
+              }
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  _statusCard(label, value, type) {
+    return `
+      <div class="queue-stat queue-stat--${type}">
+        <span class="queue-stat-value">${formatNumber(value)}</span>
+        <span class="queue-stat-label">${label}</span>
+      </div>
+    `;
+  }
+
+  _decisionRow(d) {
+    const badgeMap = {
+      accepted: 'badge-success',
+      rejected: 'badge-error',
+      on_hold: 'badge-pending',
+    };
+    const plan = (d.allocationPlan || []).map(p => `${p.date} (${p.amount}${p.assignee ? ` ${p.assignee}` : ''})`).join(', ')
+      + (d.strategy ? ` [${d.strategy}]` : '');
+    const tooltip = escapeHtml([d.message, plan].filter(Boolean).join(' | '));
+    const time = d.timestamp ? dayjs(d.timestamp).format('DD/MM HH:mm') : '-';
+
+    return `
+      <tr>
+        <td class="tabular-nums">${time}</td>
+        <td class="truncate" style="max-width:140px" data-tooltip="${escapeHtml(d.workflowName || '')}">${escapeHtml(String(d.orderId || '-'))}</td>
+        <td class="tabular-nums">${formatNumber(d.amountWords || 0)}</td>
+        <td><span class="badge ${badgeMap[d.decision] || 'badge-info'}">${escapeHtml(d.decision || '-')}</span></td>
+        <td class="truncate" style="max-width:180px" data-tooltip="${tooltip}">${escapeHtml(d.code || '-')}</td>
+      </tr>
+    `;
+  }
+
+  bindEvents() {
+    document.getElementById('btn-shadow-refresh')?.addEventListener('click', () => this.loadData());
+  }
+
+  mount() {
+    this.render();
+    this.loadData();
+    this.startAutoRefresh();
+  }
+
+  destroy() {
+    this.stopAutoRefresh();
+    this._unsubscribers.forEach(unsub => unsub());
+    this._unsubscribers = [];
+  }
+}
+
+export default ShadowPanel;
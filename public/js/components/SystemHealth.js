@@ -142,6 +142,7 @@ class SystemHealth {
       ? rawMailboxes.map(m => m.replace(/^.*\//, '')).join(', ')
       : rawMailboxes;
     const reconnects = conn.totalReconnects || health.totalReconnectsTracked || 0;
+    const recovered = conn.totalRecovered || health.totalRecovered || 0;
     const paused = conn.isPaused || false;
     const statusClass = paused ? 'connecting' : (connected ? 'online' : 'offline');
 
@@ -165,6 +166,10 @@ class SystemHealth {
             <span class="health-stat-value">${reconnects}</span>
             <span class="health-stat-label">Reconnects</span>
           </div>
+          <div class="health-stat" data-tooltip="Emails picked up by the reconciliation sweep (missed new-mail events)">
+            <span class="health-stat-value">${recovered}</span>
+            <span class="health-stat-label">Recovered</span>
+          </div>
         </div>
       </div>
     `;
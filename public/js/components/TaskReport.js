@@ -71,7 +71,9 @@ class TaskReport {
 
     // Apply search
     if (search) {
-      filtered = filterBySearch(filtered, search, ['workflow', 'orderId', 'name']);
+      filtered = filterBySearch(filtered, search, [
+        'workflow', 'orderId', 'name', 'client', 'sourceLanguage', 'targetLanguage', 'taskType', 'projectManager'
+      ]);
     }
 
     // Apply sort
@@ -228,7 +230,7 @@ class TaskReport {
           <input type="text"
             class="task-report-search-input"
             id="task-search"
-            placeholder="Search workflow or order ID..."
+            placeholder="Search workflow, order ID, client, language..."
             value="${escapeHtml(currentSearch)}">
         </div>
 
@@ -300,6 +302,7 @@ class TaskReport {
     const relativeTime = getRelativeTime(task.deadline);
     const workflowId = task.workflow || task.orderId || '-';
     const link = sanitizeUrl(task.link);
+    const details = [task.taskType, task.projectManager ? `PM: ${task.projectManager}` : ''].filter(Boolean).join(' | ');
 
     // Determine row class based on urgency
     let rowClass = '';
@@ -317,6 +320,10 @@ class TaskReport {
             ${escapeHtml(workflowId)}
           </a>
         </td>
+        <td class="truncate" style="max-width:120px">${escapeHtml(task.languagePair || '-')}</td>
+        <td class="truncate" style="max-width:160px"${details ? ` data-tooltip="${escapeHtml(details)}"` : ''}>
+          ${escapeHtml(task.client || '-')}
+        </td>
         <td class="task-words" style="text-align: right;">
           ${formatNumber(task.words || task.wordCount || 0)}
         </td>
@@ -547,7 +554,7 @@ class TaskReport {
     const tasks = store.get('filteredTasks') || [];
 
     const csvRows = [
-      ['#', 'Workflow', 'Words', 'Deadline', 'Status', 'Link'].join(',')
+      ['#', 'Workflow', 'Source', 'Target', 'Client', 'Task Type', 'PM', 'Words', 'Deadline', 'Status', 'Link'].join(',')
     ];
 
     tasks.forEach((task, index) => {
@@ -555,6 +562,11 @@ class TaskReport {
       csvRows.push([
         index + 1,
         task.workflow || task.orderId || '',
+        task.sourceLanguage || '',
+        task.targetLanguage || '',
+        task.client || '',
+        task.taskType || '',
+        task.projectManager || '',
         task.words || task.wordCount || 0,
         formatDateTime(task.deadline),
         relativeTime.text,
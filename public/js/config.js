@@ -32,7 +32,11 @@ export const CONFIG = {
     HOLIDAYS: '/api/holidays',
     QUEUE_STATUS: '/api/queue/status',
     QUEUE_RECENT: '/api/queue/recent',
-    CAPACITY_INSIGHTS: '/api/capacity/insights'
+    CAPACITY_INSIGHTS: '/api/capacity/insights',
+    SHADOW: '/api/shadow',
+    DEAD_LETTER: '/api/emails/dead-letter',
+    EMAIL_IDEMPOTENCY: '/api/emails/idempotency',
+    FORENSICS: '/api/forensics'
   },
 
   // WebSocket
@@ -132,6 +136,8 @@ export const ICONS = {
 export const TASK_COLUMNS = [
   { key: 'index', label: '#', sortable: false, width: '50px' },
   { key: 'workflow', label: 'Workflow', sortable: true },
+  { key: 'languagePair', label: 'Languages', sortable: true },
+  { key: 'client', label: 'Client', sortable: true },
   { key: 'words', label: 'Words', sortable: true, align: 'right' },
   { key: 'deadline', label: 'Deadline', sortable: true },
   { key: 'status', label: 'Status', sortable: true },
@@ -182,10 +182,20 @@ class ApiService {
    * Adjust capacity for a specific date
    * @param {string} date - Date string (YYYY-MM-DD)
    * @param {number} amount - Adjustment amount (positive or negative)
+   * @param {string} [orderId] - Limit the adjustment to one order's allocation
    * @returns {Promise<object>} - Updated capacity
    */
-  async adjustCapacity(date, amount) {
-    return this.post(CONFIG.API.ADJUST, { date, amount });
+  async adjustCapacity(date, amount, orderId = null) {
+    return this.post(CONFIG.API.ADJUST, orderId ? { date, amount, orderId } : { date, amount });
+  }
+
+  /**
+   * Get the per-order allocation breakdown for a date
+   * @param {string} date - Date string (YYYY-MM-DD)
+   * @returns {Promise<{date: string, orders: Array}>}
+   */
+  async getDateAllocations(date) {
+    return this.get(`${CONFIG.API.CAPACITY}/${encodeURIComponent(date)}/orders`);
   }
 
   /**
@@ -232,7 +242,10 @@ class ApiService {
       workflow: task.workflowName || task.workflow || task.orderId,
       words: task.amountWords || task.words || 0,
       deadline: task.plannedEndDate || task.deadline,
-      link: task.url || task.link || '#'
+      link: task.url || task.link || '#',
+      languagePair: (task.sourceLanguage || task.targetLanguage)
+        ? `${task.sourceLanguage || '?'} → ${task.targetLanguage || '?'}`
+        : ''
     }));
   }
 
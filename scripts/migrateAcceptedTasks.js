@@ -0,0 +1,27 @@
+// One-shot import of Task/acceptedTasks.json into the SQLite task store.
+// The store also does this on first use; run this to migrate ahead of a deploy
+// or to import another file:  node scripts/migrateAcceptedTasks.js [path/to/acceptedTasks.json]
+const path = require('path');
+const { TaskStore, LEGACY_JSON_PATH, TASK_STATUS } = require('../Task/taskStore');
+
+const jsonPath = process.argv[2] ? path.resolve(process.argv[2]) : LEGACY_JSON_PATH;
+const store = new TaskStore();
+
+try {
+  const result = store.migrateFromJson(jsonPath);
+  if (!result) {
+    console.log('Nothing to migrate:', jsonPath, 'not found');
+  } else {
+    console.log('Imported:', result.imported, 'tasks');
+    console.log('Skipped:', result.skipped, 'duplicates/invalid');
+    console.log('Renamed to:', `${jsonPath}.migrated`);
+  }
+
+  const active = store.getCounts()[TASK_STATUS.ACTIVE];
+  console.log('Active tasks:', active.count, '| Total words:', active.words);
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
@@ -0,0 +1,311 @@
+// tools/moraviaSimulator.js
+// Offline Moravia: a local Express server that serves recorded task pages
+// (tools/fixtures/moravia) so execAccept can run end-to-end against headless
+// Chromium with no network - status change with its "Please wait" overlay,
+// attachments grid, TMS.startTranslation, the licence modal with its
+// Select2-style dropdowns, and Microsoft sign-in.
+//
+// Chromium resolves projects.moravia.com and login.microsoftonline.com to this
+// server (launchArgs()), so the URL and hostname checks in execAccept behave as
+// in production.
+//
+// Scenarios switch the pages' behaviour (setScenario(), POST /__sim/scenario/:name
+// or --scenario): see SCENARIOS. Every page reads the scenario at request time.
+//
+// Usage:
+//   node tools/moraviaSimulator.js [--port 4100] [--scenario slow-modal]
+//   then launch Chromium with the printed --host-resolver-rules and open the task URL.
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'moravia');
+const MORAVIA_HOST = 'projects.moravia.com';
+const LOGIN_HOST = 'login.microsoftonline.com';
+const SESSION_COOKIE = 'sim_session';
+
+/** Page behaviour shared by every scenario (ms delays, recorded task data) */
+const BASE_SCENARIO = {
+  description: 'Eligible task, every element where the workflow expects it',
+  notFound: false,
+  status: 'New',
+  acceptedStatus: 'In progress',
+  sso: null,                 // null | 'redirect' (signs in and returns) | 'expired' (stays on sign-in)
+  ssoDelay: 800,
+  statusDelay: 1500,         // "Please wait a few moments" overlay after Change Status
+  modalDelay: 300,           // licence modal after the file link
+  dropdownDelay: 150,        // Select2 results after opening the dropdown
+  aboutBuild: false,         // "About this build" modal on top of the licence modal
+  sourceGroup: 'Source',     // attachments grid group holding the file link
+  licences: ['EQHOmoraviateam', 'EQHOmoraviateam-backup', 'Other agency'],
+  project: 'MS Product Docs Q1',
+  words: 1250,
+  fileName: 'source_en-US.docx'
+};
+
+const SCENARIOS = {
+  happy: {},
+  'not-found': { description: 'Task page answers 404 Not Found', notFound: true },
+  'on-hold': { description: 'Task status is "On hold" (not eligible)', status: 'On hold' },
+  'sso-redirect': { description: 'Microsoft sign-in first, then back to the task', sso: 'redirect' },
+  'sso-expired': { description: 'Stuck on Microsoft sign-in (session expired)', sso: 'expired' },
+  'slow-status': { description: 'Status change overlay stays up for 8 s', statusDelay: 8000 },
+  'slow-modal': { description: 'Licence modal opens 6 s after the file link', modalDelay: 6000 },
+  'about-build': { description: '"About this build" modal covers the licence modal', aboutBuild: true },
+  'missing-chevron': { description: 'Attachments grid has no Source group', sourceGroup: 'Source files (moved)' }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** JSON safe to inline in a <script> */
+const inlineJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+/**
+ * Fill a fixture: {{key}} → HTML-escaped value, {{config}} → the page's SIM object.
+ * @param {string} name - file in tools/fixtures/moravia
+ * @param {Object} values
+ * @param {Object} [config]
+ */
+function renderPage(name, values, config = {}) {
+  const template = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8');
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (key === 'config') return inlineJson(config);
+    return key in values ? escapeHtml(values[key]) : match;
+  });
+}
+
+/** Cookie value from the raw header (no cookie-parser dependency) */
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+class MoraviaSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.scenario='happy'] - key of SCENARIOS
+   * @param {number} [options.port=0] - 0 picks a free port
+   */
+  constructor({ scenario = 'happy', port = 0 } = {}) {
+    this.port = port;
+    this.server = null;
+    /** @type {Map<string, { status: string, licence: string|null, events: Object[] }>} */
+    this.tasks = new Map();
+    this.setScenario(scenario);
+    this.app = this._buildApp();
+  }
+
+  /* ========================= Scenario & State ========================= */
+
+  /**
+   * Switch the scenario (resets task state).
+   * @param {string} name - key of SCENARIOS
+   */
+  setScenario(name) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario "${name}" (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    this.scenarioName = name;
+    this.scenario = { ...BASE_SCENARIO, ...SCENARIOS[name] };
+    this.tasks.clear();
+  }
+
+  /**
+   * What the pages did to a task: status, licence set, and the POSTs in order.
+   * @param {string|number} taskId
+   */
+  getTask(taskId) {
+    const id = String(taskId);
+    if (!this.tasks.has(id)) {
+      this.tasks.set(id, { status: this.scenario.status, licence: null, events: [] });
+    }
+    return this.tasks.get(id);
+  }
+
+  _record(taskId, type, data = {}) {
+    const task = this.getTask(taskId);
+    task.events.push({ type, at: new Date().toISOString(), ...data });
+    return task;
+  }
+
+  /* ========================= Routes ========================= */
+
+  _buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Sign-in gate: first visit goes through Microsoft sign-in
+    const requireSession = (req, res, next) => {
+      const { sso, ssoDelay } = this.scenario;
+      if (!sso || readCookie(req, SESSION_COOKIE)) return next();
+      const returnUrl = `http://${req.headers.host}${req.originalUrl}`;
+      const loginUrl = new URL(`http://${LOGIN_HOST}:${this.port}/common/oauth2/authorize`);
+      if (sso === 'redirect') loginUrl.searchParams.set('returnUrl', returnUrl);
+      this._record(req.params.taskId, 'sso', { mode: sso, ssoDelay });
+      res.redirect(302, loginUrl.href);
+    };
+
+    const taskValues = (taskId) => ({
+      taskId,
+      status: this.getTask(taskId).status,
+      project: this.scenario.project,
+      words: this.scenario.words,
+      fileName: this.scenario.fileName,
+      sourceGroup: this.scenario.sourceGroup
+    });
+
+    const pageConfig = (taskId) => ({
+      taskId,
+      statusDelay: this.scenario.statusDelay,
+      modalDelay: this.scenario.modalDelay,
+      dropdownDelay: this.scenario.dropdownDelay,
+      aboutBuild: this.scenario.aboutBuild,
+      licences: this.scenario.licences
+    });
+
+    const taskPage = (fixture) => (req, res) => {
+      const { taskId } = req.params;
+      if (!/^\d+$/.test(taskId) || this.scenario.notFound) {
+        return res.status(404).type('html').send(renderPage('not-found.html', { taskId }));
+      }
+      res.type('html').send(renderPage(fixture, taskValues(taskId), pageConfig(taskId)));
+    };
+
+    app.get('/Task/:taskId', (req, res) => res.redirect(302, `/Task/${req.params.taskId}/detail`));
+    app.get('/Task/:taskId/detail', requireSession, taskPage('task-detail.html'));
+    app.get('/Task/:taskId/attachments', requireSession, taskPage('task-attachments.html'));
+
+    app.get('/common/oauth2/authorize', (req, res) => {
+      const returnUrl = req.query.returnUrl;
+      // Back through the Moravia host so the session cookie lands there
+      const callback = returnUrl
+        ? `http://${MORAVIA_HOST}:${this.port}/__sim/sso/callback?returnUrl=${encodeURIComponent(returnUrl)}`
+        : null;
+      res.type('html').send(renderPage('microsoft-login.html', {}, { ssoReturnUrl: callback, ssoDelay: this.scenario.ssoDelay }));
+    });
+
+    app.get('/__sim/sso/callback', (req, res) => {
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=1; Path=/; HttpOnly`);
+      res.redirect(302, String(req.query.returnUrl || '/'));
+    });
+
+    app.get('/__sim/assets/moravia.css', (req, res) => res.sendFile(path.join(FIXTURES_DIR, 'moravia.css')));
+
+    // Page actions
+    app.post('/__sim/tasks/:taskId/status', (req, res) => {
+      const task = this._record(req.params.taskId, 'status', { from: this.getTask(req.params.taskId).status });
+      task.status = this.scenario.acceptedStatus;
+      res.json(task);
+    });
+
+    app.post('/__sim/tasks/:taskId/licence', (req, res) => {
+      const licence = req.body?.licence;
+      if (!this.scenario.licences.includes(licence)) return res.status(400).json({ error: 'Unknown licence' });
+      const task = this._record(req.params.taskId, 'licence', { licence });
+      task.licence = licence;
+      res.json(task);
+    });
+
+    // Control (CLI / manual runs)
+    app.get('/__sim/scenarios', (req, res) => {
+      res.json({
+        current: this.scenarioName,
+        scenarios: Object.entries(SCENARIOS).map(([name, s]) => ({ name, description: s.description || BASE_SCENARIO.description }))
+      });
+    });
+
+    app.post('/__sim/scenario/:name', (req, res) => {
+      try {
+        this.setScenario(req.params.name);
+        res.json({ current: this.scenarioName });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    app.get('/__sim/tasks/:taskId', (req, res) => res.json(this.getTask(req.params.taskId)));
+
+    return app;
+  }
+
+  /* ========================= Lifecycle ========================= */
+
+  /**
+   * Start listening on 127.0.0.1.
+   * @returns {Promise<number>} the port
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(this.port, '127.0.0.1', () => {
+        this.server = server;
+        this.port = server.address().port;
+        resolve(this.port);
+      });
+      server.on('error', reject);
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /** Task URL as execAccept receives it from the notification email */
+  taskUrl(taskId) {
+    return `http://${MORAVIA_HOST}:${this.port}/Task/${taskId}/detail`;
+  }
+
+  /**
+   * Chromium flags that route the Moravia and Microsoft hosts to this server.
+   * @returns {string[]}
+   */
+  launchArgs() {
+    return [
+      `--host-resolver-rules=MAP ${MORAVIA_HOST} 127.0.0.1, MAP ${LOGIN_HOST} 127.0.0.1`,
+      '--disable-features=HttpsUpgrades'
+    ];
+  }
+}
+
+/* ========================= CLI ========================= */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const simulator = new MoraviaSimulator({ scenario: args.scenario || 'happy', port: Number(args.port) || 4100 });
+  await simulator.start();
+
+  console.log(`Moravia simulator on http://127.0.0.1:${simulator.port} (scenario: ${simulator.scenarioName})`);
+  console.log(`Chromium flags: ${simulator.launchArgs().map(a => `"${a}"`).join(' ')}`);
+  console.log(`Task URL:       ${simulator.taskUrl(1001)}`);
+  console.log(`Scenarios:      ${Object.keys(SCENARIOS).join(', ')} (POST /__sim/scenario/<name> to switch)`);
+
+  const shutdown = () => simulator.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`moraviaSimulator failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MoraviaSimulator,
+  SCENARIOS,
+  renderPage,
+};
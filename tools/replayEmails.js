@@ -0,0 +1,327 @@
+// tools/replayEmails.js
+// Replay archived notification emails (.eml files or an mbox) through the real
+// parser -> processEmailData -> TaskHandler.handleIncomingTask pipeline, with a
+// frozen clock and a capacity snapshot, then print a decision table.
+//
+// TaskHandler runs in shadow mode, so nothing is clicked, written to Sheets or
+// saved to capacity.json. Accepted allocations are applied to the in-memory
+// snapshot so later emails in the same run see the consumed capacity.
+//
+// Usage:
+//   node tools/replayEmails.js <dir | file.eml | file.mbox> [options]
+//
+// Options:
+//   --now "YYYY-MM-DD HH:mm"   freeze the clock (local time) - recommended for regression runs
+//   --capacity <file>          capacity.json snapshot { "YYYY-MM-DD": usedWords } (default: empty)
+//   --override <file>          dailyOverride.json snapshot { "YYYY-MM-DD": maxWords } (default: none)
+//   --rules <file>             acceptance rules file (default: Config/acceptanceRules.json)
+//   --json <file>              also write the decisions as JSON
+//   --expect <file>            compare against expected decisions; exit 1 on mismatch
+//                              format: [{ "orderId": "123", "decision": "accepted", "code": "ACCEPTED_NORMAL" }]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MESSAGE_EXTENSIONS = new Set(['.eml', '.mbox']);
+const TABLE_COLUMNS = ['source', 'orderId', 'status', 'words', 'deadline', 'decision', 'code', 'effective', 'plan', 'strategy'];
+
+/* ========================= Input ========================= */
+
+/**
+ * Split an mbox file into individual RFC 822 messages.
+ * Handles ">From " unescaping (mboxrd).
+ * @param {Buffer} buffer - raw mbox content
+ * @param {string} label - source label prefix
+ * @returns {Array<{ source: string, raw: Buffer }>}
+ */
+function splitMbox(buffer, label) {
+  // latin1 keeps bytes 1:1 so non-UTF-8 parts survive the round trip
+  const text = buffer.toString('latin1');
+  return text
+    .split(/^From .*\r?\n/m)
+    .filter(part => part.trim())
+    .map((part, idx) => ({
+      source: `${label}#${idx + 1}`,
+      raw: Buffer.from(part.replace(/^>(>*From )/gm, '$1'), 'latin1'),
+    }));
+}
+
+function isMbox(filePath, buffer) {
+  return path.extname(filePath).toLowerCase() === '.mbox' || buffer.subarray(0, 5).toString() === 'From ';
+}
+
+/**
+ * Load messages from a directory (sorted by name), a single .eml or an mbox file.
+ * @param {string} inputPath
+ * @returns {Array<{ source: string, raw: Buffer }>}
+ */
+function loadMessages(inputPath) {
+  const stat = fs.statSync(inputPath);
+
+  const files = stat.isDirectory()
+    ? fs.readdirSync(inputPath)
+      .filter(name => MESSAGE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+      .sort()
+      .map(name => path.join(inputPath, name))
+    : [inputPath];
+
+  const messages = [];
+  for (const file of files) {
+    const buffer = fs.readFileSync(file);
+    const label = path.basename(file);
+    if (isMbox(file, buffer)) {
+      messages.push(...splitMbox(buffer, label));
+    } else {
+      messages.push({ source: label, raw: buffer });
+    }
+  }
+  return messages;
+}
+
+/* ========================= Clock ========================= */
+
+/**
+ * Replace the global Date so `new Date()` / `Date.now()` (and therefore dayjs())
+ * return a fixed instant. Explicit dates (`new Date(x)`) are unaffected.
+ * @param {string|number} when - anything the Date constructor accepts
+ * @returns {Function} restore - puts the real Date back
+ */
+function freezeClock(when) {
+  const RealDate = Date;
+  const fixed = new RealDate(when).getTime();
+  if (Number.isNaN(fixed)) {
+    throw new Error(`Invalid --now value: ${when}`);
+  }
+
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(fixed);
+      else super(...args);
+    }
+
+    static now() {
+      return fixed;
+    }
+  }
+
+  global.Date = FrozenDate;
+  return () => { global.Date = RealDate; };
+}
+
+/* ========================= Replay ========================= */
+
+function toRow(source, task, evalRes, decision) {
+  return {
+    source,
+    orderId: task.orderId || '-',
+    status: task.status || '-',
+    words: task.amountWords ?? '-',
+    deadline: task.plannedEndDate || '-',
+    decision,
+    code: evalRes.code,
+    effective: evalRes.effectiveDeadline || '-',
+    plan: (evalRes.allocationPlan || []).map(p => `${p.date}:${p.amount}${p.assignee ? `@${p.assignee}` : ''}`).join(' ') || '-',
+    strategy: evalRes.strategy || '-',
+  };
+}
+
+/**
+ * Run messages through the production pipeline in shadow mode.
+ *
+ * @param {object} opts
+ * @param {Array<{ source: string, raw: Buffer }>} opts.messages
+ * @param {object} [opts.capacity] - capacity snapshot (mutated as tasks are accepted)
+ * @param {object} [opts.overrides] - daily override snapshot
+ * @param {Array<object>} [opts.rules] - acceptance rules (default: Config/acceptanceRules.json)
+ * @param {string} [opts.logPath] - shadow decision log (default: temp file)
+ * @returns {Promise<Array<object>>} decision rows, in email order
+ */
+async function replayEmails({ messages, capacity = {}, overrides = {}, rules = null, logPath = null }) {
+  // Must be set before the pipeline modules load: keeps the Dashboard server from listening
+  process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+  const { EmailContentParser, parseEmailMessage, processEmailData } = require('../IMAP/fetcher');
+  const { SystemEventBus } = require('../Core/eventBus');
+  const { TaskHandler } = require('../Core/taskHandler');
+  const { useCapacitySnapshot, clearCapacitySnapshot } = require('../Task/CapacityTracker');
+  const { acceptanceRules } = require('../Task/acceptanceRules');
+  const { shadowRecorder } = require('../Features/shadowMode');
+
+  shadowRecorder.logPath = logPath || path.join(os.tmpdir(), `replayEmails-${process.pid}.jsonl`);
+  if (rules) acceptanceRules.setRules(rules);
+  useCapacitySnapshot(capacity, overrides);
+
+  const bus = new SystemEventBus();
+  const handler = new TaskHandler(bus, { shadowMode: true });
+  const parser = new EmailContentParser();
+  const rows = [];
+  let current = null;
+
+  bus.on('task:accepted', (task, evalRes) => {
+    rows.push(toRow(current, task, evalRes, 'accepted'));
+    // Consume capacity so later emails in this run see it
+    for (const { date, amount } of evalRes.allocationPlan || []) {
+      capacity[date] = (capacity[date] || 0) + amount;
+    }
+  });
+  bus.on('task:rejected', (task, evalRes) => rows.push(toRow(current, task, evalRes, 'rejected')));
+  bus.on('task:onhold', (task) => rows.push(toRow(current, task, { code: 'ON_HOLD' }, 'on_hold')));
+
+  try {
+    for (let i = 0; i < messages.length; i++) {
+      current = messages[i].source;
+      const before = rows.length;
+
+      try {
+        const emailData = await parseEmailMessage({ source: messages[i].raw }, parser);
+        // dedupe: false - a replay must neither read nor fill the live idempotency index
+        processEmailData(emailData, i + 1, (task) => handler.handleIncomingTask(task), { dedupe: false });
+        // processEmailData dispatches via setImmediate - let those callbacks run first
+        await new Promise(resolve => setImmediate(resolve));
+
+        if (rows.length === before) {
+          rows.push(toRow(current, { orderId: emailData.orderId, status: emailData.status }, { code: 'NO_TASK' }, 'skipped'));
+        }
+      } catch (err) {
+        rows.push(toRow(current, {}, { code: `PARSE_ERROR: ${err.message}` }, 'error'));
+      }
+    }
+  } finally {
+    clearCapacitySnapshot();
+  }
+
+  return rows;
+}
+
+/* ========================= Output ========================= */
+
+/**
+ * Render decision rows as a fixed-width text table.
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+function formatTable(rows) {
+  const widths = TABLE_COLUMNS.map(col =>
+    Math.max(col.length, ...rows.map(r => String(r[col]).length))
+  );
+  const line = (values) => values.map((v, i) => String(v).padEnd(widths[i])).join(' | ');
+
+  return [
+    line(TABLE_COLUMNS),
+    widths.map(w => '-'.repeat(w)).join('-+-'),
+    ...rows.map(r => line(TABLE_COLUMNS.map(col => r[col]))),
+  ].join('\n');
+}
+
+/**
+ * Compare rows against expected decisions.
+ * Each expected entry is matched to the next unused row with the same orderId
+ * (and source, if given); only the fields present in the entry are compared.
+ *
+ * @param {Array<object>} rows
+ * @param {Array<object>} expected
+ * @returns {string[]} human-readable mismatches (empty when everything matches)
+ */
+function compareExpected(rows, expected) {
+  const used = new Set();
+  const mismatches = [];
+
+  for (const exp of expected) {
+    const idx = rows.findIndex((r, i) =>
+      !used.has(i) &&
+      String(r.orderId) === String(exp.orderId) &&
+      (!exp.source || r.source === exp.source)
+    );
+    if (idx === -1) {
+      mismatches.push(`${exp.orderId}: no decision found`);
+      continue;
+    }
+    used.add(idx);
+
+    for (const field of ['decision', 'code', 'effective']) {
+      if (exp[field] !== undefined && rows[idx][field] !== exp[field]) {
+        mismatches.push(`${exp.orderId}: ${field} expected "${exp[field]}", got "${rows[idx][field]}"`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+/* ========================= CLI ========================= */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+  return args;
+}
+
+function readJSONFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (!args.input) {
+    console.log('Usage: node tools/replayEmails.js <dir | file.eml | file.mbox> [--now "YYYY-MM-DD HH:mm"] [--capacity file] [--override file] [--rules file] [--json file] [--expect file]');
+    return 2;
+  }
+
+  const messages = loadMessages(args.input);
+  const restoreClock = args.now ? freezeClock(args.now) : () => {};
+
+  try {
+    const rows = await replayEmails({
+      messages,
+      capacity: args.capacity ? readJSONFile(args.capacity) : {},
+      overrides: args.override ? readJSONFile(args.override) : {},
+      rules: args.rules ? (readJSONFile(args.rules).rules || []) : null,
+    });
+
+    console.log(`\nReplayed ${messages.length} message(s)${args.now ? ` at ${args.now}` : ''}\n`);
+    console.log(formatTable(rows));
+
+    if (args.json) {
+      fs.writeFileSync(args.json, JSON.stringify(rows, null, 2));
+      console.log(`\nDecisions written to ${args.json}`);
+    }
+
+    if (args.expect) {
+      const mismatches = compareExpected(rows, readJSONFile(args.expect));
+      if (mismatches.length > 0) {
+        console.log(`\n${mismatches.length} mismatch(es):`);
+        mismatches.forEach(m => console.log(`  - ${m}`));
+        return 1;
+      }
+      console.log('\nAll expected decisions matched');
+    }
+    return 0;
+  } finally {
+    restoreClock();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error(`replayEmails failed: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  replayEmails,
+  loadMessages,
+  splitMbox,
+  freezeClock,
+  formatTable,
+  compareExpected,
+};
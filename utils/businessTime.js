@@ -0,0 +1,150 @@
+// Utils/businessTime.js — one business timezone for deadlines, working hours and "today"
+// The host may run in any zone (Docker / PM2 on a cloud VM is usually UTC); every
+// date decision is made in BUSINESS_TIMEZONE (Config/configs.js, default Asia/Bangkok).
+// Wall-clock strings without a zone ('2026-01-27 18:00', '2026-01-27') are read as
+// business time; a zone hint in the text ('(GMT+01:00)', 'UTC', 'CET', 'Europe/Prague')
+// wins over it.
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const { BUSINESS_TIMEZONE } = require('../Config/configs');
+const { logFail } = require('../Logs/logger');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(customParseFormat);
+
+const FALLBACK_TIMEZONE = 'Asia/Bangkok';
+
+/** Formats a deadline may arrive in (email body, Tracking sheet, task store) */
+const DEADLINE_FORMATS = [
+  'YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY',
+  'YYYY-MM-DD HH:mm', 'DD.MM.YYYY h:mm A', 'DD/MM/YYYY h:mm A', 'DD-MM-YYYY h:mm A'
+];
+
+/** Wall-clock strings toBusiness() reads: the app's own timestamps, receivedDate, then deadlines */
+const WALL_CLOCK_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm:ss.SSS', 'YYYY-MM-DDTHH:mm',
+  'YYYY-MM-DD h:mm A', 'YYYY-MM-DD hh:mm A', ...DEADLINE_FORMATS
+];
+
+/** ISO 8601 with Z or an offset: an instant, whatever the host zone */
+const ISO_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+/** Zone abbreviations seen in notification emails → UTC offset in minutes */
+const ZONE_ABBREVIATIONS = {
+  UTC: 0, GMT: 0, WET: 0, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180,
+  IST: 330, ICT: 420, SGT: 480, JST: 540, KST: 540,
+  EST: -300, EDT: -240, PST: -480, PDT: -420
+};
+
+function isValidZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+const BUSINESS_TZ = isValidZone(BUSINESS_TIMEZONE) ? BUSINESS_TIMEZONE : FALLBACK_TIMEZONE;
+if (BUSINESS_TZ !== BUSINESS_TIMEZONE) {
+  logFail(`[businessTime] Unknown BUSINESS_TIMEZONE "${BUSINESS_TIMEZONE}", using ${FALLBACK_TIMEZONE}`);
+}
+
+/* ========================= Zone hints ========================= */
+
+const OFFSET_HINT = /\(?\s*\b(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\s*\)?/i;
+const TRAILING_OFFSET = /(?<=:\d{2}(?::\d{2})?)\s*([+-])(\d{2}):?(\d{2})\s*$/;
+const IANA_HINT = /\(?\s*\b([A-Z][A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)\b\s*\)?/;
+const ABBREVIATION_HINT = new RegExp(`\\(?\\s*\\b(${Object.keys(ZONE_ABBREVIATIONS).join('|')})\\b\\s*\\)?`);
+
+const offsetMinutes = (sign, hours, minutes) => (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes || 0));
+
+/**
+ * Pull a zone hint out of a date text.
+ * @param {string} text
+ * @returns {{ text: string, zone: number|string|null }} text without the hint; zone is
+ *          a UTC offset in minutes, an IANA name, or null when the text names none
+ */
+function extractZoneHint(text) {
+  let match = text.match(OFFSET_HINT) || text.match(TRAILING_OFFSET);
+  if (match) return { text: text.replace(match[0], ' '), zone: offsetMinutes(match[1], match[2], match[3]) };
+
+  match = text.match(IANA_HINT);
+  if (match && isValidZone(match[1])) return { text: text.replace(match[0], ' '), zone: match[1] };
+
+  match = text.match(ABBREVIATION_HINT);
+  if (match) return { text: text.replace(match[0], ' '), zone: ZONE_ABBREVIATIONS[match[1]] };
+
+  return { text, zone: null };
+}
+
+/* ========================= Conversions ========================= */
+
+/** The current moment in the business timezone */
+function now() {
+  return dayjs().tz(BUSINESS_TZ);
+}
+
+/** Today's business date ('YYYY-MM-DD') */
+function today() {
+  return now().format('YYYY-MM-DD');
+}
+
+/**
+ * A moment in the business timezone.
+ * Dates, timestamps, dayjs objects and ISO strings with an offset are instants;
+ * other strings must match WALL_CLOCK_FORMATS and are business wall-clock time
+ * ('2026-01-27 18:00'). Anything else is invalid - never the host's reading of it.
+ * @param {string|number|Date|dayjs.Dayjs} [input] - defaults to now
+ * @returns {dayjs.Dayjs}
+ */
+function toBusiness(input) {
+  if (input == null) return now();
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (ISO_INSTANT.test(text)) return dayjs(text).tz(BUSINESS_TZ);
+    return parseBusiness(text, WALL_CLOCK_FORMATS) || dayjs(NaN);
+  }
+  // valueOf() also takes dayjs objects built by another dayjs instance (no tz plugin)
+  const instant = dayjs(input.valueOf());
+  return instant.isValid() ? instant.tz(BUSINESS_TZ) : instant;
+}
+
+/**
+ * Parse a date text strictly against the given formats, honouring any zone hint.
+ * Bracketed notes left after removing the hint are ignored.
+ * @param {string} text
+ * @param {string[]} [formats] - dayjs formats (DEADLINE_FORMATS)
+ * @returns {dayjs.Dayjs|null} the moment in the business timezone, null when unparseable
+ */
+function parseBusiness(text, formats = DEADLINE_FORMATS) {
+  if (text == null || text === '') return null;
+  const hint = extractZoneHint(String(text));
+  const cleaned = hint.text.replace(/\(.*?\)/g, '').trim();
+
+  for (const format of formats) {
+    const wall = dayjs.utc(cleaned, format, true);
+    if (!wall.isValid()) continue;
+
+    const stamp = wall.format('YYYY-MM-DDTHH:mm:ss');
+    if (hint.zone == null) return dayjs.tz(stamp, BUSINESS_TZ);
+    if (typeof hint.zone === 'number') return dayjs.utc(stamp).subtract(hint.zone, 'minute').tz(BUSINESS_TZ);
+    return dayjs.tz(stamp, hint.zone).tz(BUSINESS_TZ);
+  }
+  return null;
+}
+
+module.exports = {
+  BUSINESS_TZ,
+  DEADLINE_FORMATS,
+  WALL_CLOCK_FORMATS,
+  now,
+  today,
+  toBusiness,
+  parseBusiness,
+  extractZoneHint
+};